@@ -0,0 +1,15 @@
+const { replace } = require('./replace');
+
+/**
+ * Collects what is logged with console.error instead of printing it, for the errors a test
+ * expects
+ * @returns {{errors: string[], restore: Function}}
+ */
+const captureErrors = () => {
+  const errors = [];
+  const restore = replace(console, { error: (...args) => errors.push(args.join(' ')) });
+
+  return { errors, restore };
+};
+
+module.exports = { captureErrors };
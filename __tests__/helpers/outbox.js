@@ -0,0 +1,25 @@
+const outboxService = require('../../services/outbox-service');
+const { replace } = require('./replace');
+
+/**
+ * Outbox publishing in memory, without a mongo transaction. Publishing fails with `failWith`
+ * while it is set.
+ * @returns {{published: object[], failWith: string|null, restore: Function}}
+ */
+const fakeOutbox = () => {
+  const outbox = { published: [], failWith: null };
+
+  outbox.restore = replace(outboxService, {
+    withTransaction: (fn) => fn(null),
+    publish: async (key, event) => {
+      if (outbox.failWith) {
+        throw new Error(outbox.failWith);
+      }
+      outbox.published.push({ key, event });
+    },
+  });
+
+  return outbox;
+};
+
+module.exports = { fakeOutbox };
@@ -0,0 +1,21 @@
+/**
+ * Replaces methods of an object, e.g. of a model or a module, until the returned restore
+ * function is called
+ * @param {object} target
+ * @param {object} methods
+ * @returns {Function} restore
+ */
+const replace = (target, methods) => {
+  const saved = Object.keys(methods).map((name) => [name, Object.getOwnPropertyDescriptor(target, name)]);
+  Object.assign(target, methods);
+
+  return () => saved.forEach(([name, descriptor]) => {
+    if (descriptor) {
+      Object.defineProperty(target, name, descriptor);
+    } else {
+      delete target[name];
+    }
+  });
+};
+
+module.exports = { replace };
@@ -0,0 +1,43 @@
+const { TransactionManager, Wallet } = require('@wallfair.io/trading-engine');
+// the modules look the entity manager up on this object when they are constructed
+const modules = require('@wallfair.io/trading-engine/build/src/lib/modules');
+const { replace } = require('./replace');
+
+/**
+ * Lets the modules of the trading engine, e.g. a TransactionManager, be constructed without
+ * a database connection, their methods still need to be replaced by the test
+ * @returns {Function} restore
+ */
+const withoutDatabase = () => replace(modules, { getEntityManager: () => ({}) });
+
+/**
+ * Transactions without a database. Transfers are recorded, or fail with `failWith` while it
+ * is set.
+ * @returns {{transfers: object[], rollbacks: number, failWith: string|null, restore: Function}}
+ */
+const fakeLedger = () => {
+  const ledger = { transfers: [], rollbacks: 0, failWith: null };
+  const restores = [
+    withoutDatabase(),
+    replace(TransactionManager.prototype, {
+      startTransaction: async () => null,
+      commitTransaction: async () => null,
+      rollbackTransaction: async () => {
+        ledger.rollbacks += 1;
+      },
+    }),
+    replace(Wallet.prototype, {
+      transfer: async (from, to, amount) => {
+        if (ledger.failWith) {
+          throw new Error(ledger.failWith);
+        }
+        ledger.transfers.push({ from: from.owner, to: to.owner, amount });
+      },
+    }),
+  ];
+
+  ledger.restore = () => restores.reverse().forEach((restore) => restore());
+  return ledger;
+};
+
+module.exports = { withoutDatabase, fakeLedger };
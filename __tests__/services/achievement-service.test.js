@@ -0,0 +1,332 @@
+const { expect } = require('chai');
+const { toWei } = require('@wallfair.io/trading-engine');
+const { Achievement, UserAchievement } = require('../../models').models;
+const { replace } = require('../helpers/replace');
+const { fakeLedger } = require('../helpers/trading-engine');
+const { fakeOutbox } = require('../helpers/outbox');
+const { captureErrors } = require('../helpers/console');
+const {
+  getEventUserId,
+  matchesRule,
+  getIncrement,
+  nextStreak,
+  validateAchievement,
+  toAchievementView,
+  recordEvent,
+  payPendingRewards,
+  reconcileReward,
+} = require('../../services/achievement-service');
+const { ACHIEVEMENT_RULE_TYPES, ACHIEVEMENT_REWARD_STATUSES } = require('../../util/constants');
+const { getEventId } = require('../../util/event-builder');
+
+const USER_ID = '61d5a1f0c2a4b5e4f0a1b2c3';
+const CASHOUT = 'Casino/CASINO_CASHOUT';
+
+const achievement = (rule, reward) => ({
+  _id: 'a1',
+  key: 'HIGH_ROLLER',
+  name: 'High roller',
+  rule: { type: ACHIEVEMENT_RULE_TYPES.COUNT, event: CASHOUT, target: 5, ...rule },
+  reward,
+});
+
+/** Query that populate resolves with the result */
+const populated = (result) => ({ populate: async () => result });
+
+/**
+ * UserAchievement.findOneAndUpdate answering the calls in turn, the progress update, the
+ * unlock and the reward status changes of an event each make one
+ */
+const updatesAnswering = (calls, ...results) => async (filter, update) => {
+  calls.push({ filter, update });
+  return results[calls.length - 1] || null;
+};
+
+describe('achievement-service', () => {
+  describe('getEventUserId', () => {
+    it('should find the user of casino, bet and user events', () => {
+      expect(getEventUserId({ data: { userId: USER_ID } })).to.equal(USER_ID);
+      expect(getEventUserId({ data: { user: { _id: USER_ID } } })).to.equal(USER_ID);
+      expect(getEventUserId({ data: { bet: { creator: USER_ID } } })).to.equal(USER_ID);
+      expect(getEventUserId({ producer: 'user', producerId: USER_ID, data: {} })).to.equal(USER_ID);
+      expect(getEventUserId({ producer: 'system', producerId: 'casino-service', data: {} })).to.equal(undefined);
+    });
+  });
+
+  describe('matchesRule', () => {
+    it('should match the event and the game of the rule', () => {
+      const rule = { event: CASHOUT, gameId: 'elon-game' };
+
+      expect(matchesRule(rule, { event: CASHOUT, data: { gameTypeId: 'elon-game' } })).to.equal(true);
+      expect(matchesRule(rule, { event: CASHOUT, data: { gameTypeId: 'pump-dump' } })).to.equal(false);
+      expect(matchesRule({ event: CASHOUT }, { event: 'Notification/EVENT_BET_PLACED', data: {} })).to.equal(false);
+    });
+  });
+
+  describe('getIncrement', () => {
+    it('should count events and sum their field', () => {
+      const message = { data: { profitWfair: 12.5 } };
+
+      expect(getIncrement({ type: ACHIEVEMENT_RULE_TYPES.COUNT }, message)).to.equal(1);
+      expect(getIncrement({ type: ACHIEVEMENT_RULE_TYPES.SUM, field: 'data.profitWfair' }, message)).to.equal(12.5);
+      expect(getIncrement({ type: ACHIEVEMENT_RULE_TYPES.SUM, field: 'data.missing' }, message)).to.equal(null);
+    });
+  });
+
+  describe('nextStreak', () => {
+    it('should continue on the next day and restart after a gap', () => {
+      const first = nextStreak({}, new Date(2022, 0, 10, 12));
+      const second = nextStreak(first, new Date(2022, 0, 11, 8));
+
+      expect(first).to.deep.equal({ progress: 1, lastDay: '2022-01-10' });
+      expect(second).to.deep.equal({ progress: 2, lastDay: '2022-01-11' });
+      expect(nextStreak(second, new Date(2022, 0, 11, 20))).to.equal(null);
+      expect(nextStreak(second, new Date(2022, 0, 13))).to.deep.equal({ progress: 1, lastDay: '2022-01-13' });
+    });
+  });
+
+  describe('validateAchievement', () => {
+    it('should accept rules over consumed events with optional rewards', () => {
+      expect(() => validateAchievement(achievement())).to.not.throw();
+      expect(() => validateAchievement(achievement({}, { amount: 100, symbol: 'BFAIR' }))).to.not.throw();
+      expect(() => validateAchievement(achievement({}, {}))).to.not.throw();
+    });
+
+    it('should reject unknown events, sums without a field and invalid rewards', () => {
+      [
+        achievement({ event: 'Notification/EVENT_USER_SIGNED_IN' }),
+        achievement({ type: ACHIEVEMENT_RULE_TYPES.SUM }),
+        achievement({ target: 0 }),
+        achievement({}, { amount: 100, symbol: 'EUR' }),
+        achievement({}, { amount: 0, symbol: 'WFAIR' }),
+      ].forEach((invalid) => {
+        expect(() => validateAchievement(invalid)).to.throw('INVALID_ACHIEVEMENT');
+      });
+    });
+  });
+
+  describe('toAchievementView', () => {
+    it('should show the progress towards the target', () => {
+      const view = toAchievementView(achievement({}, { amount: 100, symbol: 'WFAIR' }), { progress: 3 });
+
+      expect(view).to.include({ id: 'a1', key: 'HIGH_ROLLER', target: 5, progress: 3, unlockedAt: null });
+      expect(view.reward).to.deep.equal({ amount: 100, symbol: 'WFAIR' });
+    });
+
+    it('should show unlocked achievements complete with the reward they got', () => {
+      const unlockedAt = new Date();
+      const view = toAchievementView(achievement(), {
+        progress: 2,
+        unlockedAt,
+        reward: { amount: 50, symbol: 'WFAIR', status: 'paid' },
+      });
+
+      expect(view).to.include({ progress: 5, unlockedAt });
+      expect(view.reward).to.deep.equal({ amount: 50, symbol: 'WFAIR', status: 'paid' });
+    });
+  });
+
+  describe('recordEvent', () => {
+    const restores = [];
+    const cashout = (date) => ({ event: CASHOUT, producerId: USER_ID, date, data: { userId: USER_ID } });
+    const rewarded = achievement({ target: 1 }, { amount: 50, symbol: 'WFAIR' });
+    const progressed = (progress) => ({ _id: 'ua1', userId: USER_ID, achievementId: 'a1', progress });
+    const withReward = (status) => ({ ...progressed(1), reward: { amount: 50, symbol: 'WFAIR', status } });
+    let ledger;
+    let outbox;
+    let calls;
+
+    beforeEach(() => {
+      ledger = fakeLedger();
+      outbox = fakeOutbox();
+      calls = [];
+      restores.push(
+        ledger.restore,
+        outbox.restore,
+        replace(Achievement, { find: async () => [achievement({ target: 2 })] })
+      );
+    });
+
+    afterEach(() => {
+      restores.splice(0).reverse().forEach((restore) => restore());
+    });
+
+    const answer = (...results) => restores.push(replace(UserAchievement, {
+      findOneAndUpdate: updatesAnswering(calls, ...results),
+      findOne: async () => progressed(1),
+    }));
+
+    it('should count an event unless its id was counted', async () => {
+      answer(progressed(1));
+
+      await recordEvent('event.casino_cashout', cashout(1));
+
+      const eventId = getEventId('event.casino_cashout', cashout(1));
+      expect(calls).to.have.length(1);
+      expect(calls[0].filter).to.deep.equal({
+        userId: USER_ID,
+        achievementId: 'a1',
+        countedEvents: { $ne: eventId },
+        unlockedAt: null,
+      });
+      expect(calls[0].update).to.deep.equal({
+        $inc: { progress: 1 },
+        $push: { countedEvents: { $each: [eventId], $slice: -100 } },
+      });
+      expect(outbox.published).to.have.length(0);
+    });
+
+    it('should unlock the achievement at its target', async () => {
+      answer(progressed(2), { ...progressed(2), unlockedAt: new Date() });
+
+      await recordEvent('event.casino_cashout', cashout(2));
+
+      expect(calls[1].filter).to.deep.equal({ _id: 'ua1', unlockedAt: null });
+      expect(calls[1].update.unlockedAt).to.be.a('date');
+      expect(outbox.published.map(({ key }) => key)).to.deep.equal(['event.user_award']);
+    });
+
+    it('should pay the reward of an unlocked achievement', async () => {
+      restores.push(replace(Achievement, { find: async () => [rewarded] }));
+      answer(
+        progressed(1),
+        withReward(ACHIEVEMENT_REWARD_STATUSES.PENDING),
+        withReward(ACHIEVEMENT_REWARD_STATUSES.PAYING),
+        withReward(ACHIEVEMENT_REWARD_STATUSES.PAID)
+      );
+
+      await recordEvent('event.casino_cashout', cashout(1));
+
+      expect(ledger.transfers).to.deep.equal([
+        { from: process.env.REWARD_WALLET, to: USER_ID, amount: toWei(50).toFixed() },
+      ]);
+      expect(calls.slice(2).map(({ filter }) => filter['reward.status'])).to.deep.equal([
+        ACHIEVEMENT_REWARD_STATUSES.PENDING,
+        ACHIEVEMENT_REWARD_STATUSES.PAYING,
+      ]);
+      expect(calls[3].update['reward.status']).to.equal(ACHIEVEMENT_REWARD_STATUSES.PAID);
+      expect(outbox.published.map(({ event }) => event.data.awardData)).to.deep.equal([
+        { type: 'HIGH_ROLLER', name: 'High roller', badge: undefined, award: 50, symbol: 'WFAIR' },
+      ]);
+    });
+
+    it('should leave failed rewards pending for the job', async () => {
+      restores.push(replace(Achievement, { find: async () => [rewarded] }));
+      answer(
+        progressed(1),
+        withReward(ACHIEVEMENT_REWARD_STATUSES.PENDING),
+        withReward(ACHIEVEMENT_REWARD_STATUSES.PAYING),
+        withReward(ACHIEVEMENT_REWARD_STATUSES.PENDING)
+      );
+      ledger.failWith = 'INSUFFICIENT_FUNDS';
+      const log = captureErrors();
+      restores.push(log.restore);
+
+      await recordEvent('event.casino_cashout', cashout(1));
+
+      expect(log.errors).to.deep.equal(['ACHIEVEMENT REWARDS:  ua1 INSUFFICIENT_FUNDS']);
+      expect(ledger.rollbacks).to.equal(1);
+      expect(calls[3]).to.deep.equal({
+        filter: { _id: 'ua1', 'reward.status': ACHIEVEMENT_REWARD_STATUSES.PAYING },
+        update: { 'reward.status': ACHIEVEMENT_REWARD_STATUSES.PENDING, 'reward.error': 'INSUFFICIENT_FUNDS' },
+      });
+      expect(outbox.published).to.have.length(0);
+    });
+
+    it('should pay the rewards left pending', async () => {
+      restores.push(replace(UserAchievement, {
+        find: () => populated([{ ...withReward(ACHIEVEMENT_REWARD_STATUSES.PENDING), achievementId: rewarded }]),
+        findOneAndUpdate: updatesAnswering(
+          calls,
+          withReward(ACHIEVEMENT_REWARD_STATUSES.PAYING),
+          withReward(ACHIEVEMENT_REWARD_STATUSES.PAID)
+        ),
+      }));
+
+      await payPendingRewards();
+
+      expect(ledger.transfers).to.have.length(1);
+      expect(calls[1].update).to.include({ 'reward.status': ACHIEVEMENT_REWARD_STATUSES.PAID, 'reward.error': null });
+      expect(outbox.published).to.have.length(1);
+    });
+
+    it('should finish the unlock when the event is redelivered', async () => {
+      // counted before, the transaction of the unlock was rolled back
+      restores.push(replace(UserAchievement, {
+        findOneAndUpdate: updatesAnswering(calls, null, { ...progressed(2), unlockedAt: new Date() }),
+        findOne: async () => progressed(2),
+      }));
+
+      await recordEvent('event.casino_cashout', cashout(2));
+
+      expect(calls).to.have.length(2);
+      expect(calls[1].filter).to.deep.equal({ _id: 'ua1', unlockedAt: null });
+      expect(outbox.published).to.have.length(1);
+    });
+
+    it('should fail the event when the award can not be published', async () => {
+      answer(progressed(2), { ...progressed(2), unlockedAt: new Date() });
+      outbox.failWith = 'DB_DOWN';
+
+      const error = await recordEvent('event.casino_cashout', cashout(2)).catch((e) => e);
+
+      expect(error.message).to.equal('DB_DOWN');
+    });
+  });
+
+  describe('reconcileReward', () => {
+    const restores = [];
+    let userAchievement;
+    let outbox;
+
+    beforeEach(() => {
+      userAchievement = {
+        _id: 'ua1',
+        userId: USER_ID,
+        achievementId: achievement({ target: 1 }, { amount: 50, symbol: 'WFAIR' }),
+        reward: { amount: 50, symbol: 'WFAIR', status: ACHIEVEMENT_REWARD_STATUSES.PAYING },
+      };
+      outbox = fakeOutbox();
+
+      restores.push(
+        outbox.restore,
+        replace(UserAchievement, {
+          findById: (id) => populated(id === 'ua1' ? userAchievement : null),
+          // the status changes only from the one in the filter
+          findOneAndUpdate: async (filter, update) => (filter['reward.status'] === userAchievement.reward.status
+            ? { ...userAchievement, reward: { ...userAchievement.reward, status: update['reward.status'] } }
+            : null),
+        })
+      );
+    });
+
+    afterEach(() => {
+      restores.splice(0).reverse().forEach((restore) => restore());
+    });
+
+    it('should mark paid rewards paid and publish their award', async () => {
+      const settled = await reconcileReward('ua1', true, 'admin');
+
+      expect(settled.reward.status).to.equal(ACHIEVEMENT_REWARD_STATUSES.PAID);
+      expect(outbox.published.map(({ key }) => key)).to.deep.equal(['event.user_award']);
+    });
+
+    it('should leave unpaid rewards to the job', async () => {
+      const settled = await reconcileReward('ua1', false, 'admin');
+
+      expect(settled.reward.status).to.equal(ACHIEVEMENT_REWARD_STATUSES.PENDING);
+      expect(outbox.published).to.have.length(0);
+    });
+
+    it('should only reconcile rewards left paying', async () => {
+      userAchievement.reward.status = ACHIEVEMENT_REWARD_STATUSES.PAID;
+
+      const errors = await Promise.all([
+        reconcileReward('ua1', true, 'admin').catch((e) => e.message),
+        reconcileReward('ua2', true, 'admin').catch((e) => e.message),
+      ]);
+
+      expect(errors).to.deep.equal(['INVALID_REWARD_TRANSITION', 'NOT_FOUND']);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const { expect } = require('chai');
+const amqplib = require('amqplib');
+const amqp = require('../../services/amqp-service');
+const { EventSchemaError } = require('../../util/event-schemas');
+
+const { getRedeliveryDelay, getMetrics } = amqp;
+
+const QUEUE = 'cron_jobs.backend';
+const ROUTING_KEY = 'backend.promo_code_expiration';
+
+/** Channel that records what the service does with it */
+const fakeChannel = () => ({
+  consumers: {},
+  acked: [],
+  nacked: [],
+  published: [],
+  sent: [],
+  on: () => null,
+  prefetch: async () => null,
+  assertExchange: async () => null,
+  assertQueue: async () => null,
+  bindQueue: async () => null,
+  async consume(queue, onMessage) {
+    this.consumers[queue] = onMessage;
+  },
+  ack(msg) {
+    this.acked.push(msg);
+  },
+  nack(msg) {
+    this.nacked.push(msg);
+  },
+  publish(exchange, routingKey, content, options) {
+    this.published.push({ exchange, routingKey, content, options });
+    return true;
+  },
+  sendToQueue(queue, content, options) {
+    this.sent.push({ queue, content, options });
+    return true;
+  },
+});
+
+const message = (content = '{}', headers = {}) => ({
+  content: Buffer.from(content),
+  fields: { exchange: 'cron_jobs', routingKey: ROUTING_KEY },
+  properties: { headers, contentType: 'application/json' },
+});
+
+describe('amqp-service', () => {
+  it('should double the delay with every redelivery', () => {
+    expect([1, 2, 3, 4, 5].map(getRedeliveryDelay)).to.deep.equal([1000, 2000, 4000, 8000, 16000]);
+  });
+
+  it('should report no counters before anything was consumed', () => {
+    expect(getMetrics()).to.deep.equal({ connected: false, routingKeys: {} });
+  });
+
+  describe('consume', () => {
+    const connect = amqplib.connect;
+    const deadLetters = [];
+    let channel;
+    let processor;
+
+    before(async () => {
+      channel = fakeChannel();
+      amqplib.connect = async () => ({
+        on: () => null,
+        close: async () => null,
+        createChannel: async () => channel,
+        createConfirmChannel: async () => fakeChannel(),
+      });
+
+      await amqp.init();
+      await amqp.subscribe(
+        { promoCodesExpiration: { call: (...args) => processor(...args) } },
+        async (...args) => deadLetters.push(args)
+      );
+    });
+
+    after(() => {
+      amqplib.connect = connect;
+    });
+
+    beforeEach(() => {
+      channel.acked = [];
+      channel.nacked = [];
+      channel.published = [];
+      channel.sent = [];
+      processor = async () => null;
+    });
+
+    const deliver = (msg) => channel.consumers[QUEUE](msg);
+
+    it('should ack processed messages', async () => {
+      const calls = [];
+      processor = async (...args) => calls.push(args);
+      const msg = message('{"run":true}');
+
+      await deliver(msg);
+
+      expect(calls).to.deep.equal([[ROUTING_KEY, { run: true }]]);
+      expect(channel.acked).to.deep.equal([msg]);
+      expect(channel.sent).to.have.length(0);
+      expect(channel.published).to.have.length(0);
+    });
+
+    it('should move failed messages to their retry queue and ack them', async () => {
+      processor = async () => {
+        throw new Error('DB_DOWN');
+      };
+      const msg = message('{}', { 'x-redelivery-count': 1 });
+
+      await deliver(msg);
+
+      expect(channel.sent).to.have.length(1);
+      expect(channel.sent[0].queue).to.equal(`${QUEUE}.retry.${getRedeliveryDelay(2)}`);
+      expect(channel.sent[0].options.headers).to.include({
+        'x-redelivery-count': 2,
+        'x-original-exchange': 'cron_jobs',
+        'x-original-routing-key': ROUTING_KEY,
+      });
+      expect(channel.published).to.have.length(0);
+      expect(channel.acked).to.deep.equal([msg]);
+    });
+
+    it('should dead-letter messages that used up their redeliveries', async () => {
+      processor = async () => {
+        throw new Error('DB_DOWN');
+      };
+
+      await deliver(message('{}', { 'x-redelivery-count': 5 }));
+
+      expect(channel.sent).to.have.length(0);
+      expect(channel.published).to.have.length(1);
+      expect(channel.published[0].exchange).to.equal(`${QUEUE}.dlx`);
+      expect(channel.published[0].options.headers).to.include({ 'x-error': 'DB_DOWN' });
+      expect(channel.acked).to.have.length(1);
+    });
+
+    it('should dead-letter unparsable messages right away', async () => {
+      await deliver(message('{oops'));
+
+      expect(channel.sent).to.have.length(0);
+      expect(channel.published[0].exchange).to.equal(`${QUEUE}.dlx`);
+      expect(channel.published[0].options.headers['x-redelivery-count']).to.equal(1);
+      expect(channel.acked).to.have.length(1);
+    });
+
+    it('should keep messages that could not be passed on', async () => {
+      processor = async () => {
+        throw new Error('DB_DOWN');
+      };
+      const { sendToQueue } = channel;
+      channel.sendToQueue = () => {
+        throw new Error('Channel closed');
+      };
+
+      await deliver(message());
+
+      channel.sendToQueue = sendToQueue;
+      expect(channel.acked).to.have.length(0);
+    });
+
+    it('should store dead letters and ack them', async () => {
+      const msg = message('{"run":true}', {
+        'x-original-exchange': 'cron_jobs',
+        'x-original-routing-key': ROUTING_KEY,
+        'x-error': 'DB_DOWN',
+      });
+
+      await channel.consumers[`${QUEUE}.dead`](msg);
+
+      const [exchange, routingKey, payload, error] = deadLetters.pop();
+      expect([exchange, routingKey, payload]).to.deep.equal(['cron_jobs', ROUTING_KEY, { run: true }]);
+      expect(error.message).to.equal('DB_DOWN');
+      expect(channel.acked).to.deep.equal([msg]);
+    });
+
+    it('should count the outcomes per routing key', () => {
+      expect(getMetrics()).to.deep.include({ connected: true });
+      expect(getMetrics().routingKeys[ROUTING_KEY]).to.deep.equal({
+        processed: 1,
+        failed: 4,
+        redelivered: 1,
+        deadLettered: 2,
+      });
+    });
+  });
+
+  describe('send', () => {
+    it('should refuse payloads that do not match their schema', async () => {
+      let error;
+
+      try {
+        await amqp.send('api_info_events', 'event.play_time', JSON.stringify({ to: 'user' }));
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.instanceOf(EventSchemaError);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const { expect } = require('chai');
+const {
+  CLAIMABLE_STATES,
+  canTransition,
+  getDepositKey,
+} = require('../../services/deposit-ingestion-service');
+const { DEPOSIT_INGESTION_STATES } = require('../../util/constants');
+
+describe('deposit-ingestion-service', () => {
+  it('should key deposits by network and lowercase hash', () => {
+    expect(getDepositKey('eth', ' 0xABcd ')).to.deep.equal({
+      networkCode: 'ETH',
+      transactionHash: '0xabcd',
+    });
+  });
+
+  it('should refuse deposits without network or hash', () => {
+    expect(() => getDepositKey('ETH', '')).to.throw('DEPOSIT_WITHOUT_HASH');
+    expect(() => getDepositKey(undefined, '0xabcd')).to.throw('DEPOSIT_WITHOUT_HASH');
+  });
+
+  it('should only let new and failed deposits be claimed', () => {
+    expect(CLAIMABLE_STATES).to.have.members([
+      DEPOSIT_INGESTION_STATES.SUBMITTED,
+      DEPOSIT_INGESTION_STATES.RECEIVED,
+      DEPOSIT_INGESTION_STATES.FAILED,
+    ]);
+  });
+
+  it('should never process a processed deposit again', () => {
+    expect(canTransition(DEPOSIT_INGESTION_STATES.PROCESSED, DEPOSIT_INGESTION_STATES.PROCESSING)).to.equal(false);
+    expect(canTransition(DEPOSIT_INGESTION_STATES.PROCESSING, DEPOSIT_INGESTION_STATES.PROCESSED)).to.equal(true);
+    expect(canTransition(DEPOSIT_INGESTION_STATES.FAILED, DEPOSIT_INGESTION_STATES.PROCESSED)).to.equal(false);
+  });
+});
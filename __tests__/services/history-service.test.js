@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const {
+  SORT,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  paginate,
+} = require('../../services/history-service');
+
+const at = (minute) => new Date(Date.UTC(2022, 0, 1, 0, minute));
+
+/** In-memory source answering like the SQL of the history sources */
+const source = (type, rows) => {
+  const fetched = [];
+
+  return {
+    type,
+    fetched,
+    fetch: async ({ after, sort, limit }) => {
+      fetched.push(limit);
+      const order = (a, b) => (a.ts - b.ts || a.id - b.id) * (sort === SORT.ASC ? 1 : -1);
+      const isAfter = (row) => {
+        if (!after) {
+          return true;
+        }
+        const byTime = (row.ts - after.ts) * (sort === SORT.ASC ? 1 : -1);
+        if (byTime) {
+          return byTime > 0;
+        }
+        if (type === after.type) {
+          return (row.id - +after.id) * (sort === SORT.ASC ? 1 : -1) > 0;
+        }
+        return sort === SORT.ASC ? type > after.type : type < after.type;
+      };
+
+      return rows
+        .map(([minute, id]) => ({ ts: at(minute), type, id, item: `${type}${id}` }))
+        .filter(isAfter)
+        .sort(order)
+        .slice(0, limit);
+    },
+  };
+};
+
+const readAll = async (sources, params) => {
+  const items = [];
+  let cursor;
+
+  do {
+    const page = await paginate(sources, { ...params, cursor });
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return items;
+};
+
+describe('history-service', () => {
+  it('should encode and decode cursors', () => {
+    const cursor = encodeCursor({ ts: at(1), type: 'GAME', id: 7 });
+
+    expect(decodeCursor(cursor)).to.deep.equal({ ts: at(1), type: 'GAME', id: '7' });
+    expect(() => decodeCursor('nope')).to.throw('INVALID_CURSOR');
+  });
+
+  it('should continue after the cursor in the order of sources', () => {
+    const after = { ts: at(1), type: 'BET', id: '3' };
+    let params = [];
+
+    expect(afterCursor('ts', 'BET', after, SORT.DESC, params)).to.equal('(ts, id) < ($1, $2)');
+    expect(params).to.deep.equal([at(1), '3']);
+
+    params = ['user'];
+    // GAME is ordered after BET, rows at the same time are still to come
+    expect(afterCursor('ts', 'GAME', after, SORT.ASC, params)).to.equal('ts >= $2');
+    expect(afterCursor('ts', 'GAME', after, SORT.DESC, [])).to.equal('ts < $1');
+    expect(afterCursor('ts', 'GAME', null, SORT.DESC, [])).to.equal('TRUE');
+  });
+
+  it('should merge the sources newest first', async () => {
+    const bets = source('BET', [[1, 1], [3, 2], [5, 3]]);
+    const games = source('GAME', [[2, 1], [3, 2], [4, 3], [6, 4]]);
+    const page = await paginate([bets, games], { limit: 3 });
+
+    expect(page.items).to.deep.equal(['GAME4', 'BET3', 'GAME3']);
+    expect(page.nextCursor).to.be.a('string');
+    // one chunk per source covers a page
+    expect(bets.fetched).to.deep.equal([4]);
+  });
+
+  it('should page through every item once in both orders', async () => {
+    const rows = () => [
+      source('BET', [[1, 1], [1, 2], [3, 3], [5, 4], [5, 5]]),
+      source('GAME', [[1, 1], [3, 2], [5, 3], [5, 4]]),
+    ];
+
+    const asc = await readAll(rows(), { sort: SORT.ASC, limit: 2 });
+    const desc = await readAll(rows(), { sort: SORT.DESC, limit: 3 });
+
+    expect(asc).to.deep.equal(['BET1', 'BET2', 'GAME1', 'BET3', 'GAME2', 'BET4', 'BET5', 'GAME3', 'GAME4']);
+    expect(desc).to.deep.equal([...asc].reverse());
+  });
+
+  it('should end without a cursor on the last page', async () => {
+    const page = await paginate([source('BET', [[1, 1]])], { limit: 5 });
+
+    expect(page).to.deep.equal({ items: ['BET1'], nextCursor: null });
+  });
+});
@@ -0,0 +1,81 @@
+const { expect } = require('chai');
+const { JOBS } = require('../../jobs');
+const { toJobStatus } = require('../../services/job-service');
+
+const JOB = {
+  name: 'relayOutbox',
+  description: 'Publishes outbox events',
+  schedule: '10 seconds',
+  lockLifetime: 120000,
+  concurrency: 1,
+  enabled: true,
+  run: () => null,
+};
+
+const at = (minutes) => new Date(Date.UTC(2022, 0, 10, 12, minutes));
+
+describe('job-service', () => {
+  describe('JOBS', () => {
+    it('should declare every job completely and once', () => {
+      const names = JOBS.map((job) => job.name);
+
+      expect(new Set(names).size).to.equal(names.length);
+      JOBS.forEach((job) => {
+        expect(job.run, job.name).to.be.a('function');
+        expect(job.lockLifetime, job.name).to.be.above(0);
+        expect(job.concurrency, job.name).to.be.at.least(1);
+        expect(job.enabled, job.name).to.be.a('boolean');
+      });
+    });
+  });
+
+  describe('toJobStatus', () => {
+    it('should report a job that never ran', () => {
+      const status = toJobStatus(JOB, []);
+
+      expect(status).to.include({
+        name: 'relayOutbox',
+        paused: false,
+        running: false,
+        nextRunAt: null,
+        lastRunAt: null,
+        lastFailedAt: null,
+        failCount: 0,
+      });
+      expect(status).to.not.have.property('run');
+    });
+
+    it('should combine the schedule with the runs triggered by hand', () => {
+      const status = toJobStatus(JOB, [
+        {
+          type: 'single',
+          nextRunAt: at(10),
+          lastRunAt: at(0),
+          lastFinishedAt: at(1),
+          failedAt: at(1),
+          failReason: 'AMQP_NOT_CONNECTED',
+          failCount: 2,
+        },
+        { type: 'normal', lastRunAt: at(5), lastFinishedAt: at(6), lockedAt: at(5) },
+      ]);
+
+      expect(status).to.include({
+        paused: false,
+        running: true,
+        failCount: 2,
+        lastFailReason: 'AMQP_NOT_CONNECTED',
+      });
+      expect(status.nextRunAt).to.deep.equal(at(10));
+      expect(status.lastRunAt).to.deep.equal(at(5));
+      expect(status.lastFinishedAt).to.deep.equal(at(6));
+      expect(status.lastFailedAt).to.deep.equal(at(1));
+    });
+
+    it('should not announce a next run of a paused job', () => {
+      const status = toJobStatus(JOB, [{ type: 'single', disabled: true, nextRunAt: at(10) }]);
+
+      expect(status.paused).to.equal(true);
+      expect(status.nextRunAt).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { expect } = require('chai');
+const { canTransition, isKycRequired } = require('../../services/kyc-service');
+const mockProvider = require('../../util/mock.kyc');
+const { KYC_STATUSES } = require('../../util/constants');
+
+describe('kyc-service', () => {
+  it('should only allow the defined status changes', () => {
+    expect(canTransition(KYC_STATUSES.NOT_STARTED, KYC_STATUSES.PENDING)).to.equal(true);
+    expect(canTransition(KYC_STATUSES.PENDING, KYC_STATUSES.APPROVED)).to.equal(true);
+    expect(canTransition(KYC_STATUSES.PENDING, KYC_STATUSES.NEEDS_RESUBMISSION)).to.equal(true);
+    expect(canTransition(KYC_STATUSES.NEEDS_RESUBMISSION, KYC_STATUSES.PENDING)).to.equal(true);
+    expect(canTransition(KYC_STATUSES.APPROVED, KYC_STATUSES.NEEDS_RESUBMISSION)).to.equal(true);
+
+    expect(canTransition(KYC_STATUSES.NOT_STARTED, KYC_STATUSES.APPROVED)).to.equal(false);
+    expect(canTransition(KYC_STATUSES.NEEDS_RESUBMISSION, KYC_STATUSES.APPROVED)).to.equal(false);
+    expect(canTransition(KYC_STATUSES.REJECTED, KYC_STATUSES.PENDING)).to.equal(false);
+    expect(canTransition('unknown', KYC_STATUSES.PENDING)).to.equal(false);
+  });
+
+  it('should require an approved KYC above the threshold only', () => {
+    expect(isKycRequired(KYC_STATUSES.NOT_STARTED, 100, 500)).to.equal(false);
+    expect(isKycRequired(KYC_STATUSES.NOT_STARTED, 500, 500)).to.equal(false);
+    expect(isKycRequired(KYC_STATUSES.PENDING, 501, 500)).to.equal(true);
+    expect(isKycRequired(KYC_STATUSES.NEEDS_RESUBMISSION, 1, 0)).to.equal(true);
+    expect(isKycRequired(KYC_STATUSES.APPROVED, 10000, 0)).to.equal(false);
+  });
+});
+
+describe('mock kyc provider', () => {
+  afterEach(() => {
+    delete process.env.KYC_MOCK_DECISION;
+  });
+
+  it('should leave submissions pending for the admin review by default', async () => {
+    const result = await mockProvider.submitVerification({ userId: 'user', documents: [] });
+
+    expect(result.status).to.equal(KYC_STATUSES.PENDING);
+    expect(result.reference).to.match(/^mock-user-/);
+  });
+
+  it('should answer with the configured decision', async () => {
+    process.env.KYC_MOCK_DECISION = KYC_STATUSES.NEEDS_RESUBMISSION;
+    const result = await mockProvider.submitVerification({ userId: 'user', documents: [{}] });
+
+    expect(result.status).to.equal(KYC_STATUSES.NEEDS_RESUBMISSION);
+    expect(result.reason).to.be.a('string');
+  });
+});
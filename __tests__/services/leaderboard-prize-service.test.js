@@ -0,0 +1,270 @@
+const { expect } = require('chai');
+const { toWei } = require('@wallfair.io/trading-engine');
+const { LeaderboardSnapshot, LeaderboardPrizeTable, LeaderboardPayout } = require('../../models').models;
+const { replace } = require('../helpers/replace');
+const { fakeLedger } = require('../helpers/trading-engine');
+const { fakeOutbox } = require('../helpers/outbox');
+const { captureErrors } = require('../helpers/console');
+const {
+  computeWinners,
+  validatePrizeTable,
+  distributePrizes,
+  reconcileWinner,
+} = require('../../services/leaderboard-prize-service');
+const { LEADERBOARD_PAYOUT_STATUSES, LEADERBOARD_WINNER_STATUSES } = require('../../util/constants');
+
+const user = (_id, amountWon) => ({ _id, username: `user-${_id}`, amountWon });
+
+const winner = (_id, status = LEADERBOARD_WINNER_STATUSES.PENDING) => ({
+  _id,
+  userId: `user-${_id}`,
+  username: `user-${_id}`,
+  rank: 1,
+  prize: '10.0000',
+  status,
+});
+
+/** Payouts collection holding a single payout, updates are applied the way mongo would */
+const payoutStore = (payout) => {
+  const updatePayout = async (query, update) => {
+    if (query.status && query.status !== payout.status) {
+      return null;
+    }
+
+    const match = query.winners?.$elemMatch;
+    const target = match
+      ? payout.winners.find((w) => w._id === match._id && w.status === match.status)
+      : payout;
+
+    if (!target) {
+      return null;
+    }
+
+    Object.entries(update).forEach(([field, value]) => {
+      target[field.replace('winners.$.', '')] = value;
+    });
+
+    return payout;
+  };
+
+  return {
+    find: async () => [payout],
+    findById: async () => payout,
+    findOneAndUpdate: updatePayout,
+    updateOne: updatePayout,
+  };
+};
+
+describe('leaderboard-prize-service', () => {
+  describe('computeWinners', () => {
+    it('should split the pool by the shares of the ranks', () => {
+      const winners = computeWinners(
+        [user('a', 300), user('b', 200), user('c', 100), user('d', 50)],
+        { pool: 1000, shares: [50, 30, 20] }
+      );
+
+      expect(winners.map((w) => [w.userId, w.rank, w.prize])).to.deep.equal([
+        ['a', 1, '500.0000'],
+        ['b', 2, '300.0000'],
+        ['c', 3, '200.0000'],
+      ]);
+      expect(winners.every((w) => w.status === LEADERBOARD_WINNER_STATUSES.PENDING)).to.equal(true);
+    });
+
+    it('should round prizes down', () => {
+      const [winner] = computeWinners([user('a', 1)], { pool: 100, shares: [33.33333] });
+
+      expect(winner.prize).to.equal('33.3333');
+    });
+
+    it('should skip users who did not win and keep unclaimed shares', () => {
+      const winners = computeWinners(
+        [user('a', 10), user('b', 0), user('c', -5)],
+        { pool: 100, shares: [60, 40] }
+      );
+
+      expect(winners).to.have.length(1);
+      expect(winners[0]).to.include({ userId: 'a', rank: 1, prize: '60.0000' });
+    });
+  });
+
+  describe('validatePrizeTable', () => {
+    it('should accept shares up to the whole pool', () => {
+      expect(() => validatePrizeTable({ pool: 100, shares: [50, 50] })).to.not.throw();
+      expect(() => validatePrizeTable({ pool: 100, shares: [10] })).to.not.throw();
+    });
+
+    it('should reject empty, non-positive or oversized tables', () => {
+      [
+        { pool: 0, shares: [100] },
+        { pool: 100, shares: [] },
+        { pool: 100, shares: [50, 0] },
+        { pool: 100, shares: [60, 50] },
+      ].forEach((table) => {
+        expect(() => validatePrizeTable(table)).to.throw('INVALID_PRIZE_TABLE');
+      });
+    });
+  });
+
+  describe('payments', () => {
+    const restores = [];
+    let ledger;
+    let outbox;
+
+    beforeEach(() => {
+      ledger = fakeLedger();
+      outbox = fakeOutbox();
+      restores.push(
+        ledger.restore,
+        outbox.restore,
+        replace(LeaderboardPrizeTable, { find: async () => [] })
+      );
+    });
+
+    afterEach(() => {
+      restores.splice(0).reverse().forEach((restore) => restore());
+    });
+
+    const store = (payout) => restores.push(replace(LeaderboardPayout, payoutStore(payout)));
+
+    it('should pay the winners of approved payouts and close them', async () => {
+      const payout = { _id: 'p1', status: LEADERBOARD_PAYOUT_STATUSES.APPROVED, winners: [winner('w1')] };
+      store(payout);
+
+      await distributePrizes();
+
+      expect(ledger.transfers).to.deep.equal([
+        { from: process.env.REWARD_WALLET, to: 'user-w1', amount: toWei('10.0000').toFixed() },
+      ]);
+      expect(payout.winners[0].status).to.equal(LEADERBOARD_WINNER_STATUSES.PAID);
+      expect(payout.status).to.equal(LEADERBOARD_PAYOUT_STATUSES.PAID);
+      expect(outbox.published.map(({ key }) => key)).to.deep.equal(['event.user_reward']);
+    });
+
+    it('should fail winners whose transfer failed', async () => {
+      const payout = { _id: 'p1', status: LEADERBOARD_PAYOUT_STATUSES.APPROVED, winners: [winner('w1')] };
+      store(payout);
+      ledger.failWith = 'INSUFFICIENT_FUNDS';
+      const log = captureErrors();
+      restores.push(log.restore);
+
+      await distributePrizes();
+
+      expect(log.errors).to.deep.equal(['LEADERBOARD PRIZES:  p1 user-w1 INSUFFICIENT_FUNDS']);
+      expect(ledger.rollbacks).to.equal(1);
+      expect(payout.winners[0]).to.include({
+        status: LEADERBOARD_WINNER_STATUSES.FAILED,
+        error: 'INSUFFICIENT_FUNDS',
+      });
+      expect(payout.status).to.equal(LEADERBOARD_PAYOUT_STATUSES.FAILED);
+      expect(outbox.published).to.have.length(0);
+    });
+
+    it('should not pay winners left paying again', async () => {
+      const payout = {
+        _id: 'p1',
+        status: LEADERBOARD_PAYOUT_STATUSES.APPROVED,
+        winners: [winner('w1', LEADERBOARD_WINNER_STATUSES.PAYING), winner('w2')],
+      };
+      store(payout);
+
+      await distributePrizes();
+
+      expect(ledger.transfers.map(({ to }) => to)).to.deep.equal(['user-w2']);
+      expect(payout.winners[0].status).to.equal(LEADERBOARD_WINNER_STATUSES.PAYING);
+      expect(payout.status).to.equal(LEADERBOARD_PAYOUT_STATUSES.FAILED);
+    });
+
+    it('should close the payout once the last paying winner was reconciled as paid', async () => {
+      const payout = {
+        _id: 'p1',
+        status: LEADERBOARD_PAYOUT_STATUSES.FAILED,
+        winners: [winner('w1', LEADERBOARD_WINNER_STATUSES.PAYING), winner('w2', LEADERBOARD_WINNER_STATUSES.PAID)],
+      };
+      store(payout);
+
+      await reconcileWinner('p1', 'w1', true, 'admin');
+
+      expect(ledger.transfers).to.have.length(0);
+      expect(payout.winners[0]).to.include({ status: LEADERBOARD_WINNER_STATUSES.PAID, reconciledBy: 'admin' });
+      expect(payout.status).to.equal(LEADERBOARD_PAYOUT_STATUSES.PAID);
+      expect(outbox.published.map(({ key }) => key)).to.deep.equal(['event.user_reward']);
+    });
+
+    it('should fail unpaid winners so the payout can be retried', async () => {
+      const payout = {
+        _id: 'p1',
+        status: LEADERBOARD_PAYOUT_STATUSES.FAILED,
+        winners: [winner('w1', LEADERBOARD_WINNER_STATUSES.PAYING)],
+      };
+      store(payout);
+
+      await reconcileWinner('p1', 'w1', false, 'admin');
+
+      expect(payout.winners[0].status).to.equal(LEADERBOARD_WINNER_STATUSES.FAILED);
+      expect(payout.status).to.equal(LEADERBOARD_PAYOUT_STATUSES.FAILED);
+      expect(outbox.published).to.have.length(0);
+    });
+
+    it('should only reconcile winners left paying', async () => {
+      store({ _id: 'p1', status: LEADERBOARD_PAYOUT_STATUSES.FAILED, winners: [winner('w1')] });
+
+      const error = await reconcileWinner('p1', 'w1', true, 'admin').catch((e) => e);
+
+      expect(error.message).to.equal('INVALID_PAYOUT_TRANSITION');
+    });
+  });
+
+  describe('createPayouts', () => {
+    const restores = [];
+
+    afterEach(() => {
+      restores.splice(0).reverse().forEach((restore) => restore());
+    });
+
+    it('should freeze every final snapshot of the table without a payout', async () => {
+      const createdAt = new Date('2026-01-01');
+      const frozen = [new Date('2026-02-01')];
+      const created = [];
+      let snapshotQuery;
+
+      restores.push(
+        replace(LeaderboardPrizeTable, {
+          find: async () => [{ type: 'casino', period: 'month', pool: 100, shares: [100], createdAt }],
+        }),
+        replace(LeaderboardSnapshot, {
+          find: (query) => {
+            snapshotQuery = query;
+            return {
+              sort: async () => [
+                { start: new Date('2026-01-01'), end: new Date('2026-02-01'), users: [user('a', 5)] },
+                { start: new Date('2026-03-01'), end: new Date('2026-04-01'), users: [user('b', 5)] },
+              ],
+            };
+          },
+        }),
+        replace(LeaderboardPayout, {
+          distinct: async () => frozen,
+          find: async () => [],
+          create: async (payout) => created.push(payout),
+        })
+      );
+
+      await distributePrizes();
+
+      expect(snapshotQuery).to.deep.equal({
+        type: 'casino',
+        period: 'month',
+        final: true,
+        start: { $nin: frozen },
+        end: { $gt: createdAt },
+      });
+      expect(created.map((payout) => [payout.start, payout.winners[0].userId])).to.deep.equal([
+        [new Date('2026-01-01'), 'a'],
+        [new Date('2026-03-01'), 'b'],
+      ]);
+      expect(created.every((payout) => payout.status === LEADERBOARD_PAYOUT_STATUSES.PENDING_APPROVAL))
+        .to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const { expect } = require('chai');
+const { LeaderboardSnapshot } = require('../../models').models;
+const {
+  getPeriod,
+  getList,
+  gameLeaderboardQuery,
+  toGameRanking,
+  toLiveUpdates,
+} = require('../../services/leaderboard-service');
+const { LEADERBOARD_TYPES, LEADERBOARD_PERIODS, LEADERBOARD_RANKINGS } = require('../../util/constants');
+
+const USER_ID = '61d5a1f0c2a4b5e4f0a1b2c3';
+
+describe('leaderboard-service', () => {
+  describe('getPeriod', () => {
+    it('should start weeks on monday and cover whole months', () => {
+      // a wednesday
+      const date = new Date(2022, 0, 12, 15, 30);
+      const week = getPeriod(LEADERBOARD_PERIODS.WEEK, date);
+      const month = getPeriod(LEADERBOARD_PERIODS.MONTH, date);
+
+      expect(week.start).to.deep.equal(new Date(2022, 0, 10));
+      expect(week.end).to.deep.equal(new Date(2022, 0, 16, 23, 59, 59, 999));
+      expect(month.start).to.deep.equal(new Date(2022, 0, 1));
+      expect(month.end).to.deep.equal(new Date(2022, 0, 31, 23, 59, 59, 999));
+    });
+  });
+
+  describe('gameLeaderboardQuery', () => {
+    it('should rank all casino trades of the day by profit by default', () => {
+      const { sql, params } = gameLeaderboardQuery({}, 10, 20);
+
+      expect(sql).to.match(/SUM\(COALESCE\(t\.amountpaid, 0\) - t\.stakedamount\) AS score/);
+      expect(sql).to.not.include('FROM games');
+      expect(sql).to.include('LIMIT 10 OFFSET 20');
+      expect(params.slice(1)).to.deep.equal(Object.values(getPeriod(LEADERBOARD_PERIODS.DAY)));
+    });
+
+    it('should filter by game, provider, category and users', () => {
+      const { sql, params } = gameLeaderboardQuery({
+        gameId: 'game',
+        provider: 'Softswiss/BGaming',
+        category: 'slots',
+        rankBy: LEADERBOARD_RANKINGS.MULTIPLIER,
+        userIds: [USER_ID],
+      }, 10, 0);
+
+      expect(sql).to.match(/MAX\(CASE WHEN t\.state = \d+ THEN t\.crashfactor END\) AS score/);
+      expect(sql).to.include('t.gameid = $4');
+      expect(sql).to.include('g.provider = $5 AND g.category = $6');
+      expect(sql).to.include('t.userid = ANY($7)');
+      expect(params.slice(3)).to.deep.equal(['game', 'Softswiss/BGaming', 'slots', [USER_ID]]);
+    });
+  });
+
+  describe('toGameRanking', () => {
+    it('should convert the amounts from wei and score by the ranking', () => {
+      const row = { _id: USER_ID, multiplier: '12.5', biggest_win: '2500000000000000000', profit: '-1000000000000000000' };
+
+      expect(toGameRanking(row, LEADERBOARD_RANKINGS.WIN)).to.deep.equal({
+        _id: USER_ID,
+        multiplier: 12.5,
+        biggestWin: 2.5,
+        amountWon: -1,
+        score: 2.5,
+      });
+      expect(toGameRanking({ ...row, multiplier: null, biggest_win: null }).biggestWin).to.equal(null);
+    });
+  });
+
+  describe('toLiveUpdates', () => {
+    it('should count the profits of casino cashouts', () => {
+      expect(toLiveUpdates('event.casino_cashout', { data: { userId: USER_ID, profitWfair: 12.5 } }))
+        .to.deep.equal([{ type: LEADERBOARD_TYPES.HIGH_GAMES, userId: USER_ID, amount: 12.5 }]);
+    });
+
+    it('should count the volume of bets placed by non-admins', () => {
+      const data = { bet: { creator: USER_ID }, trade: { investment_amount: 100 } };
+
+      expect(toLiveUpdates('event.bet_placed', { data: { ...data, creator: { admin: false } } }))
+        .to.deep.equal([{ type: LEADERBOARD_TYPES.HIGH_VOLUME, userId: USER_ID, amount: 100 }]);
+      expect(toLiveUpdates('event.bet_placed', { data: { ...data, creator: { admin: true } } })).to.deep.equal([]);
+    });
+
+    it('should only count the gains of bets', () => {
+      expect(toLiveUpdates('event.bet_cashed_out', { data: { user: { _id: USER_ID }, gain: { gainAmount: 5 } } }))
+        .to.deep.equal([{ type: LEADERBOARD_TYPES.HIGH_EVENTS, userId: USER_ID, amount: 5 }]);
+      expect(toLiveUpdates('event.bet_cashed_out', { data: { user: { _id: USER_ID }, gain: { gainAmount: -5 } } }))
+        .to.deep.equal([]);
+      expect(toLiveUpdates('event.user_reward', { data: { user: { _id: USER_ID } } })).to.deep.equal([]);
+    });
+  });
+
+  describe('getList', () => {
+    afterEach(() => {
+      delete LeaderboardSnapshot.findOne;
+    });
+
+    it('should read other periods from their snapshot', async () => {
+      const users = [1, 2, 3].map((i) => ({ _id: `${i}`, amountWon: i, toObject: () => ({ _id: `${i}` }) }));
+      let query;
+      LeaderboardSnapshot.findOne = async (q) => {
+        query = q;
+        return { total: 3, users };
+      };
+
+      const result = await getList(LEADERBOARD_TYPES.HIGH_VOLUME, 2, 1, { period: LEADERBOARD_PERIODS.WEEK });
+
+      expect(query).to.deep.equal({
+        type: LEADERBOARD_TYPES.HIGH_VOLUME,
+        period: LEADERBOARD_PERIODS.WEEK,
+        start: getPeriod(LEADERBOARD_PERIODS.WEEK).start,
+      });
+      expect(result).to.deep.equal({ total: 3, users: [{ _id: '2' }, { _id: '3' }], limit: 2, skip: 1 });
+    });
+
+    it('should return past days without a snapshot empty', async () => {
+      LeaderboardSnapshot.findOne = async () => null;
+
+      const result = await getList(LEADERBOARD_TYPES.HIGH_EVENTS, 10, 0, { date: new Date('2020-01-01') });
+
+      expect(result).to.deep.equal({ users: [], total: 0, limit: 10, skip: 0 });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const {
+  computePlaySession,
+  isRealityCheckDue,
+  isSessionLimitReached,
+  planPreferenceChange,
+  applyDueChanges,
+} = require('../../services/play-time-service');
+
+const MINUTE = 60 * 1000;
+const IDLE = 30 * MINUTE;
+
+describe('play-time-service', () => {
+  const now = new Date('2022-01-01T12:00:00.000Z');
+  const ago = (minutes) => new Date(now.getTime() - minutes * MINUTE);
+
+  it('should start the session at the sign in', () => {
+    expect(computePlaySession(ago(50), [ago(45), ago(20), ago(1)], now, IDLE)).to.deep.equal({
+      startedAt: ago(50),
+      lastActivityAt: ago(1),
+      minutesPlayed: 50,
+    });
+  });
+
+  it('should start a new session after an idle gap', () => {
+    const session = computePlaySession(ago(180), [ago(170), ago(40), ago(20)], now, IDLE);
+
+    expect(session.startedAt).to.deep.equal(ago(40));
+    expect(session.minutesPlayed).to.equal(40);
+  });
+
+  it('should ignore activity before the sign in', () => {
+    expect(computePlaySession(ago(10), [ago(15), ago(2)], now, IDLE).startedAt).to.deep.equal(ago(10));
+  });
+
+  it('should return no session for idle users', () => {
+    expect(computePlaySession(ago(120), [ago(90), ago(60)], now, IDLE)).to.equal(null);
+    expect(computePlaySession(null, [], now, IDLE)).to.equal(null);
+  });
+
+  it('should tell when a reality check is due', () => {
+    const session = { startedAt: ago(65), minutesPlayed: 65 };
+    const settings = { realityCheckMinutes: 30, lastRealityCheckAt: null };
+
+    expect(isRealityCheckDue(settings, session, now)).to.equal(true);
+    expect(isRealityCheckDue({ ...settings, lastRealityCheckAt: ago(10) }, session, now)).to.equal(false);
+    expect(isRealityCheckDue({ ...settings, lastRealityCheckAt: ago(31) }, session, now)).to.equal(true);
+    // a check of an earlier session does not count
+    expect(isRealityCheckDue({ ...settings, lastRealityCheckAt: ago(100) }, { startedAt: ago(10) }, now))
+      .to.equal(false);
+    expect(isRealityCheckDue({ realityCheckMinutes: null }, session, now)).to.equal(false);
+    expect(isRealityCheckDue(settings, null, now)).to.equal(false);
+  });
+
+  it('should tell when the session limit is reached', () => {
+    expect(isSessionLimitReached({ sessionLimitMinutes: 60 }, { minutesPlayed: 60 })).to.equal(true);
+    expect(isSessionLimitReached({ sessionLimitMinutes: 60 }, { minutesPlayed: 59 })).to.equal(false);
+    expect(isSessionLimitReached({ sessionLimitMinutes: null }, { minutesPlayed: 600 })).to.equal(false);
+    expect(isSessionLimitReached({ sessionLimitMinutes: 60 }, null)).to.equal(false);
+  });
+
+  it('should shorten settings immediately and delay longer ones', () => {
+    const settings = { sessionLimitMinutes: 60, pendingChanges: {} };
+    const noPending = { value: null, appliesAt: null };
+
+    expect(planPreferenceChange(settings, 'sessionLimitMinutes', 30, now))
+      .to.deep.equal({ value: 30, pending: noPending });
+    expect(planPreferenceChange(null, 'sessionLimitMinutes', 30, now))
+      .to.deep.equal({ value: 30, pending: noPending });
+
+    const raised = planPreferenceChange(settings, 'sessionLimitMinutes', 120, now);
+    expect(raised.value).to.equal(60);
+    expect(raised.pending.value).to.equal(120);
+    expect(raised.pending.appliesAt > now).to.equal(true);
+
+    const removed = planPreferenceChange(settings, 'sessionLimitMinutes', null, now);
+    expect(removed.value).to.equal(60);
+    expect(removed.pending.value).to.equal(null);
+    expect(removed.pending.appliesAt > now).to.equal(true);
+  });
+
+  it('should not reset the delay when the same change is asked for again', () => {
+    const appliesAt = new Date(now.getTime() + 10 * MINUTE);
+    const settings = {
+      realityCheckMinutes: 30,
+      pendingChanges: { realityCheckMinutes: { value: 60, appliesAt } },
+    };
+
+    expect(planPreferenceChange(settings, 'realityCheckMinutes', 60, now).pending)
+      .to.deep.equal({ value: 60, appliesAt });
+  });
+
+  it('should apply pending changes once they are due', () => {
+    const settings = {
+      sessionLimitMinutes: 60,
+      realityCheckMinutes: 30,
+      pendingChanges: {
+        sessionLimitMinutes: { value: null, appliesAt: ago(1) },
+        realityCheckMinutes: { value: 60, appliesAt: new Date(now.getTime() + MINUTE) },
+      },
+    };
+
+    expect(applyDueChanges(settings, now)).to.equal(true);
+    expect(settings.sessionLimitMinutes).to.equal(null);
+    expect(settings.pendingChanges.sessionLimitMinutes).to.deep.equal({ value: null, appliesAt: null });
+    expect(settings.realityCheckMinutes).to.equal(30);
+    expect(applyDueChanges(settings, now)).to.equal(false);
+  });
+});
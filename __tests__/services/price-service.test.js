@@ -0,0 +1,134 @@
+const { expect } = require('chai');
+const {
+  median,
+  aggregatePrices,
+  toCacheFields,
+  fromCacheFields,
+  toQuote,
+  getCandleRange,
+  getFiatCurrency,
+} = require('../../services/price-service');
+const { parsePrices } = require('../../util/static.price');
+
+const NOW = new Date('2022-01-10T12:00:00.000Z');
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * 60 * 1000);
+
+describe('price-service', () => {
+  describe('median', () => {
+    it('should take the middle price, or the mean of the two middle ones', () => {
+      expect(median([])).to.equal(null);
+      expect(median([0.02])).to.equal(0.02);
+      expect(median([3, 1, 2])).to.equal(2);
+      expect(median([4, 1, 3, 2])).to.equal(2.5);
+    });
+  });
+
+  describe('aggregatePrices', () => {
+    it('should aggregate the fresh prices of all sources per currency', () => {
+      const prices = aggregatePrices([
+        { source: 'cmc', prices: { USD: { price: 0.02, updatedAt: minutesAgo(2) } } },
+        { source: 'coingecko', prices: { USD: { price: 0.021, updatedAt: minutesAgo(1) } } },
+        { source: 'static', prices: { USD: { price: 0.5, updatedAt: NOW } } },
+      ], NOW);
+
+      expect(prices.USD).to.deep.equal({
+        price: 0.021,
+        sources: ['cmc', 'coingecko', 'static'],
+        updatedAt: minutesAgo(2),
+      });
+    });
+
+    it('should leave out partial, invalid and stale prices', () => {
+      const prices = aggregatePrices([
+        {
+          source: 'cmc',
+          prices: {
+            USD: { price: 0.02, updatedAt: minutesAgo(16) },
+            EUR: { price: 0.018, updatedAt: NOW },
+            BTC: { price: null, updatedAt: NOW },
+          },
+        },
+        { source: 'coingecko', prices: { USD: { price: 0.021, updatedAt: NOW } } },
+      ], NOW);
+
+      expect(Object.keys(prices)).to.deep.equal(['USD', 'EUR']);
+      expect(prices.USD.sources).to.deep.equal(['coingecko']);
+      expect(prices.EUR.sources).to.deep.equal(['cmc']);
+    });
+  });
+
+  describe('cache fields', () => {
+    it('should read back what is cached', () => {
+      const prices = { EUR: { price: 0.018, sources: ['cmc', 'coingecko'], updatedAt: NOW } };
+      const fields = toCacheFields(prices);
+
+      expect(fields.EUR).to.equal(0.018);
+      // redis hands back strings
+      expect(fromCacheFields({ ...fields, EUR: '0.018', _updatedAt: NOW.toUTCString() })).to.deep.equal(prices);
+    });
+
+    it('should ignore prices cached before the sources were tracked', () => {
+      expect(fromCacheFields({ USD: '0.019', _updatedAt: NOW.toUTCString() })).to.deep.equal({});
+      expect(fromCacheFields(null)).to.deep.equal({});
+    });
+  });
+
+  describe('toQuote', () => {
+    const prices = { USD: { price: 0.02, sources: ['cmc'], updatedAt: minutesAgo(5) } };
+
+    it('should convert the amount and tell where the price is from', () => {
+      const quote = toQuote(prices, { convertFrom: 'USD', amount: 10 }, NOW);
+
+      expect(quote).to.include({ convertTo: 'WFAIR', price: 0.02, convertedAmount: 500, stale: false });
+      expect(quote.sources).to.deep.equal(['cmc']);
+      expect(quote.updatedAt).to.deep.equal(minutesAgo(5));
+      expect(quote.WFAIR.quote.USD.price).to.equal(0.02);
+    });
+
+    it('should flag stale prices and refuse outdated ones', () => {
+      expect(toQuote(prices, { convertFrom: 'USD', amount: 1 }, new Date(NOW.getTime() + 20 * 60 * 1000)).stale)
+        .to.equal(true);
+      expect(() => toQuote(prices, { convertFrom: 'USD', amount: 1 }, new Date(NOW.getTime() + 61 * 60 * 1000)))
+        .to.throw('PRICE_UNAVAILABLE');
+      expect(() => toQuote(prices, { convertFrom: 'EUR', amount: 1 }, NOW)).to.throw('PRICE_UNAVAILABLE');
+    });
+  });
+
+  describe('getCandleRange', () => {
+    it('should default to the last 100 candles', () => {
+      const range = getCandleRange({ interval: '1h' }, NOW);
+
+      expect(range.intervalMs).to.equal(60 * 60 * 1000);
+      expect(range.to).to.deep.equal(NOW);
+      expect(range.from).to.deep.equal(new Date('2022-01-06T08:00:00.000Z'));
+    });
+
+    it('should align the start to the interval', () => {
+      const range = getCandleRange({ interval: '15m', from: '2022-01-10T10:07:12.000Z' }, NOW);
+
+      expect(range.from).to.deep.equal(new Date('2022-01-10T10:00:00.000Z'));
+    });
+
+    it('should refuse empty and oversized ranges', () => {
+      expect(() => getCandleRange({ interval: '1d', from: NOW, to: minutesAgo(1) })).to.throw('INVALID_RANGE');
+      expect(() => getCandleRange({ interval: '5m', from: '2021-01-01T00:00:00.000Z' }, NOW))
+        .to.throw('TOO_MANY_CANDLES');
+      expect(() => getCandleRange({ interval: '2h' }, NOW)).to.throw('INVALID_INTERVAL');
+    });
+  });
+
+  describe('fiat values', () => {
+    it('should value in the preferred fiat currency, USD otherwise', () => {
+      expect(getFiatCurrency({ preferences: { currency: 'EUR' } })).to.equal('EUR');
+      expect(getFiatCurrency({ preferences: { currency: 'WFAIR' } })).to.equal('USD');
+      expect(getFiatCurrency({})).to.equal('USD');
+    });
+  });
+
+  describe('static provider', () => {
+    it('should parse the configured prices', () => {
+      expect(parsePrices('USD:0.02, eur:0.018,BTC:x,ETH')).to.deep.equal({ USD: 0.02, EUR: 0.018 });
+      expect(parsePrices()).to.deep.equal({});
+    });
+  });
+});
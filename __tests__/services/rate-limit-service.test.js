@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const rateLimitService = require('../../services/rate-limit-service');
+
+// minimal in-memory stand-in for the callback based redis v3 client
+const createRedisStub = () => {
+  const values = {};
+  const ttls = {};
+
+  return {
+    connected: true,
+    incr(key, cb) {
+      values[key] = (values[key] || 0) + 1;
+      cb(null, values[key]);
+    },
+    ttl(key, cb) {
+      cb(null, key in values ? (ttls[key] ?? -1) : -2);
+    },
+    expire(key, seconds, cb) {
+      ttls[key] = seconds;
+      cb(null, 1);
+    },
+    set(key, value, mode, seconds, cb) {
+      values[key] = value;
+      ttls[key] = seconds;
+      cb(null, 'OK');
+    },
+    del(...args) {
+      const cb = args.pop();
+      args.forEach((key) => {
+        delete values[key];
+        delete ttls[key];
+      });
+      cb(null, args.length);
+    },
+  };
+};
+
+describe('rate limit service', () => {
+  beforeEach(() => {
+    rateLimitService.init(createRedisStub());
+  });
+
+  it('should allow hits up to the limit', async () => {
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await rateLimitService.consume('test/ip/127.0.0.1', 3, 60));
+    }
+
+    expect(results.map((r) => r.allowed)).to.deep.equal([true, true, true, false]);
+    expect(results[3].retryAfter).to.equal(60);
+  });
+
+  it('should fail open without a redis connection', async () => {
+    rateLimitService.init({ connected: false });
+    const result = await rateLimitService.consume('test/ip/127.0.0.1', 0, 60);
+    expect(result.allowed).to.equal(true);
+  });
+
+  it('should lock logins progressively and reset on success', async () => {
+    const user = { id: 'user-1' };
+
+    for (let i = 0; i < 4; i++) {
+      await rateLimitService.registerLoginFailure(user);
+    }
+    expect(await rateLimitService.getLoginLockTime(user.id)).to.equal(0);
+
+    await rateLimitService.registerLoginFailure(user);
+    expect(await rateLimitService.getLoginLockTime(user.id)).to.equal(60);
+
+    await rateLimitService.registerLoginFailure(user);
+    expect(await rateLimitService.getLoginLockTime(user.id)).to.equal(120);
+
+    await rateLimitService.resetLoginFailures(user.id);
+    expect(await rateLimitService.getLoginLockTime(user.id)).to.equal(0);
+  });
+});
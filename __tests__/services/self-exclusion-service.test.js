@@ -0,0 +1,29 @@
+const { expect } = require('chai');
+const { getExclusionEnd } = require('../../services/self-exclusion-service');
+const { SELF_EXCLUSION_PERIODS } = require('../../util/constants');
+
+describe('self-exclusion-service', () => {
+  const from = new Date('2022-01-31T12:00:00.000Z');
+
+  it('should compute the end of fixed periods', () => {
+    expect(getExclusionEnd(SELF_EXCLUSION_PERIODS.DAY, from).toISOString())
+      .to.equal('2022-02-01T12:00:00.000Z');
+    expect(getExclusionEnd(SELF_EXCLUSION_PERIODS.WEEK, from).toISOString())
+      .to.equal('2022-02-07T12:00:00.000Z');
+    expect(getExclusionEnd(SELF_EXCLUSION_PERIODS.MONTH, from).toISOString())
+      .to.equal('2022-03-02T12:00:00.000Z');
+  });
+
+  it('should add calendar months for half a year', () => {
+    expect(getExclusionEnd(SELF_EXCLUSION_PERIODS.HALF_YEAR, new Date('2022-03-15T12:00:00.000Z')).toISOString())
+      .to.equal('2022-09-15T12:00:00.000Z');
+  });
+
+  it('should not end permanent exclusions', () => {
+    expect(getExclusionEnd(SELF_EXCLUSION_PERIODS.PERMANENT, from)).to.equal(null);
+  });
+
+  it('should reject unknown periods', () => {
+    expect(() => getExclusionEnd('1y', from)).to.throw('INVALID_SELF_EXCLUSION_PERIOD');
+  });
+});
@@ -0,0 +1,99 @@
+const { expect } = require('chai');
+const { BN, toWei } = require('@wallfair.io/trading-engine');
+const {
+  classifyEntry,
+  buildEntries,
+  toCsv,
+} = require('../../services/statement-service');
+const { STATEMENT_ENTRY_TYPES } = require('../../util/constants');
+
+const USER_ID = 'user-1';
+
+const row = (id, { from = ['usr', USER_ID], to = ['usr', USER_ID], symbol = 'WFAIR', amount = '1' } = {}) => ({
+  id,
+  sender_namespace: from[0],
+  sender_account: from[1],
+  receiver_namespace: to[0],
+  receiver_account: to[1],
+  symbol,
+  amount: toWei(amount).toString(),
+  executed_at: new Date(Date.UTC(2022, 0, id)),
+});
+
+describe('statement-service', () => {
+  describe('classifyEntry', () => {
+    it('should tell casino and bet movements by direction', () => {
+      expect(classifyEntry(row(1, { to: ['cas', 'game'] }), USER_ID)).to.equal(STATEMENT_ENTRY_TYPES.CASINO_BET);
+      expect(classifyEntry(row(1, { from: ['cas', 'game'] }), USER_ID)).to.equal(STATEMENT_ENTRY_TYPES.CASINO_WIN);
+      expect(classifyEntry(row(1, { to: ['bet', 'bet-1'] }), USER_ID)).to.equal(STATEMENT_ENTRY_TYPES.BET);
+      expect(classifyEntry(row(1, { from: ['bet', 'bet-1'] }), USER_ID)).to.equal(STATEMENT_ENTRY_TYPES.BET_PAYOUT);
+    });
+
+    it('should tell mints and burns', () => {
+      expect(classifyEntry(row(1, { from: ['usr', null], symbol: 'BFAIR' }), USER_ID))
+        .to.equal(STATEMENT_ENTRY_TYPES.PROMO_CREDIT);
+      expect(classifyEntry(row(1, { from: ['usr', null] }), USER_ID)).to.equal(STATEMENT_ENTRY_TYPES.REWARD);
+      expect(classifyEntry(row(1, { to: ['usr', null], symbol: 'BFAIR' }), USER_ID))
+        .to.equal(STATEMENT_ENTRY_TYPES.PROMO_BURN);
+    });
+
+    it('should tell deposits and withdrawals', () => {
+      process.env.WITHDRAWAL_WALLET = 'withdrawals';
+
+      expect(classifyEntry(row(1, { from: ['eth', 'hot-wallet'] }), USER_ID)).to.equal(STATEMENT_ENTRY_TYPES.DEPOSIT);
+      expect(classifyEntry(row(1, { to: ['eth', 'withdrawals'] }), USER_ID)).to.equal(STATEMENT_ENTRY_TYPES.WITHDRAWAL);
+      expect(classifyEntry(row(1, { from: ['eth', 'withdrawals'] }), USER_ID))
+        .to.equal(STATEMENT_ENTRY_TYPES.WITHDRAWAL_REFUND);
+    });
+
+    it('should tell transfers between users', () => {
+      expect(classifyEntry(row(1, { to: ['usr', 'user-2'] }), USER_ID)).to.equal(STATEMENT_ENTRY_TYPES.TRANSFER);
+      expect(classifyEntry(row(1, { to: ['fee', 'fees'] }), USER_ID)).to.equal(STATEMENT_ENTRY_TYPES.OTHER);
+    });
+  });
+
+  describe('buildEntries', () => {
+    it('should walk the balances back from the closing balances per symbol', () => {
+      const rows = [
+        row(1, { from: ['eth', 'hot-wallet'], amount: '100' }),
+        row(2, { to: ['cas', 'game'], amount: '10' }),
+        row(3, { from: ['usr', null], symbol: 'BFAIR', amount: '50' }),
+        row(4, { from: ['cas', 'game'], amount: '25.5' }),
+      ];
+      const { entries, openingBalances } = buildEntries(rows, USER_ID, {
+        WFAIR: new BN(toWei('120.5').toString()),
+        BFAIR: new BN(toWei('50').toString()),
+      });
+
+      expect(entries.map((e) => [e.type, e.amount, e.balance])).to.deep.equal([
+        [STATEMENT_ENTRY_TYPES.DEPOSIT, '100.0000', '105.0000'],
+        [STATEMENT_ENTRY_TYPES.CASINO_BET, '-10.0000', '95.0000'],
+        [STATEMENT_ENTRY_TYPES.PROMO_CREDIT, '50.0000', '50.0000'],
+        [STATEMENT_ENTRY_TYPES.CASINO_WIN, '25.5000', '120.5000'],
+      ]);
+      // the initial balance of the account is not in the ledger
+      expect(openingBalances.WFAIR.toFixed()).to.equal(toWei('5').toString());
+      expect(openingBalances.BFAIR.toFixed()).to.equal('0');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should write one line per entry', () => {
+      const csv = toCsv({
+        entries: [{
+          id: '7',
+          date: new Date(Date.UTC(2022, 0, 1)),
+          type: STATEMENT_ENTRY_TYPES.DEPOSIT,
+          symbol: 'WFAIR',
+          amount: '100.0000',
+          balance: '1,100.0000',
+        }],
+      });
+
+      expect(csv).to.equal(
+        'date,type,symbol,amount,balance,id\n' +
+        '2022-01-01T00:00:00.000Z,deposit,WFAIR,100.0000,"1,100.0000",7\n'
+      );
+    });
+  });
+});
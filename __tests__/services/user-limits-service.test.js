@@ -0,0 +1,123 @@
+const { expect } = require('chai');
+const { Transactions, ExternalTransactionOriginator, toWei } = require('@wallfair.io/trading-engine');
+const { UserLimit } = require('../../models').models;
+const outboxService = require('../../services/outbox-service');
+const { replace } = require('../helpers/replace');
+const { withoutDatabase } = require('../helpers/trading-engine');
+const { planLimitChange, assertWithinLimits } = require('../../services/user-limits-service');
+const { LIMIT_TYPES, LIMIT_PERIODS } = require('../../util/constants');
+const { LimitReachedError } = require('../../util/error-handler');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('user-limits-service', () => {
+  const now = new Date('2022-01-01T00:00:00.000Z');
+  const current = { amount: 100, pendingAmount: null, pendingAppliesAt: null };
+
+  it('should apply a first limit immediately', () => {
+    expect(planLimitChange(null, 50, now)).to.deep.equal({
+      amount: 50,
+      pendingAmount: null,
+      pendingAppliesAt: null,
+    });
+    expect(planLimitChange(null, null, now)).to.equal(null);
+  });
+
+  it('should apply decreases immediately and drop pending increases', () => {
+    const pending = { ...current, pendingAmount: 500, pendingAppliesAt: new Date(now.getTime() + HOUR) };
+
+    expect(planLimitChange(pending, 20, now)).to.deep.equal({
+      amount: 20,
+      pendingAmount: null,
+      pendingAppliesAt: null,
+    });
+  });
+
+  it('should delay increases and removals', () => {
+    const raised = planLimitChange(current, 200, now);
+    expect(raised.amount).to.equal(100);
+    expect(raised.pendingAmount).to.equal(200);
+    expect(raised.pendingAppliesAt.getTime()).to.equal(now.getTime() + 24 * HOUR);
+
+    const removed = planLimitChange(current, null, now);
+    expect(removed.amount).to.equal(100);
+    expect(removed.pendingAmount).to.equal(null);
+    expect(removed.pendingAppliesAt.getTime()).to.equal(now.getTime() + 24 * HOUR);
+  });
+
+  it('should not restart the waiting period for the same increase', () => {
+    const raised = planLimitChange(current, 200, now);
+    const again = planLimitChange(raised, 200, new Date(now.getTime() + 12 * HOUR));
+
+    expect(again.pendingAppliesAt).to.equal(raised.pendingAppliesAt);
+  });
+
+  describe('assertWithinLimits', () => {
+    const limit = {
+      _id: 'limit1',
+      type: LIMIT_TYPES.DEPOSIT,
+      period: LIMIT_PERIODS.DAILY,
+      amount: 100,
+      pendingAmount: null,
+      pendingAppliesAt: null,
+    };
+    let restores;
+    let published;
+    let notifiedAt;
+
+    beforeEach(() => {
+      published = [];
+      notifiedAt = null;
+      restores = [
+        withoutDatabase(),
+        replace(UserLimit, {
+          find: async () => [limit],
+          // the claim of the notification succeeds once
+          findOneAndUpdate: async (query, update) => {
+            if (notifiedAt) {
+              return null;
+            }
+            notifiedAt = update.reachedNotifiedAt;
+            return limit;
+          },
+        }),
+        replace(Transactions.prototype, {
+          getExternalTransactionLogsByTimeState: async ({ originator }) =>
+            originator === ExternalTransactionOriginator.DEPOSIT ? [{ amount: toWei(60).toString() }] : [],
+        }),
+        replace(outboxService, {
+          publish: async (routingKey, event) => published.push(event),
+        }),
+      ];
+    });
+
+    afterEach(() => {
+      restores.splice(0).reverse().forEach((restore) => restore());
+    });
+
+    it('should let a deposit through that fits into the limit', async () => {
+      await assertWithinLimits('user1', LIMIT_TYPES.DEPOSIT, 40, 'deposit');
+
+      expect(published).to.have.length(0);
+    });
+
+    it('should refuse a deposit bigger than what is left of the limit', async () => {
+      const error = await assertWithinLimits('user1', LIMIT_TYPES.DEPOSIT, 41, 'deposit').catch((e) => e);
+
+      expect(error).to.be.instanceOf(LimitReachedError);
+      expect(error.statusCode).to.equal(403);
+      expect(published).to.have.length(1);
+      expect(published[0].data).to.include({ userId: 'user1', requestedAmount: 41, used: 60, remaining: 40 });
+    });
+
+    it('should report the reached limit once for repeated attempts', async () => {
+      for (let i = 0; i < 3; i++) {
+        const error = await assertWithinLimits('user1', LIMIT_TYPES.DEPOSIT, 50, 'deposit').catch((e) => e);
+        expect(error).to.be.instanceOf(LimitReachedError);
+      }
+
+      expect(published).to.have.length(1);
+      expect(notifiedAt).to.be.instanceOf(Date);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+const {
+  canTransition,
+  calculateWithdrawal,
+  getPayoutStatus,
+} = require('../../services/withdrawal-service');
+const { WITHDRAWAL_STATUSES } = require('../../util/constants');
+
+describe('withdrawal-service', () => {
+  it('should take flat and percentage fees from the amount', () => {
+    const { amount, fee, netAmount } = calculateWithdrawal('1000', { minAmount: 100, fee: 5, feePercent: 1.5 });
+
+    expect(amount.toFixed()).to.equal('1000');
+    expect(fee.toFixed()).to.equal('20');
+    expect(netAmount.toFixed()).to.equal('980');
+  });
+
+  it('should round fees up to 4 decimals', () => {
+    const { fee, netAmount } = calculateWithdrawal('123.456789', { minAmount: 0, fee: 0, feePercent: 1 });
+
+    expect(fee.toFixed()).to.equal('1.2346');
+    expect(netAmount.toFixed()).to.equal('122.222189');
+  });
+
+  it('should reject amounts below the minimum or eaten up by fees', () => {
+    expect(() => calculateWithdrawal('99', { minAmount: 100, fee: 0, feePercent: 0 }))
+      .to.throw('WITHDRAWAL_BELOW_MINIMUM');
+    expect(() => calculateWithdrawal('5', { minAmount: 0, fee: 5, feePercent: 0 }))
+      .to.throw('WITHDRAWAL_BELOW_MINIMUM');
+    expect(() => calculateWithdrawal('abc', { minAmount: 0, fee: 0, feePercent: 0 }))
+      .to.throw('INVALID_AMOUNT');
+    expect(() => calculateWithdrawal('-1', { minAmount: 0, fee: 0, feePercent: 0 }))
+      .to.throw('INVALID_AMOUNT');
+  });
+
+  it('should only allow the defined status changes', () => {
+    expect(canTransition(WITHDRAWAL_STATUSES.REQUESTED, WITHDRAWAL_STATUSES.APPROVED)).to.equal(true);
+    expect(canTransition(WITHDRAWAL_STATUSES.REQUESTED, WITHDRAWAL_STATUSES.REJECTED)).to.equal(true);
+    expect(canTransition(WITHDRAWAL_STATUSES.APPROVED, WITHDRAWAL_STATUSES.BROADCAST)).to.equal(true);
+    expect(canTransition(WITHDRAWAL_STATUSES.BROADCAST, WITHDRAWAL_STATUSES.COMPLETED)).to.equal(true);
+    expect(canTransition(WITHDRAWAL_STATUSES.BROADCAST, WITHDRAWAL_STATUSES.FAILED)).to.equal(true);
+    expect(canTransition(WITHDRAWAL_STATUSES.FAILED, WITHDRAWAL_STATUSES.APPROVED)).to.equal(true);
+    expect(canTransition(WITHDRAWAL_STATUSES.FAILED, WITHDRAWAL_STATUSES.REFUNDED)).to.equal(true);
+
+    expect(canTransition(WITHDRAWAL_STATUSES.APPROVED, WITHDRAWAL_STATUSES.REJECTED)).to.equal(false);
+    expect(canTransition(WITHDRAWAL_STATUSES.REJECTED, WITHDRAWAL_STATUSES.APPROVED)).to.equal(false);
+    expect(canTransition(WITHDRAWAL_STATUSES.COMPLETED, WITHDRAWAL_STATUSES.BROADCAST)).to.equal(false);
+    expect(canTransition(WITHDRAWAL_STATUSES.COMPLETED, WITHDRAWAL_STATUSES.FAILED)).to.equal(false);
+    expect(canTransition(WITHDRAWAL_STATUSES.REFUNDED, WITHDRAWAL_STATUSES.APPROVED)).to.equal(false);
+  });
+
+  it('should follow the payout queue', () => {
+    expect(getPayoutStatus({ status: 'new' })).to.equal(null);
+    expect(getPayoutStatus({ status: 'processing' })).to.equal(null);
+    expect(getPayoutStatus({ status: 'processing', transaction_hash: '0xabc' }))
+      .to.equal(WITHDRAWAL_STATUSES.BROADCAST);
+    expect(getPayoutStatus({ status: 'completed', transaction_hash: '0xabc' }))
+      .to.equal(WITHDRAWAL_STATUSES.COMPLETED);
+    expect(getPayoutStatus({ status: 'failed' })).to.equal(WITHDRAWAL_STATUSES.FAILED);
+    expect(getPayoutStatus(undefined)).to.equal(null);
+  });
+});
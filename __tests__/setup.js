@@ -0,0 +1,5 @@
+const mongoose = require('mongoose');
+const { initModels } = require('../models');
+
+// registers the models without a connection, tests replace the model methods they reach
+initModels(mongoose);
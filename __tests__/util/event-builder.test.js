@@ -0,0 +1,43 @@
+const { expect } = require('chai');
+const { buildEvent, getEventId, EVENT_VERSION } = require('../../util/event-builder');
+
+describe('event-builder', () => {
+  it('should wrap the data into the versioned envelope', () => {
+    const event = buildEvent({
+      event: 'Notification/EVENT_USER_SIGNED_IN',
+      producerId: { toString: () => '61d5a1f0c2a4b5e4f0a1b2c3' },
+      data: { userId: '61d5a1f0c2a4b5e4f0a1b2c3' },
+      broadcast: true,
+    });
+
+    expect(event).to.include({
+      event: 'Notification/EVENT_USER_SIGNED_IN',
+      producer: 'user',
+      producerId: '61d5a1f0c2a4b5e4f0a1b2c3',
+      broadcast: true,
+      version: EVENT_VERSION,
+    });
+    expect(event.data).to.deep.equal({ userId: '61d5a1f0c2a4b5e4f0a1b2c3' });
+    expect(event.date).to.be.a('number');
+  });
+
+  it('should default to private events without data', () => {
+    const event = buildEvent({ event: 'Transaction/WITHDRAW_REQUESTED', producer: 'system', producerId: 'worker' });
+
+    expect(event).to.include({ producer: 'system', broadcast: false });
+    expect(event.data).to.deep.equal({});
+  });
+
+  it('should refuse events without a name or producer', () => {
+    expect(() => buildEvent({ producerId: 'worker' })).to.throw('INVALID_EVENT');
+    expect(() => buildEvent({ event: 'Notification/EVENT_USER_SIGNED_IN' })).to.throw('INVALID_EVENT');
+  });
+
+  it('should identify events by their routing key and content', () => {
+    const event = { event: 'Casino/CASINO_CASHOUT', producerId: 'casino', date: 1, data: { amount: 1 } };
+
+    expect(getEventId('event.casino_cashout', event)).to.equal(getEventId('event.casino_cashout', { ...event }));
+    expect(getEventId('event.casino_cashout', event)).to.not.equal(getEventId('event.casino_cashout', { ...event, date: 2 }));
+    expect(getEventId('event.casino_cashout', event)).to.not.equal(getEventId('event.bet_placed', event));
+  });
+});
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { EVENT_SCHEMAS, EventSchemaError, validateEvent } = require('../../util/event-schemas');
+const { ObjectId } = require('mongodb');
+const { buildEvent } = require('../../util/event-builder');
+const {
+  WITHDRAWAL_STATUSES,
+  SELF_EXCLUSION_PERIODS,
+  LIMIT_TYPES,
+  LIMIT_PERIODS,
+  KYC_STATUSES,
+} = require('../../util/constants');
+const outboxService = require('../../services/outbox-service');
+const amqp = require('../../services/amqp-service');
+const userEventsService = require('../../services/user-events-service');
+const achievementService = require('../../services/achievement-service');
+const selfExclusionService = require('../../services/self-exclusion-service');
+const userLimitsService = require('../../services/user-limits-service');
+const playTimeService = require('../../services/play-time-service');
+const kycService = require('../../services/kyc-service');
+const withdrawalService = require('../../services/withdrawal-service');
+const leaderboardPrizeService = require('../../services/leaderboard-prize-service');
+const twitchService = require('../../services/twitch-service');
+const { publishPriceUpdate } = require('../../services/ws-info-channel-service');
+
+const ROOT = path.join(__dirname, '../..');
+const USER_ID = '61d5a1f0c2a4b5e4f0a1b2c3';
+const NOW = new Date('2022-01-10T12:00:00.000Z');
+
+const readSources = (dir) => fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true })
+  .flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return readSources(file);
+    }
+    return entry.name.endsWith('.js') ? [fs.readFileSync(path.join(ROOT, file), 'utf8')] : [];
+  });
+
+const SOURCES = ['controllers', 'services', 'routes', 'util'].flatMap(readSources);
+
+const matchAll = (regex) => SOURCES.flatMap((source) => [...source.matchAll(regex)].map((match) => match[1]));
+
+/** Routing keys the code publishes to, `${...}` suffixes are the withdrawal statuses */
+const PUBLISHED_KEYS = [
+  ...matchAll(/(?:outboxService\.publish|queueEvent)\(\s*['`]([\w.${}]+)['`]/g),
+  ...matchAll(/amqp\.send\(\s*'api_info_events',\s*'([\w.]+)'/g),
+].flatMap((key) => key.includes('${')
+  ? Object.values(WITHDRAWAL_STATUSES).map((status) => key.replace(/\$\{.*\}/, status))
+  : [key]);
+
+const CONSUMED_KEYS = matchAll(/routingKeys: \[([^\]]+)\]/g)
+  .flatMap((keys) => keys.split(',').map((key) => key.trim().replace(/'/g, '')))
+  // trailing commas of multi-line lists
+  .filter((key) => key);
+
+const USER = {
+  _id: new ObjectId(USER_ID),
+  email: 'jane@example.com',
+  username: 'jane',
+  notificationSettings: { email_notification: true },
+  preferences: { currency: 'WFAIR', gamesCurrency: 'USD' },
+};
+
+/** Publishes the events of every producer, the outbox and amqp only record them */
+const runProducers = async () => {
+  await userEventsService.publishUserSignedIn(USER, USER.email);
+  // web3 logins have no identifier
+  await userEventsService.publishUserSignedIn(USER);
+  await userEventsService.publishUserSignedUp(USER, { ref: null, cid: null, sid: null, initialReward: 0 });
+  await userEventsService.publishUserSignedUp(USER, { initialReward: 0, provider: 'google' });
+  await userEventsService.publishUserSignedUp({ ...USER, email: undefined }, { ref: 'ref', sid: null, cid: null });
+  await userEventsService.publishPasswordChanged(USER);
+  await userEventsService.publishPasswordForgotten(USER);
+  await userEventsService.publishNameChanged(USER_ID, 'Jane', null);
+  await userEventsService.publishUsernameChanged(USER_ID, 'jane', 'wallfair-12');
+  await userEventsService.publishPictureUploaded(USER_ID, USER, 'data:image/png;base64,iVBORw0KGgo=');
+  await userEventsService.publishEmailPreferencesUpdated(USER_ID, USER);
+  await userEventsService.publishAboutMeChanged(USER_ID, USER);
+  await userEventsService.publishCurrencySet(USER_ID, USER);
+
+  await achievementService.publishAward(
+    { userId: USER_ID, reward: { amount: 100, symbol: 'WFAIR' } },
+    { key: 'TOTAL_BETS_5', name: 'Five bets', badge: null }
+  );
+  await achievementService.publishAward({ userId: USER_ID, reward: null }, { key: 'FIRST_BET', name: 'First bet' });
+  await selfExclusionService.publishSelfExcluded({
+    userId: USER_ID,
+    period: SELF_EXCLUSION_PERIODS.PERMANENT,
+    startsAt: NOW,
+    endsAt: null,
+  });
+  await userLimitsService.publishLimitReached(USER_ID, {
+    type: LIMIT_TYPES.DEPOSIT,
+    period: LIMIT_PERIODS.DAILY,
+    amount: 500,
+    used: 500,
+    remaining: 0,
+    pendingAmount: null,
+    pendingAppliesAt: null,
+  }, 'deposit', 0);
+  await playTimeService.publishLimitReached(USER_ID, {
+    sessionStartedAt: NOW,
+    minutesPlayed: 61,
+    netResult: -120.5,
+    sessionLimitMinutes: 60,
+    blockedUntil: NOW,
+  });
+  await playTimeService.sendPlayTimeMessage(USER_ID, playTimeService.PLAY_TIME_MESSAGES.REALITY_CHECK, {
+    sessionStartedAt: NOW,
+    minutesPlayed: 30,
+    netResult: 12,
+  });
+  await kycService.publishKycUpdate({ userId: USER_ID, status: KYC_STATUSES.PENDING, rejectionReason: null });
+
+  for (const status of Object.values(WITHDRAWAL_STATUSES)) {
+    await withdrawalService.publishWithdrawalEvent({
+      id: '61dc1e3b5f1a2b3c4d5e6f70',
+      userId: USER_ID,
+      status,
+      amount: '1000000000000000000000',
+      fee: '5000000000000000000',
+      netAmount: '995000000000000000000',
+      symbol: 'WFAIR',
+      network: 'ETH',
+      address: '0xAF22FF226c8D55aF403C76898aB50477bC2Bc764',
+      transactionHash: null,
+      rejectionReason: null,
+      createdAt: NOW,
+      updatedAt: NOW,
+    });
+  }
+
+  await leaderboardPrizeService.publishPrizeReward(
+    { type: 'profit', period: 'week', start: NOW },
+    { userId: USER_ID, username: 'jane', prize: '250', rank: 1 },
+    null
+  );
+  await twitchService.publishStreamStatus('stream.online', { _id: USER_ID, state: 'online' }, null);
+  await publishPriceUpdate({ EUR: 0.0169, USD: 0.0191, BTC: 0.00000045, ETH: 0.0000061, LTC: 0.00014, _updatedAt: NOW.toUTCString() });
+};
+
+const workerEvent = (event) => ({
+  event,
+  producer: 'system',
+  producerId: 'deposit-worker',
+  data: {
+    originator: 'deposit',
+    status: 'completed',
+    transaction_hash: '0x99d99657118be95b40fce740e11f846d910ab0309f93d1828177bc7bf9bc437a',
+    network_code: 'ETH',
+    block_number: 28881415,
+    amount: '2000000000000000000',
+    internal_user_id: USER_ID,
+  },
+  date: 1640102863562,
+  broadcast: false,
+});
+
+/** Messages of other services we consume, they can't be produced from here */
+const EXTERNAL = {
+  'event.deposit_created': workerEvent('Transaction/DEPOSIT_CREATED'),
+  'event.webhook_triggered': workerEvent('Transaction/WEBHOOK_TRIGGERED'),
+  'event.withdraw_requested': workerEvent('Transaction/WITHDRAW_APPROVED'),
+  'event.casino_cashout': {
+    event: 'Casino/CASINO_CASHOUT',
+    producer: 'system',
+    producerId: 'casino-service',
+    data: { userId: USER_ID, username: 'player', profitWfair: 120.5, gameTypeId: 'crash' },
+  },
+  'event.bet_placed': {
+    event: 'Notification/EVENT_BET_PLACED',
+    producer: 'user',
+    producerId: USER_ID,
+    data: { bet: { creator: USER_ID }, trade: { investment_amount: 100 }, creator: { admin: false } },
+  },
+  'event.bet_cashed_out': {
+    event: 'Notification/EVENT_BET_CASHED_OUT',
+    producer: 'user',
+    producerId: USER_ID,
+    data: { user: { _id: USER_ID }, gain: { gainAmount: 25 } },
+  },
+  'event.user_reward': {
+    event: 'Notification/EVENT_USER_REWARD',
+    producer: 'system',
+    producerId: 'bet-resolver',
+    data: { user: { _id: USER_ID }, gainAmount: 50 },
+  },
+  'backend.promo_code_expiration': {},
+};
+
+describe('event-schemas', () => {
+  /** What the producers published, by routing key */
+  const produced = {};
+  const record = (routingKey, payload) => {
+    produced[routingKey] = [...(produced[routingKey] || []), payload];
+  };
+  const publish = outboxService.publish;
+  const send = amqp.send;
+
+  before(async () => {
+    outboxService.publish = async (routingKey, event) => record(routingKey, buildEvent(event));
+    amqp.send = async (exchange, routingKey, data) => record(routingKey, JSON.parse(data));
+
+    try {
+      await runProducers();
+    } finally {
+      outboxService.publish = publish;
+      amqp.send = send;
+    }
+  });
+
+  const first = (routingKey) => produced[routingKey][0];
+
+  it('should have a schema for every routing key that is published', () => {
+    expect(PUBLISHED_KEYS).to.not.be.empty;
+    expect(PUBLISHED_KEYS.filter((key) => !EVENT_SCHEMAS[key])).to.deep.equal([]);
+  });
+
+  it('should run a producer of every routing key that is published', () => {
+    expect(PUBLISHED_KEYS.filter((key) => !produced[key])).to.deep.equal([]);
+  });
+
+  it('should have a schema for every routing key that is consumed', () => {
+    expect(CONSUMED_KEYS).to.not.be.empty;
+    expect(CONSUMED_KEYS.filter((key) => !EVENT_SCHEMAS[key])).to.deep.equal([]);
+  });
+
+  Object.keys(EVENT_SCHEMAS).forEach((routingKey) => {
+    it(`should accept the ${routingKey} payload of its producer`, () => {
+      const payloads = [...(produced[routingKey] || []), ...(EXTERNAL[routingKey] ? [EXTERNAL[routingKey]] : [])];
+
+      expect(payloads, 'producer missing').to.not.be.empty;
+      payloads.forEach((payload) => expect(() => validateEvent(routingKey, payload)).to.not.throw());
+    });
+  });
+
+  it('should refuse payloads that drift from their schema', () => {
+    const aboutMe = first('event.user_changed_about_me');
+    const { username, ...withoutUsername } = aboutMe.data;
+
+    expect(username).to.equal('jane');
+    expect(() => validateEvent('event.user_changed_about_me', { ...aboutMe, data: withoutUsername }))
+      .to.throw(EventSchemaError, 'username');
+    expect(() => validateEvent('event.user_kyc_update', {
+      ...first('event.user_kyc_update'),
+      data: { ...first('event.user_kyc_update').data, status: 'done' },
+    })).to.throw(EventSchemaError);
+  });
+
+  it('should refuse our events without the envelope fields', () => {
+    const { version, ...unversioned } = first('event.user_signed_in');
+
+    expect(version).to.equal(1);
+    expect(() => validateEvent('event.user_signed_in', { ...unversioned, date: undefined }))
+      .to.throw(EventSchemaError, 'date');
+  });
+
+  it('should refuse unknown routing keys and versions', () => {
+    expect(() => validateEvent('event.unknown', first('event.user_signed_in'))).to.throw(EventSchemaError);
+    expect(() => validateEvent('event.user_signed_in', { ...first('event.user_signed_in'), version: 2 }))
+      .to.throw(EventSchemaError, 'v2');
+  });
+
+  it('should return the payload as consumers see it', () => {
+    const message = validateEvent('event.user_self_excluded', first('event.user_self_excluded'));
+
+    expect(message.data.startsAt).to.equal('2022-01-10T12:00:00.000Z');
+    expect(validateEvent('event.user_signed_in', first('event.user_signed_in')).data.userId).to.equal(USER_ID);
+  });
+});
@@ -0,0 +1,43 @@
+const { expect } = require('chai');
+const { formatAmount, formatWei, convert } = require('../../util/money');
+
+describe('money', () => {
+  describe('formatAmount', () => {
+    it('should round WFAIR down to 4 decimals', () => {
+      expect(formatAmount('1000')).to.equal('1000.0000');
+      expect(formatAmount('0.99999')).to.equal('0.9999');
+      expect(formatAmount(12.34567, 'WFAIR')).to.equal('12.3456');
+    });
+
+    it('should round fiat half up to 2 decimals', () => {
+      expect(formatAmount('19.105', 'EUR')).to.equal('19.11');
+      expect(formatAmount('19.104', 'USD')).to.equal('19.10');
+    });
+
+    it('should not format missing amounts or unknown currencies', () => {
+      expect(formatAmount(null)).to.equal(null);
+      expect(formatAmount('abc')).to.equal(null);
+      expect(() => formatAmount('1', 'BTC')).to.throw('BTC');
+    });
+  });
+
+  describe('formatWei', () => {
+    it('should format ledger amounts as WFAIR', () => {
+      expect(formatWei('1234567890123456789012')).to.equal('1234.5678');
+      expect(formatWei(null)).to.equal('0.0000');
+    });
+  });
+
+  describe('convert', () => {
+    it('should value WFAIR in the currency of the rate', () => {
+      expect(convert('1000.0000', { currency: 'EUR', price: 0.0169 }))
+        .to.deep.equal({ currency: 'EUR', price: 0.0169, amount: '16.90' });
+      expect(convert('1000', { currency: 'WFAIR', price: 1 }).amount).to.equal('1000.0000');
+    });
+
+    it('should leave the amount out while the price is unknown', () => {
+      expect(convert('1000', { currency: 'USD', price: null }).amount).to.equal(null);
+      expect(convert(null, { currency: 'USD', price: 0.02 }).amount).to.equal(null);
+    });
+  });
+});
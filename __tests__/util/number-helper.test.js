@@ -0,0 +1,16 @@
+const { expect } = require('chai');
+const { fromScaledBigInt } = require('../../util/number-helper');
+const { formatWei } = require('../../util/money');
+
+describe('number-helper', () => {
+  describe('fromScaledBigInt', () => {
+    it('should keep rounding half up to 4 decimals', () => {
+      expect(fromScaledBigInt(123456789000000000000n)).to.equal('123.4568');
+      expect(fromScaledBigInt(0n)).to.equal('0.0000');
+    });
+
+    it('should differ from the canonical amount, which is rounded down', () => {
+      expect(formatWei('123456789000000000000')).to.equal('123.4567');
+    });
+  });
+});
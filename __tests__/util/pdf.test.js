@@ -0,0 +1,27 @@
+const { expect } = require('chai');
+const { LINES_PER_PAGE, renderTextPdf } = require('../../util/pdf');
+
+describe('pdf', () => {
+  it('should write a page per LINES_PER_PAGE lines', () => {
+    const pdf = renderTextPdf(new Array(LINES_PER_PAGE + 1).fill('line')).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4\n')).to.equal(true);
+    expect(pdf).to.contain('/Count 2');
+    expect(pdf.endsWith('%%EOF\n')).to.equal(true);
+  });
+
+  it('should point the xref at the objects', () => {
+    const pdf = renderTextPdf(['Statement']).toString('latin1');
+    const xref = +pdf.match(/startxref\n(\d+)/)[1];
+    const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map((line) => +line.slice(0, 10));
+
+    expect(pdf.slice(xref).startsWith('xref\n')).to.equal(true);
+    offsets.forEach((offset, i) => expect(pdf.slice(offset)).to.match(new RegExp(`^${i + 1} 0 obj\n`)));
+  });
+
+  it('should escape text', () => {
+    const pdf = renderTextPdf(['a (b) \\ €']).toString('latin1');
+
+    expect(pdf).to.contain('(a \\(b\\) \\\\ ?) Tj');
+  });
+});
@@ -0,0 +1,54 @@
+const { expect } = require('chai');
+const { buildSiweMessage, parseSiweMessage, isSiweMessage } = require('../../util/siwe');
+
+const PARAMS = {
+  domain: 'app.example.com',
+  address: '0xC0FFEE254729296a45a3885639AC7E10F9d54979',
+  statement: 'Sign in to Alpacasino',
+  uri: 'https://app.example.com',
+  chainId: 1,
+  nonce: '32891756a4c5b4e1f2d3',
+  issuedAt: '2022-01-01T00:00:00.000Z',
+  expirationTime: '2022-01-01T00:05:00.000Z',
+};
+
+describe('siwe', () => {
+  it('should build an EIP-4361 message', () => {
+    expect(buildSiweMessage(PARAMS)).to.equal([
+      'app.example.com wants you to sign in with your Ethereum account:',
+      '0xC0FFEE254729296a45a3885639AC7E10F9d54979',
+      '',
+      'Sign in to Alpacasino',
+      '',
+      'URI: https://app.example.com',
+      'Version: 1',
+      'Chain ID: 1',
+      'Nonce: 32891756a4c5b4e1f2d3',
+      'Issued At: 2022-01-01T00:00:00.000Z',
+      'Expiration Time: 2022-01-01T00:05:00.000Z',
+    ].join('\n'));
+  });
+
+  it('should parse built messages back', () => {
+    expect(parseSiweMessage(buildSiweMessage(PARAMS))).to.deep.equal({ ...PARAMS, version: '1' });
+
+    const withoutStatement = { ...PARAMS };
+    delete withoutStatement.statement;
+    expect(parseSiweMessage(buildSiweMessage(withoutStatement)))
+      .to.deep.equal({ ...withoutStatement, version: '1' });
+  });
+
+  it('should reject malformed messages', () => {
+    const message = buildSiweMessage(PARAMS);
+
+    expect(parseSiweMessage(message.replace('Nonce: ', 'Nonce '))).to.equal(null);
+    expect(parseSiweMessage(message.replace('\nVersion: 1', ''))).to.equal(null);
+    expect(parseSiweMessage('eyJhZGRyZXNzIjoiIn0=.abcdef')).to.equal(null);
+    expect(parseSiweMessage(undefined)).to.equal(null);
+  });
+
+  it('should tell SIWE messages and HMAC challenges apart', () => {
+    expect(isSiweMessage(buildSiweMessage(PARAMS))).to.equal(true);
+    expect(isSiweMessage('eyJhZGRyZXNzIjoiIn0=.abcdef')).to.equal(false);
+  });
+});
@@ -0,0 +1,43 @@
+const { expect } = require('chai');
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateToken,
+  verifyToken,
+  getProvisioningUri,
+} = require('../../util/totp');
+
+// RFC 6238 test secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  it('should encode and decode base32', () => {
+    expect(RFC_SECRET).to.equal('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).to.equal('12345678901234567890');
+  });
+
+  it('should generate the RFC 6238 reference codes', () => {
+    expect(generateToken(RFC_SECRET, 59 * 1000)).to.equal('287082');
+    expect(generateToken(RFC_SECRET, 1111111109 * 1000)).to.equal('081804');
+    expect(generateToken(RFC_SECRET, 1234567890 * 1000)).to.equal('005924');
+  });
+
+  it('should accept codes within the drift window only', () => {
+    const secret = generateSecret();
+    const now = Date.now();
+    const previous = generateToken(secret, now - 30 * 1000);
+    const tooOld = generateToken(secret, now - 90 * 1000);
+
+    expect(verifyToken(secret, generateToken(secret, now), 1, now)).to.be.a('number');
+    expect(verifyToken(secret, previous, 1, now)).to.be.a('number');
+    expect(verifyToken(secret, tooOld, 1, now)).to.equal(null);
+    expect(verifyToken(secret, 'abcdef', 1, now)).to.equal(null);
+  });
+
+  it('should build an otpauth provisioning uri', () => {
+    const uri = getProvisioningUri({ secret: RFC_SECRET, label: 'user@wallfair.io', issuer: 'Alpacasino' });
+    expect(uri).to.match(/^otpauth:\/\/totp\/Alpacasino:user%40wallfair\.io\?/);
+    expect(uri).to.contain(`secret=${RFC_SECRET}`);
+  });
+});
@@ -17,10 +17,21 @@ const { getOne } = require("../services/user-api");
 const { WALLETS } = require("../util/wallet");
 const userService = require('../services/user-service');
 const promoCodeService = require('../services/promo-codes-service');
+const rateLimitService = require('../services/rate-limit-service');
+const selfExclusionService = require('../services/self-exclusion-service');
+const kycService = require('../services/kyc-service');
+const withdrawalService = require('../services/withdrawal-service');
+const leaderboardPrizeService = require('../services/leaderboard-prize-service');
+const achievementService = require('../services/achievement-service');
+const deadLetterService = require('../services/dead-letter-service');
+const amqp = require('../services/amqp-service');
+const jobService = require('../services/job-service');
+const priceService = require('../services/price-service');
 const fs = require('fs');
 const readline = require('readline');
 const { promisify } = require('util');
 const { PROMO_CODE_DEFAULT_REF, PROMO_CODES_TYPES } = require("../util/constants");
+const money = require("../util/money");
 const unlinkAsync = promisify(fs.unlink)
 
 exports.transferToUser = async (req, res, next) => {
@@ -115,13 +126,490 @@ exports.getUser = async (req, res, next) => {
   const { id } = req.params;
   try {
     const data = await userService.getUserDataForAdmin(id)
-    return res.send(data)
+    // in the currency of the admin
+    const conversion = await priceService.getConversion(req.user);
+
+    return res.send({
+      ...data,
+      balanceConverted: money.convert(data.balanceWfair, conversion),
+    })
   } catch (e) {
     console.error(e)
     return next(new ErrorHandler(500));
   }
 }
 
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await rateLimitService.unlockUser(req.params.id);
+    console.log(`User ${user._id} unlocked by admin ${req.user?._id}`);
+    return res.send({ userId: user._id, status: user.status });
+  } catch (e) {
+    if (e.message === 'NOT_FOUND') {
+      return next(new ErrorHandler(404, 'User not found'));
+    }
+    console.error(e);
+    return next(new ErrorHandler(500, 'Failed to unlock user'));
+  }
+};
+
+exports.getUserSelfExclusions = async (req, res, next) => {
+  try {
+    return res.send(await selfExclusionService.getUserExclusions(req.params.id));
+  } catch (e) {
+    if (e.message === 'NOT_FOUND') {
+      return next(new ErrorHandler(404, 'User not found'));
+    }
+    console.error(e);
+    return next(new ErrorHandler(500, 'Failed to fetch self-exclusions'));
+  }
+};
+
+exports.listKycVerifications = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    return res.send(await kycService.listVerifications(req.query));
+  } catch (e) {
+    console.error(e);
+    return next(new ErrorHandler(500, 'Failed to fetch KYC verifications'));
+  }
+};
+
+exports.getUserKyc = async (req, res, next) => {
+  try {
+    return res.send(await kycService.getUserVerification(req.params.id));
+  } catch (e) {
+    if (e.message === 'NOT_FOUND') {
+      return next(new ErrorHandler(404, 'Verification not found'));
+    }
+    console.error(e);
+    return next(new ErrorHandler(500, 'Failed to fetch the KYC verification'));
+  }
+};
+
+/** Streams a KYC document, they are kept private in S3 and have no URL */
+exports.getUserKycDocument = async (req, res, next) => {
+  try {
+    const { document, object } = await kycService.getDocument(req.params.id, req.params.documentId);
+
+    // the filename comes from the upload, keep quotes and control characters out of the header
+    const filename = document.filename.replace(/[^\x20-\x7e]|["\\]/g, '');
+
+    res.set('Content-Type', document.contentType);
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+    object.Body.on('error', (e) => {
+      console.error(e);
+      if (res.headersSent) {
+        return res.destroy(e);
+      }
+      return next(new ErrorHandler(500, 'Failed to fetch the document'));
+    });
+    object.Body.pipe(res);
+  } catch (e) {
+    if (e.message === 'NOT_FOUND') {
+      return next(new ErrorHandler(404, 'Document not found'));
+    }
+    console.error(e);
+    return next(new ErrorHandler(500, 'Failed to fetch the document'));
+  }
+};
+
+exports.reviewUserKyc = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const { status, reason } = req.body;
+    return res.send(await kycService.reviewVerification(req.params.id, status, reason, req.user.id));
+  } catch (e) {
+    switch (e.message) {
+      case 'NOT_FOUND':
+        return next(new ErrorHandler(404, 'Verification not found'));
+      case 'INVALID_KYC_TRANSITION':
+        return next(new ErrorHandler(409, 'The verification can not be moved to this state'));
+      case 'KYC_REASON_REQUIRED':
+        return next(new ErrorHandler(422, 'A reason is required'));
+      default:
+        console.error(e);
+        return next(new ErrorHandler(500, 'Failed to review the KYC verification'));
+    }
+  }
+};
+
+exports.listWithdrawals = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    return res.send(await withdrawalService.listWithdrawals(req.query));
+  } catch (e) {
+    console.error(e);
+    return next(new ErrorHandler(500, 'Failed to fetch withdrawals'));
+  }
+};
+
+const toWithdrawalReviewError = (e, conflict = 'The withdrawal was already reviewed') => {
+  switch (e.message) {
+    case 'NOT_FOUND':
+      return new ErrorHandler(404, 'Withdrawal not found');
+    case 'INVALID_WITHDRAWAL_TRANSITION':
+      return new ErrorHandler(409, conflict);
+    default:
+      console.error(e);
+      return new ErrorHandler(500, 'Failed to review the withdrawal');
+  }
+};
+
+exports.approveWithdrawal = async (req, res, next) => {
+  try {
+    return res.send(await withdrawalService.approveWithdrawal(req.params.id, req.user.id));
+  } catch (e) {
+    return next(toWithdrawalReviewError(e));
+  }
+};
+
+exports.rejectWithdrawal = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    return res.send(
+      await withdrawalService.rejectWithdrawal(req.params.id, req.body.reason, req.user.id)
+    );
+  } catch (e) {
+    return next(toWithdrawalReviewError(e));
+  }
+};
+
+/** Queues the payout of a failed withdrawal again */
+exports.retryWithdrawal = async (req, res, next) => {
+  try {
+    return res.send(await withdrawalService.retryWithdrawal(req.params.id, req.user.id));
+  } catch (e) {
+    return next(toWithdrawalReviewError(e, 'Only failed withdrawals can be retried'));
+  }
+};
+
+/** Gives a failed withdrawal back to the user */
+exports.refundWithdrawal = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    return res.send(
+      await withdrawalService.refundWithdrawal(req.params.id, req.body.reason, req.user.id)
+    );
+  } catch (e) {
+    return next(toWithdrawalReviewError(e, 'Only failed withdrawals can be refunded'));
+  }
+};
+
+const toLeaderboardPrizeError = (e) => {
+  switch (e.message) {
+    case 'NOT_FOUND':
+      return new ErrorHandler(404, 'Leaderboard payout not found');
+    case 'INVALID_PRIZE_TABLE':
+      return new ErrorHandler(422, 'Shares must be positive and add up to at most 100 percent');
+    case 'INVALID_PAYOUT_TRANSITION':
+      return new ErrorHandler(409, 'The payout can not be moved to this state');
+    default:
+      console.error(e);
+      return new ErrorHandler(500, 'Failed to process the leaderboard prizes');
+  }
+};
+
+exports.listLeaderboardPrizeTables = async (req, res, next) => {
+  try {
+    return res.send(await leaderboardPrizeService.listPrizeTables());
+  } catch (e) {
+    return next(toLeaderboardPrizeError(e));
+  }
+};
+
+exports.setLeaderboardPrizeTable = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const { type, period } = req.params;
+    return res.send(
+      await leaderboardPrizeService.setPrizeTable(type, period, req.body, req.user.id)
+    );
+  } catch (e) {
+    return next(toLeaderboardPrizeError(e));
+  }
+};
+
+exports.listLeaderboardPayouts = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    return res.send(await leaderboardPrizeService.listPayouts(req.query));
+  } catch (e) {
+    return next(toLeaderboardPrizeError(e));
+  }
+};
+
+exports.previewLeaderboardPayout = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const { type, period } = req.params;
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    return res.send(await leaderboardPrizeService.previewPayout(type, period, date));
+  } catch (e) {
+    return next(toLeaderboardPrizeError(e));
+  }
+};
+
+exports.getLeaderboardPayout = async (req, res, next) => {
+  try {
+    return res.send(await leaderboardPrizeService.getPayout(req.params.id));
+  } catch (e) {
+    return next(toLeaderboardPrizeError(e));
+  }
+};
+
+exports.approveLeaderboardPayout = async (req, res, next) => {
+  try {
+    return res.send(await leaderboardPrizeService.approvePayout(req.params.id, req.user.id));
+  } catch (e) {
+    return next(toLeaderboardPrizeError(e));
+  }
+};
+
+exports.rejectLeaderboardPayout = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    return res.send(
+      await leaderboardPrizeService.rejectPayout(req.params.id, req.body.reason, req.user.id)
+    );
+  } catch (e) {
+    return next(toLeaderboardPrizeError(e));
+  }
+};
+
+exports.retryLeaderboardPayout = async (req, res, next) => {
+  try {
+    return res.send(await leaderboardPrizeService.retryPayout(req.params.id));
+  } catch (e) {
+    return next(toLeaderboardPrizeError(e));
+  }
+};
+
+exports.reconcileLeaderboardWinner = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const { id, winnerId } = req.params;
+    return res.send(
+      await leaderboardPrizeService.reconcileWinner(id, winnerId, req.body.paid, req.user.id)
+    );
+  } catch (e) {
+    return next(toLeaderboardPrizeError(e));
+  }
+};
+
+const toAchievementError = (e) => {
+  switch (e.message) {
+    case 'NOT_FOUND':
+      return new ErrorHandler(404, 'Achievement not found');
+    case 'INVALID_ACHIEVEMENT':
+      return new ErrorHandler(422, 'The rule or the reward of the achievement is invalid');
+    case 'ACHIEVEMENT_EXISTS':
+      return new ErrorHandler(409, 'An achievement with this key exists already');
+    case 'INVALID_REWARD_TRANSITION':
+      return new ErrorHandler(409, 'Only rewards left paying can be reconciled');
+    default:
+      console.error(e);
+      return new ErrorHandler(500, 'Failed to save the achievement');
+  }
+};
+
+exports.listAchievements = async (req, res, next) => {
+  try {
+    return res.send(await achievementService.listAchievements());
+  } catch (e) {
+    return next(toAchievementError(e));
+  }
+};
+
+exports.createAchievement = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    return res.status(201).send(await achievementService.createAchievement(req.body, req.user.id));
+  } catch (e) {
+    return next(toAchievementError(e));
+  }
+};
+
+exports.updateAchievement = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    return res.send(await achievementService.updateAchievement(req.params.id, req.body, req.user.id));
+  } catch (e) {
+    return next(toAchievementError(e));
+  }
+};
+
+exports.listAchievementRewards = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    return res.send(await achievementService.listRewards(req.query));
+  } catch (e) {
+    return next(toAchievementError(e));
+  }
+};
+
+exports.reconcileAchievementReward = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    return res.send(
+      await achievementService.reconcileReward(req.params.id, req.body.paid, req.user.id)
+    );
+  } catch (e) {
+    return next(toAchievementError(e));
+  }
+};
+
+exports.getAmqpMetrics = async (req, res) => res.send(amqp.getMetrics());
+
+exports.listDeadLetters = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    return res.send(await deadLetterService.list(req.query));
+  } catch (e) {
+    console.error(e);
+    return next(new ErrorHandler(500, 'Failed to fetch dead letters'));
+  }
+};
+
+const toDeadLetterError = (e) => {
+  switch (e.message) {
+    case 'NOT_FOUND':
+      return new ErrorHandler(404, 'Dead letter not found');
+    case 'DEAD_LETTER_CLOSED':
+      return new ErrorHandler(409, 'The dead letter was already replayed');
+    default:
+      console.error(e);
+      return new ErrorHandler(500, 'Failed to process the dead letter');
+  }
+};
+
+exports.getDeadLetter = async (req, res, next) => {
+  try {
+    return res.send(await deadLetterService.get(req.params.id));
+  } catch (e) {
+    return next(toDeadLetterError(e));
+  }
+};
+
+exports.replayDeadLetter = async (req, res, next) => {
+  try {
+    return res.send(await deadLetterService.replay(req.params.id, req.user.id));
+  } catch (e) {
+    return next(toDeadLetterError(e));
+  }
+};
+
+exports.listJobs = async (req, res, next) => {
+  try {
+    return res.send(await jobService.listJobs());
+  } catch (e) {
+    console.error(e);
+    return next(new ErrorHandler(500, 'Failed to fetch jobs'));
+  }
+};
+
+const toJobError = (e) => {
+  switch (e.message) {
+    case 'NOT_FOUND':
+      return new ErrorHandler(404, 'Job not found');
+    case 'JOB_DISABLED':
+      return new ErrorHandler(409, 'The job is not configured in this environment');
+    case 'JOB_NOT_SCHEDULED':
+      return new ErrorHandler(409, 'The job has no schedule, it only runs when triggered');
+    default:
+      console.error(e);
+      return new ErrorHandler(500, 'Failed to update the job');
+  }
+};
+
+exports.runJob = async (req, res, next) => {
+  try {
+    await jobService.runNow(req.params.name);
+    return res.status(202).send();
+  } catch (e) {
+    return next(toJobError(e));
+  }
+};
+
+exports.pauseJob = async (req, res, next) => {
+  try {
+    await jobService.pauseJob(req.params.name);
+    return res.status(204).send();
+  } catch (e) {
+    return next(toJobError(e));
+  }
+};
+
+exports.resumeJob = async (req, res, next) => {
+  try {
+    await jobService.resumeJob(req.params.name);
+    return res.status(204).send();
+  } catch (e) {
+    return next(toJobError(e));
+  }
+};
+
 exports.listUsers = async (req, res, next) => {
   if (!req.user) {
     return next(new ErrorHandler(403, 'Not authorized'));
@@ -230,6 +718,7 @@ exports.getPromoCodes = async (req, res, next) => {
         return {
           ...r,
           value: fromWei(r.value).toFixed(2),
+          valueWfair: money.formatWei(r.value),
         }
       }));
   } catch (e) {
@@ -266,6 +755,7 @@ exports.addBonusManually = async (req, res, next) => {
       totalEntries: 0,
       emailsNotFound: [],
       bonusClaimed: [],
+      selfExcluded: [],
     }
 
     const fileStream = fs.createReadStream(file.path);
@@ -280,7 +770,9 @@ exports.addBonusManually = async (req, res, next) => {
         const userFromEmail = await userService.getUserByEmail(email);
         const userId = userFromEmail?._id;
 
-        if (userId) {
+        if (userId && (await selfExclusionService.isSelfExcluded(userId))) {
+          output.selfExcluded.push(userFromEmail.email);
+        } else if (userId) {
           try {
             const bonusUsed = await promoCodeService.isClaimedBonus(userId.toString(), promoCode);
 
@@ -0,0 +1,20 @@
+const { validationResult } = require('express-validator');
+const userLimitsService = require('../services/user-limits-service');
+const { ErrorHandler } = require('../util/error-handler');
+
+/** Refuses stakes that don't fit into the wager or loss limits of the user */
+exports.checkStake = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const { userId, type, amount, action } = req.body;
+    await userLimitsService.assertWithinLimits(userId, type, +amount, action);
+    res.status(204).send();
+  } catch (e) {
+    console.error(e.message);
+    next(e instanceof ErrorHandler ? e : new ErrorHandler(500, 'Failed to check the limits'));
+  }
+};
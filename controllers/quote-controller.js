@@ -0,0 +1,47 @@
+const { validationResult } = require('express-validator');
+const { ErrorHandler } = require('../util/error-handler');
+const priceService = require('../services/price-service');
+
+const getQuote = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const { convertFrom, amount } = req.query;
+    const quote = await priceService.getQuote({ convertFrom, amount });
+
+    res.status(200).json(quote);
+  } catch (err) {
+    if (err.message === 'PRICE_UNAVAILABLE') {
+      return next(new ErrorHandler(503, 'No recent price available'));
+    }
+    next(err);
+  }
+};
+
+const getCandles = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const { currency, interval, from, to } = req.query;
+
+    res.status(200).json(await priceService.getCandles({ currency, interval, from, to }));
+  } catch (err) {
+    switch (err.message) {
+      case 'INVALID_RANGE':
+        return next(new ErrorHandler(422, 'from has to be before to'));
+      case 'TOO_MANY_CANDLES':
+        return next(new ErrorHandler(422, 'Too many candles, pick a shorter range or a longer interval'));
+      default:
+        next(err);
+    }
+  }
+};
+
+exports.getQuote = getQuote;
+exports.getCandles = getCandles;
@@ -10,14 +10,59 @@ const mailService = require('../services/mail-service');
 const { generate, hasAcceptedLatestConsent } = require('../helper');
 const bcrypt = require('bcryptjs');
 const axios = require('axios');
-const { notificationEvents } = require('@wallfair.io/wallfair-commons/constants/eventTypes');
 const { Account, Wallet, AccountNamespace, WFAIR_SYMBOL, toWei } = require('@wallfair.io/trading-engine');
-const amqp = require('../services/amqp-service');
+const outboxService = require('../services/outbox-service');
+const userEventsService = require('../services/user-events-service');
 const { isUserBanned } = require('../util/user');
-const { generateChallenge, isAddressValid, verifyChallengeResponse } = require('../util/challenge');
+const { isAddressValid } = require('../util/challenge');
+const mfaService = require('../services/mfa-service');
+const sessionService = require('../services/session-service');
+const rateLimitService = require('../services/rate-limit-service');
+const passwordResetService = require('../services/password-reset-service');
+const identityService = require('../services/identity-service');
+const web3AuthService = require('../services/web3-auth-service');
+const selfExclusionService = require('../services/self-exclusion-service');
+const playTimeService = require('../services/play-time-service');
+const { getRealIp } = require('../services/request-log-service');
 
 const isPlayMoney = process.env.PLAYMONEY === 'true';
 
+const MFA_ERRORS = {
+  MFA_ALREADY_ENABLED: [409, 'MFA is already enabled'],
+  MFA_ENROLLMENT_NOT_STARTED: [400, 'MFA setup was not started'],
+  MFA_ENFORCED: [403, 'MFA is mandatory for this account'],
+  INVALID_MFA_CODE: [401, 'Invalid MFA code'],
+};
+
+const toMfaError = (e) => {
+  const [statusCode, message] = MFA_ERRORS[e.message] || [500, 'Something went wrong.'];
+  return new ErrorHandler(statusCode, message);
+};
+
+const getClientInfo = (req) => ({
+  deviceId: req.body?.deviceId,
+  userAgent: req.headers['user-agent'],
+  ip: getRealIp(req),
+});
+
+/**
+ * Holds back the session when the user has to pass a second factor first
+ * @returns {Promise<object|null>} the response body for the pending login, null if no MFA step is needed
+ */
+const getMfaPendingResponse = async (user) => {
+  const mfaStep = await mfaService.getLoginStep(user);
+
+  if (!mfaStep) {
+    return null;
+  }
+
+  return {
+    userId: user.id,
+    mfa: mfaStep,
+    mfaToken: await authService.generateMfaJwt(user, mfaStep),
+  };
+};
+
 module.exports = {
   async createUser(req, res, next) {
     const errors = validationResult(req);
@@ -60,18 +105,25 @@ module.exports = {
       const counter = ((await userApi.getUserEntriesAmount()) || 0) + 1;
       const passwordHash = await bcrypt.hash(password, 8);
       const emailCode = generate(6);
-      const createdUser = await userApi.createUser({
-        _id: wFairUserId,
-        email,
-        emailCode,
-        username: username || `wallfair-${counter}`,
-        password: passwordHash,
-        preferences: {
-          currency: WFAIR_SYMBOL,
-          gamesCurrency: isPlayMoney ? WFAIR_SYMBOL : 'USD'
-        },
-        ref, cid, sid,
-        tosConsentedAt: new Date(),
+      const initialReward = 0;
+      const createdUser = await outboxService.withTransaction(async (session) => {
+        const user = await userApi.createUser({
+          _id: wFairUserId,
+          email,
+          emailCode,
+          username: username || `wallfair-${counter}`,
+          password: passwordHash,
+          preferences: {
+            currency: WFAIR_SYMBOL,
+            gamesCurrency: isPlayMoney ? WFAIR_SYMBOL : 'USD'
+          },
+          ref, cid, sid,
+          tosConsentedAt: new Date(),
+        }, session);
+
+        await userEventsService.publishUserSignedUp(user, { ref, cid, sid, initialReward }, { session });
+
+        return user;
       });
 
       const account = new Account();
@@ -89,28 +141,6 @@ module.exports = {
         }, toWei(50).toString());
       }
 
-      let initialReward = 0;
-
-      amqp.send(
-        'universal_events',
-        'event.user_signed_up',
-        JSON.stringify({
-          event: notificationEvents.EVENT_USER_SIGNED_UP,
-          producer: 'user',
-          producerId: createdUser._id,
-          data: {
-            email: createdUser.email,
-            userId: createdUser._id,
-            username: createdUser.username,
-            ref, cid, sid,
-            initialReward,
-            updatedAt: Date.now(),
-          },
-          date: Date.now(),
-          broadcast: true,
-        })
-      );
-
       mailService
         .sendConfirmMail(createdUser)
         .then(() => {
@@ -147,49 +177,48 @@ module.exports = {
         throw new Error('NO_SOCIAL_ACCOUNT_EMAIL');
       }
 
-      const existingUser = await userApi.getUserByIdEmailPhoneOrUsername(userData.email);
+      const existingUser = await identityService.getUserForProviderLogin(provider, userData);
 
       if (existingUser) {
         // if exists, log user in
         if (isUserBanned(existingUser)) {
           return next(new BannedError(existingUser));
         }
-        amqp.send(
-          'universal_events',
-          'event.user_signed_in',
-          JSON.stringify({
-            event: notificationEvents.EVENT_USER_SIGNED_IN,
-            producer: 'user',
-            producerId: existingUser._id,
-            data: {
-              userIdentifier: existingUser.email,
-              userId: existingUser._id,
-              username: existingUser.username,
-              updatedAt: Date.now(),
-            },
-            broadcast: true,
-          })
-        );
+
+        const mfaPending = await getMfaPendingResponse(existingUser);
+        if (mfaPending) {
+          return res.status(200).json({ ...mfaPending, newUser: false });
+        }
+
+        await userEventsService.publishUserSignedIn(existingUser, existingUser.email);
         res.status(200).json({
           userId: existingUser.id,
-          session: await authService.generateJwt(existingUser),
+          ...(await sessionService.createSession(existingUser, getClientInfo(req))),
           newUser: false,
           shouldAcceptToS: hasAcceptedLatestConsent(existingUser),
         });
       } else {
         const newUserId = new ObjectId().toHexString();
         // create user and log them it
-        const createdUser = await userApi.createUser({
-          _id: newUserId,
-          ...userData,
-          birthdate: null,
-          ...(!userData.emailConfirmed && { emailCode: generate(6) }),
-          preferences: {
-            currency: WFAIR_SYMBOL,
-            gamesCurrency: isPlayMoney ? WFAIR_SYMBOL : 'USD'
-          },
-          ref, cid, sid
+        const initialReward = 0;
+        const createdUser = await outboxService.withTransaction(async (session) => {
+          const user = await userApi.createUser({
+            _id: newUserId,
+            ...userData,
+            birthdate: null,
+            ...(!userData.emailConfirmed && { emailCode: generate(6) }),
+            preferences: {
+              currency: WFAIR_SYMBOL,
+              gamesCurrency: isPlayMoney ? WFAIR_SYMBOL : 'USD'
+            },
+            ref, cid, sid
+          }, session);
+
+          await userEventsService.publishUserSignedUp(user, { initialReward, provider }, { session });
+
+          return user;
         });
+        await identityService.recordIdentity(newUserId, provider, userData);
 
         const account = new Account();
         await account.createAccount({
@@ -206,30 +235,9 @@ module.exports = {
           }, toWei(50).toString());
         }
 
-        const initialReward = 0;
-        amqp.send(
-          'universal_events',
-          'event.user_signed_up',
-          JSON.stringify({
-            event: notificationEvents.EVENT_USER_SIGNED_UP,
-            producer: 'user',
-            producerId: createdUser._id,
-            data: {
-              email: createdUser.email,
-              userId: createdUser._id,
-              username: createdUser.username,
-              initialReward,
-              updatedAt: Date.now(),
-              provider,
-            },
-            date: Date.now(),
-            broadcast: true,
-          })
-        );
-
         return res.status(200).json({
           userId: createdUser.id,
-          session: await authService.generateJwt(createdUser),
+          ...(await sessionService.createSession(createdUser, getClientInfo(req))),
           newUser: true,
           initialReward,
           user: createdUser,
@@ -266,32 +274,31 @@ module.exports = {
         return next(new BannedError(user));
       }
 
+      const lockTime = await rateLimitService.getLoginLockTime(user.id);
+      if (lockTime) {
+        res.set('Retry-After', `${lockTime}`);
+        return next(new ErrorHandler(429, 'Too many failed login attempts, please try again later'));
+      }
+
       const valid = user?.password && (await bcrypt.compare(password, user.password));
 
       if (!valid) {
+        await rateLimitService.registerLoginFailure(user);
         return next(new ErrorHandler(401, 'Invalid login'));
       }
 
-      amqp.send(
-        'universal_events',
-        'event.user_signed_in',
-        JSON.stringify({
-          event: notificationEvents.EVENT_USER_SIGNED_IN,
-          producer: 'user',
-          producerId: user._id,
-          data: {
-            userIdentifier,
-            userId: user._id,
-            username: user.username,
-            updatedAt: Date.now(),
-          },
-          broadcast: true,
-        })
-      );
+      await rateLimitService.resetLoginFailures(user.id);
+
+      const mfaPending = await getMfaPendingResponse(user);
+      if (mfaPending) {
+        return res.status(200).json(mfaPending);
+      }
+
+      await userEventsService.publishUserSignedIn(user, userIdentifier);
 
       res.status(200).json({
         userId: user.id,
-        session: await authService.generateJwt(user),
+        ...(await sessionService.createSession(user, getClientInfo(req))),
         shouldAcceptToS: hasAcceptedLatestConsent(user),
       });
     } catch (err) {
@@ -317,14 +324,19 @@ module.exports = {
     }
 
     try {
-      const challenge = generateChallenge(req.params.address);
+      const { format = web3AuthService.CHALLENGE_FORMATS.hmac, chainId } = req.query;
+      const challenge = await web3AuthService.createChallenge(req.params.address, { format, chainId });
       const userAccount = await new Account().getUserLink(req.params.address);
       return res.status(200).json({
         challenge,
+        format,
         existing: !!userAccount,
       });
     } catch (e) {
       logger.error(e);
+      if (e.message === 'UNSUPPORTED_CHAIN') {
+        return next(new ErrorHandler(400, 'Chain is not supported'));
+      }
       return next(new ErrorHandler(400, 'Failed to generate the challenge'));
     }
   },
@@ -338,12 +350,12 @@ module.exports = {
 
     const { address, signResponse, challenge, username, ref, sid, cid, recaptchaToken } = req.body;
 
-    const verified = verifyChallengeResponse(address, challenge, signResponse);
-    if (!verified) {
-      return next(new ErrorHandler(401, 'Failed to verify signer'));
-    }
-
     try {
+      const verified = await web3AuthService.verifySignedChallenge(address, challenge, signResponse);
+      if (!verified) {
+        return next(new ErrorHandler(401, 'Failed to verify signer'));
+      }
+
       const user = await userService.processWeb3Login(
         address,
         username,
@@ -359,10 +371,13 @@ module.exports = {
         return next(new BannedError(user));
       }
 
-      const token = await authService.generateJwt(user);
+      const mfaPending = await getMfaPendingResponse(user);
+      if (mfaPending) {
+        return res.status(200).json({ ...mfaPending, admin: user.admin });
+      }
 
       return res.status(200).json({
-        session: token,
+        ...(await sessionService.createSession(user, getClientInfo(req))),
         userId: user.id,
         admin: user.admin,
         shouldAcceptToS: hasAcceptedLatestConsent(user),
@@ -373,6 +388,208 @@ module.exports = {
     }
   },
 
+  /** Exchanges the MFA token of a pending login and a TOTP or recovery code for a session */
+  async verifyMfa(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler(422, errors));
+    }
+
+    let userId;
+    try {
+      ({ userId } = authService.verifyMfaJwt(req.body.mfaToken, mfaService.MFA_STEPS.verify));
+    } catch (e) {
+      return next(new ErrorHandler(401, 'Invalid MFA token'));
+    }
+
+    try {
+      const user = await userApi.getOne(userId);
+
+      if (!user) {
+        return next(new ErrorHandler(401, 'Invalid MFA token'));
+      }
+
+      if (isUserBanned(user)) {
+        return next(new BannedError(user));
+      }
+
+      if (user.status === 'locked') {
+        return next(new ErrorHandler(403, 'Your account is locked'));
+      }
+
+      const lockTime = await rateLimitService.getLoginLockTime(user.id);
+      if (lockTime) {
+        res.set('Retry-After', `${lockTime}`);
+        return next(new ErrorHandler(429, 'Too many failed login attempts, please try again later'));
+      }
+
+      if (!(await mfaService.verifyCode(user.id, req.body.code))) {
+        await rateLimitService.registerLoginFailure(user);
+        return next(new ErrorHandler(401, 'Invalid MFA code'));
+      }
+
+      await rateLimitService.resetLoginFailures(user.id);
+
+      await userEventsService.publishUserSignedIn(user, user.email);
+
+      return res.status(200).json({
+        userId: user.id,
+        ...(await sessionService.createSession(user, getClientInfo(req))),
+        admin: user.admin,
+        shouldAcceptToS: hasAcceptedLatestConsent(user),
+      });
+    } catch (err) {
+      logger.error(err);
+      return next(new ErrorHandler(401, "Couldn't verify user"));
+    }
+  },
+
+  async getMfaStatus(req, res, next) {
+    try {
+      return res.status(200).json(await mfaService.getStatus(req.user));
+    } catch (err) {
+      logger.error(err);
+      return next(new ErrorHandler(500, 'Something went wrong.'));
+    }
+  },
+
+  /** Starts the TOTP enrolment, returns the secret and the otpauth:// URI for the QR code */
+  async setupMfa(req, res, next) {
+    try {
+      return res.status(200).json(await mfaService.startEnrollment(req.user));
+    } catch (err) {
+      logger.error(err);
+      return next(toMfaError(err));
+    }
+  },
+
+  /**
+   * Finishes the TOTP enrolment and returns the recovery codes.
+   * When the enrolment was enforced during login, the session is issued as well.
+   */
+  async confirmMfaSetup(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler(422, errors));
+    }
+
+    try {
+      const { user } = req;
+      const { recoveryCodes } = await mfaService.confirmEnrollment(user.id, req.body.code);
+
+      if (!req.mfaSetupPending) {
+        return res.status(200).json({ recoveryCodes });
+      }
+
+      if (isUserBanned(user)) {
+        return next(new BannedError(user));
+      }
+
+      await userEventsService.publishUserSignedIn(user, user.email);
+
+      return res.status(200).json({
+        recoveryCodes,
+        userId: user.id,
+        ...(await sessionService.createSession(user, getClientInfo(req))),
+        admin: user.admin,
+        shouldAcceptToS: hasAcceptedLatestConsent(user),
+      });
+    } catch (err) {
+      logger.error(err);
+      return next(toMfaError(err));
+    }
+  },
+
+  async disableMfa(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler(422, errors));
+    }
+
+    try {
+      await mfaService.disable(req.user, req.body.code);
+      return res.status(204).send();
+    } catch (err) {
+      logger.error(err);
+      return next(toMfaError(err));
+    }
+  },
+
+  /** Rotates the refresh token and issues a new access token */
+  async refreshSession(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler(422, errors));
+    }
+
+    try {
+      const tokens = await sessionService.refreshSession(req.body.refreshToken, async (userId) => {
+        const user = await userApi.getOne(userId);
+        return user &&
+          !isUserBanned(user) &&
+          !(await selfExclusionService.isSelfExcluded(userId)) &&
+          !(await playTimeService.getBlockedUntil(userId))
+          ? user
+          : null;
+      });
+
+      return res.status(200).json(tokens);
+    } catch (err) {
+      logger.error(err);
+      return next(new ErrorHandler(401, 'Invalid refresh token'));
+    }
+  },
+
+  async logout(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler(422, errors));
+    }
+
+    try {
+      await sessionService.revokeSessionByRefreshToken(req.body.refreshToken);
+      return res.status(204).send();
+    } catch (err) {
+      logger.error(err);
+      return next(new ErrorHandler(500, 'Something went wrong.'));
+    }
+  },
+
+  /** Revokes every session of the logged in user, on all devices */
+  async logoutEverywhere(req, res, next) {
+    try {
+      await sessionService.revokeAllSessions(req.user.id);
+      return res.status(204).send();
+    } catch (err) {
+      logger.error(err);
+      return next(new ErrorHandler(500, 'Something went wrong.'));
+    }
+  },
+
+  async listSessions(req, res, next) {
+    try {
+      return res.status(200).json(await sessionService.listSessions(req.user.id));
+    } catch (err) {
+      logger.error(err);
+      return next(new ErrorHandler(500, 'Something went wrong.'));
+    }
+  },
+
+  async revokeSession(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler(422, errors));
+    }
+
+    try {
+      await sessionService.revokeSession(req.user.id, req.params.id);
+      return res.status(204).send();
+    } catch (err) {
+      logger.error(err);
+      return next(new ErrorHandler(500, 'Something went wrong.'));
+    }
+  },
+
   async verifyEmail(req, res, next) {
     try {
       const user = await userApi.verifyEmail(req.body.email);
@@ -386,44 +603,35 @@ module.exports = {
 
   /** Handler to acutally reset your password */
   async resetPassword(req, res, next) {
-    try {
-      // get user
-      const user = await userApi.getUserByIdEmailPhoneOrUsername(req.body.email);
-      if (!user) return next(new ErrorHandler(404, "Couldn't find user"));
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ErrorHandler(422, errors));
+    }
 
-      // check if token matches
-      if (user.passwordResetToken !== req.body.passwordResetToken) {
-        logger.error(`Expected ${user.passwordResetToken} password token but got ${req.body.passwordResetToken}`);
-        return next(new ErrorHandler(401, 'Token not valid'));
-      }
+    // check if given passwords match, before the token gets redeemed
+    if (req.body.password !== req.body.passwordConfirmation) {
+      return next(new ErrorHandler(401, 'Passwords do not match'));
+    }
 
-      // check if email matches
-      if (user.email !== req.body.email) {
-        return next(new ErrorHandler(401, 'Emails do not match'));
+    try {
+      let userId;
+      try {
+        userId = await passwordResetService.redeemResetToken(req.body.passwordResetToken);
+      } catch (e) {
+        return next(new ErrorHandler(401, 'Token not valid'));
       }
 
-      // check if given passwords match
-      if (req.body.password !== req.body.passwordConfirmation) {
-        return next(new ErrorHandler(401, 'Passwords do not match'));
-      }
+      const user = await userApi.getOne(userId);
+      if (!user) return next(new ErrorHandler(404, "Couldn't find user"));
 
       user.password = await bcrypt.hash(req.body.password, 8);
       user.passwordResetToken = undefined;
-      await user.save();
-
-      amqp.send(
-        'universal_events',
-        'event.user_changed_password',
-        JSON.stringify({
-          event: notificationEvents.EVENT_USER_CHANGED_PASSWORD,
-          producer: 'user',
-          producerId: user._id,
-          data: {
-            email: user.email,
-            passwordResetToken: req.body.passwordResetToken,
-          },
-        })
-      );
+      await outboxService.withTransaction(async (session) => {
+        await user.save({ session });
+        await userEventsService.publishPasswordChanged(user, { session });
+      });
+      await sessionService.revokeAllSessions(user.id, sessionService.REVOKE_REASONS.passwordChanged);
+      await rateLimitService.resetLoginFailures(user.id);
 
       return res.status(200).send();
     } catch (err) {
@@ -441,26 +649,12 @@ module.exports = {
         return next(new ErrorHandler(404, "Couldn't find user"));
       }
 
-      const passwordResetToken = generate(10);
-      const resetPwUrl = `${process.env.CLIENT_URL}/reset-password?email=${user.email}&passwordResetToken=${passwordResetToken}`;
+      const passwordResetToken = await passwordResetService.createResetToken(user.id);
+      const resetPwUrl = `${process.env.CLIENT_URL}/reset-password?token=${encodeURIComponent(passwordResetToken)}`;
 
-      user.passwordResetToken = passwordResetToken;
-      await user.save();
       await mailService.sendPasswordResetMail(user.email, resetPwUrl);
 
-      amqp.send(
-        'universal_events',
-        'event.user_forgot_password',
-        JSON.stringify({
-          event: notificationEvents.EVENT_USER_FORGOT_PASSWORD,
-          producer: 'user',
-          producerId: user._id,
-          data: {
-            email: user.email,
-            passwordResetToken: user.passwordResetToken,
-          },
-        })
-      );
+      await userEventsService.publishPasswordForgotten(user);
 
       return res.status(200).send();
     } catch (err) {
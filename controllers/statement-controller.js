@@ -0,0 +1,79 @@
+const { validationResult } = require('express-validator');
+const { ErrorHandler } = require('../util/error-handler');
+const statementService = require('../services/statement-service');
+
+const STATEMENT_ERRORS = {
+  INVALID_RANGE: [422, 'from has to be before to'],
+  STATEMENT_TOO_LARGE: [422, 'Too many entries for json, request a csv or pdf statement'],
+  NOT_FOUND: [404, 'Statement not found'],
+};
+
+const toStatementError = (e) => {
+  const [status, message] = STATEMENT_ERRORS[e.message] || [];
+
+  if (!status) {
+    console.error(e);
+    return new ErrorHandler(500, 'Failed to create the statement');
+  }
+
+  return new ErrorHandler(status, message);
+};
+
+const sendStatement = async (req, res, next, userId) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const { from, to, types, format = 'json' } = req.query;
+    const { statement, file, request } = await statementService.requestStatement(
+      userId,
+      req.user.id,
+      {
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+        types,
+        format,
+      }
+    );
+
+    if (request) {
+      return res.status(202).json(request);
+    }
+
+    if (statement) {
+      return res.status(200).json(statement);
+    }
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.set('Cache-Control', 'no-store');
+    res.status(200).send(file.body);
+  } catch (e) {
+    next(toStatementError(e));
+  }
+};
+
+const sendStatementRequest = async (req, res, next, userId) => {
+  try {
+    res.status(200).json(await statementService.getStatementRequest(req.params.id, userId));
+  } catch (e) {
+    next(toStatementError(e));
+  }
+};
+
+/** Statement of the logged in user */
+const getStatement = (req, res, next) => sendStatement(req, res, next, req.user.id);
+
+/** Statement of any user, for admins */
+const getUserStatement = (req, res, next) => sendStatement(req, res, next, req.params.id);
+
+const getStatementRequest = (req, res, next) => sendStatementRequest(req, res, next, req.user.id);
+
+const getAnyStatementRequest = (req, res, next) => sendStatementRequest(req, res, next);
+
+exports.getStatement = getStatement;
+exports.getUserStatement = getUserStatement;
+exports.getStatementRequest = getStatementRequest;
+exports.getAnyStatementRequest = getAnyStatementRequest;
@@ -4,13 +4,11 @@ dotenv.config();
 const { validationResult } = require('express-validator');
 const {
   Wallet,
-  Transactions,
-  ExternalTransactionOriginator,
   fromWei,
   AccountNamespace,
   BN,
+  WFAIR_SYMBOL,
 } = require('@wallfair.io/trading-engine');
-const { CasinoTradeContract, CASINO_TRADE_STATE } = require('@wallfair.io/wallfair-casino');
 const { User } = require('@wallfair.io/wallfair-commons').models;
 const userService = require('../services/user-service');
 const statsService = require('../services/statistics-service');
@@ -19,17 +17,31 @@ const cryptopayService = require('../services/cryptopay-service');
 const moonpayService = require('../services/moonpay-service');
 const awsS3Service = require('../services/aws-s3-service');
 const leaderboardService = require('../services/leaderboard-service');
+const achievementService = require('../services/achievement-service');
 const promoCodesService = require('../services/promo-codes-service');
-const { ErrorHandler } = require('../util/error-handler');
-const { fromScaledBigInt } = require('../util/number-helper');
+const sessionService = require('../services/session-service');
+const identityService = require('../services/identity-service');
+const selfExclusionService = require('../services/self-exclusion-service');
+const userLimitsService = require('../services/user-limits-service');
+const playTimeService = require('../services/play-time-service');
+const kycService = require('../services/kyc-service');
+const withdrawalService = require('../services/withdrawal-service');
+const priceService = require('../services/price-service');
+const historyService = require('../services/history-service');
+const money = require('../util/money');
+const { ErrorHandler, SelfExcludedError } = require('../util/error-handler');
 const _ = require('lodash');
-const bigDecimal = require('js-big-decimal');
 
 const WFAIR = new Wallet();
-const casinoContract = new CasinoTradeContract();
 const { getBanData } = require('../util/user');
-const { PROMO_CODE_DEFAULT_REF } = require('../util/constants');
+const {
+  PROMO_CODE_DEFAULT_REF,
+  SELF_EXCLUSION_PERIODS,
+  LIMIT_TYPES,
+  LIMIT_PERIODS,
+} = require('../util/constants');
 const { verifyRecaptcha } = require('../util/recaptcha');
+const { getRealIp } = require('../services/request-log-service');
 
 //@todo this route is not used in frontend, I will move ref reward part in confirm-email route
 const saveAdditionalInformation = async (req, res, next) => {
@@ -107,7 +119,6 @@ const saveAcceptConditions = async (req, res, next) => {
 
 const rewardRefUserIfNotConfirmed = async (user) => {
   if (!user.confirmed) {
-    // await userService.rewardUserAction(user.ref, WFAIR_REWARDS.referral);
     await userService.createUser(user);
     user.confirmed = true;
   }
@@ -115,14 +126,92 @@ const rewardRefUserIfNotConfirmed = async (user) => {
   return user.confirmed;
 };
 
+const toLeaderboardFilters = ({ gameId, provider, category, rankBy, period, date }) => ({
+  gameId,
+  provider,
+  category,
+  rankBy,
+  period,
+  date: date ? new Date(date) : undefined,
+});
+
 // Receive users in specific leaderboard
-const getLeaderboard = async (req, res) => {
+const getLeaderboard = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
   const limit = +req.params.limit;
   const skip = +req.params.skip;
   const type = req.params.type;
 
-  const results = await leaderboardService.getList(type, limit, skip);
-  res.status(200).json(results);
+  try {
+    const results = await leaderboardService.getList(type, limit, skip, toLeaderboardFilters(req.query));
+    res.status(200).json(results);
+  } catch (err) {
+    console.error(err);
+    next(new ErrorHandler(500, 'Failed to fetch the leaderboard'));
+  }
+};
+
+// Casino ranking of the user and the users of their referral relationships
+const getFriendsLeaderboard = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const { limit = 10, skip = 0 } = req.query;
+
+    res.status(200).json(await leaderboardService.getFriendsLeaderboard(
+      req.user.id,
+      toLeaderboardFilters(req.query),
+      limit,
+      skip
+    ));
+  } catch (err) {
+    console.error(err);
+    next(new ErrorHandler(500, 'Failed to fetch the leaderboard'));
+  }
+};
+
+// Leaderboard of a past or the running day, week or month
+const getLeaderboardSnapshot = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const { type, period } = req.params;
+    const { date, limit = 10, skip = 0 } = req.query;
+
+    res.status(200).json(await leaderboardService.getSnapshot(
+      type,
+      period,
+      date ? new Date(date) : new Date(),
+      limit,
+      skip
+    ));
+  } catch (err) {
+    if (err.message === 'NOT_FOUND') {
+      return next(new ErrorHandler(404, 'No leaderboard for this period'));
+    }
+    console.error(err);
+    next(new ErrorHandler(500, 'Failed to fetch the leaderboard'));
+  }
+};
+
+// Earned and in progress achievements of the user
+const getAchievements = async (req, res, next) => {
+  try {
+    res.status(200).json(await achievementService.getUserAchievements(req.user.id));
+  } catch (err) {
+    console.error(err);
+    next(new ErrorHandler(500, 'Failed to fetch the achievements'));
+  }
 };
 
 // Receive specific user information
@@ -140,11 +229,18 @@ const getUserInfo = async (req, res, next) => {
       balances.reduce((a, b) => new BN(a.balance).plus(new BN(b.balance))) :
       balances[0]?.balance || 0;
     const formattedBalance = fromWei(wfairBalance).toFixed(4);
+    const balanceWfair = money.formatWei(wfairBalance);
+    // in the currency of whoever looks at the profile
+    const conversion = await priceService.getConversion(req.user);
     const { rank, toNextRank } = await userService.getRankByUserId(userId);
     let phoneConfirmed = false;
     if (user.phone) {
       phoneConfirmed = true;
     }
+    // play time settings are only shown to the user themselves
+    const playTimePreferences = req.user?.id === userId
+      ? await playTimeService.getPreferences(userId)
+      : {};
     res.status(200).json({
       userId: user._id,
       name: user.name,
@@ -152,10 +248,15 @@ const getUserInfo = async (req, res, next) => {
       email: user.email,
       profilePicture: user.profilePicture,
       balance: formattedBalance,
+      balanceWfair,
+      balanceConverted: money.convert(balanceWfair, conversion),
       balances: balances.map(b => {
+        const wfair = money.formatWei(b.balance);
         return {
           symbol: b.symbol,
           balance: fromWei(b.balance).toFixed(4),
+          balanceWfair: wfair,
+          balanceConverted: money.convert(wfair, conversion),
         };
       }),
       admin: user.admin,
@@ -166,7 +267,10 @@ const getUserInfo = async (req, res, next) => {
       amountWon: user.amountWon,
       tokensRequestedAt: user.tokensRequestedAt,
       tokensClaimedAt: user.tokensClaimedAt,
-      preferences: user.preferences,
+      preferences: {
+        ...user.toObject().preferences,
+        ...playTimePreferences,
+      },
       aboutMe: user.aboutMe,
       status: user.status,
       country: req.headers['cf-ipcountry'],
@@ -243,62 +347,54 @@ const getRefList = async (req, res, next) => {
   }
 };
 
+const HISTORY_ERRORS = {
+  INVALID_CURSOR: [422, 'Invalid cursor'],
+};
+
+const toHistoryError = (e) => {
+  const [status, message] = HISTORY_ERRORS[e.message] || [];
+
+  if (!status) {
+    console.error(e);
+    return new ErrorHandler(500, e.message);
+  }
+
+  return new ErrorHandler(status, message);
+};
+
 const getHistory = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
   const { user } = req;
 
-  try {
-    if (user) {
-      const interactions = await casinoContract.getAMMInteractions(user.id);
-      const casinoTrades = await casinoContract.getCasinoTradesByUserIdAndStates(user.id, [
-        CASINO_TRADE_STATE.LOCKED,
-        CASINO_TRADE_STATE.WIN,
-        CASINO_TRADE_STATE.LOSS,
-      ]);
-      const transactions = [];
-
-      for (const interaction of interactions) {
-        const investmentAmount = fromScaledBigInt(BigInt(interaction.investmentamount));
-        const feeAmount = fromScaledBigInt(BigInt(interaction.feeamount));
-        const outcomeTokensBought = fromScaledBigInt(BigInt(interaction.outcometokensbought));
-
-        transactions.push({
-          ...interaction,
-          investmentAmount,
-          feeAmount,
-          outcomeTokensBought,
-          type: 'BET',
-        });
-      }
+  if (!user) {
+    return next(new ErrorHandler(404, 'User not found'));
+  }
 
-      for (const casinoTrade of casinoTrades) {
-        const isWin = casinoTrade.state === CASINO_TRADE_STATE.WIN;
-        const investmentAmount = fromScaledBigInt(casinoTrade.stakedamount);
-        const outcomeTokensBought = isWin
-          ? fromScaledBigInt(
-            bigDecimal.multiply(
-              BigInt(casinoTrade.stakedamount),
-              parseFloat(casinoTrade.crashfactor)
-            )
-          )
-          : 0;
-        const direction = isWin ? 'PAYOUT' : 'BUY';
-
-        transactions.push({
-          direction,
-          investmentAmount,
-          outcomeTokensBought,
-          trx_timestamp: casinoTrade.created_at,
-          type: 'GAME',
-        });
-      }
+  try {
+    const { types, gameId, from, to, cursor, sort, limit } = req.query;
+    const history = await historyService.getHistory(user.id, {
+      types,
+      gameId,
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      cursor,
+      sort,
+      limit,
+    });
 
-      res.status(200).json(transactions);
-    } else {
-      return next(new ErrorHandler(404, 'User not found'));
-    }
+    res.status(200).json({
+      ...history,
+      items: await priceService.addFiatValues(history.items, user, {
+        amount: (transaction) => transaction.investmentAmount,
+        date: (transaction) => transaction.trx_timestamp,
+      }),
+    });
   } catch (err) {
-    console.error(err);
-    next(new ErrorHandler(500, err.message));
+    next(toHistoryError(err));
   }
 };
 
@@ -413,6 +509,7 @@ const updateUserPreferences = async (req, res, next) => {
 
   try {
     await userService.updateUserPreferences(req.params.userId, req.body.preferences);
+    await playTimeService.updatePreferences(req.params.userId, req.body.preferences);
     res.status(200).send();
   } catch (err) {
     next(new ErrorHandler(422, err.message));
@@ -446,47 +543,58 @@ const getUserCount = async (req, res) => {
 };
 
 const getUserTransactions = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
   try {
     const userId = req.user.id;
     const user = await userService.getUserById(userId);
     if (!user) return next(new ErrorHandler(403, 'Action not allowed'));
 
-    const transactionsAgent = new Transactions();
-    const transactions = await transactionsAgent.getExternalTransactionLogs({
-      where: [
-        // wfair deposits
-        {
-          internal_user_id: userId,
-          originator: ExternalTransactionOriginator.DEPOSIT,
-        },
-        // onramp
-        {
-          internal_user_id: userId,
-          originator: ExternalTransactionOriginator.ONRAMP,
-        },
-        // withdrawals
-        {
-          internal_user_id: userId,
-          originator: ExternalTransactionOriginator.WITHDRAW,
-        },
-        // crypto deposits
-        {
-          internal_user_id: userId,
-          originator: ExternalTransactionOriginator.CRYPTO,
-        },
-      ],
+    const { types, from, to, cursor, sort, limit } = req.query;
+    const transactions = await historyService.getTransactions(userId, {
+      types,
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      cursor,
+      sort,
+      limit,
     });
 
-    res.status(200).json(transactions);
+    res.status(200).json({
+      ...transactions,
+      items: await priceService.addFiatValues(transactions.items, user, {
+        // only WFAIR amounts can be valued, crypto deposits log the coin they were paid in
+        amount: (transaction) => transaction.amount && (!transaction.symbol || transaction.symbol === WFAIR_SYMBOL)
+          ? money.formatWei(transaction.amount)
+          : null,
+        date: (transaction) => transaction.created_at,
+      }),
+    });
   } catch (err) {
-    console.error(err);
-    next(new ErrorHandler(422, err.message));
+    next(toHistoryError(err));
   }
 };
 
 const buyWithCrypto = async (req, res, next) => {
   if (!req.user || !req.user.email) return next(new ErrorHandler(404, 'Email not found'));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
   const { currency, wallet, amount, estimate } = req.body;
+
+  try {
+    // the estimate is the WFAIR the user gets
+    await userLimitsService.assertWithinLimits(req.user.id, LIMIT_TYPES.DEPOSIT, +estimate, 'buy_with_crypto');
+  } catch (e) {
+    return next(e);
+  }
+
   const email = req.user.email;
 
   mailService
@@ -509,7 +617,21 @@ const buyWithCrypto = async (req, res, next) => {
 
 const buyWithFiat = async (req, res, next) => {
   if (!req.user || !req.user.email) return next(new ErrorHandler(404, 'Email not found'));
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
   const { currency, amount, estimate, userId } = req.body;
+
+  try {
+    // the estimate is the WFAIR the user gets
+    await userLimitsService.assertWithinLimits(req.user.id, LIMIT_TYPES.DEPOSIT, +estimate, 'buy_with_fiat');
+  } catch (e) {
+    return next(e);
+  }
+
   const email = req.user.email;
 
   mailService
@@ -541,6 +663,9 @@ const cryptoPayChannel = async (req, res, next) => {
   }
 
   try {
+    // deposits beyond the announced amount can't be refused on chain, see notifyExhaustedLimits
+    await userLimitsService.assertWithinLimits(req.user.id, LIMIT_TYPES.DEPOSIT, +req.body.amount, 'cryptopay_channel');
+
     let response = await cryptopayService.getChannel(req.user.id, req.body.currency);
 
     if (!response) {
@@ -550,7 +675,7 @@ const cryptoPayChannel = async (req, res, next) => {
     return res.status(200).send(response.data);
   } catch (e) {
     console.error(e.message);
-    return next(new ErrorHandler(500, 'Failed to create cryptopay channel'));
+    return next(e instanceof ErrorHandler ? e : new ErrorHandler(500, 'Failed to create cryptopay channel'));
   }
 };
 
@@ -565,11 +690,17 @@ const generateMoonpayUrl = async (req, res, next) => {
   const { id } = req.user;
 
   try {
+    const { convertedAmount } = await priceService.getQuote({ convertFrom: currency, amount });
+    await userLimitsService.assertWithinLimits(id, LIMIT_TYPES.DEPOSIT, convertedAmount, 'moonpay');
+
     const url = moonpayService.generateUrl(id, amount, currency);
     return res.status(200).send({ url });
   } catch (e) {
     console.error(e.message);
-    return next(new ErrorHandler(500, 'Failed to create cryptopay channel'));
+    if (e.message === 'PRICE_UNAVAILABLE') {
+      return next(new ErrorHandler(503, 'No recent price available'));
+    }
+    return next(e instanceof ErrorHandler ? e : new ErrorHandler(500, 'Failed to create cryptopay channel'));
   }
 };
 
@@ -592,6 +723,7 @@ const banUser = async (req, res, next) => {
 
   try {
     const bannedUser = await userService.updateBanDeadline(bannedUserId, reactivateOn, description);
+    await sessionService.revokeAllSessions(bannedUserId, sessionService.REVOKE_REASONS.banned);
     return res.status(200).send(getBanData(bannedUser));
   } catch (e) {
     console.error(e.message);
@@ -624,7 +756,12 @@ const getUserPromoCodes = async (req, res, next) => {
   try {
     const statuses = req.query?.statuses?.split(',');
     const promoCodes = await promoCodesService.getUserPromoCodes(req.user.id, statuses);
-    return res.status(200).send(promoCodes);
+    const conversion = await priceService.getConversion(req.user);
+
+    return res.status(200).send(promoCodes.map((promoCode) => ({
+      ...promoCode,
+      valueConverted: money.convert(promoCode.valueWfair, conversion),
+    })));
   } catch (e) {
     console.error('PROMO CODES: ', e.message);
     return next(new ErrorHandler(500, 'Failed to fetch promo codes'));
@@ -646,12 +783,22 @@ const claimPromoCode = async (req, res, next) => {
     return next(new ErrorHandler(403, 'Missing phone number verification'));
   }
 
-  try {    
+  try {
+    const selfExclusion = await selfExclusionService.getActiveExclusion(req.user.id);
+    if (selfExclusion) {
+      return next(new SelfExcludedError(selfExclusion));
+    }
+
     const response = await promoCodesService.claimPromoCodeBonus(req.user.id, req.body.promoCode);
     console.log(
       `User ${req.user.id} successfully claimed promo code ${req.body.promoCode}.`
     );
-    return res.status(200).send(response);
+    const conversion = await priceService.getConversion(req.user);
+
+    return res.status(200).send({
+      ...response,
+      valueConverted: money.convert(response.valueWfair, conversion),
+    });
   } catch (e) {
     console.error('PROMO CODES ERROR: ', e.message);
     return next(new ErrorHandler(500, e.message));
@@ -664,6 +811,11 @@ const claimDepositBonus = async (req, res, next) => {
   }
 
   try {
+    const selfExclusion = await selfExclusionService.getActiveExclusion(req.user.id);
+    if (selfExclusion) {
+      return next(new SelfExcludedError(selfExclusion));
+    }
+
     const promoCode = await promoCodesService.addUserPromoCode(req.user.id, req.body.promoCode);
     res.status(200).send(promoCode);
   } catch (e) {
@@ -687,11 +839,14 @@ const cancelPromoCode = async (req, res, next) => {
 const withdrawPromoCode = async (req, res, next) => {
   try {
     const { ref = PROMO_CODE_DEFAULT_REF, promoCode } = req.body;
+    // the whole bonus balance gets converted on withdrawal
+    const bonusBalance = await WFAIR.getBalance(req.user.id, AccountNamespace.USR, 'BFAIR');
+    await kycService.assertCanWithdrawPromo(req.user.id, fromWei(bonusBalance).toNumber());
     await promoCodesService.withdraw(req.user.id, promoCode, ref);
     return res.status(204).send();
   } catch (e) {
     console.error('PROMO CODES WITHDRAW: ', e.message);
-    return next(new ErrorHandler(500, e.message));
+    return next(e instanceof ErrorHandler ? e : new ErrorHandler(500, e.message));
   }
 };
 
@@ -796,13 +951,273 @@ const uploadImage = async (req, res, next) => {
 };
 
 const deposit = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
   try {
-    const { hash, networkCode } = req.body;
+    const { hash, networkCode, amount } = req.body;
+    await userLimitsService.assertWithinLimits(req.user.id, LIMIT_TYPES.DEPOSIT, +amount, 'deposit');
     await userService.confirmDeposit(hash, networkCode, req.user.id);
     res.status(204).send();
   } catch (e) {
     console.error(e);
-    next(new ErrorHandler(500, 'Deposit failed'));
+    next(e instanceof ErrorHandler ? e : new ErrorHandler(500, 'Deposit failed'));
+  }
+};
+
+const IDENTITY_ERRORS = {
+  INVALID_SIGNATURE: [401, 'Failed to verify signer'],
+  PROVIDER_ACCOUNT_NOT_FOUND: [400, 'Could not read the provider account'],
+  IDENTITY_ALREADY_LINKED: [409, 'This account is already linked'],
+  IDENTITY_LINKED_TO_OTHER_USER: [409, 'This account is linked to another user'],
+  PROVIDER_ALREADY_LINKED: [409, 'Another account of this provider is already linked'],
+  WALLET_ALREADY_LINKED: [409, 'This wallet is already linked'],
+  WALLET_LINKED_TO_OTHER_USER: [409, 'This wallet is linked to another user'],
+  IDENTITY_NOT_FOUND: [404, 'This account is not linked'],
+  WALLET_NOT_FOUND: [404, 'This wallet is not linked'],
+  LAST_LOGIN_METHOD: [409, 'The last login method can not be removed'],
+};
+
+const toIdentityError = (e) => {
+  const [statusCode, message] = IDENTITY_ERRORS[e.message] || [500, 'Something went wrong.'];
+  return new ErrorHandler(statusCode, message);
+};
+
+const getIdentities = async (req, res, next) => {
+  try {
+    res.status(200).json(await identityService.getLoginMethods(req.user));
+  } catch (e) {
+    console.error(e);
+    next(toIdentityError(e));
+  }
+};
+
+const linkIdentity = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    res.status(200).json(await identityService.linkProvider(req.user, req.params.provider, req.body));
+  } catch (e) {
+    console.error(e);
+    next(toIdentityError(e));
+  }
+};
+
+const unlinkIdentity = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    res.status(200).json(await identityService.unlinkProvider(req.user, req.params.provider));
+  } catch (e) {
+    console.error(e);
+    next(toIdentityError(e));
+  }
+};
+
+const linkWallet = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  const { address, challenge, signResponse } = req.body;
+
+  try {
+    res.status(200).json(await identityService.linkWallet(req.user, address, challenge, signResponse));
+  } catch (e) {
+    console.error(e);
+    next(toIdentityError(e));
+  }
+};
+
+const unlinkWallet = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    res.status(200).json(await identityService.unlinkWallet(req.user, req.params.address));
+  } catch (e) {
+    console.error(e);
+    next(toIdentityError(e));
+  }
+};
+
+const getSelfExclusion = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      periods: Object.values(SELF_EXCLUSION_PERIODS),
+      history: await selfExclusionService.getExclusionHistory(req.user.id),
+    });
+  } catch (e) {
+    console.error(e);
+    next(new ErrorHandler(500, 'Something went wrong.'));
+  }
+};
+
+const selfExclude = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const exclusion = await selfExclusionService.selfExclude(req.user, req.body.period, {
+      ip: getRealIp(req),
+      userAgent: req.headers['user-agent'],
+    });
+    res.status(201).json({
+      period: exclusion.period,
+      startsAt: exclusion.startsAt,
+      endsAt: exclusion.endsAt,
+    });
+  } catch (e) {
+    console.error(e);
+    if (e.message === 'SELF_EXCLUSION_ACTIVE') {
+      return next(new ErrorHandler(409, 'A longer self-exclusion is already active'));
+    }
+    next(new ErrorHandler(500, 'Failed to set the self-exclusion'));
+  }
+};
+
+const getLimits = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      types: Object.values(LIMIT_TYPES),
+      periods: Object.values(LIMIT_PERIODS),
+      limits: await userLimitsService.getHeadroom(req.user.id),
+    });
+  } catch (e) {
+    console.error(e);
+    next(new ErrorHandler(500, 'Failed to fetch limits'));
+  }
+};
+
+const setLimit = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  const { type, period } = req.params;
+  const { amount = null } = req.body;
+
+  try {
+    const limit = await userLimitsService.setLimit(
+      req.user.id,
+      type,
+      period,
+      amount === null ? null : +amount
+    );
+    res.status(200).json({ type, period, limit });
+  } catch (e) {
+    console.error(e);
+    next(new ErrorHandler(500, 'Failed to set the limit'));
+  }
+};
+
+const KYC_ERRORS = {
+  INVALID_DOCUMENT_TYPE: [422, 'Unknown document type'],
+  INVALID_DOCUMENT_FILE: [422, 'Documents have to be JPEG, PNG or PDF files'],
+  KYC_LOCKED: [409, 'Documents can not be changed in the current verification state'],
+  KYC_DOCUMENTS_MISSING: [422, 'ID and proof of address documents are required'],
+  INVALID_KYC_TRANSITION: [409, 'The verification can not be moved to this state'],
+  KYC_REASON_REQUIRED: [422, 'A reason is required'],
+  NOT_FOUND: [404, 'Verification not found'],
+};
+
+const toKycError = (e) => {
+  const [statusCode, message] = KYC_ERRORS[e.message] || [500, 'Something went wrong.'];
+  return new ErrorHandler(statusCode, message);
+};
+
+const getKyc = async (req, res, next) => {
+  try {
+    res.status(200).json(await kycService.getVerification(req.user.id));
+  } catch (e) {
+    console.error(e);
+    next(toKycError(e));
+  }
+};
+
+const uploadKycDocument = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    res.status(200).json(await kycService.uploadDocument(req.user.id, req.body.type, req.file));
+  } catch (e) {
+    console.error(e.message);
+    next(toKycError(e));
+  }
+};
+
+const submitKyc = async (req, res, next) => {
+  try {
+    res.status(200).json(await kycService.submitVerification(req.user.id));
+  } catch (e) {
+    console.error(e.message);
+    next(toKycError(e));
+  }
+};
+
+const WITHDRAWAL_ERRORS = {
+  UNSUPPORTED_NETWORK: [422, 'Withdrawals are not supported on this network'],
+  INVALID_ADDRESS: [422, 'Invalid destination address'],
+  ADDRESS_NOT_LINKED: [422, 'Withdrawals are only possible to wallets linked to the account'],
+  INVALID_AMOUNT: [422, 'Invalid amount'],
+  WITHDRAWAL_BELOW_MINIMUM: [422, 'The amount is below the minimum withdrawal'],
+  INSUFFICIENT_BALANCE: [422, 'Insufficient balance'],
+};
+
+const requestWithdrawal = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const { amount, address, network } = req.body;
+    res.status(201).json(
+      await withdrawalService.requestWithdrawal(req.user.id, { amount, address, network })
+    );
+  } catch (e) {
+    console.error('WITHDRAWAL REQUEST: ', e.message);
+
+    if (e instanceof ErrorHandler) {
+      return next(e);
+    }
+
+    const [statusCode, message] = WITHDRAWAL_ERRORS[e.message] || [500, 'Failed to request the withdrawal'];
+    next(new ErrorHandler(statusCode, message));
+  }
+};
+
+const getWithdrawals = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ErrorHandler(422, errors));
+  }
+
+  try {
+    const { status, limit, skip } = req.query;
+    res.status(200).json(
+      await withdrawalService.listWithdrawals({ userId: req.user.id, status, limit, skip })
+    );
+  } catch (e) {
+    console.error(e);
+    next(new ErrorHandler(500, 'Failed to fetch withdrawals'));
   }
 };
 
@@ -817,6 +1232,9 @@ exports.resendConfirmEmail = resendConfirmEmail;
 exports.updateUser = updateUser;
 exports.updateUserPreferences = updateUserPreferences;
 exports.getLeaderboard = getLeaderboard;
+exports.getLeaderboardSnapshot = getLeaderboardSnapshot;
+exports.getFriendsLeaderboard = getFriendsLeaderboard;
+exports.getAchievements = getAchievements;
 exports.checkUsername = checkUsername;
 exports.getUserStats = getUserStats;
 exports.getUserCount = getUserCount;
@@ -840,3 +1258,17 @@ exports.sendAffiliateEmail = sendAffiliateEmail;
 exports.claimTokens = claimTokens;
 exports.uploadImage = uploadImage;
 exports.deposit = deposit;
+exports.getIdentities = getIdentities;
+exports.linkIdentity = linkIdentity;
+exports.unlinkIdentity = unlinkIdentity;
+exports.linkWallet = linkWallet;
+exports.unlinkWallet = unlinkWallet;
+exports.getSelfExclusion = getSelfExclusion;
+exports.selfExclude = selfExclude;
+exports.getLimits = getLimits;
+exports.setLimit = setLimit;
+exports.getKyc = getKyc;
+exports.uploadKycDocument = uploadKycDocument;
+exports.submitKyc = submitKyc;
+exports.requestWithdrawal = requestWithdrawal;
+exports.getWithdrawals = getWithdrawals;
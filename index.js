@@ -12,6 +12,7 @@ const mongoose = require('mongoose');
 
 // Import Models from Wallfair Commons
 const wallfair = require('@wallfair.io/wallfair-commons');
+const backendModels = require('./models');
 const { handleError } = require('./util/error-handler');
 
 const { initDb } = require('@wallfair.io/trading-engine');
@@ -62,6 +63,7 @@ async function connectMongoDB() {
   console.log('Connection to Mongo-DB successful');
 
   wallfair.initModels(mongoose);
+  backendModels.initModels(mongoose);
   console.log('Mongoose models initialized');
 
   return mongoose;
@@ -74,8 +76,10 @@ async function main() {
   // await initDatabase();
 
   const amqp = require('./services/amqp-service');
+  const { PROCESSORS } = require('./services/subscribers-service');
+  const deadLetterService = require('./services/dead-letter-service');
   await amqp.init();
-  await amqp.subscribe();
+  await amqp.subscribe(PROCESSORS, deadLetterService.store);
 
   //init redis connection
   const { createClient } = require('redis');
@@ -85,12 +89,22 @@ async function main() {
   });
   redisClient.on('connect', () => console.log('::> Redis Client Connected'));
   redisClient.on('error', (err) => console.error('<:: Redis Client Error', err));
+  //init rate limiting
+  const rateLimitService = require('./services/rate-limit-service');
+  rateLimitService.init(redisClient);
+  //init live leaderboards
+  const leaderboardService = require('./services/leaderboard-service');
+  leaderboardService.init(redisClient);
   //init agenda
   const { agenda } = require('./util/agenda');
   await agenda.start();
-  //init api-info-channel
-  const wsInfoChannelService = require('./services/ws-info-channel-service');
-  await wsInfoChannelService.init(redisClient);
+  //init price cache
+  const priceService = require('./services/price-service');
+  priceService.init(redisClient);
+  //init scheduled jobs
+  const jobService = require('./services/job-service');
+  const { JOBS } = require('./jobs');
+  await jobService.init(JOBS);
 
   // Import cors
   const cors = require('cors');
@@ -103,6 +117,9 @@ async function main() {
   const awsS3Service = require('./services/aws-s3-service');
   awsS3Service.init();
 
+  const withdrawalService = require('./services/withdrawal-service');
+  withdrawalService.init();
+
   //(auto migration) convert roomId to string, when ObjectID
   const isObjectIdStillExist = await mongoDBConnection.models.ChatMessage.find(
     { roomId : { $type: "objectId" } }
@@ -146,6 +163,7 @@ async function main() {
   const userMessagesRoutes = require('./routes/users/user-messages-routes');
   const quoteRoutes = require('./routes/users/quote-routes');
   const adminRoutes = require('./routes/users/admin-routes');
+  const gameServerRoutes = require('./routes/game-servers/game-server-routes');
 
   // Using Routes
   server.use('/api/user', userRoute);
@@ -162,6 +180,7 @@ async function main() {
   );
   server.use('/api/quote', passport.authenticate('jwt', { session: false }), quoteRoutes);
   server.use('/api/admin', passport.authenticate('jwt_admin', { session: false }), adminRoutes);
+  server.use('/api/game-servers', auth.authenticateGameServer, gameServerRoutes);
 
   // Error handler middleware
   // eslint-disable-next-line no-unused-vars
@@ -0,0 +1,11 @@
+const achievementService = require('../services/achievement-service');
+
+module.exports = {
+  name: 'payAchievementRewards',
+  description: 'Pays the rewards of unlocked achievements that could not be paid right away',
+  schedule: '5 minutes',
+  lockLifetime: 10 * 60 * 1000,
+  concurrency: 1,
+  enabled: true,
+  run: achievementService.payPendingRewards,
+};
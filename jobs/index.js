@@ -0,0 +1,30 @@
+/**
+ * @typedef {object} JobDefinition
+ * @property {string} name Agenda job name, the persisted state of the job is stored under it
+ * @property {string} description
+ * @property {string|null} schedule Agenda interval, null for jobs that only run when triggered
+ * @property {number} lockLifetime ms a run may take before another pod takes the job over
+ * @property {number} concurrency runs of the job at the same time per pod
+ * @property {boolean} enabled false if the job is not configured in this environment
+ * @property {Function} run
+ */
+
+/**
+ * Every scheduled job of the backend. Agenda keeps their schedule, locks and last runs in
+ * the database, so all pods share one state.
+ * @type {JobDefinition[]}
+ */
+const JOBS = [
+  require('./price-update-job'),
+  require('./play-time-check-job'),
+  require('./withdrawal-payouts-job'),
+  require('./outbox-relay-job'),
+  require('./promo-code-expiration-job'),
+  require('./twitch-subscribe-job'),
+  require('./statement-job'),
+  require('./leaderboard-snapshot-job'),
+  require('./leaderboard-prize-job'),
+  require('./achievement-rewards-job'),
+];
+
+module.exports = { JOBS };
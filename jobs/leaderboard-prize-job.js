@@ -0,0 +1,11 @@
+const leaderboardPrizeService = require('../services/leaderboard-prize-service');
+
+module.exports = {
+  name: 'distributeLeaderboardPrizes',
+  description: 'Freezes the winners of ended leaderboard periods and pays the approved prizes',
+  schedule: '1 hour',
+  lockLifetime: 10 * 60 * 1000,
+  concurrency: 1,
+  enabled: true,
+  run: leaderboardPrizeService.distributePrizes,
+};
@@ -0,0 +1,11 @@
+const leaderboardService = require('../services/leaderboard-service');
+
+module.exports = {
+  name: 'snapshotLeaderboards',
+  description: 'Stores the daily, weekly and monthly leaderboards and seeds the live ones in redis',
+  schedule: '15 minutes',
+  lockLifetime: 10 * 60 * 1000,
+  concurrency: 1,
+  enabled: true,
+  run: leaderboardService.snapshotLeaderboards,
+};
@@ -0,0 +1,11 @@
+const outboxService = require('../services/outbox-service');
+
+module.exports = {
+  name: 'relayOutbox',
+  description: 'Publishes outbox events that were not sent right after their commit',
+  schedule: '10 seconds',
+  lockLifetime: 2 * 60 * 1000,
+  concurrency: 1,
+  enabled: true,
+  run: outboxService.relayPending,
+};
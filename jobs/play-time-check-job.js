@@ -0,0 +1,11 @@
+const playTimeService = require('../services/play-time-service');
+
+module.exports = {
+  name: 'checkPlaySessions',
+  description: 'Sends reality checks and ends play sessions over their limit',
+  schedule: '1 minute',
+  lockLifetime: 2 * 60 * 1000,
+  concurrency: 1,
+  enabled: true,
+  run: playTimeService.checkPlaySessions,
+};
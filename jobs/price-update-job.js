@@ -0,0 +1,12 @@
+const priceService = require('../services/price-service');
+
+module.exports = {
+  // named after the agenda job it replaces, which keeps its persisted schedule
+  name: 'schedulePriceUpdate',
+  description: 'Caches the WFAIR prices of all providers and pushes them to the info channel',
+  schedule: process.env.NODE_ENV === 'production' ? '5 minutes' : '4 hours',
+  lockLifetime: 2 * 60 * 1000,
+  concurrency: 1,
+  enabled: true,
+  run: priceService.refreshPrices,
+};
@@ -0,0 +1,42 @@
+const { TransactionManager, AccountNamespace } = require('@wallfair.io/trading-engine');
+
+/**
+ * Expires the claimed promo codes that ran out and burns their bonus
+ */
+const expirePromoCodes = async () => {
+  const transaction = new TransactionManager();
+
+  try {
+    await transaction.startTransaction();
+
+    const result = await transaction.queryRunner.query(`
+      UPDATE promo_code_user pcu
+      SET status = 'EXPIRED' 
+      FROM promo_code pc 
+      WHERE pcu.promo_code_id = pc.id AND 
+            pcu.status = 'CLAIMED' AND 
+            (pcu.expires_at <= now() OR pc.expires_at <= now())
+      RETURNING *`
+    );
+    const users = result[0].map(r => r.user_id);
+    users.length > 0 &&
+      await transaction.wallet.burnAll(users, AccountNamespace.USR, 'BFAIR');
+
+    await transaction.commitTransaction();
+
+    console.log(new Date(), `${result[1]} user promo codes expired`);
+  } catch (e) {
+    await transaction.rollbackTransaction();
+    throw e;
+  }
+};
+
+module.exports = {
+  name: 'expirePromoCodes',
+  description: 'Expires claimed promo codes, triggered by the cron service over AMQP',
+  schedule: null,
+  lockLifetime: 10 * 60 * 1000,
+  concurrency: 1,
+  enabled: true,
+  run: expirePromoCodes,
+};
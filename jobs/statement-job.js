@@ -0,0 +1,11 @@
+const statementService = require('../services/statement-service');
+
+module.exports = {
+  name: 'generateStatements',
+  description: 'Generates the statements too large to be built within a request',
+  schedule: '1 minute',
+  lockLifetime: 10 * 60 * 1000,
+  concurrency: 1,
+  enabled: true,
+  run: statementService.generatePending,
+};
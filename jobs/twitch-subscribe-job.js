@@ -46,11 +46,13 @@ const findAndSubscribe = async () => {
   }
 };
 
-const initTwitchSubscribeJob = () => {
-  // only start the service if the env var is set
-  if (process.env.TWITCH_CLIENT_ID) {
-    setInterval(findAndSubscribe, 5_000);
-  }
+module.exports = {
+  name: 'twitchSubscribe',
+  description: 'Subscribes streamed events to their twitch online and offline notifications',
+  schedule: '5 seconds',
+  lockLifetime: 60 * 1000,
+  concurrency: 1,
+  // only runs if twitch is configured
+  enabled: !!process.env.TWITCH_CLIENT_ID,
+  run: findAndSubscribe,
 };
-
-exports.initTwitchSubscribeJob = initTwitchSubscribeJob;
@@ -0,0 +1,11 @@
+const withdrawalService = require('../services/withdrawal-service');
+
+module.exports = {
+  name: 'syncWithdrawalPayouts',
+  description: 'Updates approved withdrawals with the state of their payout',
+  schedule: '1 minute',
+  lockLifetime: 2 * 60 * 1000,
+  concurrency: 1,
+  enabled: true,
+  run: withdrawalService.syncPayouts,
+};
@@ -0,0 +1,54 @@
+module.exports = (mongoose) => {
+  // an achievement is unlocked once the events of a user add up to the target of its rule
+  const achievementSchema = new mongoose.Schema({
+    // stable name of the achievement, the type of its user_award events
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    description: String,
+    badge: {
+      name: String,
+      imageUrl: String,
+    },
+    rule: {
+      // one of ACHIEVEMENT_RULE_TYPES
+      type: {
+        type: String,
+        required: true,
+      },
+      // name of the universal event, e.g. Casino/CASINO_CASHOUT
+      event: {
+        type: String,
+        required: true,
+        index: true,
+      },
+      // only events of this casino game
+      gameId: String,
+      // path of the summed value within the event, e.g. data.profitWfair
+      field: String,
+      target: {
+        type: Number,
+        required: true,
+      },
+    },
+    // optional, paid when the achievement is unlocked
+    reward: {
+      amount: Number,
+      // WFAIR or BFAIR
+      symbol: String,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    updatedBy: String,
+  }, { timestamps: true });
+
+  return mongoose.model('Achievement', achievementSchema);
+}
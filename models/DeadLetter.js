@@ -0,0 +1,34 @@
+module.exports = (mongoose) => {
+  // AMQP messages whose processing still failed after all retries
+  const deadLetterSchema = new mongoose.Schema({
+    exchange: String,
+    routingKey: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    error: String,
+    // one of DEAD_LETTER_STATUSES
+    status: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    replays: [{
+      _id: false,
+      by: String,
+      at: {
+        type: Date,
+        default: Date.now,
+      },
+      // null when the replay succeeded
+      error: String,
+    }],
+  }, { timestamps: true });
+
+  return mongoose.model('DeadLetter', deadLetterSchema);
+}
@@ -0,0 +1,53 @@
+module.exports = (mongoose) => {
+  // idempotency ledger of deposits, one document per on chain transaction
+  const depositIngestionSchema = new mongoose.Schema({
+    networkCode: {
+      type: String,
+      required: true,
+    },
+    // lower case, the same transaction must not be processed twice because of its spelling
+    transactionHash: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: String,
+      index: true,
+    },
+    // in wei
+    amount: String,
+    // one of DEPOSIT_INGESTION_STATES
+    status: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    // side effects that already ran, they are skipped when the deposit is processed again
+    completedSteps: {
+      type: [String],
+      default: [],
+    },
+    // only one deposit per user can be the first one, see the partial index below
+    firstDeposit: {
+      type: Boolean,
+      default: false,
+    },
+    processedAt: Date,
+  }, { timestamps: true });
+
+  depositIngestionSchema.index({ networkCode: 1, transactionHash: 1 }, { unique: true });
+  depositIngestionSchema.index(
+    { userId: 1, firstDeposit: 1 },
+    { unique: true, partialFilterExpression: { firstDeposit: true } }
+  );
+
+  return mongoose.model('DepositIngestion', depositIngestionSchema);
+}
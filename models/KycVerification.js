@@ -0,0 +1,65 @@
+module.exports = (mongoose) => {
+  const kycDocumentSchema = new mongoose.Schema({
+    // one of KYC_DOCUMENT_TYPES
+    type: {
+      type: String,
+      required: true,
+    },
+    filename: String,
+    contentType: String,
+    size: Number,
+    // object key in the private KYC bucket, documents are never exposed through URLs
+    key: {
+      type: String,
+      required: true,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // set when a newer document of the same type was uploaded, replaced documents are kept
+    replacedAt: {
+      type: Date,
+      default: null,
+    },
+  });
+
+  const kycStatusChangeSchema = new mongoose.Schema({
+    from: String,
+    to: String,
+    // admin user id, `user` or the provider name
+    by: String,
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  }, { _id: false });
+
+  const kycVerificationSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // one of KYC_STATUSES
+    status: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    provider: String,
+    providerReference: String,
+    documents: [kycDocumentSchema],
+    rejectionReason: {
+      type: String,
+      default: null,
+    },
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: String,
+    history: [kycStatusChangeSchema],
+  }, { timestamps: true });
+
+  return mongoose.model('KycVerification', kycVerificationSchema);
+}
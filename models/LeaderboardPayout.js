@@ -0,0 +1,68 @@
+module.exports = (mongoose) => {
+  const leaderboardWinnerSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+    },
+    username: String,
+    rank: {
+      type: Number,
+      required: true,
+    },
+    amountWon: Number,
+    // WFAIR
+    prize: {
+      type: String,
+      required: true,
+    },
+    // one of LEADERBOARD_WINNER_STATUSES
+    status: {
+      type: String,
+      required: true,
+    },
+    error: String,
+    paidAt: Date,
+    // admin who settled the winner after the payment was interrupted
+    reconciledBy: String,
+  });
+
+  // prizes of an ended leaderboard period, with the winners frozen from its final snapshot
+  const leaderboardPayoutSchema = new mongoose.Schema({
+    type: {
+      type: String,
+      required: true,
+    },
+    period: {
+      type: String,
+      required: true,
+    },
+    start: {
+      type: Date,
+      required: true,
+    },
+    end: {
+      type: Date,
+      required: true,
+    },
+    // WFAIR
+    pool: {
+      type: Number,
+      required: true,
+    },
+    // one of LEADERBOARD_PAYOUT_STATUSES
+    status: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    winners: [leaderboardWinnerSchema],
+    reviewedBy: String,
+    reviewedAt: Date,
+    rejectionReason: String,
+    paidAt: Date,
+  }, { timestamps: true });
+
+  leaderboardPayoutSchema.index({ type: 1, period: 1, start: -1 }, { unique: true });
+
+  return mongoose.model('LeaderboardPayout', leaderboardPayoutSchema);
+}
@@ -0,0 +1,34 @@
+module.exports = (mongoose) => {
+  // prizes of a leaderboard, the pool is split between its top users by their shares
+  const leaderboardPrizeTableSchema = new mongoose.Schema({
+    // one of LEADERBOARD_TYPES
+    type: {
+      type: String,
+      required: true,
+    },
+    // one of LEADERBOARD_PERIODS
+    period: {
+      type: String,
+      required: true,
+    },
+    // WFAIR paid out per period
+    pool: {
+      type: Number,
+      required: true,
+    },
+    // percent of the pool per rank, the first share goes to the first rank
+    shares: {
+      type: [Number],
+      required: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    updatedBy: String,
+  }, { timestamps: true });
+
+  leaderboardPrizeTableSchema.index({ type: 1, period: 1 }, { unique: true });
+
+  return mongoose.model('LeaderboardPrizeTable', leaderboardPrizeTableSchema);
+}
@@ -0,0 +1,50 @@
+module.exports = (mongoose) => {
+  const leaderboardUserSchema = new mongoose.Schema({
+    // id of the user, named like in the live leaderboards
+    _id: String,
+    username: String,
+    profilePicture: String,
+    amountWon: Number,
+  });
+
+  // top of a leaderboard for a day, week or month, taken by the snapshotLeaderboards job
+  const leaderboardSnapshotSchema = new mongoose.Schema({
+    // one of LEADERBOARD_TYPES
+    type: {
+      type: String,
+      required: true,
+    },
+    // one of LEADERBOARD_PERIODS
+    period: {
+      type: String,
+      required: true,
+    },
+    start: {
+      type: Date,
+      required: true,
+    },
+    end: {
+      type: Date,
+      required: true,
+    },
+    // false while the period is running, its snapshot is retaken until it ended
+    final: {
+      type: Boolean,
+      default: false,
+    },
+    // users on the leaderboard, more than are kept
+    total: {
+      type: Number,
+      default: 0,
+    },
+    users: [leaderboardUserSchema],
+    takenAt: {
+      type: Date,
+      required: true,
+    },
+  });
+
+  leaderboardSnapshotSchema.index({ type: 1, period: 1, start: -1 }, { unique: true });
+
+  return mongoose.model('LeaderboardSnapshot', leaderboardSnapshotSchema);
+}
@@ -0,0 +1,38 @@
+module.exports = (mongoose) => {
+  // events written together with the state change they describe, published by the outbox relay
+  const outboxEventSchema = new mongoose.Schema({
+    exchange: {
+      type: String,
+      required: true,
+    },
+    routingKey: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // one of OUTBOX_STATUSES
+    status: {
+      type: String,
+      required: true,
+    },
+    // set while a relay publishes the event, a crashed relay's claim runs out
+    lockedUntil: Date,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+    sentAt: {
+      type: Date,
+      // sent events are only kept for debugging
+      index: { expires: '7d' },
+    },
+  }, { timestamps: true });
+
+  outboxEventSchema.index({ status: 1, createdAt: 1 });
+
+  return mongoose.model('OutboxEvent', outboxEventSchema);
+}
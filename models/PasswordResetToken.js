@@ -0,0 +1,30 @@
+module.exports = (mongoose) => {
+  const passwordResetTokenSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // sha256 hash of the token sent by email, the token itself is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // failed redemptions, the token is burned after too many of them
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  }, { timestamps: true });
+
+  return mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+}
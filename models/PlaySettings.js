@@ -0,0 +1,41 @@
+module.exports = (mongoose) => {
+  const playSettingsSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // hard limit of a play session, the user gets logged out when it is reached
+    sessionLimitMinutes: {
+      type: Number,
+      default: null,
+    },
+    // interval of the reality check messages
+    realityCheckMinutes: {
+      type: Number,
+      default: null,
+    },
+    // raised or removed settings waiting for the cooling-off delay, keyed by setting
+    pendingChanges: {
+      sessionLimitMinutes: {
+        value: { type: Number, default: null },
+        appliesAt: { type: Date, default: null },
+      },
+      realityCheckMinutes: {
+        value: { type: Number, default: null },
+        appliesAt: { type: Date, default: null },
+      },
+    },
+    lastRealityCheckAt: {
+      type: Date,
+      default: null,
+    },
+    // break after the session limit was reached, logins are refused until then
+    blockedUntil: {
+      type: Date,
+      default: null,
+    },
+  }, { timestamps: true });
+
+  return mongoose.model('PlaySettings', playSettingsSchema);
+}
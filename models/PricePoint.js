@@ -0,0 +1,27 @@
+module.exports = (mongoose) => {
+  // every cached price, the series behind candles and fiat values of past transactions
+  const pricePointSchema = new mongoose.Schema({
+    symbol: {
+      type: String,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    // price of one symbol in the currency
+    price: {
+      type: Number,
+      required: true,
+    },
+    sources: [String],
+    at: {
+      type: Date,
+      required: true,
+    },
+  });
+
+  pricePointSchema.index({ symbol: 1, currency: 1, at: -1 }, { unique: true });
+
+  return mongoose.model('PricePoint', pricePointSchema);
+}
@@ -0,0 +1,35 @@
+module.exports = (mongoose) => {
+  // every exclusion a user sets is kept as a separate document, they are never updated or deleted
+  const selfExclusionSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // one of SELF_EXCLUSION_PERIODS
+    period: {
+      type: String,
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    // null for permanent exclusions
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    // client the exclusion was requested from
+    ip: {
+      type: String,
+      required: false,
+    },
+    userAgent: {
+      type: String,
+      required: false,
+    },
+  }, { timestamps: true });
+
+  return mongoose.model('SelfExclusion', selfExclusionSchema);
+}
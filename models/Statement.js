@@ -0,0 +1,51 @@
+module.exports = (mongoose) => {
+  // statements too large to build within a request, generated by the generateStatements job
+  const statementSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // user id of the requester, an admin or the user themselves
+    requestedBy: {
+      type: String,
+      required: true,
+    },
+    // one of STATEMENT_FORMATS
+    format: {
+      type: String,
+      required: true,
+    },
+    from: Date,
+    to: {
+      type: Date,
+      required: true,
+    },
+    // STATEMENT_ENTRY_TYPES the statement is filtered to, all if empty
+    types: [String],
+    // one of STATEMENT_STATUSES
+    status: {
+      type: String,
+      required: true,
+    },
+    // set while a pod generates the statement, a crashed pod's claim runs out
+    lockedUntil: Date,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    entries: Number,
+    // key of the file in the private bucket
+    key: String,
+    error: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  }, { timestamps: true });
+
+  statementSchema.index({ status: 1, createdAt: 1 });
+
+  return mongoose.model('Statement', statementSchema);
+}
@@ -0,0 +1,41 @@
+module.exports = (mongoose) => {
+  // progress of a user towards an achievement, created with the first matching event
+  const userAchievementSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+    },
+    achievementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Achievement',
+      required: true,
+    },
+    progress: {
+      type: Number,
+      default: 0,
+    },
+    // YYYY-MM-DD of the last event counted by a streak
+    lastDay: String,
+    // ids of the last events counted by a count or sum, a redelivered event is counted once
+    countedEvents: [String],
+    unlockedAt: Date,
+    // copy of the reward at the time of the unlock
+    reward: {
+      amount: Number,
+      symbol: String,
+      // one of ACHIEVEMENT_REWARD_STATUSES
+      status: {
+        type: String,
+        index: true,
+      },
+      error: String,
+      paidAt: Date,
+      // admin who settled the reward after the payment was interrupted
+      reconciledBy: String,
+    },
+  }, { timestamps: true });
+
+  userAchievementSchema.index({ userId: 1, achievementId: 1 }, { unique: true });
+
+  return mongoose.model('UserAchievement', userAchievementSchema);
+}
@@ -0,0 +1,36 @@
+module.exports = (mongoose) => {
+  const userIdentitySchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // google, facebook, twitch or discord
+    provider: {
+      type: String,
+      required: true,
+    },
+    // id of the account at the provider, emails can change and are not unique across providers
+    providerUserId: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: false,
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // unlinked identities are kept so the provider email can't silently link them back on login
+    unlinkedAt: {
+      type: Date,
+      default: null,
+    },
+  }, { timestamps: true });
+
+  userIdentitySchema.index({ provider: 1, providerUserId: 1 }, { unique: true });
+
+  return mongoose.model('UserIdentity', userIdentitySchema);
+}
@@ -0,0 +1,41 @@
+module.exports = (mongoose) => {
+  const userLimitSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+    },
+    // deposit, wager or loss
+    type: {
+      type: String,
+      required: true,
+    },
+    // daily, weekly or monthly
+    period: {
+      type: String,
+      required: true,
+    },
+    // limit in force, in WFAIR
+    amount: {
+      type: Number,
+      required: true,
+    },
+    // raised limits only apply after a waiting period, null amount means the limit gets removed
+    pendingAmount: {
+      type: Number,
+      default: null,
+    },
+    pendingAppliesAt: {
+      type: Date,
+      default: null,
+    },
+    // EVENT_USER_LIMIT_REACHED is published once per period of the limit
+    reachedNotifiedAt: {
+      type: Date,
+      default: null,
+    },
+  }, { timestamps: true });
+
+  userLimitSchema.index({ userId: 1, type: 1, period: 1 }, { unique: true });
+
+  return mongoose.model('UserLimit', userLimitSchema);
+}
@@ -0,0 +1,36 @@
+module.exports = (mongoose) => {
+  const userMfaSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // base32 encoded TOTP shared secret
+    secret: {
+      type: String,
+      required: true,
+    },
+    // enrolment is only finished after the first code has been verified
+    enabled: {
+      type: Boolean,
+      required: true,
+      default: false,
+    },
+    enabledAt: {
+      type: Date,
+      required: false,
+    },
+    // last accepted TOTP time step, codes can't be replayed within their validity window
+    lastUsedStep: {
+      type: Number,
+      default: 0,
+    },
+    // sha256 hashes of the remaining single-use recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+    },
+  }, { timestamps: true });
+
+  return mongoose.model('UserMfa', userMfaSchema);
+}
@@ -0,0 +1,47 @@
+module.exports = (mongoose) => {
+  const userSessionSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // sha256 hash of the current refresh token, rotated on every refresh
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // optional client provided identifier, a new login on the same device replaces its session
+    deviceId: {
+      type: String,
+      required: false,
+    },
+    userAgent: {
+      type: String,
+      required: false,
+    },
+    ip: {
+      type: String,
+      required: false,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      // expired sessions are removed by mongo
+      index: { expires: 0 },
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokeReason: {
+      type: String,
+      required: false,
+    },
+  }, { timestamps: true });
+
+  return mongoose.model('UserSession', userSessionSchema);
+}
@@ -0,0 +1,30 @@
+module.exports = (mongoose) => {
+  const web3NonceSchema = new mongoose.Schema({
+    nonce: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // lower cased, the nonce is only valid for the address it was issued to
+    address: {
+      type: String,
+      required: true,
+    },
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    // set once a signed message with this nonce was accepted, it can't be used again
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  }, { timestamps: true });
+
+  return mongoose.model('Web3Nonce', web3NonceSchema);
+}
@@ -0,0 +1,71 @@
+module.exports = (mongoose) => {
+  const withdrawalStatusChangeSchema = new mongoose.Schema({
+    from: String,
+    to: String,
+    // admin user id, `user` or `system` for updates of the payout queue
+    by: String,
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  }, { _id: false });
+
+  const withdrawalSchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // one of WITHDRAWAL_STATUSES
+    status: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // amounts in wei, amount is what got reserved, netAmount = amount - fee is what gets paid out
+    amount: {
+      type: String,
+      required: true,
+    },
+    fee: {
+      type: String,
+      required: true,
+    },
+    netAmount: {
+      type: String,
+      required: true,
+    },
+    symbol: {
+      type: String,
+      required: true,
+    },
+    // NetworkCode of the trading engine
+    network: {
+      type: String,
+      required: true,
+    },
+    address: {
+      type: String,
+      required: true,
+    },
+    // id of the trading engine external transaction queued for the payout
+    queueId: {
+      type: String,
+      default: null,
+    },
+    transactionHash: {
+      type: String,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      default: null,
+    },
+    reviewedBy: String,
+    reviewedAt: Date,
+    history: [withdrawalStatusChangeSchema],
+  }, { timestamps: true });
+
+  return mongoose.model('Withdrawal', withdrawalSchema);
+}
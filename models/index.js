@@ -0,0 +1,54 @@
+/**
+ * Models owned by this service. Shared models (User, UniversalEvent, ...) still live in
+ * @wallfair.io/wallfair-commons, these are only used by the backend itself.
+ */
+const models = {};
+
+const initModels = (mongoose) => {
+  require('./UserMfa')(mongoose);
+  require('./UserSession')(mongoose);
+  require('./PasswordResetToken')(mongoose);
+  require('./UserIdentity')(mongoose);
+  require('./Web3Nonce')(mongoose);
+  require('./SelfExclusion')(mongoose);
+  require('./UserLimit')(mongoose);
+  require('./PlaySettings')(mongoose);
+  require('./KycVerification')(mongoose);
+  require('./Withdrawal')(mongoose);
+  require('./DepositIngestion')(mongoose);
+  require('./DeadLetter')(mongoose);
+  require('./OutboxEvent')(mongoose);
+  require('./PricePoint')(mongoose);
+  require('./Statement')(mongoose);
+  require('./LeaderboardSnapshot')(mongoose);
+  require('./LeaderboardPrizeTable')(mongoose);
+  require('./LeaderboardPayout')(mongoose);
+  require('./Achievement')(mongoose);
+  require('./UserAchievement')(mongoose);
+
+  models.UserMfa = mongoose.model('UserMfa');
+  models.UserSession = mongoose.model('UserSession');
+  models.PasswordResetToken = mongoose.model('PasswordResetToken');
+  models.UserIdentity = mongoose.model('UserIdentity');
+  models.Web3Nonce = mongoose.model('Web3Nonce');
+  models.SelfExclusion = mongoose.model('SelfExclusion');
+  models.UserLimit = mongoose.model('UserLimit');
+  models.PlaySettings = mongoose.model('PlaySettings');
+  models.KycVerification = mongoose.model('KycVerification');
+  models.Withdrawal = mongoose.model('Withdrawal');
+  models.DepositIngestion = mongoose.model('DepositIngestion');
+  models.DeadLetter = mongoose.model('DeadLetter');
+  models.OutboxEvent = mongoose.model('OutboxEvent');
+  models.PricePoint = mongoose.model('PricePoint');
+  models.Statement = mongoose.model('Statement');
+  models.LeaderboardSnapshot = mongoose.model('LeaderboardSnapshot');
+  models.LeaderboardPrizeTable = mongoose.model('LeaderboardPrizeTable');
+  models.LeaderboardPayout = mongoose.model('LeaderboardPayout');
+  models.Achievement = mongoose.model('Achievement');
+  models.UserAchievement = mongoose.model('UserAchievement');
+};
+
+module.exports = {
+  models,
+  initModels,
+};
@@ -1,9 +1,20 @@
 const router = require('express').Router();
-const { check } = require('express-validator');
+const passport = require('passport');
+const { check, param, query } = require('express-validator');
 const sessionsController = require('../../controllers/sessions-controller');
+const { authenticateMfaSetup } = require('../../util/auth');
+const { rateLimit } = require('../../util/rate-limiter');
+const { CHALLENGE_FORMATS } = require('../../services/web3-auth-service');
 
 router.post(
   '/login',
+  rateLimit({
+    name: 'login',
+    windowSeconds: 15 * 60,
+    ipLimit: 50,
+    identifier: 'userIdentifier',
+    identifierLimit: 10,
+  }),
   [check('userIdentifier').notEmpty(), check('password').notEmpty().isLength({ min: 8, max: 255 })],
   sessionsController.login
 );
@@ -42,6 +53,13 @@ router.post('/verify-email', [check('email').notEmpty().isEmail()], sessionsCont
 /** Triggers the "I've forgot my passwort" process */
 router.post(
   '/forgot-password',
+  rateLimit({
+    name: 'forgot-password',
+    windowSeconds: 60 * 60,
+    ipLimit: 10,
+    identifier: 'email',
+    identifierLimit: 3,
+  }),
   [check('email').notEmpty().isEmail()],
   sessionsController.forgotPassword
 );
@@ -49,10 +67,14 @@ router.post(
 /** Route to acutally reset your password */
 router.post(
   '/reset-password',
+  rateLimit({
+    name: 'reset-password',
+    windowSeconds: 15 * 60,
+    ipLimit: 10,
+  }),
   [
-    check('email').notEmpty().isEmail(),
-    check('passwordResetToken').notEmpty().isLength({ min: 1, max: 12 }),
-    check('password').notEmpty(),
+    check('passwordResetToken').notEmpty().isLength({ max: 128 }),
+    check('password').notEmpty().isLength({ min: 8, max: 255 }),
     check('passwordConfirmation').notEmpty(),
   ],
   sessionsController.resetPassword,
@@ -60,6 +82,15 @@ router.post(
 
 router.get(
   '/web3/:address',
+  rateLimit({
+    name: 'web3-challenge',
+    windowSeconds: 60,
+    ipLimit: 30,
+  }),
+  [
+    query('format').optional().isIn(Object.values(CHALLENGE_FORMATS)),
+    query('chainId').optional().isInt({ min: 1 }),
+  ],
   sessionsController.loginWeb3Challenge
 );
 
@@ -73,4 +104,74 @@ router.post(
   sessionsController.loginWeb3,
 );
 
+router.post(
+  '/mfa/verify',
+  rateLimit({
+    name: 'mfa-verify',
+    windowSeconds: 15 * 60,
+    ipLimit: 20,
+    identifier: 'mfaToken',
+    identifierLimit: 5,
+  }),
+  [check('mfaToken').notEmpty(), check('code').notEmpty()],
+  sessionsController.verifyMfa,
+);
+
+router.get(
+  '/mfa',
+  passport.authenticate('jwt', { session: false }),
+  sessionsController.getMfaStatus,
+);
+
+router.post(
+  '/mfa/setup',
+  authenticateMfaSetup,
+  sessionsController.setupMfa,
+);
+
+router.post(
+  '/mfa/setup/confirm',
+  authenticateMfaSetup,
+  [check('code').notEmpty()],
+  sessionsController.confirmMfaSetup,
+);
+
+router.post(
+  '/mfa/disable',
+  passport.authenticate('jwt', { session: false }),
+  [check('code').notEmpty()],
+  sessionsController.disableMfa,
+);
+
+router.post(
+  '/refresh',
+  [check('refreshToken').notEmpty()],
+  sessionsController.refreshSession,
+);
+
+router.post(
+  '/logout',
+  [check('refreshToken').notEmpty()],
+  sessionsController.logout,
+);
+
+router.post(
+  '/logout-everywhere',
+  passport.authenticate('jwt', { session: false }),
+  sessionsController.logoutEverywhere,
+);
+
+router.get(
+  '/sessions',
+  passport.authenticate('jwt', { session: false }),
+  sessionsController.listSessions,
+);
+
+router.delete(
+  '/sessions/:id',
+  passport.authenticate('jwt', { session: false }),
+  [param('id').isMongoId()],
+  sessionsController.revokeSession,
+);
+
 module.exports = router;
@@ -0,0 +1,19 @@
+// Import the express Router to create routes
+const router = require('express').Router();
+const { check } = require('express-validator');
+const gameServerController = require('../../controllers/game-server-controller');
+const { LIMIT_TYPES } = require('../../util/constants');
+
+// the game servers check every stake before they accept it
+router.post(
+  '/limits/check',
+  [
+    check('userId').isMongoId(),
+    check('type').isIn([LIMIT_TYPES.WAGER, LIMIT_TYPES.LOSS]),
+    check('amount').isFloat({ gt: 0 }),
+    check('action').optional().isString().isLength({ max: 64 }),
+  ],
+  gameServerController.checkStake
+);
+
+module.exports = router;
@@ -1,8 +1,23 @@
 const router = require('express').Router();
-const { check } = require('express-validator');
+const { check, query } = require('express-validator');
 const adminController = require('../../controllers/admin-controller');
+const statementController = require('../../controllers/statement-controller');
 const multer = require('multer');
 const upload = multer({ dest: 'tmp/uploads/' })
+const {
+  KYC_STATUSES,
+  WITHDRAWAL_STATUSES,
+  DEAD_LETTER_STATUSES,
+  STATEMENT_ENTRY_TYPES,
+  STATEMENT_FORMATS,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_PAYOUT_STATUSES,
+  LEADERBOARD_WINNER_STATUSES,
+  ACHIEVEMENT_RULE_TYPES,
+  ACHIEVEMENT_REWARD_STATUSES,
+} = require('../../util/constants');
+const { PERIODIC_TYPES } = require('../../services/leaderboard-service');
+const { ACHIEVEMENT_EVENTS, REWARD_SYMBOLS } = require('../../services/achievement-service');
 
 router.post(
   '/transfers',
@@ -20,6 +35,234 @@ router.get('/users/:id',
   adminController.getUser
 );
 
+router.post('/users/:id/unlock',
+  adminController.unlockUser
+);
+
+router.get('/users/:id/self-exclusions',
+  adminController.getUserSelfExclusions
+);
+
+router.get('/users/:id/statement',
+  [
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('types').optional().customSanitizer((types) => `${types}`.split(','))
+      .custom((types) => types.every((type) => Object.values(STATEMENT_ENTRY_TYPES).includes(type))),
+    query('format').optional().isIn(Object.values(STATEMENT_FORMATS)),
+  ],
+  statementController.getUserStatement
+);
+
+router.get('/statements/:id',
+  statementController.getAnyStatementRequest
+);
+
+router.get('/kyc',
+  [
+    query('status').optional().isIn(Object.values(KYC_STATUSES)),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('skip').optional().isInt({ min: 0 }),
+  ],
+  adminController.listKycVerifications
+);
+
+router.get('/users/:id/kyc',
+  adminController.getUserKyc
+);
+
+router.get('/users/:id/kyc/documents/:documentId',
+  adminController.getUserKycDocument
+);
+
+router.post('/users/:id/kyc/review',
+  [
+    check('status').isIn([
+      KYC_STATUSES.APPROVED,
+      KYC_STATUSES.REJECTED,
+      KYC_STATUSES.NEEDS_RESUBMISSION,
+    ]),
+    check('reason').optional().isString().isLength({ max: 500 }),
+  ],
+  adminController.reviewUserKyc
+);
+
+router.get('/withdrawals',
+  [
+    query('status').optional().isIn(Object.values(WITHDRAWAL_STATUSES)),
+    query('userId').optional().isMongoId(),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('skip').optional().isInt({ min: 0 }),
+  ],
+  adminController.listWithdrawals
+);
+
+router.post('/withdrawals/:id/approve',
+  adminController.approveWithdrawal
+);
+
+router.post('/withdrawals/:id/reject',
+  [check('reason').isString().notEmpty().isLength({ max: 500 })],
+  adminController.rejectWithdrawal
+);
+
+router.post('/withdrawals/:id/retry',
+  adminController.retryWithdrawal
+);
+
+router.post('/withdrawals/:id/refund',
+  [check('reason').isString().notEmpty().isLength({ max: 500 })],
+  adminController.refundWithdrawal
+);
+
+router.get('/leaderboard-prizes',
+  adminController.listLeaderboardPrizeTables
+);
+
+router.put('/leaderboard-prizes/:type/:period',
+  [
+    check('type').isIn(PERIODIC_TYPES),
+    check('period').isIn(Object.values(LEADERBOARD_PERIODS)),
+    check('pool').isFloat({ gt: 0 }).toFloat(),
+    check('shares').isArray({ min: 1, max: 100 }),
+    check('shares.*').isFloat({ gt: 0, max: 100 }).toFloat(),
+    check('enabled').optional().isBoolean().toBoolean(),
+  ],
+  adminController.setLeaderboardPrizeTable
+);
+
+router.get('/leaderboard-payouts',
+  [
+    query('status').optional().isIn(Object.values(LEADERBOARD_PAYOUT_STATUSES)),
+    query('winnerStatus').optional().isIn(Object.values(LEADERBOARD_WINNER_STATUSES)),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('skip').optional().isInt({ min: 0 }),
+  ],
+  adminController.listLeaderboardPayouts
+);
+
+router.get('/leaderboard-payouts/preview/:type/:period',
+  [
+    check('type').isIn(PERIODIC_TYPES),
+    check('period').isIn(Object.values(LEADERBOARD_PERIODS)),
+    query('date').optional().isISO8601(),
+  ],
+  adminController.previewLeaderboardPayout
+);
+
+router.get('/leaderboard-payouts/:id',
+  adminController.getLeaderboardPayout
+);
+
+router.post('/leaderboard-payouts/:id/approve',
+  adminController.approveLeaderboardPayout
+);
+
+router.post('/leaderboard-payouts/:id/reject',
+  [check('reason').isString().notEmpty().isLength({ max: 500 })],
+  adminController.rejectLeaderboardPayout
+);
+
+router.post('/leaderboard-payouts/:id/retry',
+  adminController.retryLeaderboardPayout
+);
+
+router.post('/leaderboard-payouts/:id/winners/:winnerId/reconcile',
+  [check('paid').isBoolean().toBoolean()],
+  adminController.reconcileLeaderboardWinner
+);
+
+router.get('/achievements',
+  adminController.listAchievements
+);
+
+router.post('/achievements',
+  [
+    check('key').matches(/^[A-Z0-9_]{1,64}$/),
+    check('name').isString().notEmpty().isLength({ max: 100 }),
+    check('description').optional().isString().isLength({ max: 500 }),
+    check('badge.name').optional().isString().isLength({ max: 100 }),
+    check('badge.imageUrl').optional().isURL(),
+    check('rule.type').isIn(Object.values(ACHIEVEMENT_RULE_TYPES)),
+    check('rule.event').isIn(ACHIEVEMENT_EVENTS),
+    check('rule.gameId').optional().isString(),
+    check('rule.field').optional().isString().matches(/^[\w.]+$/),
+    check('rule.target').isFloat({ gt: 0 }).toFloat(),
+    check('reward.amount').optional().isFloat({ gt: 0 }).toFloat(),
+    check('reward.symbol').optional().isIn(REWARD_SYMBOLS),
+    check('enabled').optional().isBoolean().toBoolean(),
+  ],
+  adminController.createAchievement
+);
+
+// the events a rule counts stay as they are, see achievement-service updateAchievement
+router.put('/achievements/:id',
+  [
+    check('name').optional().isString().notEmpty().isLength({ max: 100 }),
+    check('description').optional().isString().isLength({ max: 500 }),
+    check('badge.name').optional().isString().isLength({ max: 100 }),
+    check('badge.imageUrl').optional().isURL(),
+    check('target').optional().isFloat({ gt: 0 }).toFloat(),
+    check('reward').optional({ nullable: true }).isObject(),
+    check('reward.amount').optional().isFloat({ gt: 0 }).toFloat(),
+    check('reward.symbol').optional().isIn(REWARD_SYMBOLS),
+    check('enabled').optional().isBoolean().toBoolean(),
+  ],
+  adminController.updateAchievement
+);
+
+router.get('/achievement-rewards',
+  [
+    query('status').optional().isIn(Object.values(ACHIEVEMENT_REWARD_STATUSES)),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('skip').optional().isInt({ min: 0 }),
+  ],
+  adminController.listAchievementRewards
+);
+
+router.post('/achievement-rewards/:id/reconcile',
+  [check('paid').isBoolean().toBoolean()],
+  adminController.reconcileAchievementReward
+);
+
+router.get('/amqp/metrics',
+  adminController.getAmqpMetrics
+);
+
+router.get('/dead-letters',
+  [
+    query('status').optional().isIn(Object.values(DEAD_LETTER_STATUSES)),
+    query('routingKey').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('skip').optional().isInt({ min: 0 }),
+  ],
+  adminController.listDeadLetters
+);
+
+router.get('/dead-letters/:id',
+  adminController.getDeadLetter
+);
+
+router.post('/dead-letters/:id/replay',
+  adminController.replayDeadLetter
+);
+
+router.get('/jobs',
+  adminController.listJobs
+);
+
+router.post('/jobs/:name/run',
+  adminController.runJob
+);
+
+router.post('/jobs/:name/pause',
+  adminController.pauseJob
+);
+
+router.post('/jobs/:name/resume',
+  adminController.resumeJob
+);
+
 router.get('/users',
   adminController.listUsers
 );
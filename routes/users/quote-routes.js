@@ -1,9 +1,28 @@
 // Import the express Router to create routes
 const router = require('express').Router();
+const { query } = require('express-validator');
+const { PRICE_SYMBOL, PRICE_CURRENCIES, CANDLE_INTERVALS } = require('../../services/price-service');
 
 // Import controllers
-const cmcController = require('../../controllers/cmc-controller');
+const quoteController = require('../../controllers/quote-controller');
 
-router.get('/', [], cmcController.getMarketPrice);
+router.get('/',
+  [
+    query('convertFrom').isIn(PRICE_CURRENCIES),
+    query('convertTo').optional().isIn([PRICE_SYMBOL]),
+    query('amount').optional().isFloat({ min: 0 }),
+  ],
+  quoteController.getQuote
+);
+
+router.get('/candles',
+  [
+    query('currency').isIn(PRICE_CURRENCIES),
+    query('interval').isIn(Object.keys(CANDLE_INTERVALS)),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+  ],
+  quoteController.getCandles
+);
 
 module.exports = router;
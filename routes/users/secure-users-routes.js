@@ -2,10 +2,31 @@
 const router = require('express').Router();
 
 // Imports from express validator to validate user input
-const { check, oneOf } = require('express-validator');
+const { check, oneOf, param, query } = require('express-validator');
 
 // Import User Controller
 const userController = require('../../controllers/users-controller');
+const statementController = require('../../controllers/statement-controller');
+const { PROVIDERS } = require('../../services/identity-service');
+const { isAddressValid } = require('../../util/challenge');
+const { HISTORY_TYPES, TRANSACTION_TYPES, SORT } = require('../../services/history-service');
+const {
+  SELF_EXCLUSION_PERIODS,
+  LIMIT_TYPES,
+  LIMIT_PERIODS,
+  KYC_DOCUMENT_TYPES,
+  WITHDRAWAL_STATUSES,
+  STATEMENT_ENTRY_TYPES,
+  STATEMENT_FORMATS,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_RANKINGS,
+} = require('../../util/constants');
+const multer = require('multer');
+// KYC documents are only kept in memory on their way to the private bucket
+const kycUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (+process.env.KYC_MAX_DOCUMENT_MB || 10) * 1024 * 1024, files: 1 },
+});
 
 router.post(
   '/saveAdditionalInformation',
@@ -29,7 +50,132 @@ router.post(
 
 router.get('/refList', userController.getRefList);
 
-router.get('/history', userController.getHistory);
+router.get(
+  '/history',
+  [
+    query('types').optional().customSanitizer((types) => `${types}`.split(','))
+      .custom((types) => types.every((type) => Object.values(HISTORY_TYPES).includes(type))),
+    query('gameId').optional().isString(),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('cursor').optional().isString(),
+    query('sort').optional().isIn(Object.values(SORT)),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  userController.getHistory
+);
+
+router.get('/self-exclusion', userController.getSelfExclusion);
+
+router.post(
+  '/self-exclusion',
+  [check('period').isIn(Object.values(SELF_EXCLUSION_PERIODS))],
+  userController.selfExclude
+);
+
+router.get('/limits', userController.getLimits);
+
+router.put(
+  '/limits/:type/:period',
+  [
+    param('type').isIn(Object.values(LIMIT_TYPES)),
+    param('period').isIn(Object.values(LIMIT_PERIODS)),
+    check('amount').optional({ nullable: true }).isFloat({ min: 0 }),
+  ],
+  userController.setLimit
+);
+
+router.get('/kyc', userController.getKyc);
+
+router.post(
+  '/kyc/documents',
+  kycUpload.single('file'),
+  [check('type').isIn(Object.values(KYC_DOCUMENT_TYPES))],
+  userController.uploadKycDocument
+);
+
+router.post('/kyc/submit', userController.submitKyc);
+
+router.get(
+  '/withdrawals',
+  [
+    query('status').optional().isIn(Object.values(WITHDRAWAL_STATUSES)),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('skip').optional().isInt({ min: 0 }),
+  ],
+  userController.getWithdrawals
+);
+
+router.post(
+  '/withdrawals',
+  [
+    check('amount').isFloat({ gt: 0 }),
+    check('address').isString().notEmpty(),
+    check('network').isString().notEmpty(),
+  ],
+  userController.requestWithdrawal
+);
+
+router.get(
+  '/statement',
+  [
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('types').optional().customSanitizer((types) => `${types}`.split(','))
+      .custom((types) => types.every((type) => Object.values(STATEMENT_ENTRY_TYPES).includes(type))),
+    query('format').optional().isIn(Object.values(STATEMENT_FORMATS)),
+  ],
+  statementController.getStatement
+);
+
+router.get('/statements/:id', statementController.getStatementRequest);
+
+router.get(
+  '/leaderboards/friends',
+  [
+    query('gameId').optional().isString().isLength({ max: 100 }),
+    query('provider').optional().isString().isLength({ max: 100 }),
+    query('category').optional().isString().isLength({ max: 100 }),
+    query('rankBy').optional().isIn(Object.values(LEADERBOARD_RANKINGS)),
+    query('period').optional().isIn(Object.values(LEADERBOARD_PERIODS)),
+    query('date').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('skip').optional().isInt({ min: 0 }).toInt(),
+  ],
+  userController.getFriendsLeaderboard
+);
+
+router.get('/achievements', userController.getAchievements);
+
+router.get('/identities', userController.getIdentities);
+
+router.post(
+  '/identities/web3',
+  [
+    check('address').custom(isAddressValid),
+    check('signResponse').notEmpty(),
+    check('challenge').notEmpty(),
+  ],
+  userController.linkWallet
+);
+
+router.delete(
+  '/identities/web3/:address',
+  [param('address').custom(isAddressValid)],
+  userController.unlinkWallet
+);
+
+router.post(
+  '/identities/:provider',
+  [param('provider').isIn(PROVIDERS), check('code').notEmpty()],
+  userController.linkIdentity
+);
+
+router.delete(
+  '/identities/:provider',
+  [param('provider').isIn(PROVIDERS)],
+  userController.unlinkIdentity
+);
 
 router.patch(
   '/:userId',
@@ -39,23 +185,51 @@ router.patch(
 
 router.patch(
   '/:userId/preferences',
-  [check('preferences').notEmpty()],
+  [
+    check('preferences').notEmpty(),
+    check('preferences.sessionLimitMinutes').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+    check('preferences.realityCheckMinutes').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  ],
   userController.updateUserPreferences
 );
 
 router.get('/:userId', userController.getUserInfo);
 
-router.get('/wallet/transactions', userController.getUserTransactions);
+router.get(
+  '/wallet/transactions',
+  [
+    query('types').optional().customSanitizer((types) => `${types}`.split(','))
+      .custom((types) => types.every((type) => TRANSACTION_TYPES.includes(type))),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('cursor').optional().isString(),
+    query('sort').optional().isIn(Object.values(SORT)),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  userController.getUserTransactions
+);
+
+// the estimate is the WFAIR the user gets, it is checked against the deposit limits
+router.post(
+  '/buy-with-crypto',
+  [check('estimate').isFloat({ gt: 0 })],
+  userController.buyWithCrypto
+);
 
-router.post('/buy-with-crypto', userController.buyWithCrypto);
-router.post('/buy-with-fiat', userController.buyWithFiat);
+router.post(
+  '/buy-with-fiat',
+  [check('estimate').isFloat({ gt: 0 })],
+  userController.buyWithFiat
+);
 router.post('/consent', userController.updateUserConsent);
 
 router.post(
   '/cryptopay/channel',
   [
     check('currency')
-      .isIn(['BTC', 'ETH', 'LTC', 'USDT', 'USDC', 'DAI', 'XRP'])
+      .isIn(['BTC', 'ETH', 'LTC', 'USDT', 'USDC', 'DAI', 'XRP']),
+    // WFAIR the user is about to deposit
+    check('amount').isFloat({ gt: 0 }),
   ],
   userController.cryptoPayChannel
 );
@@ -114,6 +288,8 @@ router.post(
   [
     check('networkCode').notEmpty(),
     check('hash').notEmpty(),
+    // WFAIR of the transaction
+    check('amount').isFloat({ gt: 0 }),
   ],
   userController.deposit
 );
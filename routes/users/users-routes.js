@@ -1,9 +1,43 @@
 // Import the express Router to create routes
 const router = require('express').Router();
-const { check } = require('express-validator');
+const { check, param, query } = require('express-validator');
 const userController = require('../../controllers/users-controller');
+const { PERIODIC_TYPES } = require('../../services/leaderboard-service');
+const { LEADERBOARD_PERIODS, LEADERBOARD_RANKINGS } = require('../../util/constants');
+const { rateLimit } = require('../../util/rate-limiter');
 
-router.get('/getLeaderboard/:type/:skip/:limit', userController.getLeaderboard);
+// the casino filters rank high_games by the trades of a game, provider or category, the period
+// and date pick a past leaderboard of the periodic types
+const isPeriodic = (value, { req }) => PERIODIC_TYPES.includes(req.params.type);
+
+router.get(
+  '/getLeaderboard/:type/:skip/:limit',
+  [
+    param('skip').isInt({ min: 0 }),
+    param('limit').isInt({ min: 1, max: 100 }),
+    query('gameId').optional().isString().isLength({ max: 100 }),
+    query('provider').optional().isString().isLength({ max: 100 }),
+    query('category').optional().isString().isLength({ max: 100 }),
+    query('rankBy').optional().isIn(Object.values(LEADERBOARD_RANKINGS)),
+    query('period').optional().isIn(Object.values(LEADERBOARD_PERIODS)).bail()
+      .custom(isPeriodic).withMessage('Only the periodic leaderboards have periods'),
+    query('date').optional().isISO8601().bail()
+      .custom(isPeriodic).withMessage('Only the periodic leaderboards have periods'),
+  ],
+  userController.getLeaderboard
+);
+
+router.get(
+  '/leaderboards/:type/:period',
+  [
+    param('type').isIn(PERIODIC_TYPES),
+    param('period').isIn(Object.values(LEADERBOARD_PERIODS)),
+    query('date').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('skip').optional().isInt({ min: 0 }).toInt(),
+  ],
+  userController.getLeaderboardSnapshot
+);
 
 router.get(
   '/confirm-email',
@@ -25,11 +59,25 @@ router.get('/count', userController.getUserCount)
 
 router.post(
   '/verify-sms',
+  rateLimit({
+    name: 'verify-sms',
+    windowSeconds: 15 * 60,
+    ipLimit: 10,
+    identifier: 'userId',
+    identifierLimit: 5,
+  }),
   [check('userId').isString(), check('phone').isMobilePhone(), check('smsToken').isNumeric().isLength({ min: 6, max: 6 })],
   userController.verifySms
 );
 router.post(
   '/send-sms',
+  rateLimit({
+    name: 'send-sms',
+    windowSeconds: 60 * 60,
+    ipLimit: 10,
+    identifier: 'phone',
+    identifierLimit: 3,
+  }),
   [check('phone').isMobilePhone()],
   userController.sendSms
 );
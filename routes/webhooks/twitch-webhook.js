@@ -1,8 +1,6 @@
 // Import the express Router to create routes
 const router = require('express').Router();
-const { notificationEvents } = require('@wallfair.io/wallfair-commons/constants/eventTypes');
-const amqp = require('../../services/amqp-service');
-const { removeSubscription } = require('../../services/twitch-service');
+const { removeSubscription, publishStreamStatus } = require('../../services/twitch-service');
 
 // Import Event model
 const { Event } = require('@wallfair.io/wallfair-commons').models;
@@ -18,7 +16,7 @@ router.post('/', async (req, res) => {
     const session = await Event.startSession();
     try {
       await session.withTransaction(async () => {
-        const event = await Event.findOne({ 'metadata.twitch_id': broadcaster_user_id }).exec();
+        const event = await Event.findOne({ 'metadata.twitch_id': broadcaster_user_id }).session(session).exec();
 
         if (!event) {
           removeSubscription(req.body.subscription.id);
@@ -52,7 +50,7 @@ router.post('/', async (req, res) => {
     const session = await Event.startSession();
     try {
       await session.withTransaction(async () => {
-        const event = await Event.findOne({ 'metadata.twitch_id': broadcaster_user_id }).exec();
+        const event = await Event.findOne({ 'metadata.twitch_id': broadcaster_user_id }).session(session).exec();
 
         if (!event) {
           removeSubscription(req.body.subscription.id);
@@ -62,16 +60,9 @@ router.post('/', async (req, res) => {
         if (!['stream.online', 'stream.offline'].includes(type)) return;
 
         event.state = type === 'stream.online' ? 'online' : 'offline';
-        await event.save();
-
-        amqp.send('universal_events', 'event.stream_status', JSON.stringify({
-          event: type === 'stream.online' ? notificationEvents.EVENT_ONLINE : notificationEvents.EVENT_OFFLINE,
-          producer: 'system',
-          producerId: 'notification-service',
-          data: { event },
-          date: Date.now(),
-          broadcast: true
-        }));
+        await event.save({ session });
+
+        await publishStreamStatus(type, event, session);
       });
     } catch (err) {
       console.log('Twitch webhook event error', err);
@@ -0,0 +1,503 @@
+const { Achievement, UserAchievement } = require('../models').models;
+const {
+  AccountNamespace,
+  TransactionManager,
+  WFAIR_SYMBOL,
+  toWei,
+} = require('@wallfair.io/trading-engine');
+const { notificationEvents } = require('@wallfair.io/wallfair-commons/constants/eventTypes');
+const moment = require('moment');
+const _ = require('lodash');
+const outboxService = require('./outbox-service');
+const { ACHIEVEMENT_RULE_TYPES, ACHIEVEMENT_REWARD_STATUSES } = require('../util/constants');
+const { getEventId } = require('../util/event-builder');
+
+/** Events the backend consumes, achievements can only count these */
+const ACHIEVEMENT_EVENTS = [
+  notificationEvents.EVENT_CASINO_CASHOUT,
+  notificationEvents.EVENT_BET_PLACED,
+  notificationEvents.EVENT_BET_CASHED_OUT,
+  notificationEvents.EVENT_USER_REWARD,
+  notificationEvents.EVENT_USER_CHANGED_USERNAME,
+  notificationEvents.EVENT_USER_UPLOADED_PICTURE,
+];
+
+const BONUS_SYMBOL = 'BFAIR';
+
+/**
+ * Accounts the rewards are paid from. BFAIR is the bonus money of the casino, it is burned
+ * with the expiring promo codes.
+ */
+const REWARD_ACCOUNTS = {
+  [WFAIR_SYMBOL]: () => ({
+    owner: process.env.REWARD_WALLET,
+    namespace: AccountNamespace.ETH,
+    symbol: WFAIR_SYMBOL,
+  }),
+  [BONUS_SYMBOL]: () => ({
+    owner: 'CASINO',
+    namespace: AccountNamespace.CAS,
+    symbol: BONUS_SYMBOL,
+  }),
+};
+
+const REWARD_SYMBOLS = Object.keys(REWARD_ACCOUNTS);
+
+/** Counted events kept per user achievement, redeliveries come within minutes */
+const COUNTED_EVENTS_KEPT = 100;
+
+/**
+ * User an event is about, the services that produce them don't agree on a field
+ * @param {object} message
+ * @returns {string|undefined}
+ */
+const getEventUserId = (message) => {
+  const data = message?.data || {};
+  const userId = data.userId
+    || data.user?._id
+    || data.bet?.creator
+    || (message?.producer === 'user' ? message.producerId : undefined);
+
+  return userId ? `${userId}` : undefined;
+};
+
+/**
+ * @param {object} rule of an achievement
+ * @param {object} message
+ * @returns {boolean}
+ */
+const matchesRule = (rule, message) => message.event === rule.event
+  && (!rule.gameId || message.data?.gameTypeId === rule.gameId);
+
+/**
+ * What an event adds to a count or sum, null if nothing
+ * @param {object} rule
+ * @param {object} message
+ * @returns {number|null}
+ */
+const getIncrement = (rule, message) => {
+  if (rule.type === ACHIEVEMENT_RULE_TYPES.COUNT) {
+    return 1;
+  }
+
+  const value = +_.get(message, rule.field);
+
+  return Number.isFinite(value) && value !== 0 ? value : null;
+};
+
+const getDay = (date) => moment(date).format('YYYY-MM-DD');
+
+/**
+ * Streak after an event of the given day, null if the day was counted already
+ * @param {object} state
+ * @param {number} [state.progress] days in a row so far
+ * @param {string} [state.lastDay] YYYY-MM-DD
+ * @param {Date} date of the event
+ * @returns {{progress: number, lastDay: string}|null}
+ */
+const nextStreak = ({ progress = 0, lastDay }, date) => {
+  const day = getDay(date);
+
+  // events arrive out of order when they are redelivered
+  if (lastDay && day <= lastDay) {
+    return null;
+  }
+
+  const continued = lastDay === getDay(moment(date).subtract(1, 'day'));
+
+  return { progress: continued ? progress + 1 : 1, lastDay: day };
+};
+
+/**
+ * @param {object} achievement
+ * @throws {Error} INVALID_ACHIEVEMENT
+ */
+const validateAchievement = ({ rule, reward }) => {
+  const hasReward = reward?.amount !== undefined && reward?.amount !== null;
+  const valid = Object.values(ACHIEVEMENT_RULE_TYPES).includes(rule?.type)
+    && ACHIEVEMENT_EVENTS.includes(rule.event)
+    && rule.target > 0
+    && (rule.type !== ACHIEVEMENT_RULE_TYPES.SUM || !!rule.field)
+    && (!hasReward || (reward.amount > 0 && REWARD_SYMBOLS.includes(reward.symbol)));
+
+  if (!valid) {
+    throw new Error('INVALID_ACHIEVEMENT');
+  }
+};
+
+/**
+ * An achievement as users see it, with their progress
+ * @param {object} achievement
+ * @param {object} [userAchievement]
+ */
+const toAchievementView = (achievement, userAchievement) => ({
+  id: `${achievement._id}`,
+  key: achievement.key,
+  name: achievement.name,
+  description: achievement.description,
+  badge: achievement.badge,
+  type: achievement.rule.type,
+  target: achievement.rule.target,
+  progress: userAchievement?.unlockedAt
+    ? achievement.rule.target
+    : Math.min(userAchievement?.progress || 0, achievement.rule.target),
+  reward: userAchievement?.reward?.amount
+    ? _.pick(userAchievement.reward, ['amount', 'symbol', 'status'])
+    : achievement.reward?.amount ? _.pick(achievement.reward, ['amount', 'symbol']) : null,
+  unlockedAt: userAchievement?.unlockedAt || null,
+});
+
+const listAchievements = () => Achievement.find().sort({ createdAt: 1 });
+
+/**
+ * @param {object} data
+ * @param {string} adminId
+ * @throws {Error} INVALID_ACHIEVEMENT, ACHIEVEMENT_EXISTS
+ */
+const createAchievement = async (data, adminId) => {
+  validateAchievement(data);
+
+  return Achievement.create({
+    ..._.pick(data, ['key', 'name', 'description', 'badge', 'rule', 'reward', 'enabled']),
+    updatedBy: adminId,
+  }).catch((e) => {
+    throw e.code === 11000 ? new Error('ACHIEVEMENT_EXISTS') : e;
+  });
+};
+
+/**
+ * Changes how an achievement is shown, its target or reward. The events a rule counts can't
+ * change, the progress of the users was counted by them. Users already past a lowered target
+ * unlock it with their next event.
+ * @param {string} id
+ * @param {object} data
+ * @param {string} adminId
+ * @throws {Error} NOT_FOUND, INVALID_ACHIEVEMENT
+ */
+const updateAchievement = async (id, { name, description, badge, target, reward, enabled }, adminId) => {
+  const achievement = await Achievement.findById(id).catch(() => null);
+
+  if (!achievement) {
+    throw new Error('NOT_FOUND');
+  }
+
+  const changes = _.omitBy({ name, description, badge, enabled, 'rule.target': target }, _.isUndefined);
+
+  if (reward !== undefined) {
+    // null takes the reward away
+    changes.reward = reward || {};
+  }
+
+  achievement.set({ ...changes, updatedBy: adminId });
+  validateAchievement(achievement);
+
+  return achievement.save();
+};
+
+/**
+ * Earned and in progress achievements of a user. Achievements that were disabled stay
+ * earned, the ones in progress are dropped.
+ * @param {string} userId
+ */
+const getUserAchievements = async (userId) => {
+  const userAchievements = await UserAchievement.find({ userId }).lean();
+  const unlockedIds = userAchievements.filter((ua) => ua.unlockedAt).map((ua) => ua.achievementId);
+  const achievements = await Achievement.find({
+    $or: [{ enabled: true }, { _id: { $in: unlockedIds } }],
+  }).lean();
+  const byAchievement = _.keyBy(userAchievements, (ua) => `${ua.achievementId}`);
+  const views = achievements.map((achievement) => toAchievementView(achievement, byAchievement[achievement._id]));
+
+  return {
+    earned: views.filter((view) => view.unlockedAt).sort((a, b) => b.unlockedAt - a.unlockedAt),
+    inProgress: views.filter((view) => !view.unlockedAt)
+      .sort((a, b) => b.progress / b.target - a.progress / a.target),
+  };
+};
+
+const publishAward = (userAchievement, achievement, session) => outboxService.publish('event.user_award', {
+  event: notificationEvents.EVENT_USER_AWARD,
+  producerId: userAchievement.userId,
+  data: {
+    userId: userAchievement.userId,
+    awardData: {
+      type: achievement.key,
+      name: achievement.name,
+      badge: achievement.badge,
+      ...(userAchievement.reward?.amount ? {
+        award: userAchievement.reward.amount,
+        symbol: userAchievement.reward.symbol,
+      } : {}),
+    },
+  },
+}, { session });
+
+const setRewardStatus = (userAchievement, from, set, options) => UserAchievement.findOneAndUpdate(
+  { _id: userAchievement._id, 'reward.status': from },
+  _.mapKeys(set, (value, field) => `reward.${field}`),
+  { new: true, ...options }
+);
+
+/**
+ * Pays the reward of an unlocked achievement, failed transfers stay pending for the
+ * payAchievementRewards job
+ * @param {object} userAchievement
+ * @param {object} achievement
+ */
+const payReward = async (userAchievement, achievement) => {
+  const claimed = await setRewardStatus(userAchievement, ACHIEVEMENT_REWARD_STATUSES.PENDING, {
+    status: ACHIEVEMENT_REWARD_STATUSES.PAYING,
+  });
+
+  if (!claimed) {
+    return;
+  }
+
+  const { amount, symbol } = claimed.reward;
+  const transaction = new TransactionManager();
+
+  try {
+    await transaction.startTransaction();
+    await transaction.wallet.transfer(
+      REWARD_ACCOUNTS[symbol](),
+      { owner: claimed.userId, namespace: AccountNamespace.USR, symbol },
+      toWei(amount).toFixed()
+    );
+    await transaction.commitTransaction();
+  } catch (e) {
+    await transaction.rollbackTransaction();
+    console.error('ACHIEVEMENT REWARDS: ', claimed._id, e.message);
+    await setRewardStatus(claimed, ACHIEVEMENT_REWARD_STATUSES.PAYING, {
+      status: ACHIEVEMENT_REWARD_STATUSES.PENDING,
+      error: e.message,
+    });
+    return;
+  }
+
+  await outboxService.withTransaction(async (session) => {
+    const paid = await setRewardStatus(claimed, ACHIEVEMENT_REWARD_STATUSES.PAYING, {
+      status: ACHIEVEMENT_REWARD_STATUSES.PAID,
+      error: null,
+      paidAt: new Date(),
+    }, { session });
+
+    await publishAward(paid, achievement, session);
+  });
+};
+
+/**
+ * Marks an achievement unlocked, its award event is published with the reward or right
+ * away if it has none
+ */
+const unlock = async (userAchievement, achievement) => {
+  const reward = achievement.reward?.amount ? achievement.reward : null;
+  let unlocked;
+
+  await outboxService.withTransaction(async (session) => {
+    unlocked = await UserAchievement.findOneAndUpdate(
+      { _id: userAchievement._id, unlockedAt: null },
+      {
+        unlockedAt: new Date(),
+        ...(reward && {
+          reward: {
+            amount: reward.amount,
+            symbol: reward.symbol,
+            status: ACHIEVEMENT_REWARD_STATUSES.PENDING,
+          },
+        }),
+      },
+      { new: true, session }
+    );
+
+    if (unlocked && !reward) {
+      await publishAward(unlocked, achievement, session);
+    }
+  });
+
+  if (unlocked && reward) {
+    await payReward(unlocked, achievement);
+  }
+};
+
+/**
+ * Upserts the progress of a user that is not unlocked yet, null once it is or when the
+ * filter leaves the progress out, e.g. because the event was counted
+ */
+const updateProgress = async (filter, update) => {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      return await UserAchievement.findOneAndUpdate(
+        { ...filter, unlockedAt: null },
+        update,
+        { upsert: true, new: true }
+      );
+    } catch (e) {
+      // a parallel event created the progress first, or it is unlocked already
+      if (e.code !== 11000) {
+        throw e;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Counts an event towards an achievement of the user. An event that was counted before a
+ * failure is not counted again, its redelivery only finishes the unlock.
+ */
+const progressAchievement = async (userId, achievement, message, eventId) => {
+  const filter = { userId, achievementId: achievement._id };
+  let userAchievement;
+
+  if (achievement.rule.type === ACHIEVEMENT_RULE_TYPES.STREAK) {
+    const current = await UserAchievement.findOne(filter).lean();
+
+    if (current?.unlockedAt) {
+      return;
+    }
+
+    // days are counted once, a redelivered event finds its day counted
+    const next = nextStreak(current || {}, message.date ? new Date(message.date) : new Date());
+
+    userAchievement = next
+      ? await updateProgress({ ...filter, lastDay: current?.lastDay ?? null }, next)
+      : current;
+
+    // fails on a parallel event of the user, the redelivery counts it again
+    if (next && !userAchievement) {
+      throw new Error('ACHIEVEMENT_CONFLICT');
+    }
+  } else {
+    const increment = getIncrement(achievement.rule, message);
+
+    if (increment === null) {
+      return;
+    }
+
+    userAchievement = await updateProgress({ ...filter, countedEvents: { $ne: eventId } }, {
+      $inc: { progress: increment },
+      $push: { countedEvents: { $each: [eventId], $slice: -COUNTED_EVENTS_KEPT } },
+    }) || await UserAchievement.findOne({ ...filter, unlockedAt: null });
+  }
+
+  if (userAchievement && userAchievement.progress >= achievement.rule.target) {
+    await unlock(userAchievement, achievement);
+  }
+};
+
+/**
+ * Counts a consumed event towards the achievements of its user. Progress counts from the
+ * creation of an achievement, events before it are not replayed. A redelivered event is
+ * counted once, unlocks and rewards happen once.
+ * @param {string} routingKey
+ * @param {object} message
+ */
+const recordEvent = async (routingKey, message) => {
+  const userId = getEventUserId(message);
+
+  if (!userId || !ACHIEVEMENT_EVENTS.includes(message.event)) {
+    return;
+  }
+
+  const achievements = await Achievement.find({ enabled: true, 'rule.event': message.event });
+  const eventId = getEventId(routingKey, message);
+
+  for (const achievement of achievements.filter((a) => matchesRule(a.rule, message))) {
+    await progressAchievement(userId, achievement, message, eventId);
+  }
+};
+
+/**
+ * Pays the rewards left pending, run by the payAchievementRewards job
+ */
+const payPendingRewards = async () => {
+  const pending = await UserAchievement.find({ 'reward.status': ACHIEVEMENT_REWARD_STATUSES.PENDING })
+    .populate('achievementId');
+
+  for (const userAchievement of pending) {
+    await payReward(userAchievement, userAchievement.achievementId);
+  }
+};
+
+/**
+ * Rewards of the unlocked achievements
+ * @param {object} filter
+ * @param {string} [filter.status] one of ACHIEVEMENT_REWARD_STATUSES, e.g. paying to find the
+ * rewards to reconcile
+ * @param {number} filter.limit
+ * @param {number} filter.skip
+ */
+const listRewards = async ({ status, limit = 20, skip = 0 }) => {
+  const filter = { 'reward.status': status || { $ne: null } };
+  const [total, rewards] = await Promise.all([
+    UserAchievement.countDocuments(filter),
+    UserAchievement.find(filter).sort({ unlockedAt: -1 }).skip(+skip).limit(+limit),
+  ]);
+
+  return { total, rewards };
+};
+
+/**
+ * Settles a reward left paying once an admin checked the ledger for the transfer. A paid
+ * reward gets its award event, an unpaid one is pending again for the payAchievementRewards
+ * job.
+ * @param {string} id of the user achievement
+ * @param {boolean} paid whether the reward reached the user
+ * @param {string} adminId
+ * @throws {Error} NOT_FOUND, INVALID_REWARD_TRANSITION
+ */
+const reconcileReward = async (id, paid, adminId) => {
+  const userAchievement = await UserAchievement.findById(id).populate('achievementId').catch(() => null);
+
+  if (!userAchievement?.reward?.status) {
+    throw new Error('NOT_FOUND');
+  }
+
+  const settled = paid
+    ? await outboxService.withTransaction(async (session) => {
+      const updated = await setRewardStatus(userAchievement, ACHIEVEMENT_REWARD_STATUSES.PAYING, {
+        status: ACHIEVEMENT_REWARD_STATUSES.PAID,
+        error: null,
+        paidAt: new Date(),
+        reconciledBy: adminId,
+      }, { session });
+
+      if (updated) {
+        await publishAward(updated, userAchievement.achievementId, session);
+      }
+
+      return updated;
+    })
+    : await setRewardStatus(userAchievement, ACHIEVEMENT_REWARD_STATUSES.PAYING, {
+      status: ACHIEVEMENT_REWARD_STATUSES.PENDING,
+      error: 'Not paid, reconciled by an admin',
+      reconciledBy: adminId,
+    });
+
+  if (!settled) {
+    throw new Error('INVALID_REWARD_TRANSITION');
+  }
+
+  return settled;
+};
+
+module.exports = {
+  ACHIEVEMENT_EVENTS,
+  REWARD_SYMBOLS,
+  getEventUserId,
+  matchesRule,
+  getIncrement,
+  nextStreak,
+  validateAchievement,
+  toAchievementView,
+  listAchievements,
+  createAchievement,
+  updateAchievement,
+  getUserAchievements,
+  recordEvent,
+  publishAward,
+  payPendingRewards,
+  listRewards,
+  reconcileReward,
+};
@@ -1,18 +1,47 @@
 const amqplib = require("amqplib");
 
-const retry = require('../util/retryHandler');
-const { PROCESSORS } = require("../services/subscribers-service");
+const { validateEvent, EventSchemaError } = require("../util/event-schemas");
 
 const rabbitUrl = process.env.RABBITMQ_CONNECTION;
 
-let connection, channel;
+/** Failed messages are redelivered this many times before they get dead-lettered */
+const AMQP_MAX_REDELIVERIES = +process.env.AMQP_MAX_REDELIVERIES || 5;
+/** Delay of the first redelivery, doubled with every further one */
+const AMQP_REDELIVERY_DELAY_MS = +process.env.AMQP_REDELIVERY_DELAY_MS || 1000;
+const AMQP_RECONNECT_DELAY_MS = +process.env.AMQP_RECONNECT_DELAY_MS || 1000;
+const AMQP_MAX_RECONNECT_DELAY_MS = 60 * 1000;
+
+const HEADERS = {
+  redeliveries: 'x-redelivery-count',
+  exchange: 'x-original-exchange',
+  routingKey: 'x-original-routing-key',
+  error: 'x-error',
+};
+
+let connection, channel, confirmChannel;
+let subscribed = false;
+// handed over by subscribe, the processors use services that publish through this module
+let processors = {};
+let storeDeadLetter;
+let reconnectAttempts = 0;
+let reconnectTimeout = null;
 
 const SUBSCRIBERS = [
   {
     exchange: 'universal_events',
     exchangeType: 'topic',
     queue: 'universal_events.backend',
-    routingKeys: ['event.deposit_created', 'event.webhook_triggered', 'event.withdraw_requested'],
+    routingKeys: [
+      'event.deposit_created',
+      'event.webhook_triggered',
+      'event.withdraw_requested',
+      'event.casino_cashout',
+      'event.bet_placed',
+      'event.bet_cashed_out',
+      'event.user_reward',
+      'event.user_changed_username',
+      'event.user_uploaded_picture',
+    ],
     durable: true,
     autoDelete: false,
     prefetch: 50
@@ -28,73 +57,352 @@ const SUBSCRIBERS = [
   },
 ];
 
+/** Processor of a routing key, by its name in PROCESSORS of the subscribers-service */
 const ROUTING_MAPPING = {
-  ['event.deposit_created']: PROCESSORS.deposit,
-  ['event.webhook_triggered']: PROCESSORS.deposit,
-  ['event.withdraw_requested']: PROCESSORS.withdraw,
-  ['backend.promo_code_expiration']: PROCESSORS.promoCodesExpiration,
+  ['event.deposit_created']: 'deposit',
+  ['event.webhook_triggered']: 'deposit',
+  ['event.withdraw_requested']: 'withdraw',
+  ['backend.promo_code_expiration']: 'promoCodesExpiration',
+  ['event.casino_cashout']: 'universalEvent',
+  ['event.bet_placed']: 'universalEvent',
+  ['event.bet_cashed_out']: 'universalEvent',
+  ['event.user_reward']: 'universalEvent',
+  ['event.user_changed_username']: 'universalEvent',
+  ['event.user_uploaded_picture']: 'universalEvent',
 };
 
-const init = async () => {
+/** Counters per routing key since the start of the process */
+const metrics = {};
+
+const count = (routingKey, counter) => {
+  metrics[routingKey] = metrics[routingKey] || {
+    processed: 0,
+    failed: 0,
+    redelivered: 0,
+    deadLettered: 0,
+  };
+  metrics[routingKey][counter]++;
+};
+
+const getMetrics = () => ({
+  connected: !!channel,
+  routingKeys: metrics,
+});
+
+/**
+ * Delay before the given redelivery, 1-based
+ * @param {number} redelivery
+ * @returns {number} milliseconds
+ */
+const getRedeliveryDelay = (redelivery) => AMQP_REDELIVERY_DELAY_MS * 2 ** (redelivery - 1);
+
+/**
+ * Names of the queues and exchanges around a subscribed queue. The existing queues can't get
+ * broker side dead-lettering arguments without being recreated, so failed messages are
+ * published to these explicitly.
+ * @param {string} queue
+ */
+const getTopology = (queue) => ({
+  deadLetterExchange: `${queue}.dlx`,
+  deadLetterQueue: `${queue}.dead`,
+  // waiting messages expire into the default exchange, which routes them back to the queue
+  retryQueue: (redelivery) => `${queue}.retry.${getRedeliveryDelay(redelivery)}`,
+});
+
+const scheduleReconnect = () => {
+  if (reconnectTimeout) {
+    return;
+  }
+
+  const delay = Math.min(AMQP_RECONNECT_DELAY_MS * 2 ** reconnectAttempts, AMQP_MAX_RECONNECT_DELAY_MS);
+  reconnectAttempts++;
+  console.info(new Date(), `[*] rabbitMQ: reconnecting in ${delay}ms...`);
+
+  reconnectTimeout = setTimeout(async () => {
+    reconnectTimeout = null;
+
+    try {
+      await connect();
+    } catch (e) {
+      console.error('rabbitMQ reconnect failed', e.message);
+      scheduleReconnect();
+    }
+  }, delay);
+};
+
+const connect = async () => {
   connection = await amqplib.connect(rabbitUrl, {
     heartbeat: 60,
     noDelay: true,
   });
+  connection.on('error', (e) => console.error('rabbitMQ connection error', e.message));
+  connection.on('close', () => {
+    channel = null;
+    confirmChannel = null;
+    scheduleReconnect();
+  });
+
   channel = await connection.createChannel();
+  confirmChannel = await connection.createConfirmChannel();
+  // a channel closed by the broker takes the connection with it, so everything gets set up again
+  for (const ch of [channel, confirmChannel]) {
+    ch.on('error', (e) => console.error('rabbitMQ channel error', e.message));
+    ch.on('close', () => connection.close().catch(() => null));
+  }
+
+  reconnectAttempts = 0;
+
+  if (subscribed) {
+    await setupSubscribers();
+  }
 };
 
+const init = async () => {
+  await connect();
+};
+
+/**
+ * Publishes a message without waiting for the broker, for messages that may get lost like
+ * websocket pushes. Throws an EventSchemaError for payloads that do not match their schema.
+ * @param {string} exchange
+ * @param {string} routingKey
+ * @param {string} data
+ * @param {object} [options]
+ */
 const send = async (exchange, routingKey, data, options) => {
-  try {
-    await channel.assertExchange(exchange, "topic", { durable: true });
-    channel.publish(exchange, routingKey, Buffer.from(data), options);
-    console.log("PUBLISH %s - %s", exchange, routingKey);
-  } catch (e) {
-    console.error("Error in publishing message", e);
+  validateEvent(routingKey, JSON.parse(data));
+
+  if (!channel) {
+    throw new Error('AMQP_NOT_CONNECTED');
   }
+
+  await channel.assertExchange(exchange, "topic", { durable: true });
+  channel.publish(exchange, routingKey, Buffer.from(data), options);
+  console.log("PUBLISH %s - %s", exchange, routingKey);
 };
 
-const subscribe = async () => {
-  try {
-    SUBSCRIBERS.forEach(async (cfg) => {
-      channel.prefetch(cfg.prefetch);
-      await channel.assertExchange(cfg.exchange, cfg.exchangeType, {
-        durable: cfg.durable,
-      });
-      const q = await channel.assertQueue(cfg.queue, {
-        durable: cfg.durable,
-        autoDelete: cfg.autoDelete
-      });
-
-      cfg.routingKeys.forEach(async (routingKey) => {
-        await channel.bindQueue(q.queue, cfg.exchange, routingKey);
-      });
-
-      channel.consume(
-        q.queue,
-        async (msg) => {
-          const routingKey = msg.fields.routingKey;
-          const content = JSON.parse(msg.content.toString());
-          const processor = ROUTING_MAPPING[routingKey];
-
-          try {
-            if (processor && !processor.running) {
-              await processor.call(routingKey, content);
-            }
-          } catch (e) {
-            console.error(`${routingKey} failed`, e.message);
-            retry(processor.call, [routingKey, content]);
-          }
-        },
-        {
-          noAck: true
-        }
-      );
+/**
+ * Publishes a persistent message and waits until the broker confirmed it
+ * @param {string} exchange
+ * @param {string} routingKey
+ * @param {string} data
+ * @param {object} [options]
+ */
+const publish = async (exchange, routingKey, data, options = {}) => {
+  if (!confirmChannel) {
+    throw new Error('AMQP_NOT_CONNECTED');
+  }
+
+  const ch = confirmChannel;
+  await ch.assertExchange(exchange, "topic", { durable: true });
+  await new Promise((resolve, reject) => {
+    ch.publish(exchange, routingKey, Buffer.from(data), { persistent: true, ...options }, (err) =>
+      err ? reject(err) : resolve()
+    );
+  });
+  console.log("PUBLISH %s - %s (confirmed)", exchange, routingKey);
+};
+
+/**
+ * Hands a message to the processor of its routing key
+ * @param {string} routingKey
+ * @param {object} content parsed message
+ */
+const processMessage = async (routingKey, content) => {
+  const processor = processors[ROUTING_MAPPING[routingKey]];
+
+  if (!processor) {
+    throw new Error(`No processor for ${routingKey}`);
+  }
+
+  return processor.call(routingKey, content);
+};
+
+const assertTopology = async (cfg) => {
+  const topology = getTopology(cfg.queue);
 
-      console.info(new Date(), `[*] rabbitMQ: "${cfg.exchange}" exchange on [${cfg.routingKeys.join(', ')}] routing keys subscribed. Waiting for messages...`);
+  await channel.assertExchange(cfg.exchange, cfg.exchangeType, {
+    durable: cfg.durable,
+  });
+  await channel.assertQueue(cfg.queue, {
+    durable: cfg.durable,
+    autoDelete: cfg.autoDelete
+  });
+
+  for (const routingKey of cfg.routingKeys) {
+    await channel.bindQueue(cfg.queue, cfg.exchange, routingKey);
+  }
+
+  for (let redelivery = 1; redelivery <= AMQP_MAX_REDELIVERIES; redelivery++) {
+    await channel.assertQueue(topology.retryQueue(redelivery), {
+      durable: true,
+      messageTtl: getRedeliveryDelay(redelivery),
+      deadLetterExchange: '',
+      deadLetterRoutingKey: cfg.queue,
     });
+  }
+
+  await channel.assertExchange(topology.deadLetterExchange, 'fanout', { durable: true });
+  await channel.assertQueue(topology.deadLetterQueue, { durable: true });
+  await channel.bindQueue(topology.deadLetterQueue, topology.deadLetterExchange, '');
+
+  return topology;
+};
+
+/**
+ * Sends a failed message to its next retry queue, or to the dead-letter exchange once all
+ * redeliveries are used up
+ */
+const handleFailure = (ch, cfg, msg, routingKey, error) => {
+  const topology = getTopology(cfg.queue);
+  const headers = msg.properties.headers || {};
+  const redelivery = (+headers[HEADERS.redeliveries] || 0) + 1;
+  const options = {
+    persistent: true,
+    contentType: msg.properties.contentType,
+    headers: {
+      ...headers,
+      [HEADERS.redeliveries]: redelivery,
+      [HEADERS.exchange]: headers[HEADERS.exchange] || msg.fields.exchange,
+      [HEADERS.routingKey]: routingKey,
+    },
+  };
+
+  count(routingKey, 'failed');
+
+  if (error instanceof SyntaxError || error instanceof EventSchemaError || redelivery > AMQP_MAX_REDELIVERIES) {
+    console.error(`${routingKey} failed, dead-lettering`, error.message);
+    ch.publish(topology.deadLetterExchange, routingKey, msg.content, {
+      ...options,
+      headers: { ...options.headers, [HEADERS.error]: error.message },
+    });
+    count(routingKey, 'deadLettered');
+    return;
+  }
+
+  console.error(`${routingKey} failed, redelivery ${redelivery} in ${getRedeliveryDelay(redelivery)}ms`, error.message);
+  ch.sendToQueue(topology.retryQueue(redelivery), msg.content, options);
+  count(routingKey, 'redelivered');
+};
+
+/**
+ * Messages of a channel that was closed meanwhile are redelivered by the broker anyway
+ */
+const ack = (ch, msg) => {
+  if (ch === channel) {
+    ch.ack(msg);
+  }
+};
+
+const consume = async (cfg) => {
+  const ch = channel;
+
+  await ch.consume(
+    cfg.queue,
+    async (msg) => {
+      if (!msg) {
+        return;
+      }
+
+      const routingKey = msg.properties.headers?.[HEADERS.routingKey] || msg.fields.routingKey;
+
+      try {
+        const content = validateEvent(routingKey, JSON.parse(msg.content.toString()));
+        await processMessage(routingKey, content);
+        count(routingKey, 'processed');
+      } catch (e) {
+        try {
+          handleFailure(ch, cfg, msg, routingKey, e);
+        } catch (publishError) {
+          // keep the message in the queue, it comes back with the next connection
+          console.error(`${routingKey} could not be redelivered`, publishError.message);
+          return;
+        }
+      }
+
+      ack(ch, msg);
+    },
+    { noAck: false }
+  );
+};
+
+/**
+ * Moves dead-lettered messages into the DeadLetter collection, where admins can inspect and
+ * replay them
+ */
+const consumeDeadLetters = async (cfg, topology) => {
+  const ch = channel;
+
+  await ch.consume(
+    topology.deadLetterQueue,
+    async (msg) => {
+      if (!msg) {
+        return;
+      }
+
+      const headers = msg.properties.headers || {};
+      const raw = msg.content.toString();
+      let payload;
+
+      try {
+        payload = JSON.parse(raw);
+      } catch (e) {
+        payload = raw;
+      }
+
+      try {
+        await storeDeadLetter(
+          headers[HEADERS.exchange] || cfg.exchange,
+          headers[HEADERS.routingKey] || msg.fields.routingKey,
+          payload,
+          new Error(headers[HEADERS.error])
+        );
+        ack(ch, msg);
+      } catch (e) {
+        console.error('Failed to store dead letter', e.message);
+        setTimeout(() => ch === channel && ch.nack(msg), getRedeliveryDelay(AMQP_MAX_REDELIVERIES));
+      }
+    },
+    { noAck: false }
+  );
+};
+
+const setupSubscribers = async () => {
+  for (const cfg of SUBSCRIBERS) {
+    // applies to the consumers started after it
+    await channel.prefetch(cfg.prefetch);
+    const topology = await assertTopology(cfg);
+
+    await consume(cfg);
+    await consumeDeadLetters(cfg, topology);
+
+    console.info(new Date(), `[*] rabbitMQ: "${cfg.exchange}" exchange on [${cfg.routingKeys.join(', ')}] routing keys subscribed. Waiting for messages...`);
+  }
+};
+
+/**
+ * Starts consuming the subscribed queues
+ * @param {object} routingProcessors PROCESSORS of the subscribers-service, by name
+ * @param {Function} onDeadLetter stores a message that used up its redeliveries
+ */
+const subscribe = async (routingProcessors, onDeadLetter) => {
+  processors = routingProcessors;
+  storeDeadLetter = onDeadLetter;
+  subscribed = true;
+
+  try {
+    await setupSubscribers();
   } catch (e) {
     console.error("subscribe error", e);
   }
 };
 
-module.exports = { init, send, subscribe };
+module.exports = {
+  init,
+  send,
+  publish,
+  subscribe,
+  processMessage,
+  getMetrics,
+  getRedeliveryDelay,
+};
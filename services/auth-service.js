@@ -4,7 +4,29 @@ const { getFacebookUserData } = require('../util/facebook.oauth');
 const { getGoogleUserData } = require('../util/google.oauth');
 const { getTwitchUserData } = require('../util/twitch.oauth');
 
-exports.generateJwt = async (user) => jwt.sign({ userId: user.id, phone: user.phone, isAdmin: Boolean(user.admin) }, process.env.JWT_KEY, { expiresIn: '48h' });
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+/**
+ * Signs the access token of a session, `sid` references the UserSession it belongs to
+ * and gets checked on every request, so revoking the session invalidates the token.
+ */
+exports.generateJwt = async (user, sessionId) => jwt.sign({ userId: user.id, phone: user.phone, isAdmin: Boolean(user.admin), sid: sessionId }, process.env.JWT_KEY, { expiresIn: ACCESS_TOKEN_TTL });
+
+/**
+ * Short-lived token handed out instead of a session while a login waits for its second factor.
+ * It carries the pending MFA step and is rejected by the passport strategies.
+ */
+exports.generateMfaJwt = async (user, step) => jwt.sign({ userId: user.id, mfa: step }, process.env.JWT_KEY, { expiresIn: '5m' });
+
+exports.verifyMfaJwt = (token, step) => {
+  const payload = jwt.verify(token, process.env.JWT_KEY);
+
+  if (payload.mfa !== step) {
+    throw new Error('INVALID_MFA_TOKEN');
+  }
+
+  return payload;
+};
 
 exports.getUserDataForProvider = async (provider, context) => {
   const dataGetter = {
@@ -5,10 +5,16 @@ const CLIENT_ID = process.env.AWS_S3_CLIENT_ID;
 const CLIENT_SECRET = process.env.AWS_S3_CLIENT_SECRET;
 const BUCKET = process.env.AWS_S3_CLIENT_BUCKET;
 const REGION = process.env.AWS_S3_CLIENT_REGION;
+const PRIVATE_BUCKET = process.env.AWS_S3_PRIVATE_BUCKET;
 
 let s3Client;
 
 const init = () => {
+  // private files must never end up in the public bucket
+  if (!PRIVATE_BUCKET) {
+    throw new Error('AWS_S3_PRIVATE_BUCKET is not set');
+  }
+
   s3Client = new S3Client({
     credentials: {
       accessKeyId: CLIENT_ID,
@@ -34,7 +40,54 @@ const upload = async (user, image) => {
   }
 }
 
+/**
+ * Stores a file that must not be reachable from outside, e.g. KYC documents. No URL is
+ * created, the file can only be read back through getPrivateObject.
+ * @param {string} key
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @returns {Promise<string>} the key
+ */
+const uploadPrivate = async (key, body, contentType) => {
+  try {
+    await s3Client.send(new PutObjectCommand({
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      Bucket: PRIVATE_BUCKET,
+      ServerSideEncryption: 'AES256',
+    }));
+    return key;
+  } catch (err) {
+    console.log("AWS-S3 private upload error", err.message);
+    throw new Error(err.message);
+  }
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<{Body: ReadableStream, ContentType: string}>}
+ */
+const getPrivateObject = async (key) => s3Client.send(new GetObjectCommand({
+  Key: key,
+  Bucket: PRIVATE_BUCKET,
+}));
+
+/**
+ * Link to download a private file without credentials, e.g. a generated statement
+ * @param {string} key
+ * @param {number} expiresIn seconds the link is valid
+ * @returns {Promise<string>}
+ */
+const getPrivateUrl = async (key, expiresIn) => getSignedUrl(s3Client, new GetObjectCommand({
+  Key: key,
+  Bucket: PRIVATE_BUCKET,
+}), { expiresIn });
+
 module.exports = {
   init,
-  upload
+  upload,
+  uploadPrivate,
+  getPrivateObject,
+  getPrivateUrl,
 };
\ No newline at end of file
@@ -0,0 +1,93 @@
+const { DeadLetter } = require('../models').models;
+const amqp = require('./amqp-service');
+const { DEAD_LETTER_STATUSES } = require('../util/constants');
+
+/**
+ * Keeps a message that could not be processed, so an admin can replay it once the cause is fixed
+ * @param {string} exchange
+ * @param {string} routingKey
+ * @param {object} payload parsed message
+ * @param {Error} error last error of the processor
+ */
+const store = async (exchange, routingKey, payload, error) => {
+  console.error('DEAD LETTER: ', routingKey, error?.message);
+
+  return DeadLetter.create({
+    exchange,
+    routingKey,
+    payload,
+    error: error?.message,
+    status: DEAD_LETTER_STATUSES.OPEN,
+  });
+};
+
+/**
+ * Dead letters for the admin panel, newest first
+ * @param {object} filter
+ * @param {string} filter.status one of DEAD_LETTER_STATUSES, open by default
+ * @param {string} [filter.routingKey]
+ * @param {number} filter.limit
+ * @param {number} filter.skip
+ */
+const list = async ({ status = DEAD_LETTER_STATUSES.OPEN, routingKey, limit = 20, skip = 0 }) => {
+  const filter = { status };
+
+  if (routingKey) {
+    filter.routingKey = routingKey;
+  }
+
+  const [total, items] = await Promise.all([
+    DeadLetter.countDocuments(filter),
+    DeadLetter.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(+skip)
+      .limit(+limit),
+  ]);
+
+  return { total, items };
+};
+
+const get = async (id) => {
+  const deadLetter = await DeadLetter.findById(id).catch(() => null);
+
+  if (!deadLetter) {
+    throw new Error('NOT_FOUND');
+  }
+
+  return deadLetter;
+};
+
+/**
+ * Runs the processor of the message again. Processors are idempotent, so a message that got
+ * processed in the meantime does no harm. It is not published again, other consumers of the
+ * exchange handled it already.
+ * @param {string} id
+ * @param {string} adminId
+ */
+const replay = async (id, adminId) => {
+  const deadLetter = await get(id);
+
+  if (deadLetter.status !== DEAD_LETTER_STATUSES.OPEN) {
+    throw new Error('DEAD_LETTER_CLOSED');
+  }
+
+  let error = null;
+
+  try {
+    await amqp.processMessage(deadLetter.routingKey, deadLetter.payload);
+    deadLetter.status = DEAD_LETTER_STATUSES.REPLAYED;
+  } catch (e) {
+    error = e.message;
+    deadLetter.error = error;
+  }
+
+  deadLetter.replays.push({ by: adminId, error });
+  return deadLetter.save();
+};
+
+module.exports = {
+  store,
+  list,
+  get,
+  replay,
+};
@@ -0,0 +1,179 @@
+const { DepositIngestion } = require('../models').models;
+const { DEPOSIT_INGESTION_STATES } = require('../util/constants');
+
+/** A deposit stuck in processing longer than this is taken over by the next delivery */
+const DEPOSIT_PROCESSING_TIMEOUT_MINUTES = +process.env.DEPOSIT_PROCESSING_TIMEOUT_MINUTES || 5;
+
+const DEPOSIT_TRANSITIONS = {
+  [DEPOSIT_INGESTION_STATES.SUBMITTED]: [DEPOSIT_INGESTION_STATES.PROCESSING],
+  [DEPOSIT_INGESTION_STATES.RECEIVED]: [DEPOSIT_INGESTION_STATES.PROCESSING],
+  [DEPOSIT_INGESTION_STATES.PROCESSING]: [DEPOSIT_INGESTION_STATES.PROCESSED, DEPOSIT_INGESTION_STATES.FAILED],
+  [DEPOSIT_INGESTION_STATES.FAILED]: [DEPOSIT_INGESTION_STATES.PROCESSING],
+  [DEPOSIT_INGESTION_STATES.PROCESSED]: [],
+};
+
+const canTransition = (from, to) => (DEPOSIT_TRANSITIONS[from] || []).includes(to);
+
+/** States a deposit can be picked up for processing from */
+const CLAIMABLE_STATES = Object.keys(DEPOSIT_TRANSITIONS)
+  .filter((state) => canTransition(state, DEPOSIT_INGESTION_STATES.PROCESSING));
+
+const isDuplicateKeyError = (e) => e?.code === 11000;
+
+/**
+ * Ledger key of a deposit
+ * @param {string} networkCode
+ * @param {string} hash
+ * @returns {{networkCode: string, transactionHash: string}}
+ */
+const getDepositKey = (networkCode, hash) => {
+  if (!networkCode || !hash) {
+    throw new Error('DEPOSIT_WITHOUT_HASH');
+  }
+
+  return {
+    networkCode: `${networkCode}`.toUpperCase(),
+    transactionHash: `${hash}`.trim().toLowerCase(),
+  };
+};
+
+/**
+ * Records a hash sent by the client, every transaction is only queued for the webhook once
+ * @param {string} hash
+ * @param {string} networkCode
+ * @param {string} userId
+ * @returns {Promise<boolean>} false if the transaction was known already
+ */
+const recordSubmission = async (hash, networkCode, userId) => {
+  const key = getDepositKey(networkCode, hash);
+
+  try {
+    const result = await DepositIngestion.updateOne(
+      key,
+      { $setOnInsert: { ...key, userId, status: DEPOSIT_INGESTION_STATES.SUBMITTED } },
+      { upsert: true }
+    );
+    return !!result.upserted?.length;
+  } catch (e) {
+    if (isDuplicateKeyError(e)) {
+      return false;
+    }
+    throw e;
+  }
+};
+
+/**
+ * Drops a recorded hash whose webhook could not be queued, so the client can send it again.
+ * Deposits that were received in the meantime are kept.
+ * @param {string} hash
+ * @param {string} networkCode
+ */
+const forgetSubmission = async (hash, networkCode) => DepositIngestion.deleteOne({
+  ...getDepositKey(networkCode, hash),
+  status: DEPOSIT_INGESTION_STATES.SUBMITTED,
+});
+
+/**
+ * Takes the deposit of an event for processing. Deliveries of a deposit that is processed
+ * already or right now get null, so the side effects of a deposit only run once.
+ * @param dd data of the deposit event
+ * @returns {Promise<DepositIngestion|null>}
+ */
+const claimDeposit = async (dd) => {
+  const key = getDepositKey(dd.network_code, dd.transaction_hash || dd.external_transaction_id);
+
+  try {
+    await DepositIngestion.updateOne(
+      key,
+      { $setOnInsert: { ...key, status: DEPOSIT_INGESTION_STATES.RECEIVED } },
+      { upsert: true }
+    );
+  } catch (e) {
+    // a parallel delivery inserted it
+    if (!isDuplicateKeyError(e)) {
+      throw e;
+    }
+  }
+
+  const staleBefore = new Date(Date.now() - DEPOSIT_PROCESSING_TIMEOUT_MINUTES * 60 * 1000);
+
+  return DepositIngestion.findOneAndUpdate(
+    {
+      ...key,
+      $or: [
+        { status: { $in: CLAIMABLE_STATES } },
+        { status: DEPOSIT_INGESTION_STATES.PROCESSING, updatedAt: { $lt: staleBefore } },
+      ],
+    },
+    {
+      status: DEPOSIT_INGESTION_STATES.PROCESSING,
+      userId: dd.internal_user_id,
+      amount: dd.amount,
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Runs a side effect of the deposit unless an earlier delivery completed it
+ * @param deposit claimed DepositIngestion
+ * @param {string} step name of the side effect
+ * @param {Function} fn
+ */
+const runStep = async (deposit, step, fn) => {
+  if (deposit.completedSteps.includes(step)) {
+    return;
+  }
+
+  await fn();
+
+  await DepositIngestion.updateOne({ _id: deposit._id }, { $addToSet: { completedSteps: step } });
+  deposit.completedSteps.push(step);
+};
+
+/**
+ * Marks the deposit as the first one of its user. The unique index makes sure only one
+ * deposit per user wins, even if several are processed at the same time.
+ * @param deposit claimed DepositIngestion
+ * @returns {Promise<boolean>}
+ */
+const markFirstDeposit = async (deposit) => {
+  if (deposit.firstDeposit) {
+    return true;
+  }
+
+  try {
+    await DepositIngestion.updateOne({ _id: deposit._id }, { firstDeposit: true });
+    deposit.firstDeposit = true;
+    return true;
+  } catch (e) {
+    if (isDuplicateKeyError(e)) {
+      return false;
+    }
+    throw e;
+  }
+};
+
+const markProcessed = (deposit) => DepositIngestion.updateOne(
+  { _id: deposit._id, status: DEPOSIT_INGESTION_STATES.PROCESSING },
+  { status: DEPOSIT_INGESTION_STATES.PROCESSED, processedAt: new Date(), lastError: null }
+);
+
+const markFailed = (deposit, error) => DepositIngestion.updateOne(
+  { _id: deposit._id, status: DEPOSIT_INGESTION_STATES.PROCESSING },
+  { status: DEPOSIT_INGESTION_STATES.FAILED, lastError: error.message }
+);
+
+module.exports = {
+  CLAIMABLE_STATES,
+  canTransition,
+  getDepositKey,
+  recordSubmission,
+  forgetSubmission,
+  claimDeposit,
+  runStep,
+  markFirstDeposit,
+  markProcessed,
+  markFailed,
+};
@@ -0,0 +1,403 @@
+const { Query, ExternalTransactionOriginator, WFAIR_SYMBOL } = require('@wallfair.io/trading-engine');
+const { CASINO_TRADE_STATE } = require('@wallfair.io/wallfair-casino');
+const BigNumber = require('bignumber.js');
+const bigDecimal = require('js-big-decimal');
+const money = require('../util/money');
+const { fromScaledBigInt } = require('../util/number-helper');
+
+const HISTORY_TYPES = {
+  BET: 'BET',
+  GAME: 'GAME',
+};
+
+/** External transactions listed to the user, by originator */
+const TRANSACTION_TYPES = [
+  ExternalTransactionOriginator.DEPOSIT,
+  ExternalTransactionOriginator.ONRAMP,
+  ExternalTransactionOriginator.WITHDRAW,
+  ExternalTransactionOriginator.CRYPTO,
+];
+
+const HISTORY_GAME_STATES = [
+  CASINO_TRADE_STATE.LOCKED,
+  CASINO_TRADE_STATE.WIN,
+  CASINO_TRADE_STATE.LOSS,
+];
+
+const SORT = {
+  ASC: 'asc',
+  DESC: 'desc',
+};
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Cursors point at the last item of a page as (time, type, id). Times are cut to
+ * milliseconds in the queries as well, postgres keeps microseconds a Date can't hold.
+ */
+const encodeCursor = ({ ts, type, id }) =>
+  Buffer.from(JSON.stringify([ts.toISOString(), type, `${id}`])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [ts, type, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const date = new Date(ts);
+
+    if (isNaN(date) || typeof type !== 'string' || typeof id !== 'string') {
+      throw new Error();
+    }
+
+    return { ts: date, type, id };
+  } catch (e) {
+    throw new Error('INVALID_CURSOR');
+  }
+};
+
+/**
+ * Order of items across sources, sources are ordered by type at the same time
+ */
+const compareItems = (sort) => (a, b) => {
+  const order = a.ts - b.ts || (a.type < b.type ? -1 : a.type > b.type ? 1 : 0);
+  return sort === SORT.ASC ? order : -order;
+};
+
+/**
+ * SQL condition for the rows of a source after the cursor
+ * @param {string} column time of the rows, cut to milliseconds
+ * @param {string} type of the source
+ * @param {object|null} after decoded cursor
+ * @param {string} sort
+ * @param {any[]} params the parameters of the cursor are added to
+ */
+const afterCursor = (column, type, after, sort, params) => {
+  if (!after) {
+    return 'TRUE';
+  }
+
+  const op = sort === SORT.ASC ? '>' : '<';
+  params.push(after.ts);
+  const ts = `$${params.length}`;
+
+  if (after.type === type) {
+    params.push(after.id);
+    return `(${column}, id) ${op} (${ts}, $${params.length})`;
+  }
+
+  // rows at the time of the cursor come after it if their source is ordered after its source
+  const sameTime = sort === SORT.ASC ? type > after.type : type < after.type;
+  return `${column} ${op}${sameTime ? '=' : ''} ${ts}`;
+};
+
+/**
+ * Rows of one source in order, fetched in chunks
+ * @param {object} source
+ * @param {string} source.type
+ * @param {Function} source.fetch ({after, sort, limit}) => Promise<{ts, type, id, item}[]>
+ */
+async function* streamSource(source, { after, sort, chunkSize }) {
+  let cursor = after;
+
+  while (true) {
+    const rows = await source.fetch({ after: cursor, sort, limit: chunkSize });
+
+    for (const row of rows) {
+      yield row;
+    }
+
+    if (rows.length < chunkSize) {
+      return;
+    }
+
+    const last = rows[rows.length - 1];
+    cursor = { ts: last.ts, type: source.type, id: `${last.id}` };
+  }
+}
+
+/**
+ * Merges ordered streams, only the next row of every stream is held at a time
+ */
+async function* mergeStreams(streams, compare) {
+  const heads = await Promise.all(streams.map((stream) => stream.next()));
+
+  while (true) {
+    let next = -1;
+
+    heads.forEach((head, i) => {
+      if (!head.done && (next < 0 || compare(head.value, heads[next].value) < 0)) {
+        next = i;
+      }
+    });
+
+    if (next < 0) {
+      return;
+    }
+
+    yield heads[next].value;
+    heads[next] = await streams[next].next();
+  }
+}
+
+/**
+ * A page of the merged sources
+ * @param {object[]} sources see streamSource
+ * @param {object} params
+ * @param {string} [params.cursor] nextCursor of the previous page
+ * @param {string} [params.sort] asc or desc by time, desc by default
+ * @param {number} [params.limit]
+ * @returns {Promise<{items: object[], nextCursor: string|null}>}
+ */
+const paginate = async (sources, { cursor, sort, limit }) => {
+  // both end up in the queries
+  sort = sort === SORT.ASC ? SORT.ASC : SORT.DESC;
+  limit = Math.floor(+limit) || DEFAULT_LIMIT;
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  const streams = sources.map((source) => streamSource(source, { after, sort, chunkSize: limit + 1 }));
+  const rows = [];
+
+  try {
+    for await (const row of mergeStreams(streams, compareItems(sort))) {
+      rows.push(row);
+
+      if (rows.length > limit) {
+        break;
+      }
+    }
+  } finally {
+    await Promise.all(streams.map((stream) => stream.return()));
+  }
+
+  const page = rows.slice(0, limit);
+
+  return {
+    items: page.map((row) => row.item),
+    nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
+
+const TS = (column) => `date_trunc('milliseconds', ${column})`;
+
+const dateRange = (column, { from, to }, params) => {
+  const conditions = [];
+
+  if (from) {
+    params.push(from);
+    conditions.push(`${column} >= $${params.length}`);
+  }
+
+  if (to) {
+    params.push(to);
+    conditions.push(`${column} < $${params.length}`);
+  }
+
+  return conditions.length ? conditions.join(' AND ') : 'TRUE';
+};
+
+const toBetItem = (interaction) => ({
+  ...interaction,
+  investmentAmount: fromScaledBigInt(BigInt(interaction.investmentamount)),
+  feeAmount: fromScaledBigInt(BigInt(interaction.feeamount)),
+  outcomeTokensBought: fromScaledBigInt(BigInt(interaction.outcometokensbought)),
+  investmentAmountWfair: money.formatWei(interaction.investmentamount),
+  outcomeTokensBoughtWfair: money.formatWei(interaction.outcometokensbought),
+  type: HISTORY_TYPES.BET,
+});
+
+const toGameItem = (casinoTrade) => {
+  const isWin = casinoTrade.state === CASINO_TRADE_STATE.WIN;
+  const outcome = isWin
+    ? bigDecimal.multiply(BigInt(casinoTrade.stakedamount), parseFloat(casinoTrade.crashfactor))
+    : '0';
+
+  return {
+    direction: isWin ? 'PAYOUT' : 'BUY',
+    investmentAmount: fromScaledBigInt(casinoTrade.stakedamount),
+    outcomeTokensBought: isWin ? fromScaledBigInt(outcome) : 0,
+    investmentAmountWfair: money.formatWei(casinoTrade.stakedamount),
+    outcomeTokensBoughtWfair: money.formatWei(outcome),
+    trx_timestamp: casinoTrade.created_at,
+    gameId: casinoTrade.gameid,
+    type: HISTORY_TYPES.GAME,
+  };
+};
+
+const betSource = (userId, filters) => ({
+  type: HISTORY_TYPES.BET,
+  fetch: async ({ after, sort, limit }) => {
+    const params = [userId];
+    const rows = await new Query().query(
+      `SELECT *, ${TS('trx_timestamp')} AS ts FROM amm_interactions
+       WHERE buyer = $1
+         AND ${dateRange('trx_timestamp', filters, params)}
+         AND ${afterCursor(TS('trx_timestamp'), HISTORY_TYPES.BET, after, sort, params)}
+       ORDER BY ts ${sort}, id ${sort}
+       LIMIT ${+limit}`,
+      params
+    );
+
+    return rows.map(({ ts, ...row }) => ({ ts, type: HISTORY_TYPES.BET, id: row.id, item: toBetItem(row) }));
+  },
+  totals: async () => {
+    const params = [userId];
+    const [totals] = await new Query().query(
+      `SELECT COUNT(*) AS count,
+         COALESCE(SUM(investmentamount), 0) AS invested,
+         COALESCE(SUM(outcometokensbought), 0) AS outcome
+       FROM amm_interactions
+       WHERE buyer = $1 AND ${dateRange('trx_timestamp', filters, params)}`,
+      params
+    );
+    return totals;
+  },
+});
+
+const gameSource = (userId, filters) => {
+  const where = (params) => {
+    const conditions = [
+      'userid = $1',
+      `state = ANY($${params.push(HISTORY_GAME_STATES)}::smallint[])`,
+      dateRange('created_at', filters, params),
+    ];
+
+    if (filters.gameId) {
+      conditions.push(`gameid = $${params.push(filters.gameId)}`);
+    }
+
+    return conditions.join(' AND ');
+  };
+
+  return {
+    type: HISTORY_TYPES.GAME,
+    fetch: async ({ after, sort, limit }) => {
+      const params = [userId];
+      const rows = await new Query().query(
+        `SELECT *, ${TS('created_at')} AS ts FROM casino_trades
+         WHERE ${where(params)}
+           AND ${afterCursor(TS('created_at'), HISTORY_TYPES.GAME, after, sort, params)}
+         ORDER BY ts ${sort}, id ${sort}
+         LIMIT ${+limit}`,
+        params
+      );
+
+      return rows.map(({ ts, ...row }) => ({ ts, type: HISTORY_TYPES.GAME, id: row.id, item: toGameItem(row) }));
+    },
+    totals: async () => {
+      const params = [userId];
+      const [totals] = await new Query().query(
+        `SELECT COUNT(*) AS count,
+           COALESCE(SUM(stakedamount), 0) AS invested,
+           COALESCE(SUM(CASE WHEN state = ${CASINO_TRADE_STATE.WIN} THEN FLOOR(stakedamount * crashfactor) ELSE 0 END), 0) AS outcome
+         FROM casino_trades
+         WHERE ${where(params)}`,
+        params
+      );
+      return totals;
+    },
+  };
+};
+
+/**
+ * AMM bets and casino trades of a user, newest first by default
+ * @param {string} userId
+ * @param {object} params
+ * @param {string[]} [params.types] HISTORY_TYPES, all by default
+ * @param {string} [params.gameId] only casino trades of this game
+ * @param {Date} [params.from]
+ * @param {Date} [params.to]
+ * @param {string} [params.cursor]
+ * @param {string} [params.sort]
+ * @param {number} [params.limit]
+ * @returns {Promise<{items: object[], nextCursor: string|null, totals: object}>} totals of
+ * everything matching the filters, not just the page
+ */
+const getHistory = async (userId, { types, gameId, from, to, cursor, sort, limit }) => {
+  const filters = { gameId, from, to };
+  const sources = [betSource(userId, filters), gameSource(userId, filters)]
+    .filter((source) => !types?.length || types.includes(source.type))
+    // bets on events don't belong to a game
+    .filter((source) => !gameId || source.type === HISTORY_TYPES.GAME);
+
+  const [page, totals] = await Promise.all([
+    paginate(sources, { cursor, sort, limit }),
+    Promise.all(sources.map((source) => source.totals())),
+  ]);
+
+  return {
+    ...page,
+    totals: {
+      count: totals.reduce((sum, t) => sum + +t.count, 0),
+      investmentAmount: fromScaledBigInt(totals.reduce((sum, t) => sum.plus(t.invested), new BigNumber(0))),
+      outcomeTokensBought: fromScaledBigInt(totals.reduce((sum, t) => sum.plus(t.outcome), new BigNumber(0))),
+    },
+  };
+};
+
+const transactionWhere = (userId, { types, from, to }, params) => [
+  'internal_user_id = $1',
+  `originator = ANY($${params.push(types?.length ? types : TRANSACTION_TYPES)})`,
+  dateRange('created_at', { from, to }, params),
+].join(' AND ');
+
+/**
+ * Deposits, onramps, withdrawals and crypto deposits of a user, newest first by default
+ * @param {string} userId
+ * @param {object} params see getHistory, types are TRANSACTION_TYPES
+ * @returns {Promise<{items: object[], nextCursor: string|null, totals: object}>} totals per
+ * type, amounts only count WFAIR, crypto deposits log the coin they were paid in
+ */
+const getTransactions = async (userId, { types, from, to, cursor, sort, limit }) => {
+  const filters = { types, from, to };
+  const source = {
+    type: 'TRANSACTION',
+    fetch: async ({ after, sort, limit }) => {
+      const params = [userId];
+      const rows = await new Query().query(
+        `SELECT *, ${TS('created_at')} AS ts FROM external_transaction_log
+         WHERE ${transactionWhere(userId, filters, params)}
+           AND ${afterCursor(TS('created_at'), 'TRANSACTION', after, sort, params)}
+         ORDER BY ts ${sort}, id ${sort}
+         LIMIT ${+limit}`,
+        params
+      );
+
+      return rows.map(({ ts, ...row }) => ({ ts, type: 'TRANSACTION', id: row.id, item: row }));
+    },
+  };
+
+  const params = [userId, WFAIR_SYMBOL];
+  const [page, totals] = await Promise.all([
+    paginate([source], { cursor, sort, limit }),
+    new Query().query(
+      `SELECT originator, COUNT(*) AS count,
+         COALESCE(SUM(CASE WHEN symbol IS NULL OR symbol = $2 THEN amount END), 0) AS amount
+       FROM external_transaction_log
+       WHERE ${transactionWhere(userId, filters, params)}
+       GROUP BY originator`,
+      params
+    ),
+  ]);
+
+  return {
+    ...page,
+    totals: {
+      count: totals.reduce((sum, t) => sum + +t.count, 0),
+      byType: totals.reduce((byType, t) => ({
+        ...byType,
+        [t.originator]: { count: +t.count, amount: money.formatWei(t.amount) },
+      }), {}),
+    },
+  };
+};
+
+module.exports = {
+  HISTORY_TYPES,
+  TRANSACTION_TYPES,
+  SORT,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  mergeStreams,
+  paginate,
+  getHistory,
+  getTransactions,
+};
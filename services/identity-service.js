@@ -0,0 +1,250 @@
+const { UserIdentity } = require('../models').models;
+const {
+  Account,
+  AccountNamespace,
+  BN,
+  Query,
+  TransactionManager,
+  WFAIR_SYMBOL,
+} = require('@wallfair.io/trading-engine');
+const userApi = require('./user-api');
+const authService = require('./auth-service');
+const { verifySignedChallenge } = require('./web3-auth-service');
+
+const PROVIDERS = ['google', 'facebook', 'twitch', 'discord'];
+
+const getWallets = async (userId) => {
+  const userAccounts = await new Account().getUserAccounts(userId);
+
+  return userAccounts
+    .filter((userAccount) => userAccount.account_namespace === AccountNamespace.ETH)
+    .map((userAccount) => userAccount.owner_account);
+};
+
+/**
+ * Users who signed up with a provider before identities were stored still log in through
+ * the provider email, that counts as a login method until the identity is recorded
+ * @param user
+ * @param identities all identity documents of the user, unlinked ones included
+ */
+const hasLegacyProviderLogin = (user, identities) => PROVIDERS.includes(user.accountSource) &&
+  !identities.some((identity) => identity.provider === user.accountSource);
+
+/**
+ * Password, linked providers and wallets the user can log in with
+ * @param user
+ * @returns {Promise<{password: boolean, providers: object[], wallets: string[]}>}
+ */
+const getLoginMethods = async (user) => {
+  const userId = user.id;
+  const identities = await UserIdentity.find({ userId });
+  const providers = identities
+    .filter((identity) => !identity.unlinkedAt)
+    .map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt }));
+
+  if (hasLegacyProviderLogin(user, identities)) {
+    providers.push({ provider: user.accountSource, email: user.email, linkedAt: user.date });
+  }
+
+  return {
+    password: !!user.password,
+    providers,
+    wallets: await getWallets(userId),
+  };
+};
+
+const assertNotLastLoginMethod = async (user) => {
+  const { password, providers, wallets } = await getLoginMethods(user);
+
+  if (+password + providers.length + wallets.length <= 1) {
+    throw new Error('LAST_LOGIN_METHOD');
+  }
+};
+
+/**
+ * Stores the provider account of a user, re-linking an identity that was unlinked before
+ * @param {string} userId
+ * @param {string} provider
+ * @param userData result of authService.getUserDataForProvider
+ */
+const recordIdentity = async (userId, provider, { providerUserId, email }) => {
+  if (!providerUserId) {
+    return;
+  }
+
+  await UserIdentity.findOneAndUpdate(
+    { provider, providerUserId: `${providerUserId}` },
+    { userId, email, linkedAt: new Date(), unlinkedAt: null },
+    { upsert: true }
+  );
+};
+
+/**
+ * Resolves the user of a provider login, by the linked identity first and by the provider
+ * email second. Email matches get their identity recorded, so they keep working if the
+ * email at the provider changes.
+ * @param {string} provider
+ * @param userData result of authService.getUserDataForProvider
+ * @returns {Promise<User|null>} null when the login belongs to a new user
+ */
+const getUserForProviderLogin = async (provider, userData) => {
+  const { providerUserId, email } = userData;
+
+  if (providerUserId) {
+    const identity = await UserIdentity.findOne({ provider, providerUserId: `${providerUserId}` });
+
+    if (identity?.unlinkedAt) {
+      throw new Error('IDENTITY_UNLINKED');
+    }
+
+    if (identity) {
+      return userApi.getOne(identity.userId);
+    }
+  }
+
+  const user = await userApi.getUserByIdEmailPhoneOrUsername(email);
+
+  if (user) {
+    if (await UserIdentity.exists({ userId: user.id, provider, unlinkedAt: { $ne: null } })) {
+      throw new Error('IDENTITY_UNLINKED');
+    }
+
+    await recordIdentity(user.id, provider, userData);
+  }
+
+  return user;
+};
+
+const linkProvider = async (user, provider, context) => {
+  const userData = await authService.getUserDataForProvider(provider, context);
+
+  if (!userData.providerUserId) {
+    throw new Error('PROVIDER_ACCOUNT_NOT_FOUND');
+  }
+
+  const identity = await UserIdentity.findOne({
+    provider,
+    providerUserId: `${userData.providerUserId}`,
+    unlinkedAt: null,
+  });
+
+  if (identity) {
+    throw new Error(identity.userId === user.id ? 'IDENTITY_ALREADY_LINKED' : 'IDENTITY_LINKED_TO_OTHER_USER');
+  }
+
+  if (await UserIdentity.exists({ userId: user.id, provider, unlinkedAt: null })) {
+    throw new Error('PROVIDER_ALREADY_LINKED');
+  }
+
+  await recordIdentity(user.id, provider, userData);
+
+  return getLoginMethods(user);
+};
+
+const unlinkProvider = async (user, provider) => {
+  const identities = await UserIdentity.find({ userId: user.id });
+  const identity = identities.find((i) => i.provider === provider && !i.unlinkedAt);
+
+  if (!identity && !(user.accountSource === provider && hasLegacyProviderLogin(user, identities))) {
+    throw new Error('IDENTITY_NOT_FOUND');
+  }
+
+  await assertNotLastLoginMethod(user);
+
+  if (identity) {
+    identity.unlinkedAt = new Date();
+    await identity.save();
+  } else {
+    // legacy provider signup, the placeholder blocks the email match of loginThroughProvider
+    await UserIdentity.create({
+      userId: user.id,
+      provider,
+      providerUserId: `legacy:${user.id}`,
+      email: user.email,
+      unlinkedAt: new Date(),
+    });
+  }
+
+  return getLoginMethods(user);
+};
+
+/**
+ * Links an Ethereum address proven by a signed challenge, any WFAIR already deposited
+ * to the address is moved to the user account, like on a web3 sign up
+ * @param user
+ * @param {string} address
+ * @param {string} challenge issued by GET /api/auth/web3/:address
+ * @param {string} signResponse
+ */
+const linkWallet = async (user, address, challenge, signResponse) => {
+  if (!(await verifySignedChallenge(address, challenge, signResponse))) {
+    throw new Error('INVALID_SIGNATURE');
+  }
+
+  const transaction = new TransactionManager();
+
+  try {
+    await transaction.startTransaction();
+
+    const userAccount = await transaction.account.getUserLink(address);
+
+    if (userAccount) {
+      throw new Error(userAccount.user_id === user.id ? 'WALLET_ALREADY_LINKED' : 'WALLET_LINKED_TO_OTHER_USER');
+    }
+
+    await transaction.account.linkEthereumAccount(user.id, address);
+
+    const ethAccount = await transaction.account.findAccount(address);
+
+    if (ethAccount && new BN(ethAccount.balance).isGreaterThan(0)) {
+      await transaction.wallet.transfer(
+        {
+          owner: ethAccount.owner_account,
+          namespace: AccountNamespace.ETH,
+          symbol: WFAIR_SYMBOL,
+        },
+        {
+          owner: user.id,
+          namespace: AccountNamespace.USR,
+          symbol: WFAIR_SYMBOL,
+        },
+        ethAccount.balance
+      );
+    }
+
+    await transaction.commitTransaction();
+  } catch (e) {
+    await transaction.rollbackTransaction();
+    throw e;
+  }
+
+  return getLoginMethods(user);
+};
+
+const unlinkWallet = async (user, address) => {
+  if (!(await new Account().isUserOwner(user.id, address))) {
+    throw new Error('WALLET_NOT_FOUND');
+  }
+
+  await assertNotLastLoginMethod(user);
+
+  // the trading engine has no unlink, the eth account and its balance stay untouched
+  await new Query().query(
+    `DELETE FROM user_account
+     WHERE user_id = $1 AND LOWER(owner_account) = LOWER($2) AND account_namespace = $3`,
+    [user.id, address, AccountNamespace.ETH]
+  );
+
+  return getLoginMethods(user);
+};
+
+module.exports = {
+  PROVIDERS,
+  getLoginMethods,
+  recordIdentity,
+  getUserForProviderLogin,
+  linkProvider,
+  unlinkProvider,
+  linkWallet,
+  unlinkWallet,
+};
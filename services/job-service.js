@@ -0,0 +1,157 @@
+/** Runs triggered by hand are deleted once they finished this many days ago */
+const JOB_RUN_RETENTION_DAYS = +process.env.JOB_RUN_RETENTION_DAYS || 7;
+/** Runs triggered by hand that the status of a job is built from, newest first */
+const JOB_RUNS_LISTED = 20;
+
+// the registry is handed over by init, the jobs use services that trigger them here
+let JOBS = [];
+
+const getJob = (name) => {
+  const job = JOBS.find((j) => j.name === name);
+
+  if (!job) {
+    throw new Error('NOT_FOUND');
+  }
+
+  return job;
+};
+
+const latest = (docs, field) => docs
+  .filter((doc) => doc[field])
+  .sort((a, b) => b[field] - a[field])[0];
+
+/**
+ * State of a job for the admin panel. A job has one document for its schedule and one for
+ * every run triggered by hand.
+ * @param {JobDefinition} job
+ * @param {object[]} docs attrs of the agenda documents of the job
+ */
+const toJobStatus = (job, docs) => {
+  const scheduled = docs.find((doc) => doc.type === 'single');
+  const lastRun = latest(docs, 'lastRunAt');
+  const lastFailure = latest(docs, 'failedAt');
+
+  return {
+    name: job.name,
+    description: job.description,
+    schedule: job.schedule,
+    lockLifetime: job.lockLifetime,
+    concurrency: job.concurrency,
+    enabled: job.enabled,
+    paused: !!scheduled?.disabled,
+    running: docs.some((doc) => !!doc.lockedAt),
+    nextRunAt: scheduled?.disabled ? null : scheduled?.nextRunAt || null,
+    lastRunAt: lastRun?.lastRunAt || null,
+    lastFinishedAt: lastRun?.lastFinishedAt || null,
+    lastFailedAt: lastFailure?.failedAt || null,
+    lastFailReason: lastFailure?.failReason || null,
+    failCount: docs.reduce((sum, doc) => sum + (doc.failCount || 0), 0),
+  };
+};
+
+/**
+ * Defines and schedules the enabled jobs
+ * @param {JobDefinition[]} jobs JOBS of the job registry
+ */
+const init = async (jobs) => {
+  const { agenda } = require('../util/agenda');
+  JOBS = jobs;
+
+  agenda.on('fail', (err, job) => {
+    console.log(`Job ${job.attrs.name} failed with error: ${err.message}, Stack: ${err.stack}`);
+  });
+
+  for (const job of JOBS.filter((j) => j.enabled)) {
+    agenda.define(
+      job.name,
+      { concurrency: job.concurrency, lockLifetime: job.lockLifetime },
+      () => job.run()
+    );
+
+    if (job.schedule) {
+      await agenda.every(job.schedule, job.name);
+    }
+  }
+};
+
+/**
+ * Status of every job, built from its schedule and its latest JOB_RUNS_LISTED runs triggered
+ * by hand
+ */
+const listJobs = async () => {
+  const { agenda } = require('../util/agenda');
+  const [scheduled, ...runs] = await Promise.all([
+    agenda.jobs({ name: { $in: JOBS.map((j) => j.name) }, type: 'single' }),
+    ...JOBS.map((job) => agenda.jobs({ name: job.name, type: 'normal' }, { _id: -1 }, JOB_RUNS_LISTED)),
+  ]);
+
+  return JOBS.map((job, i) => toJobStatus(job, [
+    ...scheduled.map((j) => j.attrs).filter((attrs) => attrs.name === job.name),
+    ...runs[i].map((j) => j.attrs),
+  ]));
+};
+
+const getEnabledJob = (name) => {
+  const job = getJob(name);
+
+  if (!job.enabled) {
+    throw new Error('JOB_DISABLED');
+  }
+
+  return job;
+};
+
+/**
+ * Queues a run on whichever pod picks it up first, paused jobs included
+ * @param {string} name
+ */
+const runNow = async (name) => {
+  const { agenda } = require('../util/agenda');
+  const job = getEnabledJob(name);
+
+  await agenda.now(job.name);
+
+  // every run triggered by hand leaves a document behind
+  await agenda.cancel({
+    name: job.name,
+    type: 'normal',
+    lastFinishedAt: { $lt: new Date(Date.now() - JOB_RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000) },
+  });
+};
+
+const getScheduledJob = (name) => {
+  const job = getEnabledJob(name);
+
+  if (!job.schedule) {
+    throw new Error('JOB_NOT_SCHEDULED');
+  }
+
+  return job;
+};
+
+/**
+ * Stops the schedule of a job until it is resumed, restarts keep it paused
+ * @param {string} name
+ */
+const pauseJob = async (name) => {
+  const { agenda } = require('../util/agenda');
+  const job = getScheduledJob(name);
+
+  await agenda.disable({ name: job.name, type: 'single' });
+};
+
+const resumeJob = async (name) => {
+  const { agenda } = require('../util/agenda');
+  const job = getScheduledJob(name);
+
+  await agenda.enable({ name: job.name, type: 'single' });
+};
+
+module.exports = {
+  toJobStatus,
+  init,
+  listJobs,
+  runNow,
+  pauseJob,
+  resumeJob,
+};
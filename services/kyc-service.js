@@ -0,0 +1,360 @@
+const { randomBytes } = require('crypto');
+const { KycVerification } = require('../models').models;
+const { User } = require('@wallfair.io/wallfair-commons').models;
+const { notificationEvents } = require('@wallfair.io/wallfair-commons/constants/eventTypes');
+const outboxService = require('./outbox-service');
+const awsS3Service = require('./aws-s3-service');
+const { KycRequiredError } = require('../util/error-handler');
+const { KYC_STATUSES, KYC_DOCUMENT_TYPES } = require('../util/constants');
+
+const PROVIDERS = {
+  mock: require('../util/mock.kyc'),
+};
+
+/**
+ * Threshold from the environment, unset ones take the default. 0 is kept, it requires an
+ * approved KYC for every withdrawal.
+ * @param {string} name
+ * @param {number} fallback in WFAIR
+ * @returns {number}
+ */
+const getThreshold = (name, fallback) => {
+  const value = process.env[name];
+
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  if (!(+value >= 0)) {
+    throw new Error(`Invalid ${name} ${value}`);
+  }
+
+  return +value;
+};
+
+/**
+ * Withdrawals above these amounts (in WFAIR) need an approved KYC. Small withdrawals stay
+ * possible without one, bonus money is withdrawn with a KYC sooner.
+ */
+const KYC_WITHDRAWAL_THRESHOLD = getThreshold('KYC_WITHDRAWAL_THRESHOLD', 1000);
+const KYC_PROMO_WITHDRAW_THRESHOLD = getThreshold('KYC_PROMO_WITHDRAW_THRESHOLD', 100);
+
+const ALLOWED_CONTENT_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+/**
+ * Status changes the state machine allows, approved verifications can be sent back when a
+ * document turns out to be invalid later on
+ */
+const KYC_TRANSITIONS = {
+  [KYC_STATUSES.NOT_STARTED]: [KYC_STATUSES.PENDING],
+  [KYC_STATUSES.PENDING]: [KYC_STATUSES.APPROVED, KYC_STATUSES.REJECTED, KYC_STATUSES.NEEDS_RESUBMISSION],
+  [KYC_STATUSES.NEEDS_RESUBMISSION]: [KYC_STATUSES.PENDING],
+  [KYC_STATUSES.APPROVED]: [KYC_STATUSES.NEEDS_RESUBMISSION],
+  [KYC_STATUSES.REJECTED]: [],
+};
+
+/** Statuses in which the user can upload documents */
+const EDITABLE_STATUSES = [KYC_STATUSES.NOT_STARTED, KYC_STATUSES.NEEDS_RESUBMISSION];
+
+/** Status of the wallfair-commons user.kyc field, which knows no resubmission */
+const USER_KYC_STATUSES = {
+  [KYC_STATUSES.PENDING]: 'pending',
+  [KYC_STATUSES.APPROVED]: 'approved',
+  [KYC_STATUSES.REJECTED]: 'rejected',
+  [KYC_STATUSES.NEEDS_RESUBMISSION]: 'rejected',
+};
+
+const canTransition = (from, to) => (KYC_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * @param {string} status one of KYC_STATUSES
+ * @param {number} amount
+ * @param {number} threshold
+ * @returns {boolean} whether moving the amount needs a KYC the user doesn't have yet
+ */
+const isKycRequired = (status, amount, threshold) =>
+  amount > threshold && status !== KYC_STATUSES.APPROVED;
+
+const getProvider = () => {
+  const provider = PROVIDERS[process.env.KYC_PROVIDER || 'mock'];
+
+  if (!provider) {
+    throw new Error(`Unknown KYC_PROVIDER ${process.env.KYC_PROVIDER}`);
+  }
+
+  return provider;
+};
+
+const getCurrentDocuments = (verification) =>
+  (verification?.documents || []).filter((document) => !document.replacedAt);
+
+/**
+ * KYC status as shown to the user, document contents are never part of it
+ * @param verification KycVerification, null if the user never uploaded anything
+ */
+const toKycView = (verification) => ({
+  status: verification?.status || KYC_STATUSES.NOT_STARTED,
+  rejectionReason: verification?.rejectionReason || null,
+  submittedAt: verification?.submittedAt || null,
+  reviewedAt: verification?.reviewedAt || null,
+  documents: getCurrentDocuments(verification).map((document) => ({
+    id: document.id,
+    type: document.type,
+    filename: document.filename,
+    contentType: document.contentType,
+    size: document.size,
+    uploadedAt: document.uploadedAt,
+  })),
+});
+
+const getKycStatus = async (userId) => {
+  const verification = await KycVerification.findOne({ userId: `${userId}` }, ['status']);
+  return verification?.status || KYC_STATUSES.NOT_STARTED;
+};
+
+const publishKycUpdate = (verification) => {
+  return outboxService.publish('event.user_kyc_update', {
+    event: notificationEvents.EVENT_USER_KYC_UPDATE,
+    producerId: verification.userId,
+    data: {
+      userId: verification.userId,
+      status: verification.status,
+      rejectionReason: verification.rejectionReason,
+      updatedAt: Date.now(),
+    },
+  });
+};
+
+/**
+ * Moves the verification to another status, records the change and informs other services
+ * @param verification KycVerification
+ * @param {string} to one of KYC_STATUSES
+ * @param {object} change
+ * @param {string} change.by admin user id, `user` or the provider name
+ * @param {string} [change.reason]
+ */
+const changeStatus = async (verification, to, { by, reason = null }) => {
+  const from = verification.status;
+
+  if (!canTransition(from, to)) {
+    throw new Error('INVALID_KYC_TRANSITION');
+  }
+
+  const now = new Date();
+  verification.status = to;
+  verification.history.push({ from, to, by, reason, at: now });
+
+  if (to === KYC_STATUSES.PENDING) {
+    verification.submittedAt = now;
+    verification.rejectionReason = null;
+  } else {
+    verification.reviewedAt = now;
+    verification.reviewedBy = by;
+    verification.rejectionReason = to === KYC_STATUSES.APPROVED ? null : reason;
+  }
+
+  await verification.save();
+
+  await User.updateOne(
+    { _id: verification.userId },
+    { 'kyc.status': USER_KYC_STATUSES[to], 'kyc.date': now }
+  );
+
+  await publishKycUpdate(verification);
+
+  return verification;
+};
+
+const getVerification = async (userId) => toKycView(
+  await KycVerification.findOne({ userId: `${userId}` })
+);
+
+/**
+ * Stores a document in the private bucket, an earlier document of the same type gets replaced
+ * @param {string} userId
+ * @param {string} type one of KYC_DOCUMENT_TYPES
+ * @param file multer file kept in memory
+ */
+const uploadDocument = async (userId, type, file) => {
+  if (!Object.values(KYC_DOCUMENT_TYPES).includes(type)) {
+    throw new Error('INVALID_DOCUMENT_TYPE');
+  }
+
+  if (!file || !ALLOWED_CONTENT_TYPES.includes(file.mimetype)) {
+    throw new Error('INVALID_DOCUMENT_FILE');
+  }
+
+  const verification = await KycVerification.findOne({ userId: `${userId}` }) ||
+    new KycVerification({ userId, status: KYC_STATUSES.NOT_STARTED });
+
+  if (!EDITABLE_STATUSES.includes(verification.status)) {
+    throw new Error('KYC_LOCKED');
+  }
+
+  const key = await awsS3Service.uploadPrivate(
+    `kyc/${userId}/${randomBytes(16).toString('hex')}`,
+    file.buffer,
+    file.mimetype
+  );
+
+  getCurrentDocuments(verification)
+    .filter((document) => document.type === type)
+    .forEach((document) => {
+      document.replacedAt = new Date();
+    });
+
+  verification.documents.push({
+    type,
+    filename: file.originalname,
+    contentType: file.mimetype,
+    size: file.size,
+    key,
+  });
+
+  await verification.save();
+
+  return toKycView(verification);
+};
+
+/**
+ * Hands the uploaded documents to the KYC provider, once every document type is there
+ * @param {string} userId
+ */
+const submitVerification = async (userId) => {
+  const verification = await KycVerification.findOne({ userId: `${userId}` });
+  const documents = getCurrentDocuments(verification);
+
+  if (!verification || !canTransition(verification.status, KYC_STATUSES.PENDING)) {
+    throw new Error(verification ? 'KYC_LOCKED' : 'KYC_DOCUMENTS_MISSING');
+  }
+
+  const missing = Object.values(KYC_DOCUMENT_TYPES)
+    .filter((type) => !documents.some((document) => document.type === type));
+
+  if (missing.length) {
+    throw new Error('KYC_DOCUMENTS_MISSING');
+  }
+
+  const provider = getProvider();
+  const result = await provider.submitVerification({ userId: verification.userId, documents });
+
+  verification.provider = provider.name;
+  verification.providerReference = result.reference;
+  await changeStatus(verification, KYC_STATUSES.PENDING, { by: 'user' });
+
+  if (result.status !== KYC_STATUSES.PENDING) {
+    await changeStatus(verification, result.status, { by: provider.name, reason: result.reason });
+  }
+
+  return toKycView(verification);
+};
+
+/**
+ * Decision of an admin on a verification
+ * @param {string} userId
+ * @param {string} status approved, rejected or needs_resubmission
+ * @param {string} reason shown to the user, required unless approving
+ * @param {string} adminId
+ */
+const reviewVerification = async (userId, status, reason, adminId) => {
+  const verification = await KycVerification.findOne({ userId: `${userId}` });
+
+  if (!verification) {
+    throw new Error('NOT_FOUND');
+  }
+
+  if (status !== KYC_STATUSES.APPROVED && !reason) {
+    throw new Error('KYC_REASON_REQUIRED');
+  }
+
+  return changeStatus(verification, status, { by: adminId, reason });
+};
+
+/**
+ * Verifications for the admin review queue, oldest submission first
+ * @param {object} filter
+ * @param {string} filter.status one of KYC_STATUSES, pending by default
+ * @param {number} filter.limit
+ * @param {number} filter.skip
+ */
+const listVerifications = async ({ status = KYC_STATUSES.PENDING, limit = 20, skip = 0 }) => {
+  const filter = { status };
+  const [total, items] = await Promise.all([
+    KycVerification.countDocuments(filter),
+    KycVerification.find(filter, ['userId', 'status', 'provider', 'submittedAt', 'reviewedAt'])
+      .sort({ submittedAt: 1 })
+      .skip(+skip)
+      .limit(+limit),
+  ]);
+
+  return { total, items };
+};
+
+/**
+ * Admin view of a verification, with replaced documents and the status history
+ * @param {string} userId
+ */
+const getUserVerification = async (userId) => {
+  const verification = await KycVerification.findOne({ userId: `${userId}` }, { 'documents.key': 0 });
+
+  if (!verification) {
+    throw new Error('NOT_FOUND');
+  }
+
+  return verification;
+};
+
+/**
+ * Document metadata and its S3 object, for admins to look at
+ * @param {string} userId
+ * @param {string} documentId
+ */
+const getDocument = async (userId, documentId) => {
+  const verification = await KycVerification.findOne({ userId: `${userId}` });
+  const document = verification?.documents.id(documentId);
+
+  if (!document) {
+    throw new Error('NOT_FOUND');
+  }
+
+  return {
+    document,
+    object: await awsS3Service.getPrivateObject(document.key),
+  };
+};
+
+/**
+ * Throws a KycRequiredError if the amount is above the threshold and the user's KYC is not
+ * approved
+ * @param {string} userId
+ * @param {number} amount in WFAIR
+ * @param {number} threshold in WFAIR
+ */
+const assertKycApproved = async (userId, amount, threshold) => {
+  const status = await getKycStatus(userId);
+
+  if (isKycRequired(status, amount, threshold)) {
+    throw new KycRequiredError(status, threshold);
+  }
+};
+
+const assertCanWithdraw = (userId, amount) =>
+  assertKycApproved(userId, amount, KYC_WITHDRAWAL_THRESHOLD);
+
+const assertCanWithdrawPromo = (userId, amount) =>
+  assertKycApproved(userId, amount, KYC_PROMO_WITHDRAW_THRESHOLD);
+
+module.exports = {
+  canTransition,
+  isKycRequired,
+  getKycStatus,
+  publishKycUpdate,
+  getVerification,
+  uploadDocument,
+  submitVerification,
+  reviewVerification,
+  listVerifications,
+  getUserVerification,
+  getDocument,
+  assertCanWithdraw,
+  assertCanWithdrawPromo,
+};
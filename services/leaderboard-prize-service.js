@@ -0,0 +1,412 @@
+const { LeaderboardSnapshot, LeaderboardPrizeTable, LeaderboardPayout } = require('../models').models;
+const {
+  AccountNamespace,
+  BN,
+  TransactionManager,
+  WFAIR_SYMBOL,
+  toWei,
+} = require('@wallfair.io/trading-engine');
+const { notificationEvents } = require('@wallfair.io/wallfair-commons/constants/eventTypes');
+const outboxService = require('./outbox-service');
+const jobService = require('./job-service');
+const { getPeriod } = require('./leaderboard-service');
+const { formatAmount } = require('../util/money');
+const {
+  LEADERBOARD_PAYOUT_STATUSES,
+  LEADERBOARD_WINNER_STATUSES,
+} = require('../util/constants');
+
+/** Prizes are paid from the wallet that pays out bonus money */
+const getRewardAccount = () => ({
+  owner: process.env.REWARD_WALLET,
+  namespace: AccountNamespace.ETH,
+  symbol: WFAIR_SYMBOL,
+});
+
+const getUserAccount = (userId) => ({
+  owner: userId,
+  namespace: AccountNamespace.USR,
+  symbol: WFAIR_SYMBOL,
+});
+
+/**
+ * @param {object} table
+ * @param {number} table.pool WFAIR
+ * @param {number[]} table.shares percent of the pool per rank
+ */
+const validatePrizeTable = ({ pool, shares }) => {
+  const total = (shares || []).reduce((sum, share) => sum + share, 0);
+
+  if (!(pool > 0) || !shares?.length || shares.some((share) => !(share > 0)) || total > 100) {
+    throw new Error('INVALID_PRIZE_TABLE');
+  }
+};
+
+/**
+ * Winners of a leaderboard by its prize table. Users who did not win anything don't get a
+ * prize, shares without a winner stay in the rewards wallet.
+ * @param {object[]} users ranked users of the snapshot
+ * @param {object} table
+ * @returns {object[]} winners, prizes in WFAIR rounded down
+ */
+const computeWinners = (users, { pool, shares }) => users
+  .filter((user) => user.amountWon > 0)
+  .slice(0, shares.length)
+  .map((user, i) => ({
+    userId: `${user._id}`,
+    username: user.username,
+    rank: i + 1,
+    amountWon: user.amountWon,
+    prize: formatAmount(new BN(pool).times(shares[i]).dividedBy(100)),
+    status: LEADERBOARD_WINNER_STATUSES.PENDING,
+  }));
+
+const listPrizeTables = () => LeaderboardPrizeTable.find().sort({ type: 1, period: 1 });
+
+/**
+ * Creates or changes the prize table of a leaderboard, periods that already have a payout
+ * keep their prizes
+ */
+const setPrizeTable = async (type, period, { pool, shares, enabled = true }, adminId) => {
+  validatePrizeTable({ pool, shares });
+
+  return LeaderboardPrizeTable.findOneAndUpdate(
+    { type, period },
+    { pool, shares, enabled, updatedBy: adminId },
+    { upsert: true, new: true }
+  );
+};
+
+const getPrizeTable = async (type, period) => {
+  const table = await LeaderboardPrizeTable.findOne({ type, period });
+
+  if (!table) {
+    throw new Error('NOT_FOUND');
+  }
+
+  return table;
+};
+
+/**
+ * Winners of a period by its current snapshot, nothing is stored
+ * @param {string} type one of PERIODIC_TYPES
+ * @param {string} period one of LEADERBOARD_PERIODS
+ * @param {Date} date any time within the period
+ */
+const previewPayout = async (type, period, date) => {
+  const table = await getPrizeTable(type, period);
+  const snapshot = await LeaderboardSnapshot.findOne({ type, period, start: getPeriod(period, date).start });
+
+  if (!snapshot) {
+    throw new Error('NOT_FOUND');
+  }
+
+  return {
+    type,
+    period,
+    start: snapshot.start,
+    end: snapshot.end,
+    final: snapshot.final,
+    pool: table.pool,
+    winners: computeWinners(snapshot.users, table),
+  };
+};
+
+/**
+ * Freezes the winners of every ended period without a payout, an admin approves their
+ * payout. Periods that ended before their prize table was created don't get prizes.
+ */
+const createPayouts = async () => {
+  const tables = await LeaderboardPrizeTable.find({ enabled: true });
+
+  for (const table of tables) {
+    const frozen = await LeaderboardPayout.distinct('start', { type: table.type, period: table.period });
+    const snapshots = await LeaderboardSnapshot.find({
+      type: table.type,
+      period: table.period,
+      final: true,
+      start: { $nin: frozen },
+      end: { $gt: table.createdAt },
+    }).sort({ start: 1 });
+
+    for (const snapshot of snapshots) {
+      await LeaderboardPayout.create({
+        type: table.type,
+        period: table.period,
+        start: snapshot.start,
+        end: snapshot.end,
+        pool: table.pool,
+        status: LEADERBOARD_PAYOUT_STATUSES.PENDING_APPROVAL,
+        winners: computeWinners(snapshot.users, table),
+      }).catch((e) => {
+        // another pod froze the period first
+        if (e.code !== 11000) {
+          throw e;
+        }
+      });
+    }
+  }
+};
+
+const getPayout = async (id) => {
+  const payout = await LeaderboardPayout.findById(id).catch(() => null);
+
+  if (!payout) {
+    throw new Error('NOT_FOUND');
+  }
+
+  return payout;
+};
+
+/**
+ * @param {object} filter
+ * @param {string} [filter.status] one of LEADERBOARD_PAYOUT_STATUSES
+ * @param {string} [filter.winnerStatus] one of LEADERBOARD_WINNER_STATUSES, e.g. paying to
+ * find the winners to reconcile
+ * @param {number} filter.limit
+ * @param {number} filter.skip
+ */
+const listPayouts = async ({ status, winnerStatus, limit = 20, skip = 0 }) => {
+  const filter = {
+    ...(status && { status }),
+    ...(winnerStatus && { 'winners.status': winnerStatus }),
+  };
+  const [total, payouts] = await Promise.all([
+    LeaderboardPayout.countDocuments(filter),
+    LeaderboardPayout.find(filter).sort({ start: -1 }).skip(+skip).limit(+limit),
+  ]);
+
+  return { total, payouts };
+};
+
+const reviewPayout = async (id, status, set) => {
+  const payout = await LeaderboardPayout.findOneAndUpdate(
+    { _id: id, status: LEADERBOARD_PAYOUT_STATUSES.PENDING_APPROVAL },
+    { ...set, status, reviewedAt: new Date() },
+    { new: true }
+  ).catch(() => null);
+
+  if (!payout) {
+    await getPayout(id);
+    throw new Error('INVALID_PAYOUT_TRANSITION');
+  }
+
+  return payout;
+};
+
+const triggerPayment = async () => {
+  await jobService.runNow('distributeLeaderboardPrizes').catch((e) => {
+    // the schedule of the job picks it up
+    console.error('LEADERBOARD PRIZES: could not trigger the job', e.message);
+  });
+};
+
+/**
+ * Releases the prizes of a payout, the distributeLeaderboardPrizes job pays them
+ * @param {string} id
+ * @param {string} adminId
+ */
+const approvePayout = async (id, adminId) => {
+  const payout = await reviewPayout(id, LEADERBOARD_PAYOUT_STATUSES.APPROVED, { reviewedBy: adminId });
+  await triggerPayment();
+
+  return payout;
+};
+
+const rejectPayout = (id, reason, adminId) => reviewPayout(id, LEADERBOARD_PAYOUT_STATUSES.REJECTED, {
+  reviewedBy: adminId,
+  rejectionReason: reason,
+});
+
+/**
+ * Pays the failed winners of a payout again. Winners left paying are not retried, their
+ * transfer may have gone through, see reconcileWinner.
+ * @param {string} id
+ */
+const retryPayout = async (id) => {
+  const payout = await LeaderboardPayout.findOneAndUpdate(
+    { _id: id, status: LEADERBOARD_PAYOUT_STATUSES.FAILED },
+    {
+      status: LEADERBOARD_PAYOUT_STATUSES.APPROVED,
+      'winners.$[failed].status': LEADERBOARD_WINNER_STATUSES.PENDING,
+    },
+    { new: true, arrayFilters: [{ 'failed.status': LEADERBOARD_WINNER_STATUSES.FAILED }] }
+  ).catch(() => null);
+
+  if (!payout) {
+    await getPayout(id);
+    throw new Error('INVALID_PAYOUT_TRANSITION');
+  }
+
+  await triggerPayment();
+
+  return payout;
+};
+
+const setWinnerStatus = (payout, winner, from, set, options) => LeaderboardPayout.findOneAndUpdate(
+  { _id: payout._id, winners: { $elemMatch: { _id: winner._id, status: from } } },
+  Object.entries(set).reduce((update, [field, value]) => ({ ...update, [`winners.$.${field}`]: value }), {}),
+  { new: true, ...options }
+);
+
+// no gainAmount, prizes don't count on the leaderboards themselves
+const publishPrizeReward = (payout, winner, session) => outboxService.publish('event.user_reward', {
+  event: notificationEvents.EVENT_USER_REWARD,
+  producer: 'system',
+  producerId: 'leaderboard',
+  data: {
+    user: { _id: winner.userId, username: winner.username },
+    reward: +winner.prize,
+    rewardType: 'leaderboard_prize',
+    leaderboard: {
+      type: payout.type,
+      period: payout.period,
+      start: payout.start,
+      rank: winner.rank,
+    },
+  },
+  broadcast: true,
+}, { session });
+
+const payWinner = async (payout, winner) => {
+  // a crash after the transfer leaves the winner paying, to be checked instead of paid twice
+  const claimed = await setWinnerStatus(payout, winner, LEADERBOARD_WINNER_STATUSES.PENDING, {
+    status: LEADERBOARD_WINNER_STATUSES.PAYING,
+  });
+
+  if (!claimed) {
+    return;
+  }
+
+  const transaction = new TransactionManager();
+
+  try {
+    await transaction.startTransaction();
+    await transaction.wallet.transfer(
+      getRewardAccount(),
+      getUserAccount(winner.userId),
+      toWei(winner.prize).toFixed()
+    );
+    await transaction.commitTransaction();
+  } catch (e) {
+    await transaction.rollbackTransaction();
+    console.error('LEADERBOARD PRIZES: ', payout._id, winner.userId, e.message);
+    await setWinnerStatus(payout, winner, LEADERBOARD_WINNER_STATUSES.PAYING, {
+      status: LEADERBOARD_WINNER_STATUSES.FAILED,
+      error: e.message,
+    });
+    return;
+  }
+
+  await outboxService.withTransaction(async (session) => {
+    await setWinnerStatus(payout, winner, LEADERBOARD_WINNER_STATUSES.PAYING, {
+      status: LEADERBOARD_WINNER_STATUSES.PAID,
+      paidAt: new Date(),
+    }, { session });
+
+    await publishPrizeReward(payout, winner, session);
+  });
+};
+
+/**
+ * Closes a payout once none of its winners is being paid
+ * @param {string} id
+ * @param {string} from status the payout has to be in
+ */
+const settlePayout = async (id, from) => {
+  const { winners } = await LeaderboardPayout.findById(id);
+  const paid = winners.every((winner) => winner.status === LEADERBOARD_WINNER_STATUSES.PAID);
+
+  await LeaderboardPayout.updateOne(
+    { _id: id, status: from },
+    paid
+      ? { status: LEADERBOARD_PAYOUT_STATUSES.PAID, paidAt: new Date() }
+      : { status: LEADERBOARD_PAYOUT_STATUSES.FAILED }
+  );
+};
+
+/**
+ * Pays the winners of the approved payouts
+ */
+const payApproved = async () => {
+  const payouts = await LeaderboardPayout.find({ status: LEADERBOARD_PAYOUT_STATUSES.APPROVED });
+
+  for (const payout of payouts) {
+    for (const winner of payout.winners) {
+      await payWinner(payout, winner);
+    }
+
+    await settlePayout(payout._id, LEADERBOARD_PAYOUT_STATUSES.APPROVED);
+  }
+};
+
+/**
+ * Settles a winner left paying once an admin checked the ledger for the transfer. A paid
+ * winner gets the reward event, an unpaid one fails and is paid again by retryPayout.
+ * @param {string} id
+ * @param {string} winnerId
+ * @param {boolean} paid whether the prize reached the user
+ * @param {string} adminId
+ */
+const reconcileWinner = async (id, winnerId, paid, adminId) => {
+  const payout = await getPayout(id);
+  const winner = payout.winners.find((w) => `${w._id}` === winnerId);
+
+  if (!winner) {
+    throw new Error('NOT_FOUND');
+  }
+
+  const settled = paid
+    ? await outboxService.withTransaction(async (session) => {
+      const updated = await setWinnerStatus(payout, winner, LEADERBOARD_WINNER_STATUSES.PAYING, {
+        status: LEADERBOARD_WINNER_STATUSES.PAID,
+        paidAt: new Date(),
+        reconciledBy: adminId,
+      }, { session });
+
+      if (updated) {
+        await publishPrizeReward(payout, winner, session);
+      }
+
+      return updated;
+    })
+    : await setWinnerStatus(payout, winner, LEADERBOARD_WINNER_STATUSES.PAYING, {
+      status: LEADERBOARD_WINNER_STATUSES.FAILED,
+      error: 'Not paid, reconciled by an admin',
+      reconciledBy: adminId,
+    });
+
+  if (!settled) {
+    throw new Error('INVALID_PAYOUT_TRANSITION');
+  }
+
+  // approved payouts are settled by the job that pays them
+  await settlePayout(payout._id, LEADERBOARD_PAYOUT_STATUSES.FAILED);
+
+  return getPayout(id);
+};
+
+/**
+ * Freezes the ended periods and pays the approved ones, run by the
+ * distributeLeaderboardPrizes job
+ */
+const distributePrizes = async () => {
+  await createPayouts();
+  await payApproved();
+};
+
+module.exports = {
+  validatePrizeTable,
+  computeWinners,
+  listPrizeTables,
+  setPrizeTable,
+  previewPayout,
+  listPayouts,
+  getPayout,
+  approvePayout,
+  rejectPayout,
+  retryPayout,
+  reconcileWinner,
+  publishPrizeReward,
+  distributePrizes,
+};
@@ -1,26 +1,90 @@
 const { User, UniversalEvent } = require('@wallfair.io/wallfair-commons').models;
+const { LeaderboardSnapshot } = require('../models').models;
+const { Query, fromWei } = require('@wallfair.io/trading-engine');
+const { CASINO_TRADE_STATE } = require('@wallfair.io/wallfair-casino');
 const mongoose = require('mongoose');
 const moment = require('moment');
+const { promisify } = require('util');
+const { LEADERBOARD_TYPES, LEADERBOARD_PERIODS, LEADERBOARD_RANKINGS } = require('../util/constants');
+const { getEventId } = require('../util/event-builder');
 
-const getList = async (type, limit, skip) => {
-  let result;
+/** Users kept per snapshot */
+const LEADERBOARD_SNAPSHOT_SIZE = +process.env.LEADERBOARD_SNAPSHOT_SIZE || 100;
+/** Users a live leaderboard is seeded with from the events, see seedLive */
+const LIVE_SEED_SIZE = 10000;
+const LIVE_KEY_PREFIX = 'LEADERBOARD/';
+const LIVE_TTL_SECONDS = 2 * 24 * 60 * 60;
 
-  const dates = {
-    start: moment().startOf('day').toDate(),
-    end: moment().endOf('day').toDate()
-  };
+/** Leaderboards aggregated from events, the others are not kept per period */
+const PERIODIC_TYPES = [
+  LEADERBOARD_TYPES.HIGH_EVENTS,
+  LEADERBOARD_TYPES.HIGH_GAMES,
+  LEADERBOARD_TYPES.HIGH_VOLUME,
+];
+
+const PERIOD_UNITS = {
+  [LEADERBOARD_PERIODS.DAY]: 'day',
+  [LEADERBOARD_PERIODS.WEEK]: 'isoWeek',
+  [LEADERBOARD_PERIODS.MONTH]: 'month',
+};
+
+/** Scores of the casino rankings per user, over the won and lost trades of a period */
+const RANKING_SCORES = {
+  [LEADERBOARD_RANKINGS.MULTIPLIER]: `MAX(CASE WHEN t.state = ${CASINO_TRADE_STATE.WIN} THEN t.crashfactor END)`,
+  [LEADERBOARD_RANKINGS.WIN]: `MAX(CASE WHEN t.state = ${CASINO_TRADE_STATE.WIN} THEN t.amountpaid - t.stakedamount END)`,
+  [LEADERBOARD_RANKINGS.PROFIT]: 'SUM(COALESCE(t.amountpaid, 0) - t.stakedamount)',
+};
+
+let redisClient;
+
+const run = (command, ...args) => promisify(redisClient[command]).apply(redisClient, args);
+
+const isReady = () => !!redisClient?.connected;
+
+const init = (redis) => {
+  redisClient = redis;
+};
+
+/**
+ * @param {string} period one of LEADERBOARD_PERIODS
+ * @param {Date} [date] any time within the period
+ * @returns {{start: Date, end: Date}}
+ */
+const getPeriod = (period, date = new Date()) => ({
+  start: moment(date).startOf(PERIOD_UNITS[period]).toDate(),
+  end: moment(date).endOf(PERIOD_UNITS[period]).toDate(),
+});
+
+const getLiveKey = (type, date) => `${LIVE_KEY_PREFIX}${type}/${moment(date).format('YYYY-MM-DD')}`;
+
+const hasGameFilters = ({ gameId, provider, category, rankBy } = {}) =>
+  !!(gameId || provider || category || rankBy);
+
+// the live leaderboards only hold the running day
+const isLiveDay = ({ period = LEADERBOARD_PERIODS.DAY, date } = {}) =>
+  period === LEADERBOARD_PERIODS.DAY && (!date || moment(date).isSame(new Date(), 'day'));
+
+/**
+ * @param {string} type one of LEADERBOARD_TYPES, all time by the users' amountWon otherwise
+ * @param {number} limit
+ * @param {number} skip
+ * @param {object} [filters] ranks high_games from the casino trades, see getGameLeaderboard.
+ * The period and date pick the snapshot of the periodic types besides the running day.
+ */
+const getList = async (type, limit, skip, filters) => {
+  let result;
 
   switch (type) {
-    case 'high_events':
-      result = await getHighEvents(limit, skip, dates);
-      break;
-    case 'high_games':
-      result = await getHighGames(limit, skip, dates);
+    case LEADERBOARD_TYPES.HIGH_GAMES:
+      result = hasGameFilters(filters)
+        ? await getGameLeaderboard(filters, limit, skip)
+        : await getPeriodic(type, limit, skip, filters);
       break;
-    case 'high_volume':
-      result = await getHighVolume(limit, skip, dates);
+    case LEADERBOARD_TYPES.HIGH_EVENTS:
+    case LEADERBOARD_TYPES.HIGH_VOLUME:
+      result = await getPeriodic(type, limit, skip, filters);
       break;
-    case 'jackpot_winners':
+    case LEADERBOARD_TYPES.JACKPOT_WINNERS:
       result = await getJackpotWinners();
       break;
     default:
@@ -35,23 +99,25 @@ const getList = async (type, limit, skip) => {
   }
 }
 
+/** Winners of yesterday's leaderboards */
 const getJackpotWinners = async () => {
-  const yesterdayDates = {
-    start: moment().startOf('day').subtract(1, 'days').toDate(),
-    end: moment().endOf('day').subtract(1, 'days').toDate()
-  };
+  const yesterday = moment().subtract(1, 'days').toDate();
+  const winners = await Promise.all(PERIODIC_TYPES.map(async (type) => {
+    const snapshot = await LeaderboardSnapshot.findOne({
+      type,
+      period: LEADERBOARD_PERIODS.DAY,
+      start: getPeriod(LEADERBOARD_PERIODS.DAY, yesterday).start,
+    });
 
-  const highEventsWinner = await getHighEvents(1, 0, yesterdayDates);
-  const highGamesWinner = await getHighGames(1, 0, yesterdayDates);
-  const highVolumeWinner = await getHighVolume(1, 0, yesterdayDates);
+    // yesterday is aggregated until the first snapshot after midnight
+    return snapshot
+      ? snapshot.users.slice(0, 1).map((user) => user.toObject())
+      : (await AGGREGATIONS[type](1, 0, getPeriod(LEADERBOARD_PERIODS.DAY, yesterday))).users;
+  }));
 
   return {
     total: 3,
-    users: [
-      ...highEventsWinner.users,
-      ...highGamesWinner.users,
-      ...highVolumeWinner.users
-    ]
+    users: winners.flat(),
   }
 }
 
@@ -360,6 +426,414 @@ const getOverall = async (limit, skip) => {
   };
 }
 
+const AGGREGATIONS = {
+  [LEADERBOARD_TYPES.HIGH_EVENTS]: getHighEvents,
+  [LEADERBOARD_TYPES.HIGH_GAMES]: getHighGames,
+  [LEADERBOARD_TYPES.HIGH_VOLUME]: getHighVolume,
+};
+
+const getUserInfos = async (userIds) => {
+  const infos = await User.find({
+    _id: { $in: userIds.filter((id) => mongoose.Types.ObjectId.isValid(id)) },
+  })
+    .select({ username: 1, profilePicture: 1 })
+    .lean();
+
+  return infos.reduce((byId, info) => ({ ...byId, [info._id.toString()]: info }), {});
+};
+
+/**
+ * Query of a casino ranking. Games are matched by id or label, trades of the in-house
+ * games store their label.
+ * @param {object} filters see getGameLeaderboard
+ * @param {number} limit
+ * @param {number} skip
+ * @returns {{sql: string, params: any[]}}
+ */
+const gameLeaderboardQuery = (
+  { gameId, provider, category, rankBy = LEADERBOARD_RANKINGS.PROFIT, period = LEADERBOARD_PERIODS.DAY, date, userIds },
+  limit,
+  skip
+) => {
+  const { start, end } = getPeriod(period, date);
+  const params = [[CASINO_TRADE_STATE.WIN, CASINO_TRADE_STATE.LOSS], start, end];
+  const conditions = [
+    't.state = ANY($1::smallint[])',
+    't.created_at BETWEEN $2 AND $3',
+  ];
+  const games = [];
+
+  if (gameId) {
+    conditions.push(`t.gameid = $${params.push(gameId)}`);
+  }
+  if (provider) {
+    games.push(`g.provider = $${params.push(provider)}`);
+  }
+  if (category) {
+    games.push(`g.category = $${params.push(category)}`);
+  }
+  if (games.length) {
+    conditions.push(
+      `EXISTS (SELECT 1 FROM games g WHERE (g.id = t.gameid OR g.label = t.gameid) AND ${games.join(' AND ')})`
+    );
+  }
+  if (userIds) {
+    conditions.push(`t.userid = ANY($${params.push(userIds)})`);
+  }
+
+  const score = RANKING_SCORES[rankBy];
+
+  return {
+    sql: `SELECT t.userid AS "_id",
+         ${score} AS score,
+         ${RANKING_SCORES[LEADERBOARD_RANKINGS.MULTIPLIER]} AS multiplier,
+         ${RANKING_SCORES[LEADERBOARD_RANKINGS.WIN]} AS biggest_win,
+         ${RANKING_SCORES[LEADERBOARD_RANKINGS.PROFIT]} AS profit,
+         COUNT(*) OVER () AS total
+       FROM casino_trades t
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY t.userid
+       HAVING ${score} > 0
+       ORDER BY score DESC, t.userid
+       LIMIT ${+limit} OFFSET ${+skip}`,
+    params,
+  };
+};
+
+/**
+ * @param {object} row of gameLeaderboardQuery
+ * @param {string} rankBy one of LEADERBOARD_RANKINGS
+ */
+const toGameRanking = (row, rankBy = LEADERBOARD_RANKINGS.PROFIT) => {
+  const multiplier = row.multiplier === null ? null : +row.multiplier;
+  const biggestWin = row.biggest_win === null ? null : fromWei(row.biggest_win).toNumber();
+  const profit = fromWei(row.profit).toNumber();
+
+  return {
+    _id: row._id,
+    multiplier,
+    biggestWin,
+    amountWon: profit,
+    score: rankBy === LEADERBOARD_RANKINGS.MULTIPLIER ? multiplier
+      : rankBy === LEADERBOARD_RANKINGS.WIN ? biggestWin : profit,
+  };
+};
+
+/**
+ * Ranks players of a casino game, a provider or a category of games
+ * @param {object} filters
+ * @param {string} [filters.gameId]
+ * @param {string} [filters.provider] e.g. Evoplay or Softswiss/BGaming
+ * @param {string} [filters.category]
+ * @param {string} [filters.rankBy] one of LEADERBOARD_RANKINGS, profit by default
+ * @param {string} [filters.period] one of LEADERBOARD_PERIODS, the day by default
+ * @param {Date} [filters.date] any time within the period, now by default
+ * @param {string[]} [filters.userIds] only these users
+ * @param {number} limit
+ * @param {number} skip
+ */
+const getGameLeaderboard = async (filters, limit, skip) => {
+  const { sql, params } = gameLeaderboardQuery(filters, limit, skip);
+  const rows = await new Query().query(sql, params);
+  const infos = await getUserInfos(rows.map((row) => row._id));
+
+  return {
+    total: rows.length ? +rows[0].total : 0,
+    users: rows.map((row) => ({
+      ...toGameRanking(row, filters.rankBy),
+      username: infos[row._id]?.username,
+      profilePicture: infos[row._id]?.profilePicture,
+    })),
+  };
+};
+
+/**
+ * The user, who referred them and who they referred
+ * @param {string} userId
+ */
+const getFriendIds = async (userId) => {
+  const [user, referred] = await Promise.all([
+    User.findById(userId).select({ ref: 1 }).lean(),
+    User.find({ ref: userId }).select({ _id: 1 }).lean(),
+  ]);
+
+  return [...new Set([
+    userId,
+    ...(user?.ref ? [`${user.ref}`] : []),
+    ...referred.map((friend) => `${friend._id}`),
+  ])];
+};
+
+/**
+ * Casino ranking of the user and their referral relationships
+ * @param {string} userId
+ * @param {object} filters see getGameLeaderboard
+ * @param {number} limit
+ * @param {number} skip
+ */
+const getFriendsLeaderboard = async (userId, filters, limit, skip) => ({
+  ...await getGameLeaderboard({ ...filters, userIds: await getFriendIds(userId) }, limit, skip),
+  limit,
+  skip,
+});
+
+/**
+ * Today's leaderboard from its redis sorted set, aggregated from the events while redis is
+ * not available
+ */
+const getLive = async (type, limit, skip) => {
+  if (!isReady()) {
+    return AGGREGATIONS[type](limit, skip, getPeriod(LEADERBOARD_PERIODS.DAY));
+  }
+
+  const key = getLiveKey(type, new Date());
+  const [total, scores] = await Promise.all([
+    run('zcard', key),
+    run('zrevrange', key, skip, skip + limit - 1, 'WITHSCORES'),
+  ]);
+  const ranked = [];
+
+  for (let i = 0; i < scores.length; i += 2) {
+    ranked.push({ _id: scores[i], amountWon: +scores[i + 1] });
+  }
+
+  const infos = await getUserInfos(ranked.map((user) => user._id));
+
+  return {
+    total,
+    users: ranked.map((user) => ({
+      ...user,
+      username: infos[user._id]?.username,
+      profilePicture: infos[user._id]?.profilePicture,
+    })),
+  };
+};
+
+/**
+ * Live leaderboard of the running day or the snapshot of another period, periods without
+ * a snapshot are empty
+ * @param {string} type one of PERIODIC_TYPES
+ * @param {number} limit
+ * @param {number} skip
+ * @param {object} [filters]
+ * @param {string} [filters.period] one of LEADERBOARD_PERIODS, the day by default
+ * @param {Date} [filters.date] any time within the period, now by default
+ */
+const getPeriodic = async (type, limit, skip, filters = {}) => {
+  if (isLiveDay(filters)) {
+    return getLive(type, limit, skip);
+  }
+
+  const { period = LEADERBOARD_PERIODS.DAY, date = new Date() } = filters;
+  const snapshot = await getSnapshot(type, period, date, limit, skip).catch((e) => {
+    if (e.message !== 'NOT_FOUND') {
+      throw e;
+    }
+    return null;
+  });
+
+  return snapshot
+    ? { total: snapshot.total, users: snapshot.users }
+    : { total: 0, users: [] };
+};
+
+/**
+ * Leaderboard points a consumed event is worth, the same the aggregations count
+ * @param {string} routingKey
+ * @param {object} message
+ * @returns {{type: string, userId: string, amount: number}[]}
+ */
+const toLiveUpdates = (routingKey, message) => {
+  const data = message?.data || {};
+  let updates;
+
+  switch (routingKey) {
+    case 'event.casino_cashout':
+      updates = [{ type: LEADERBOARD_TYPES.HIGH_GAMES, userId: data.userId, amount: data.profitWfair }];
+      break;
+    case 'event.bet_placed':
+      updates = data.creator?.admin !== false ? [] : [{
+        type: LEADERBOARD_TYPES.HIGH_VOLUME,
+        userId: data.bet?.creator,
+        amount: data.trade?.investment_amount,
+      }];
+      break;
+    case 'event.bet_cashed_out':
+      updates = [{ type: LEADERBOARD_TYPES.HIGH_EVENTS, userId: data.user?._id, amount: data.gain?.gainAmount }];
+      break;
+    case 'event.user_reward':
+      updates = [{ type: LEADERBOARD_TYPES.HIGH_EVENTS, userId: data.user?._id, amount: data.gainAmount }];
+      break;
+    default:
+      updates = [];
+  }
+
+  return updates.filter((update) => update.userId && Number.isFinite(update.amount) && update.amount !== 0)
+    // only the gains of bets count
+    .filter((update) => update.type !== LEADERBOARD_TYPES.HIGH_EVENTS || update.amount > 0);
+};
+
+// adds the amount unless the event is in the set of the counted events already
+const COUNT_ONCE_SCRIPT = `
+if redis.call('SADD', KEYS[2], ARGV[3]) == 1 then
+  redis.call('ZINCRBY', KEYS[1], ARGV[1], ARGV[2])
+end
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+redis.call('EXPIRE', KEYS[2], ARGV[4])
+`;
+
+/**
+ * Adds a consumed casino or bet event to the live leaderboard of its day, a redelivered
+ * event is counted once
+ * @param {string} routingKey
+ * @param {object} message
+ */
+const recordEvent = async (routingKey, message) => {
+  const updates = toLiveUpdates(routingKey, message);
+
+  if (!updates.length) {
+    return;
+  }
+
+  // the message is redelivered until redis is back
+  if (!isReady()) {
+    throw new Error('REDIS_UNAVAILABLE');
+  }
+
+  const date = message.date ? new Date(message.date) : new Date();
+  const eventId = getEventId(routingKey, message);
+
+  for (const { type, userId, amount } of updates) {
+    const key = getLiveKey(type, date);
+
+    await run('eval', COUNT_ONCE_SCRIPT, 2, key, `${key}/counted`, amount, userId, eventId, LIVE_TTL_SECONDS);
+  }
+};
+
+/**
+ * Seeds today's live leaderboard from the events once a day, e.g. after a redis restart. A
+ * marker key tells whether the board was seeded, the board itself may already exist because
+ * events were recorded in the meantime. The seed sets the scores of the users it finds, the
+ * daily snapshot is exact either way.
+ */
+const seedLive = async (type) => {
+  const key = getLiveKey(type, new Date());
+  const marker = `${key}/seeded`;
+
+  if (!isReady() || !(await run('set', marker, '1', 'NX', 'EX', LIVE_TTL_SECONDS))) {
+    return;
+  }
+
+  try {
+    const { users } = await AGGREGATIONS[type](LIVE_SEED_SIZE, 0, getPeriod(LEADERBOARD_PERIODS.DAY));
+    const members = users.flatMap((user) => [user.amountWon, `${user._id}`]);
+
+    if (members.length) {
+      await run('zadd', key, ...members);
+      await run('expire', key, LIVE_TTL_SECONDS);
+    }
+  } catch (e) {
+    // the next snapshot run tries again
+    await run('del', marker);
+    throw e;
+  }
+};
+
+/**
+ * Stores the top of a leaderboard for the period of the date
+ * @param {string} type one of PERIODIC_TYPES
+ * @param {string} period one of LEADERBOARD_PERIODS
+ * @param {Date} date
+ */
+const takeSnapshot = async (type, period, date) => {
+  const { start, end } = getPeriod(period, date);
+  const { users, total } = await AGGREGATIONS[type](LEADERBOARD_SNAPSHOT_SIZE, 0, { start, end });
+
+  await LeaderboardSnapshot.updateOne(
+    { type, period, start },
+    {
+      end,
+      final: end < new Date(),
+      total,
+      users: users.map((user) => ({
+        _id: `${user._id}`,
+        username: user.username,
+        profilePicture: user.profilePicture,
+        amountWon: user.amountWon,
+      })),
+      takenAt: new Date(),
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Retakes the snapshots of the running periods and finalizes the ones that ended since the
+ * last run, run by the snapshotLeaderboards job
+ */
+const snapshotLeaderboards = async () => {
+  const now = new Date();
+
+  for (const type of PERIODIC_TYPES) {
+    for (const period of Object.values(LEADERBOARD_PERIODS)) {
+      const previous = moment(getPeriod(period, now).start).subtract(1, 'ms').toDate();
+      const final = await LeaderboardSnapshot.exists({
+        type,
+        period,
+        start: getPeriod(period, previous).start,
+        final: true,
+      });
+
+      if (!final) {
+        await takeSnapshot(type, period, previous);
+      }
+
+      await takeSnapshot(type, period, now);
+    }
+
+    await seedLive(type);
+  }
+};
+
+/**
+ * Leaderboard of a past or the running period
+ * @param {string} type one of PERIODIC_TYPES
+ * @param {string} period one of LEADERBOARD_PERIODS
+ * @param {Date} date any time within the period
+ * @param {number} limit
+ * @param {number} skip
+ */
+const getSnapshot = async (type, period, date, limit, skip) => {
+  const snapshot = await LeaderboardSnapshot.findOne({ type, period, start: getPeriod(period, date).start });
+
+  if (!snapshot) {
+    throw new Error('NOT_FOUND');
+  }
+
+  return {
+    type,
+    period,
+    start: snapshot.start,
+    end: snapshot.end,
+    final: snapshot.final,
+    takenAt: snapshot.takenAt,
+    total: snapshot.total,
+    users: snapshot.users.slice(skip, skip + limit).map((user) => user.toObject()),
+    limit,
+    skip,
+  };
+};
+
 module.exports = {
-  getList
+  PERIODIC_TYPES,
+  init,
+  getPeriod,
+  getList,
+  gameLeaderboardQuery,
+  toGameRanking,
+  getFriendsLeaderboard,
+  toLiveUpdates,
+  recordEvent,
+  snapshotLeaderboards,
+  getSnapshot,
 };
\ No newline at end of file
@@ -99,5 +99,26 @@ const sendTextMail = async (email, subject, text) => {
   }
 }
 
+/**
+ * Adds the email to the SendGrid unsubscribe group of marketing emails, nothing is done
+ * if SENDGRID_MARKETING_GROUP_ID isn't set
+ * @param email
+ * @returns {Promise<void>}
+ */
+const suppressMarketingMails = async (email) => {
+  const groupId = process.env.SENDGRID_MARKETING_GROUP_ID;
+
+  if (!groupId || !email) {
+    return;
+  }
+
+  await sendGridMail.client.request({
+    method: 'POST',
+    url: `/v3/asm/groups/${groupId}/suppressions`,
+    body: { recipient_emails: [email] },
+  });
+};
+
 exports.sendMail = sendMail;
 exports.sendTextMail = sendTextMail;
+exports.suppressMarketingMails = suppressMarketingMails;
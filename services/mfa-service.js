@@ -0,0 +1,168 @@
+const { randomBytes, createHash } = require('crypto');
+const { UserMfa } = require('../models').models;
+const { generateSecret, verifyToken, getProvisioningUri } = require('../util/totp');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Alpacasino';
+const RECOVERY_CODES_AMOUNT = 10;
+
+/** Second factor steps a login can be held back on */
+const MFA_STEPS = {
+  verify: 'verify',
+  setup: 'setup',
+};
+
+const hashRecoveryCode = (code) => createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODES_AMOUNT }, () => {
+  const code = randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+const isMfaEnabled = async (userId) => !!(await UserMfa.exists({ userId, enabled: true }));
+
+/**
+ * Admins can be forced into MFA by setting MFA_ENFORCE_ADMINS=true
+ * @param user
+ * @returns {boolean}
+ */
+const isMfaEnforced = (user) => !!user.admin && process.env.MFA_ENFORCE_ADMINS === 'true';
+
+/**
+ * Returns the MFA step the user has to pass before a session is issued, null when none is needed
+ * @param user
+ * @returns {Promise<string|null>}
+ */
+const getLoginStep = async (user) => {
+  if (await isMfaEnabled(user.id)) {
+    return MFA_STEPS.verify;
+  }
+
+  return isMfaEnforced(user) ? MFA_STEPS.setup : null;
+};
+
+const getStatus = async (user) => {
+  const mfa = await UserMfa.findOne({ userId: user.id, enabled: true });
+
+  return {
+    enabled: !!mfa,
+    enforced: isMfaEnforced(user),
+    enabledAt: mfa?.enabledAt,
+    recoveryCodesLeft: mfa ? mfa.recoveryCodes.length : 0,
+  };
+};
+
+/**
+ * Generates a new TOTP secret for the user, it becomes active after confirmEnrollment
+ * @param user
+ * @returns {Promise<{secret: string, otpauthUrl: string}>}
+ */
+const startEnrollment = async (user) => {
+  if (await isMfaEnabled(user.id)) {
+    throw new Error('MFA_ALREADY_ENABLED');
+  }
+
+  const secret = generateSecret();
+
+  await UserMfa.findOneAndUpdate(
+    { userId: user.id },
+    { secret, enabled: false, lastUsedStep: 0, recoveryCodes: [] },
+    { upsert: true }
+  );
+
+  return {
+    secret,
+    otpauthUrl: getProvisioningUri({
+      secret,
+      label: user.email || user.username || user.id,
+      issuer: MFA_ISSUER,
+    }),
+  };
+};
+
+/**
+ * Activates MFA once the user proved the authenticator app is set up
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<{recoveryCodes: string[]}>} plain recovery codes, they are only shown once
+ */
+const confirmEnrollment = async (userId, code) => {
+  const mfa = await UserMfa.findOne({ userId });
+
+  if (!mfa || mfa.enabled) {
+    throw new Error('MFA_ENROLLMENT_NOT_STARTED');
+  }
+
+  const step = verifyToken(mfa.secret, code);
+
+  if (step === null) {
+    throw new Error('INVALID_MFA_CODE');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  mfa.enabled = true;
+  mfa.enabledAt = new Date();
+  mfa.lastUsedStep = step;
+  mfa.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await mfa.save();
+
+  return { recoveryCodes };
+};
+
+/**
+ * Checks a TOTP code or, as a fallback, consumes one of the recovery codes
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+const verifyCode = async (userId, code) => {
+  const mfa = await UserMfa.findOne({ userId, enabled: true });
+
+  if (!mfa || !code) {
+    return false;
+  }
+
+  const step = verifyToken(mfa.secret, code);
+
+  if (step !== null) {
+    const updated = await UserMfa.findOneAndUpdate(
+      { _id: mfa._id, lastUsedStep: { $lt: step } },
+      { lastUsedStep: step }
+    );
+    return !!updated;
+  }
+
+  const hash = hashRecoveryCode(`${code}`);
+  const updated = await UserMfa.findOneAndUpdate(
+    { _id: mfa._id, recoveryCodes: hash },
+    { $pull: { recoveryCodes: hash } }
+  );
+
+  return !!updated;
+};
+
+const disable = async (user, code) => {
+  if (isMfaEnforced(user)) {
+    throw new Error('MFA_ENFORCED');
+  }
+
+  if (!(await verifyCode(user.id, code))) {
+    throw new Error('INVALID_MFA_CODE');
+  }
+
+  await UserMfa.deleteOne({ userId: user.id });
+};
+
+module.exports = {
+  MFA_STEPS,
+  isMfaEnabled,
+  isMfaEnforced,
+  getLoginStep,
+  getStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifyCode,
+  disable,
+};
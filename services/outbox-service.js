@@ -0,0 +1,122 @@
+const { OutboxEvent } = require('../models').models;
+const amqp = require('./amqp-service');
+const { buildEvent } = require('../util/event-builder');
+const { validateEvent } = require('../util/event-schemas');
+const { OUTBOX_STATUSES } = require('../util/constants');
+
+/** Time a relay has to publish an event before another one may take it over */
+const OUTBOX_LOCK_MS = 30 * 1000;
+
+let relaying = false;
+
+const claimNext = () => {
+  const now = new Date();
+
+  return OutboxEvent.findOneAndUpdate(
+    {
+      status: OUTBOX_STATUSES.PENDING,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { lockedUntil: new Date(now.getTime() + OUTBOX_LOCK_MS) },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Publishes pending events, oldest first. Events are marked sent once the broker confirmed
+ * them. A failed event stays locked until OUTBOX_LOCK_MS passed and stops the run, so events
+ * keep their order.
+ */
+const relayPending = async () => {
+  if (relaying) {
+    return;
+  }
+
+  relaying = true;
+
+  try {
+    let entry;
+
+    while ((entry = await claimNext())) {
+      try {
+        await amqp.publish(entry.exchange, entry.routingKey, JSON.stringify(entry.payload), {
+          messageId: entry.id,
+        });
+      } catch (e) {
+        console.error('OUTBOX RELAY: ', entry.routingKey, e.message);
+        await OutboxEvent.updateOne({ _id: entry._id }, { $inc: { attempts: 1 }, lastError: e.message });
+        break;
+      }
+
+      await OutboxEvent.updateOne(
+        { _id: entry._id },
+        { status: OUTBOX_STATUSES.SENT, sentAt: new Date(), lockedUntil: null, $inc: { attempts: 1 } }
+      );
+    }
+  } catch (e) {
+    console.error('OUTBOX RELAY: ', e.message);
+  } finally {
+    relaying = false;
+  }
+};
+
+const scheduleRelay = () => {
+  setImmediate(relayPending);
+};
+
+/**
+ * Stores an event for the relay. Pass the session of the state change, then the event is only
+ * published if the change gets committed.
+ * @param {string} routingKey
+ * @param {object} event see buildEvent
+ * @param {object} [options]
+ * @param {ClientSession} [options.session]
+ * @param {string} [options.exchange]
+ * @returns {Promise<UniversalEvent>} the published envelope
+ * @throws {EventSchemaError} if the event does not match the schema of the routing key
+ */
+const publish = async (routingKey, event, { session = null, exchange = 'universal_events' } = {}) => {
+  const payload = validateEvent(routingKey, buildEvent(event));
+
+  await OutboxEvent.create([{
+    exchange,
+    routingKey,
+    payload,
+    status: OUTBOX_STATUSES.PENDING,
+  }], { session });
+
+  // right after the commit, the agenda job only picks up what this misses
+  if (session) {
+    session.once('ended', scheduleRelay);
+  } else {
+    scheduleRelay();
+  }
+
+  return payload;
+};
+
+/**
+ * Runs fn in a Mongo transaction, fn gets the session for its writes and its events
+ * @param {function(ClientSession): Promise<*>} fn
+ * @returns {Promise<*>} what fn returned
+ */
+const withTransaction = async (fn) => {
+  const session = await OutboxEvent.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+};
+
+module.exports = {
+  publish,
+  withTransaction,
+  relayPending,
+};
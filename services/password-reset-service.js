@@ -0,0 +1,69 @@
+const { randomBytes, createHash } = require('crypto');
+const mongoose = require('mongoose');
+const { PasswordResetToken } = require('../models').models;
+
+const RESET_TOKEN_TTL_MINUTES = +process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || 60;
+const RESET_TOKEN_MAX_ATTEMPTS = +process.env.PASSWORD_RESET_TOKEN_MAX_ATTEMPTS || 5;
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issues a new reset token for the user, replacing all previous ones.
+ * The token has the form `<id>.<secret>` and is only returned here, the database keeps its hash.
+ * @param {string} userId
+ * @returns {Promise<string>}
+ */
+const createResetToken = async (userId) => {
+  await PasswordResetToken.deleteMany({ userId });
+
+  const secret = randomBytes(32).toString('hex');
+  const resetToken = new PasswordResetToken({
+    userId,
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+  });
+  const token = `${resetToken.id}.${secret}`;
+
+  resetToken.tokenHash = hashToken(token);
+  await resetToken.save();
+
+  return token;
+};
+
+/**
+ * Redeems a reset token, it can be used only once. Failed attempts are counted
+ * against the token and burn it after RESET_TOKEN_MAX_ATTEMPTS.
+ * @param {string} token
+ * @returns {Promise<string>} the id of the user the token was issued for
+ */
+const redeemResetToken = async (token) => {
+  const [id] = `${token}`.split('.');
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new Error('INVALID_RESET_TOKEN');
+  }
+
+  const resetToken = await PasswordResetToken.findOneAndUpdate(
+    {
+      _id: id,
+      tokenHash: hashToken(`${token}`),
+      usedAt: null,
+      attempts: { $lt: RESET_TOKEN_MAX_ATTEMPTS },
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() }
+  );
+
+  if (!resetToken) {
+    await PasswordResetToken.updateOne({ _id: id }, { $inc: { attempts: 1 } });
+    throw new Error('INVALID_RESET_TOKEN');
+  }
+
+  await PasswordResetToken.deleteMany({ userId: resetToken.userId, _id: { $ne: resetToken._id } });
+
+  return resetToken.userId;
+};
+
+module.exports = {
+  createResetToken,
+  redeemResetToken,
+};
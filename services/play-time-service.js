@@ -0,0 +1,354 @@
+const { PlaySettings } = require('../models').models;
+const { UniversalEvent, ApiLogs } = require('@wallfair.io/wallfair-commons').models;
+const { notificationEvents } = require('@wallfair.io/wallfair-commons/constants/eventTypes');
+const amqp = require('./amqp-service');
+const outboxService = require('./outbox-service');
+const sessionService = require('./session-service');
+const { getCasinoResultSince } = require('./statistics-service');
+const { planLimitChange } = require('./user-limits-service');
+const { RESPONSIBLE_GAMING_EVENTS } = require('../util/constants');
+
+const MINUTE = 60 * 1000;
+
+/** A session ends after this many minutes without any request of the user */
+const PLAY_SESSION_IDLE_MINUTES = +process.env.PLAY_SESSION_IDLE_MINUTES || 30;
+/** Break forced on the user after the session limit was reached */
+const PLAY_TIME_BREAK_MINUTES = +process.env.PLAY_TIME_BREAK_MINUTES || 60;
+/** Activity older than this is not looked at, no session is assumed to be longer */
+const PLAY_SESSION_LOOKBACK_MINUTES = 24 * 60;
+
+const PLAY_TIME_SETTINGS = ['sessionLimitMinutes', 'realityCheckMinutes'];
+
+const PLAY_TIME_MESSAGES = {
+  REALITY_CHECK: 'PLAY_TIME/REALITY_CHECK',
+  LIMIT_REACHED: 'PLAY_TIME/LIMIT_REACHED',
+};
+
+/**
+ * Play session the given sign in and request times belong to. The session is the latest run
+ * of activity without an idle gap, it starts at the sign in if the user got active right after.
+ * @param {Date|null} signInAt last sign in of the user
+ * @param {Date[]} activityTimes request times, oldest first
+ * @param {Date} now
+ * @param {number} idleMs gap that ends a session
+ * @returns {{startedAt: Date, lastActivityAt: Date, minutesPlayed: number}|null} null if the
+ * user is not playing right now
+ */
+const computePlaySession = (signInAt, activityTimes, now, idleMs) => {
+  const times = [signInAt, ...activityTimes]
+    .filter((time) => time && (!signInAt || time >= signInAt))
+    .sort((a, b) => a - b);
+
+  if (!times.length || now - times[times.length - 1] > idleMs) {
+    return null;
+  }
+
+  let start = times.length - 1;
+  while (start > 0 && times[start] - times[start - 1] <= idleMs) {
+    start--;
+  }
+
+  return {
+    startedAt: times[start],
+    lastActivityAt: times[times.length - 1],
+    minutesPlayed: Math.floor((now - times[start]) / MINUTE),
+  };
+};
+
+/**
+ * @param settings PlaySettings of the user
+ * @param session result of computePlaySession
+ * @param {Date} now
+ */
+const isRealityCheckDue = (settings, session, now) => {
+  if (!settings.realityCheckMinutes || !session) {
+    return false;
+  }
+
+  const lastCheck = settings.lastRealityCheckAt > session.startedAt
+    ? settings.lastRealityCheckAt
+    : session.startedAt;
+
+  return now - lastCheck >= settings.realityCheckMinutes * MINUTE;
+};
+
+const isSessionLimitReached = (settings, session) => !!settings.sessionLimitMinutes &&
+  !!session &&
+  session.minutesPlayed >= settings.sessionLimitMinutes;
+
+/**
+ * Applies a requested play time setting the way deposit and wager limits are changed, a
+ * shorter session limit or reality check interval applies immediately, a longer one or a
+ * removal only after the cooling-off delay.
+ * @param settings PlaySettings of the user, null if there are none yet
+ * @param {string} key one of PLAY_TIME_SETTINGS
+ * @param {number|null} requested new value, null to remove the setting
+ * @param {Date} now
+ * @returns {{value: number|null, pending: {value: number|null, appliesAt: Date|null}}}
+ */
+const planPreferenceChange = (settings, key, requested, now = new Date()) => {
+  const pending = settings?.pendingChanges?.[key];
+  const current = settings?.[key]
+    ? { amount: settings[key], pendingAmount: pending?.value ?? null, pendingAppliesAt: pending?.appliesAt || null }
+    : null;
+  const planned = planLimitChange(current, requested, now);
+
+  return {
+    value: planned?.amount ?? null,
+    pending: {
+      value: planned?.pendingAmount ?? null,
+      appliesAt: planned?.pendingAppliesAt || null,
+    },
+  };
+};
+
+/**
+ * Moves pending changes that are due into the settings, returns true if anything changed
+ * @param settings PlaySettings of the user
+ * @param {Date} now
+ */
+const applyDueChanges = (settings, now = new Date()) => {
+  let changed = false;
+
+  for (const key of PLAY_TIME_SETTINGS) {
+    const pending = settings.pendingChanges?.[key];
+
+    if (pending?.appliesAt && pending.appliesAt <= now) {
+      settings[key] = pending.value;
+      settings.pendingChanges[key] = { value: null, appliesAt: null };
+      changed = true;
+    }
+  }
+
+  return changed;
+};
+
+const getSettings = async (userId) => {
+  const settings = await PlaySettings.findOne({ userId: `${userId}` });
+
+  if (settings && applyDueChanges(settings)) {
+    await settings.save();
+  }
+
+  return settings;
+};
+
+/**
+ * Play time settings as shown in the user preferences, raised or removed settings are listed
+ * in `pendingChanges` until they apply
+ * @param {string} userId
+ */
+const getPreferences = async (userId) => {
+  const settings = await getSettings(userId);
+  const pendingChanges = {};
+
+  for (const key of PLAY_TIME_SETTINGS) {
+    const pending = settings?.pendingChanges?.[key];
+
+    if (pending?.appliesAt) {
+      pendingChanges[key] = { value: pending.value, appliesAt: pending.appliesAt };
+    }
+  }
+
+  return {
+    sessionLimitMinutes: settings?.sessionLimitMinutes || null,
+    realityCheckMinutes: settings?.realityCheckMinutes || null,
+    pendingChanges,
+  };
+};
+
+/**
+ * Changes sessionLimitMinutes and realityCheckMinutes of the given preferences, null removes
+ * a setting, missing ones stay untouched. Raising or removing a setting waits for the
+ * cooling-off delay, see planPreferenceChange.
+ * @param {string} userId
+ * @param {object} preferences
+ */
+const updatePreferences = async (userId, preferences = {}) => {
+  const keys = PLAY_TIME_SETTINGS.filter((key) => preferences[key] !== undefined);
+
+  for (const key of keys) {
+    const value = preferences[key];
+    if (value !== null && !(Number.isInteger(value) && value > 0)) {
+      throw new Error(`User validation failed. Invalid ${key} ${value}`);
+    }
+  }
+
+  if (!keys.length) {
+    return getPreferences(userId);
+  }
+
+  const settings = await getSettings(userId);
+  const update = {};
+
+  for (const key of keys) {
+    const { value, pending } = planPreferenceChange(settings, key, preferences[key]);
+
+    update[key] = value;
+    update[`pendingChanges.${key}`] = pending;
+  }
+
+  await PlaySettings.findOneAndUpdate({ userId: `${userId}` }, update, { upsert: true });
+
+  return getPreferences(userId);
+};
+
+/**
+ * End of the forced break of the user, null if the user may play
+ * @param {string} userId
+ * @returns {Promise<Date|null>}
+ */
+const getBlockedUntil = async (userId) => {
+  const settings = await getSettings(userId);
+
+  return settings?.blockedUntil > new Date() ? settings.blockedUntil : null;
+};
+
+/**
+ * Current play session of the user, built from the last sign in and the logged API requests
+ * @param {string} userId
+ * @param {Date} now
+ */
+const getPlaySession = async (userId, now = new Date()) => {
+  const signIn = await UniversalEvent.findOne(
+    { type: notificationEvents.EVENT_USER_SIGNED_IN, userId: `${userId}` },
+    ['createdAt'],
+    { sort: { createdAt: -1 } }
+  );
+  const lookbackStart = new Date(now.getTime() - PLAY_SESSION_LOOKBACK_MINUTES * MINUTE);
+  const signInAt = signIn?.createdAt > lookbackStart ? signIn.createdAt : null;
+
+  const activity = await ApiLogs.find(
+    { userId: `${userId}`, createdAt: { $gte: signInAt || lookbackStart } },
+    ['createdAt'],
+    { sort: { createdAt: 1 } }
+  ).lean();
+
+  return computePlaySession(
+    signInAt,
+    activity.map((log) => log.createdAt),
+    now,
+    PLAY_SESSION_IDLE_MINUTES * MINUTE
+  );
+};
+
+/**
+ * Pushes a play time message to the websocket of the user
+ * @param {string} userId
+ * @param {string} type one of PLAY_TIME_MESSAGES
+ * @param {object} data
+ */
+const sendPlayTimeMessage = (userId, type, data) => amqp.send('api_info_events', 'event.play_time', JSON.stringify({
+  to: userId,
+  event: type,
+  producer: 'backend',
+  data: {
+    type,
+    data,
+  },
+}));
+
+/**
+ * @param {string} userId
+ * @param {object} payload reality check with sessionLimitMinutes and blockedUntil
+ */
+const publishLimitReached = (userId, payload) => outboxService.publish('event.user_play_time_limit_reached', {
+  event: RESPONSIBLE_GAMING_EVENTS.EVENT_USER_PLAY_TIME_LIMIT_REACHED,
+  producerId: userId,
+  data: {
+    userId,
+    ...payload,
+  },
+});
+
+const getRealityCheck = async (userId, session) => {
+  const { netResult } = await getCasinoResultSince(userId, session.startedAt);
+
+  return {
+    sessionStartedAt: session.startedAt,
+    minutesPlayed: session.minutesPlayed,
+    netResult,
+  };
+};
+
+/**
+ * Logs the user out everywhere and blocks logins for PLAY_TIME_BREAK_MINUTES
+ * @param settings PlaySettings of the user
+ * @param session result of computePlaySession
+ */
+const enforceSessionLimit = async (settings, session) => {
+  const { userId } = settings;
+  const blockedUntil = new Date(Date.now() + PLAY_TIME_BREAK_MINUTES * MINUTE);
+
+  settings.blockedUntil = blockedUntil;
+  await settings.save();
+
+  await sessionService.revokeAllSessions(userId, sessionService.REVOKE_REASONS.playTimeLimit);
+
+  const payload = {
+    ...(await getRealityCheck(userId, session)),
+    sessionLimitMinutes: settings.sessionLimitMinutes,
+    blockedUntil,
+  };
+
+  // the user is logged out already, the event below still tells the other services
+  await sendPlayTimeMessage(userId, PLAY_TIME_MESSAGES.LIMIT_REACHED, payload)
+    .catch((e) => console.error('PLAY TIME MESSAGE: ', userId, e.message));
+
+  await publishLimitReached(userId, payload);
+};
+
+/**
+ * Sends due reality checks and logs out users whose session limit is reached
+ */
+const checkPlaySessions = async () => {
+  const now = new Date();
+  const settingsList = await PlaySettings.find({
+    $or: [{ sessionLimitMinutes: { $gt: 0 } }, { realityCheckMinutes: { $gt: 0 } }],
+  });
+
+  for (const settings of settingsList) {
+    try {
+      if (settings.blockedUntil > now) {
+        continue;
+      }
+
+      if (applyDueChanges(settings, now)) {
+        await settings.save();
+      }
+
+      const session = await getPlaySession(settings.userId, now);
+
+      if (isSessionLimitReached(settings, session)) {
+        await enforceSessionLimit(settings, session);
+      } else if (isRealityCheckDue(settings, session, now)) {
+        await sendPlayTimeMessage(
+          settings.userId,
+          PLAY_TIME_MESSAGES.REALITY_CHECK,
+          await getRealityCheck(settings.userId, session)
+        );
+
+        settings.lastRealityCheckAt = now;
+        await settings.save();
+      }
+    } catch (e) {
+      console.error('PLAY TIME CHECK: ', settings.userId, e.message);
+    }
+  }
+};
+
+module.exports = {
+  PLAY_TIME_MESSAGES,
+  computePlaySession,
+  planPreferenceChange,
+  applyDueChanges,
+  isRealityCheckDue,
+  isSessionLimitReached,
+  getPreferences,
+  updatePreferences,
+  getBlockedUntil,
+  getPlaySession,
+  sendPlayTimeMessage,
+  publishLimitReached,
+  checkPlaySessions,
+};
@@ -0,0 +1,431 @@
+const { promisify } = require('util');
+const { PricePoint } = require('../models').models;
+const money = require('../util/money');
+const { PRICE_UPDATED_KEY, publishPriceUpdate } = require('./ws-info-channel-service');
+
+const PROVIDERS = {
+  cmc: require('../util/cmc'),
+  coingecko: require('../util/coingecko'),
+  static: require('../util/static.price'),
+};
+
+const PRICE_SYMBOL = 'WFAIR';
+/** Currencies WFAIR is priced in */
+const PRICE_CURRENCIES = ['USD', 'EUR', 'BTC', 'ETH', 'LTC'];
+
+/** Source prices older than this are left out, cached ones get refreshed on the next quote */
+const PRICE_STALE_MINUTES = +process.env.PRICE_STALE_MINUTES || 15;
+/** Cached prices older than this are not quoted anymore */
+const PRICE_MAX_AGE_MINUTES = +process.env.PRICE_MAX_AGE_MINUTES || 60;
+/** Transactions are valued with the last price before them, if it is at most this old */
+const PRICE_HISTORY_MAX_GAP_HOURS = +process.env.PRICE_HISTORY_MAX_GAP_HOURS || 24;
+
+/** Fiat currencies transactions are valued in, users preferring WFAIR get the first */
+const FIAT_CURRENCIES = ['USD', 'EUR'];
+
+const CANDLE_INTERVALS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+const DEFAULT_CANDLES = 100;
+const MAX_CANDLES = 500;
+
+let redisClient;
+let refreshing = null;
+
+const run = (command, ...args) => promisify(redisClient[command]).apply(redisClient, args);
+
+const isReady = () => !!redisClient?.connected;
+
+const init = (redis) => {
+  redisClient = redis;
+};
+
+const getProviders = () => (process.env.PRICE_PROVIDERS || 'cmc')
+  .split(',')
+  .map((name) => {
+    const provider = PROVIDERS[name.trim()];
+
+    if (!provider) {
+      throw new Error(`Unknown price provider ${name}`);
+    }
+
+    return provider;
+  });
+
+/**
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+const median = (values) => {
+  if (!values.length) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Median price per currency over the answers of the providers. Currencies without a fresh
+ * price from any source are left out, they keep their cached price.
+ * @param {{source: string, prices: object}[]} results answers of the providers that succeeded
+ * @param {Date} now
+ * @returns {Object<string, {price: number, sources: string[], updatedAt: Date}>}
+ */
+const aggregatePrices = (results, now = new Date()) => {
+  const staleBefore = now.getTime() - PRICE_STALE_MINUTES * 60 * 1000;
+
+  return PRICE_CURRENCIES.reduce((aggregated, currency) => {
+    const fresh = results
+      .map(({ source, prices }) => ({ source, ...prices[currency] }))
+      .filter(({ price, updatedAt }) => Number.isFinite(price) && price > 0 && updatedAt?.getTime() >= staleBefore);
+
+    if (fresh.length) {
+      aggregated[currency] = {
+        price: median(fresh.map(({ price }) => price)),
+        sources: fresh.map(({ source }) => source),
+        // as old as the oldest price it is made of
+        updatedAt: new Date(Math.min(...fresh.map(({ updatedAt }) => updatedAt.getTime()))),
+      };
+    }
+
+    return aggregated;
+  }, {});
+};
+
+/**
+ * Fields of the price hash, the prices stay under the currency for the info channel
+ */
+const toCacheFields = (prices) => Object.entries(prices).reduce((fields, [currency, quote]) => ({
+  ...fields,
+  [currency]: quote.price,
+  [`${currency}_sources`]: quote.sources.join(','),
+  [`${currency}_updatedAt`]: quote.updatedAt.toISOString(),
+}), {});
+
+const fromCacheFields = (fields) => PRICE_CURRENCIES.reduce((prices, currency) => {
+  if (fields?.[currency] && fields[`${currency}_updatedAt`]) {
+    prices[currency] = {
+      price: +fields[currency],
+      sources: (fields[`${currency}_sources`] || '').split(',').filter(Boolean),
+      updatedAt: new Date(fields[`${currency}_updatedAt`]),
+    };
+  }
+  return prices;
+}, {});
+
+const getCachedPrices = async () => {
+  if (!isReady()) {
+    return {};
+  }
+
+  return fromCacheFields(await run('hgetall', PRICE_UPDATED_KEY));
+};
+
+const fetchPrices = async () => {
+  const providers = getProviders();
+  const answers = await Promise.allSettled(
+    providers.map((provider) => provider.getPrices(PRICE_SYMBOL, PRICE_CURRENCIES))
+  );
+  const results = [];
+
+  answers.forEach((answer, i) => {
+    if (answer.status === 'fulfilled') {
+      results.push({ source: providers[i].name, prices: answer.value });
+    } else {
+      console.error(`PRICE: ${providers[i].name} failed`, answer.reason?.message);
+    }
+  });
+
+  return aggregatePrices(results);
+};
+
+/**
+ * Adds the prices to the price history, a price the sources did not update since the last
+ * refresh is only stored once
+ */
+const recordPrices = (prices) => PricePoint.bulkWrite(
+  Object.entries(prices).map(([currency, quote]) => ({
+    updateOne: {
+      filter: { symbol: PRICE_SYMBOL, currency, at: quote.updatedAt },
+      update: { $setOnInsert: { price: quote.price, sources: quote.sources } },
+      upsert: true,
+    },
+  })),
+  { ordered: false }
+);
+
+const updatePrices = async () => {
+  const fetched = await fetchPrices();
+
+  if (!Object.keys(fetched).length) {
+    throw new Error('PRICE_UNAVAILABLE');
+  }
+
+  try {
+    await recordPrices(fetched);
+  } catch (e) {
+    console.error('PRICE: failed to record the price history', e.message);
+  }
+
+  if (!isReady()) {
+    return fetched;
+  }
+
+  await run('hmset', PRICE_UPDATED_KEY, {
+    ...toCacheFields(fetched),
+    _updatedAt: new Date().toUTCString(),
+  });
+
+  const prices = await getCachedPrices();
+  const missing = PRICE_CURRENCIES.filter((currency) => !prices[currency]);
+
+  if (missing.length) {
+    console.warn(`PRICE: no ${missing.join(', ')} price yet, the info channel is not updated`);
+  } else {
+    publishPriceUpdate({
+      ...PRICE_CURRENCIES.reduce((output, currency) => ({ ...output, [currency]: prices[currency].price }), {}),
+      _updatedAt: new Date().toUTCString(),
+    }).catch((e) => console.error('PRICE: info channel update failed', e.message));
+  }
+
+  return prices;
+};
+
+/**
+ * Fetches the prices from all providers into the cache and pushes them to the info channel,
+ * run by the schedulePriceUpdate job. Quotes that find the cache stale share the refresh
+ * running in this process.
+ * @returns {Promise<object>} prices per currency
+ */
+const refreshPrices = () => {
+  refreshing = refreshing || updatePrices().finally(() => {
+    refreshing = null;
+  });
+
+  return refreshing;
+};
+
+/**
+ * Quote of a currency amount in WFAIR
+ * @param {object} prices cached prices per currency
+ * @param {object} params
+ * @param {string} params.convertFrom one of PRICE_CURRENCIES
+ * @param {number} params.amount
+ * @param {Date} now
+ */
+const toQuote = (prices, { convertFrom, amount }, now = new Date()) => {
+  const quote = prices[convertFrom];
+  const age = quote ? now.getTime() - quote.updatedAt.getTime() : Infinity;
+
+  if (age > PRICE_MAX_AGE_MINUTES * 60 * 1000) {
+    throw new Error('PRICE_UNAVAILABLE');
+  }
+
+  return {
+    convertFrom,
+    convertTo: PRICE_SYMBOL,
+    amount,
+    price: quote.price,
+    convertedAmount: amount / quote.price,
+    sources: quote.sources,
+    updatedAt: quote.updatedAt,
+    stale: age > PRICE_STALE_MINUTES * 60 * 1000,
+    // the shape of the CoinMarketCap answers the quote used to pass on
+    [PRICE_SYMBOL]: {
+      quote: {
+        [convertFrom]: { price: quote.price, last_updated: quote.updatedAt },
+      },
+    },
+  };
+};
+
+const getQuote = async ({ convertFrom, amount = 1 }) => {
+  const now = new Date();
+  let prices = await getCachedPrices();
+  const cached = prices[convertFrom];
+
+  if (!cached || now.getTime() - cached.updatedAt.getTime() > PRICE_STALE_MINUTES * 60 * 1000) {
+    try {
+      prices = { ...prices, ...await refreshPrices() };
+    } catch (e) {
+      console.error('PRICE: refresh failed, quoting the cached price', e.message);
+    }
+  }
+
+  return toQuote(prices, { convertFrom, amount: +amount }, now);
+};
+
+/**
+ * Time range of the candles asked for, aligned to the interval
+ * @param {object} params
+ * @param {string} params.interval one of CANDLE_INTERVALS
+ * @param {Date} [params.from] the DEFAULT_CANDLES intervals before `to` by default
+ * @param {Date} [params.to] now by default
+ */
+const getCandleRange = ({ interval, from, to }, now = new Date()) => {
+  const intervalMs = CANDLE_INTERVALS[interval];
+
+  if (!intervalMs) {
+    throw new Error('INVALID_INTERVAL');
+  }
+
+  const end = to ? new Date(to) : now;
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_CANDLES * intervalMs);
+
+  if (start >= end) {
+    throw new Error('INVALID_RANGE');
+  }
+
+  const alignedStart = new Date(Math.floor(start.getTime() / intervalMs) * intervalMs);
+
+  if ((end - alignedStart) / intervalMs > MAX_CANDLES) {
+    throw new Error('TOO_MANY_CANDLES');
+  }
+
+  return { intervalMs, from: alignedStart, to: end };
+};
+
+/**
+ * OHLC candles of the WFAIR price in a currency, intervals without prices have no candle
+ * @param {object} params
+ * @param {string} params.currency one of PRICE_CURRENCIES
+ * @param {string} params.interval one of CANDLE_INTERVALS
+ * @param {Date} [params.from]
+ * @param {Date} [params.to]
+ */
+const getCandles = async ({ currency, interval, from, to }) => {
+  const range = getCandleRange({ interval, from, to });
+  const time = { $toLong: '$at' };
+
+  const candles = await PricePoint.aggregate([
+    { $match: { symbol: PRICE_SYMBOL, currency, at: { $gte: range.from, $lt: range.to } } },
+    { $sort: { at: 1 } },
+    {
+      $group: {
+        _id: { $subtract: [time, { $mod: [time, range.intervalMs] }] },
+        open: { $first: '$price' },
+        high: { $max: '$price' },
+        low: { $min: '$price' },
+        close: { $last: '$price' },
+        points: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return {
+    symbol: PRICE_SYMBOL,
+    currency,
+    interval,
+    from: range.from,
+    to: range.to,
+    candles: candles.map(({ _id, ...candle }) => ({ openTime: new Date(_id), ...candle })),
+  };
+};
+
+/**
+ * Prices of WFAIR at the given times, null where the history has no price close enough
+ * @param {string} currency
+ * @param {Date[]} dates
+ * @returns {Promise<Array<number|null>>}
+ */
+const getPricesAt = (currency, dates) => {
+  const lookups = {};
+
+  return Promise.all(dates.map((date) => {
+    const time = new Date(date).getTime();
+
+    if (Number.isNaN(time)) {
+      return null;
+    }
+
+    lookups[time] = lookups[time] || PricePoint.findOne({
+      symbol: PRICE_SYMBOL,
+      currency,
+      at: {
+        $lte: new Date(time),
+        $gte: new Date(time - PRICE_HISTORY_MAX_GAP_HOURS * 60 * 60 * 1000),
+      },
+    })
+      .sort({ at: -1 })
+      .lean()
+      .then((point) => point?.price ?? null);
+
+    return lookups[time];
+  }));
+};
+
+/**
+ * Currency to value the transactions of a user in
+ * @param user
+ * @returns {string} one of FIAT_CURRENCIES
+ */
+const getFiatCurrency = (user) => FIAT_CURRENCIES.includes(user?.preferences?.currency)
+  ? user.preferences.currency
+  : FIAT_CURRENCIES[0];
+
+/**
+ * Current rate of the currency the user prefers, users preferring WFAIR get a rate of 1
+ * @param user null for anonymous requests
+ * @returns {Promise<{currency: string, price: number|null}>} price is null while no recent
+ * price is known
+ */
+const getConversion = async (user) => {
+  const currency = user?.preferences?.currency;
+
+  if (!PRICE_CURRENCIES.includes(currency)) {
+    return { currency: PRICE_SYMBOL, price: 1 };
+  }
+
+  try {
+    const { price } = await getQuote({ convertFrom: currency });
+    return { currency, price };
+  } catch (e) {
+    console.error('PRICE: no conversion to', currency, e.message);
+    return { currency, price: null };
+  }
+};
+
+/**
+ * Adds the value of each item at its time, in the fiat currency of the user
+ * @param {object[]} items
+ * @param user
+ * @param {object} accessors
+ * @param {Function} accessors.amount WFAIR amount of an item, null if it has none
+ * @param {Function} accessors.date time of an item
+ */
+const addFiatValues = async (items, user, { amount, date }) => {
+  const currency = getFiatCurrency(user);
+  const prices = await getPricesAt(currency, items.map(date));
+
+  return items.map((item, i) => ({
+    ...item,
+    fiat: money.convert(amount(item), { currency, price: prices[i] }),
+  }));
+};
+
+module.exports = {
+  PRICE_SYMBOL,
+  PRICE_CURRENCIES,
+  CANDLE_INTERVALS,
+  init,
+  median,
+  aggregatePrices,
+  toCacheFields,
+  fromCacheFields,
+  refreshPrices,
+  toQuote,
+  getQuote,
+  getCandleRange,
+  getCandles,
+  getFiatCurrency,
+  getConversion,
+  addFiatValues,
+};
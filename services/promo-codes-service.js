@@ -1,6 +1,7 @@
 const { fromWei, Wallet, AccountNamespace } = require("@wallfair.io/trading-engine");
 const { CasinoTradeContract } = require("@wallfair.io/wallfair-casino");
 const { PROMO_CODE_DEFAULT_REF } = require("../util/constants");
+const { formatWei } = require("../util/money");
 
 const casinoContract = new CasinoTradeContract();
 
@@ -10,6 +11,7 @@ exports.getUserPromoCodes = async (userId, statuses) => {
     return {
       ...p,
       value: fromWei(p.value).toFixed(4),
+      valueWfair: formatWei(p.value),
       wagering_reached: p.status === 'CLAIMED' ?
         (await casinoContract.calculateWagering(userId, p)) :
         0
@@ -63,6 +65,7 @@ exports.claimPromoCodeBonus = async (userId, promoCodeName) => {
   return {
     ...res,
     value: fromWei(res.value).toFixed(4),
+    valueWfair: formatWei(res.value),
   }
 }
 
@@ -0,0 +1,138 @@
+const { promisify } = require('util');
+const { User } = require('@wallfair.io/wallfair-commons').models;
+
+const KEY_PREFIX = 'RATE_LIMIT/';
+
+/** Failed logins of an account before it gets temporarily locked */
+const LOGIN_LOCK_THRESHOLD = +process.env.LOGIN_LOCK_THRESHOLD || 5;
+/** Failed logins of an account before it gets locked until an admin unlocks it */
+const LOGIN_HARD_LOCK_THRESHOLD = +process.env.LOGIN_HARD_LOCK_THRESHOLD || 20;
+const LOGIN_FAILURES_WINDOW = 24 * 60 * 60;
+const LOGIN_LOCK_BASE_SECONDS = 60;
+const LOGIN_LOCK_MAX_SECONDS = 60 * 60;
+
+let redisClient;
+
+const run = (command, ...args) => promisify(redisClient[command]).apply(redisClient, args);
+
+const isReady = () => !!redisClient?.connected;
+
+const init = (redis) => {
+  redisClient = redis;
+};
+
+/**
+ * Counts a hit on `key` in a fixed window
+ * @param {string} key
+ * @param {number} limit max hits allowed in the window
+ * @param {number} windowSeconds
+ * @returns {Promise<{allowed: boolean, remaining: number, retryAfter: number}>}
+ */
+const consume = async (key, limit, windowSeconds) => {
+  // fail open, redis being down must not lock everybody out
+  if (!isReady()) {
+    return { allowed: true, remaining: limit, retryAfter: 0 };
+  }
+
+  const redisKey = `${KEY_PREFIX}${key}`;
+  const hits = await run('incr', redisKey);
+  let ttl = await run('ttl', redisKey);
+
+  if (ttl < 0) {
+    await run('expire', redisKey, windowSeconds);
+    ttl = windowSeconds;
+  }
+
+  return {
+    allowed: hits <= limit,
+    remaining: Math.max(limit - hits, 0),
+    retryAfter: hits <= limit ? 0 : ttl,
+  };
+};
+
+/**
+ * Seconds until the temporary login lock of the user expires, 0 if not locked
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+const getLoginLockTime = async (userId) => {
+  if (!isReady()) {
+    return 0;
+  }
+
+  const ttl = await run('ttl', `${KEY_PREFIX}login_lock/${userId}`);
+  return Math.max(ttl, 0);
+};
+
+/**
+ * Registers a failed login. Every failure after LOGIN_LOCK_THRESHOLD locks the account
+ * for twice as long as the previous one, after LOGIN_HARD_LOCK_THRESHOLD failures the
+ * account gets the `locked` status and has to be unlocked by an admin.
+ * @param user
+ * @returns {Promise<number>} amount of failed attempts in the current window
+ */
+const registerLoginFailure = async (user) => {
+  if (!isReady()) {
+    return 0;
+  }
+
+  const userId = user.id;
+  const failuresKey = `${KEY_PREFIX}login_failures/${userId}`;
+  const failures = await run('incr', failuresKey);
+
+  if (failures === 1) {
+    await run('expire', failuresKey, LOGIN_FAILURES_WINDOW);
+  }
+
+  if (failures >= LOGIN_HARD_LOCK_THRESHOLD) {
+    await User.updateOne({ _id: userId }, { status: 'locked' });
+    console.warn(`[RATE-LIMIT] User ${userId} locked after ${failures} failed logins`);
+  } else if (failures >= LOGIN_LOCK_THRESHOLD) {
+    const lockSeconds = Math.min(
+      LOGIN_LOCK_BASE_SECONDS * 2 ** (failures - LOGIN_LOCK_THRESHOLD),
+      LOGIN_LOCK_MAX_SECONDS
+    );
+    await run('set', `${KEY_PREFIX}login_lock/${userId}`, '1', 'EX', lockSeconds);
+  }
+
+  return failures;
+};
+
+const resetLoginFailures = async (userId) => {
+  if (!isReady()) {
+    return;
+  }
+
+  await run('del', `${KEY_PREFIX}login_failures/${userId}`, `${KEY_PREFIX}login_lock/${userId}`);
+};
+
+/**
+ * Lifts the `locked` status and the temporary lock of an account
+ * @param {string} userId
+ * @returns {Promise<User>}
+ */
+const unlockUser = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new Error('NOT_FOUND');
+  }
+
+  if (user.status === 'locked') {
+    user.status = 'active';
+    await user.save();
+  }
+
+  await resetLoginFailures(userId);
+
+  return user;
+};
+
+module.exports = {
+  init,
+  consume,
+  getLoginLockTime,
+  registerLoginFailure,
+  resetLoginFailures,
+  unlockUser,
+};
@@ -2,7 +2,13 @@ const models = require('@wallfair.io/wallfair-commons').models;
 
 const API_TYPE = 'backend';
 const DATA_SENSITIVE_ROUTES = [
-  '/auth/login'
+  '/auth/login',
+  '/auth/mfa',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/reset-password',
+  '/user/identities',
+  '/user/kyc',
 ];
 
 const getRealIp = (req) => {
@@ -94,5 +100,6 @@ const requestLogHandler = async (req, res, next) => {
 
 
 module.exports = {
-  requestLogHandler
+  requestLogHandler,
+  getRealIp,
 }
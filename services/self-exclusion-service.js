@@ -0,0 +1,140 @@
+const { SelfExclusion } = require('../models').models;
+const { User } = require('@wallfair.io/wallfair-commons').models;
+const outboxService = require('./outbox-service');
+const mailService = require('./mail-service');
+const sessionService = require('./session-service');
+const { SELF_EXCLUSION_PERIODS, RESPONSIBLE_GAMING_EVENTS } = require('../util/constants');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * End of an exclusion of the given period starting at `from`, null for permanent ones
+ * @param {string} period one of SELF_EXCLUSION_PERIODS
+ * @param {Date} from
+ * @returns {Date|null}
+ */
+const getExclusionEnd = (period, from) => {
+  switch (period) {
+    case SELF_EXCLUSION_PERIODS.DAY:
+      return new Date(from.getTime() + 24 * HOUR);
+    case SELF_EXCLUSION_PERIODS.WEEK:
+      return new Date(from.getTime() + 7 * 24 * HOUR);
+    case SELF_EXCLUSION_PERIODS.MONTH:
+      return new Date(from.getTime() + 30 * 24 * HOUR);
+    case SELF_EXCLUSION_PERIODS.HALF_YEAR: {
+      const end = new Date(from);
+      end.setMonth(end.getMonth() + 6);
+      return end;
+    }
+    case SELF_EXCLUSION_PERIODS.PERMANENT:
+      return null;
+    default:
+      throw new Error('INVALID_SELF_EXCLUSION_PERIOD');
+  }
+};
+
+/**
+ * The exclusion currently in force, the one ending last if several overlap
+ * @param {string} userId
+ * @returns {Promise<SelfExclusion|null>}
+ */
+const getActiveExclusion = async (userId) => {
+  const exclusions = await SelfExclusion.find({
+    userId: `${userId}`,
+    $or: [{ endsAt: null }, { endsAt: { $gt: new Date() } }],
+  });
+
+  return exclusions.find((exclusion) => !exclusion.endsAt) ||
+    exclusions.sort((a, b) => b.endsAt - a.endsAt)[0] ||
+    null;
+};
+
+const isSelfExcluded = async (userId) => !!(await getActiveExclusion(userId));
+
+/**
+ * @param exclusion SelfExclusion that was just set
+ */
+const publishSelfExcluded = (exclusion) => outboxService.publish('event.user_self_excluded', {
+  event: RESPONSIBLE_GAMING_EVENTS.EVENT_USER_SELF_EXCLUDED,
+  producerId: exclusion.userId,
+  data: {
+    userId: exclusion.userId,
+    period: exclusion.period,
+    startsAt: exclusion.startsAt,
+    endsAt: exclusion.endsAt,
+  },
+});
+
+/**
+ * Excludes the user from playing. An exclusion can't be lifted or shortened, setting a new
+ * one only works if it ends after the current one. All sessions of the user are revoked,
+ * marketing emails are suppressed and the notification service is informed.
+ * @param user
+ * @param {string} period one of SELF_EXCLUSION_PERIODS
+ * @param {object} client
+ * @param {string} client.ip
+ * @param {string} client.userAgent
+ * @returns {Promise<SelfExclusion>}
+ */
+const selfExclude = async (user, period, { ip, userAgent } = {}) => {
+  const startsAt = new Date();
+  const endsAt = getExclusionEnd(period, startsAt);
+  const active = await getActiveExclusion(user.id);
+
+  if (active && (!active.endsAt || (endsAt && endsAt <= active.endsAt))) {
+    throw new Error('SELF_EXCLUSION_ACTIVE');
+  }
+
+  const exclusion = await SelfExclusion.create({
+    userId: user.id,
+    period,
+    startsAt,
+    endsAt,
+    ip,
+    userAgent,
+  });
+
+  await sessionService.revokeAllSessions(user.id, sessionService.REVOKE_REASONS.selfExcluded);
+
+  await mailService.suppressMarketingMails(user.email)
+    .catch((e) => console.error('SELF EXCLUSION MARKETING: ', e.message));
+
+  await publishSelfExcluded(exclusion);
+
+  return exclusion;
+};
+
+/**
+ * All exclusions ever set by the user, newest first
+ * @param {string} userId
+ */
+const getExclusionHistory = async (userId) => SelfExclusion.find(
+  { userId: `${userId}` },
+  ['period', 'startsAt', 'endsAt', 'ip', 'userAgent', 'createdAt'],
+  { sort: { createdAt: -1 } }
+);
+
+/**
+ * Admin view of a user's exclusions
+ * @param {string} userId
+ */
+const getUserExclusions = async (userId) => {
+  if (!(await User.exists({ _id: userId }))) {
+    throw new Error('NOT_FOUND');
+  }
+
+  return {
+    active: await getActiveExclusion(userId),
+    history: await getExclusionHistory(userId),
+  };
+};
+
+module.exports = {
+  getExclusionEnd,
+  getActiveExclusion,
+  isSelfExcluded,
+  selfExclude,
+  publishSelfExcluded,
+  getExclusionHistory,
+  getUserExclusions,
+};
@@ -0,0 +1,170 @@
+const { randomBytes, createHash } = require('crypto');
+const mongoose = require('mongoose');
+const { UserSession } = require('../models').models;
+const authService = require('./auth-service');
+
+const REFRESH_TOKEN_TTL_DAYS = +process.env.REFRESH_TOKEN_TTL_DAYS || 30;
+
+const REVOKE_REASONS = {
+  logout: 'logout',
+  logoutEverywhere: 'logout_everywhere',
+  replaced: 'replaced',
+  refreshTokenReuse: 'refresh_token_reuse',
+  passwordChanged: 'password_changed',
+  banned: 'banned',
+  selfExcluded: 'self_excluded',
+  playTimeLimit: 'play_time_limit',
+};
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const getExpirationDate = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Refresh tokens have the form `<sessionId>.<secret>`, only the hash of the whole token is stored
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = `${refreshToken}`.split('.');
+  return sessionId && secret ? sessionId : null;
+};
+
+const buildTokens = async (user, session, secret) => ({
+  session: await authService.generateJwt(user, session.id),
+  refreshToken: `${session.id}.${secret}`,
+  refreshTokenExpiresAt: session.expiresAt,
+});
+
+/**
+ * Opens a new session for a successful login
+ * @param user
+ * @param {object} client
+ * @param {string} client.deviceId
+ * @param {string} client.userAgent
+ * @param {string} client.ip
+ * @returns {Promise<{session: string, refreshToken: string, refreshTokenExpiresAt: Date}>}
+ */
+const createSession = async (user, { deviceId, userAgent, ip } = {}) => {
+  if (deviceId) {
+    await revokeSessions({ userId: user.id, deviceId }, REVOKE_REASONS.replaced);
+  }
+
+  const secret = randomBytes(32).toString('hex');
+  const session = new UserSession({
+    userId: user.id,
+    deviceId,
+    userAgent,
+    ip,
+    expiresAt: getExpirationDate(),
+  });
+  session.refreshTokenHash = hashToken(`${session.id}.${secret}`);
+  await session.save();
+
+  return buildTokens(user, session, secret);
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * Presenting an already rotated refresh token revokes the whole session, as it was likely leaked.
+ * @param {string} refreshToken
+ * @param {Function} getUser resolves the user of the session, returning nothing denies the refresh
+ */
+const refreshSession = async (refreshToken, getUser) => {
+  const sessionId = parseRefreshToken(refreshToken);
+
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  const session = await UserSession.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!session) {
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    await revokeSessions({ _id: session._id }, REVOKE_REASONS.refreshTokenReuse);
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  const user = await getUser(session.userId);
+
+  if (!user) {
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  const secret = randomBytes(32).toString('hex');
+  const rotated = await UserSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(`${session.id}.${secret}`),
+      lastUsedAt: new Date(),
+      expiresAt: getExpirationDate(),
+    },
+    { new: true }
+  );
+
+  // a concurrent refresh with the same token won the race
+  if (!rotated) {
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  return buildTokens(user, rotated, secret);
+};
+
+const revokeSessions = async (filter, reason) => UserSession.updateMany(
+  { ...filter, revokedAt: null },
+  { revokedAt: new Date(), revokeReason: reason }
+);
+
+const revokeSessionByRefreshToken = async (refreshToken) => {
+  const sessionId = parseRefreshToken(refreshToken);
+
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return;
+  }
+
+  await revokeSessions(
+    { _id: sessionId, refreshTokenHash: hashToken(refreshToken) },
+    REVOKE_REASONS.logout
+  );
+};
+
+const revokeSession = async (userId, sessionId, reason = REVOKE_REASONS.logout) =>
+  revokeSessions({ _id: sessionId, userId }, reason);
+
+const revokeAllSessions = async (userId, reason = REVOKE_REASONS.logoutEverywhere) =>
+  revokeSessions({ userId: `${userId}` }, reason);
+
+const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+
+  return !!(await UserSession.exists({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }));
+};
+
+const listSessions = async (userId) => UserSession.find(
+  { userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+  ['deviceId', 'userAgent', 'ip', 'lastUsedAt', 'createdAt', 'expiresAt'],
+  { sort: { lastUsedAt: -1 } }
+);
+
+module.exports = {
+  REVOKE_REASONS,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  isSessionActive,
+  listSessions,
+};
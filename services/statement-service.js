@@ -0,0 +1,383 @@
+const { Query, Wallet, AccountNamespace, WFAIR_SYMBOL, BN } = require('@wallfair.io/trading-engine');
+const { Statement } = require('../models').models;
+const awsS3Service = require('./aws-s3-service');
+const jobService = require('./job-service');
+const money = require('../util/money');
+const { renderTextPdf } = require('../util/pdf');
+const { STATEMENT_ENTRY_TYPES, STATEMENT_FORMATS, STATEMENT_STATUSES } = require('../util/constants');
+
+/** Balances the statement covers, BFAIR is the bonus money of promo codes */
+const STATEMENT_SYMBOLS = [WFAIR_SYMBOL, 'BFAIR'];
+
+/** Statements with more entries are generated by the generateStatements job */
+const STATEMENT_SYNC_MAX_ENTRIES = +process.env.STATEMENT_SYNC_MAX_ENTRIES || 1000;
+/** Generated statements are deleted after this, the bucket should expire `statements/` as well */
+const STATEMENT_TTL_DAYS = +process.env.STATEMENT_TTL_DAYS || 7;
+const STATEMENT_LOCK_MINUTES = 10;
+const STATEMENT_MAX_ATTEMPTS = 3;
+const DOWNLOAD_URL_TTL_SECONDS = 15 * 60;
+
+const CONTENT_TYPES = {
+  [STATEMENT_FORMATS.JSON]: 'application/json',
+  [STATEMENT_FORMATS.CSV]: 'text/csv',
+  [STATEMENT_FORMATS.PDF]: 'application/pdf',
+};
+
+const LEDGER_ACCOUNT = `
+  ((sender_namespace = $2 AND sender_account = $1) OR (receiver_namespace = $2 AND receiver_account = $1))
+  AND symbol = ANY($3)`;
+
+const isCredit = (row, userId) =>
+  row.receiver_namespace === AccountNamespace.USR && row.receiver_account === userId;
+
+/**
+ * Type of a ledger movement of the user, told by where the money came from or went to
+ * @param row of the trading-engine transaction table
+ * @param {string} userId
+ * @returns {string} one of STATEMENT_ENTRY_TYPES
+ */
+const classifyEntry = (row, userId) => {
+  const credit = isCredit(row, userId);
+  const namespace = credit ? row.sender_namespace : row.receiver_namespace;
+  const account = credit ? row.sender_account : row.receiver_account;
+
+  // mints and burns, bonus money is minted when a promo code is claimed and burnt when it ends
+  if (!account) {
+    if (!credit) {
+      return STATEMENT_ENTRY_TYPES.PROMO_BURN;
+    }
+    return row.symbol === WFAIR_SYMBOL ? STATEMENT_ENTRY_TYPES.REWARD : STATEMENT_ENTRY_TYPES.PROMO_CREDIT;
+  }
+
+  switch (namespace) {
+    case AccountNamespace.CAS:
+      return credit ? STATEMENT_ENTRY_TYPES.CASINO_WIN : STATEMENT_ENTRY_TYPES.CASINO_BET;
+    case AccountNamespace.BET:
+      return credit ? STATEMENT_ENTRY_TYPES.BET_PAYOUT : STATEMENT_ENTRY_TYPES.BET;
+    case AccountNamespace.USR:
+      return STATEMENT_ENTRY_TYPES.TRANSFER;
+    case AccountNamespace.ETH:
+      if (account === process.env.WITHDRAWAL_WALLET) {
+        return credit ? STATEMENT_ENTRY_TYPES.WITHDRAWAL_REFUND : STATEMENT_ENTRY_TYPES.WITHDRAWAL;
+      }
+      // bonus money turned into WFAIR once its wagering is reached
+      if (account === process.env.REWARD_WALLET && credit) {
+        return STATEMENT_ENTRY_TYPES.PROMO_CREDIT;
+      }
+      return credit ? STATEMENT_ENTRY_TYPES.DEPOSIT : STATEMENT_ENTRY_TYPES.WITHDRAWAL;
+    default:
+      return STATEMENT_ENTRY_TYPES.OTHER;
+  }
+};
+
+/**
+ * Entries of the statement with the balance after each of them. The balances are walked
+ * back from the balances at the end of the statement, so they add up with the wallet even
+ * for money that was never moved through the ledger, like the initial balance of an account.
+ * @param {object[]} rows ledger movements of the user, oldest first
+ * @param {string} userId
+ * @param {Object<string, BigNumber>} closingBalances wei per symbol at the end of the statement
+ */
+const buildEntries = (rows, userId, closingBalances) => {
+  const balances = { ...closingBalances };
+  const entries = new Array(rows.length);
+
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const row = rows[i];
+    const amount = new BN(row.amount).times(isCredit(row, userId) ? 1 : -1);
+    const balance = balances[row.symbol] || new BN(0);
+
+    entries[i] = {
+      id: row.id,
+      date: new Date(row.executed_at),
+      type: classifyEntry(row, userId),
+      symbol: row.symbol,
+      amount: money.formatWei(amount),
+      balance: money.formatWei(balance),
+    };
+    balances[row.symbol] = balance.minus(amount);
+  }
+
+  return { entries, openingBalances: balances };
+};
+
+const formatBalances = (balances) => STATEMENT_SYMBOLS.reduce((formatted, symbol) => ({
+  ...formatted,
+  [symbol]: money.formatWei(balances[symbol] || '0'),
+}), {});
+
+const countEntries = async (userId, { from, to }) => {
+  const [{ count }] = await new Query().query(
+    `SELECT COUNT(*) AS count FROM "transaction"
+     WHERE ${LEDGER_ACCOUNT} AND executed_at >= $4 AND executed_at < $5`,
+    [userId, AccountNamespace.USR, STATEMENT_SYMBOLS, from || new Date(0), to]
+  );
+  return +count;
+};
+
+/**
+ * Balances of the user at the given time, the current balances minus what moved since then
+ */
+const getBalancesAt = async (userId, date) => {
+  const wallet = new Wallet();
+  const [current, moved] = await Promise.all([
+    Promise.all(STATEMENT_SYMBOLS.map((symbol) => wallet.getBalance(userId, AccountNamespace.USR, symbol))),
+    new Query().query(
+      `SELECT symbol,
+         SUM(CASE WHEN receiver_namespace = $2 AND receiver_account = $1 THEN amount ELSE -amount END) AS net
+       FROM "transaction"
+       WHERE ${LEDGER_ACCOUNT} AND executed_at >= $4
+       GROUP BY symbol`,
+      [userId, AccountNamespace.USR, STATEMENT_SYMBOLS, date]
+    ),
+  ]);
+
+  return STATEMENT_SYMBOLS.reduce((balances, symbol, i) => {
+    const net = moved.find((m) => m.symbol === symbol)?.net || '0';
+    balances[symbol] = new BN(current[i] || '0').minus(net);
+    return balances;
+  }, {});
+};
+
+/**
+ * Chronological ledger of the user. Casino games, bets, deposits, withdrawals, promo codes
+ * and rewards all move money through the trading-engine ledger, which makes it the one
+ * source all of them are read from.
+ * @param {string} userId
+ * @param {object} params
+ * @param {Date} [params.from] start of the ledger by default
+ * @param {Date} params.to
+ * @param {string[]} [params.types] STATEMENT_ENTRY_TYPES to list, balances still count all
+ */
+const getStatement = async (userId, { from, to, types = [] }) => {
+  const [rows, closingBalances] = await Promise.all([
+    new Query().query(
+      `SELECT id, sender_namespace, sender_account, receiver_namespace, receiver_account, symbol, amount, executed_at
+       FROM "transaction"
+       WHERE ${LEDGER_ACCOUNT} AND executed_at >= $4 AND executed_at < $5
+       ORDER BY executed_at, id`,
+      [userId, AccountNamespace.USR, STATEMENT_SYMBOLS, from || new Date(0), to]
+    ),
+    getBalancesAt(userId, to),
+  ]);
+  const { entries, openingBalances } = buildEntries(rows, userId, closingBalances);
+
+  return {
+    userId,
+    from: from || null,
+    to,
+    types,
+    openingBalances: formatBalances(openingBalances),
+    closingBalances: formatBalances(closingBalances),
+    entries: types.length ? entries.filter((entry) => types.includes(entry.type)) : entries,
+  };
+};
+
+const CSV_COLUMNS = ['date', 'type', 'symbol', 'amount', 'balance', 'id'];
+
+const toCsvValue = (value) => {
+  const text = value instanceof Date ? value.toISOString() : `${value ?? ''}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (statement) => [
+  CSV_COLUMNS.join(','),
+  ...statement.entries.map((entry) => CSV_COLUMNS.map((column) => toCsvValue(entry[column])).join(',')),
+].join('\n') + '\n';
+
+const formatPeriod = (statement) =>
+  `${statement.from ? statement.from.toISOString() : 'account opening'} - ${statement.to.toISOString()}`;
+
+const formatBalanceLine = (label, balances) =>
+  `${label}: ${STATEMENT_SYMBOLS.map((symbol) => `${balances[symbol]} ${symbol}`).join(', ')}`;
+
+const toPdfLines = (statement) => [
+  'Account statement',
+  `User: ${statement.userId}`,
+  `Period: ${formatPeriod(statement)}`,
+  ...(statement.types.length ? [`Types: ${statement.types.join(', ')}`] : []),
+  formatBalanceLine('Opening balance', statement.openingBalances),
+  '',
+  [
+    'Date'.padEnd(26),
+    'Type'.padEnd(18),
+    'Symbol'.padEnd(7),
+    'Amount'.padStart(20),
+    'Balance'.padStart(20),
+    '  Reference',
+  ].join(''),
+  ...statement.entries.map((entry) => [
+    entry.date.toISOString().padEnd(26),
+    entry.type.padEnd(18),
+    entry.symbol.padEnd(7),
+    entry.amount.padStart(20),
+    entry.balance.padStart(20),
+    `  ${entry.id}`,
+  ].join('')),
+  '',
+  formatBalanceLine('Closing balance', statement.closingBalances),
+];
+
+/**
+ * @param statement see getStatement
+ * @param {string} format one of STATEMENT_FORMATS
+ * @returns {{body: Buffer, contentType: string, filename: string}}
+ */
+const renderStatement = (statement, format) => {
+  const renderers = {
+    [STATEMENT_FORMATS.JSON]: () => Buffer.from(JSON.stringify(statement)),
+    [STATEMENT_FORMATS.CSV]: () => Buffer.from(toCsv(statement)),
+    [STATEMENT_FORMATS.PDF]: () => renderTextPdf(toPdfLines(statement)),
+  };
+
+  return {
+    body: renderers[format](),
+    contentType: CONTENT_TYPES[format],
+    filename: `statement-${statement.userId}-${statement.to.toISOString().slice(0, 10)}.${format}`,
+  };
+};
+
+const toStatementRequest = async (statement) => ({
+  id: statement._id,
+  userId: statement.userId,
+  format: statement.format,
+  from: statement.from || null,
+  to: statement.to,
+  types: statement.types,
+  status: statement.status,
+  entries: statement.entries ?? null,
+  error: statement.error || null,
+  createdAt: statement.createdAt,
+  expiresAt: statement.expiresAt,
+  downloadUrl: statement.status === STATEMENT_STATUSES.READY
+    ? await awsS3Service.getPrivateUrl(statement.key, DOWNLOAD_URL_TTL_SECONDS)
+    : null,
+});
+
+/**
+ * Builds the statement right away if it is small enough, or leaves it to the
+ * generateStatements job
+ * @param {string} userId
+ * @param {string} requestedBy
+ * @param {object} params see getStatement
+ * @param {string} params.format one of STATEMENT_FORMATS
+ * @returns {Promise<{statement?: object, file?: object, request?: object}>} the statement for
+ * JSON, the file for CSV and PDF, or the request of a statement generated later on
+ */
+const requestStatement = async (userId, requestedBy, { from, to = new Date(), types = [], format }) => {
+  if (from && from >= to) {
+    throw new Error('INVALID_RANGE');
+  }
+
+  const count = await countEntries(userId, { from, to });
+
+  if (count <= STATEMENT_SYNC_MAX_ENTRIES) {
+    const statement = await getStatement(userId, { from, to, types });
+
+    return format === STATEMENT_FORMATS.JSON
+      ? { statement }
+      : { file: renderStatement(statement, format) };
+  }
+
+  if (format === STATEMENT_FORMATS.JSON) {
+    throw new Error('STATEMENT_TOO_LARGE');
+  }
+
+  const statement = await Statement.create({
+    userId,
+    requestedBy,
+    format,
+    from,
+    to,
+    types,
+    status: STATEMENT_STATUSES.PENDING,
+    expiresAt: new Date(Date.now() + STATEMENT_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  await jobService.runNow('generateStatements').catch((e) => {
+    // the schedule of the job picks it up
+    console.error('STATEMENT: could not trigger the job', e.message);
+  });
+
+  return { request: await toStatementRequest(statement) };
+};
+
+/**
+ * @param {string} id
+ * @param {string} [userId] only finds statements of this user, admins leave it out
+ */
+const getStatementRequest = async (id, userId) => {
+  const statement = await Statement.findById(id).catch(() => null);
+
+  if (!statement || (userId && statement.userId !== userId)) {
+    throw new Error('NOT_FOUND');
+  }
+
+  return toStatementRequest(statement);
+};
+
+const claimPending = () => Statement.findOneAndUpdate(
+  {
+    status: STATEMENT_STATUSES.PENDING,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }],
+  },
+  {
+    lockedUntil: new Date(Date.now() + STATEMENT_LOCK_MINUTES * 60 * 1000),
+    $inc: { attempts: 1 },
+  },
+  { sort: { createdAt: 1 }, new: true }
+);
+
+const generate = async (request) => {
+  const statement = await getStatement(request.userId, {
+    from: request.from,
+    to: request.to,
+    types: [...request.types],
+  });
+  const file = renderStatement(statement, request.format);
+  const key = `statements/${request.userId}/${request._id}.${request.format}`;
+
+  await awsS3Service.uploadPrivate(key, file.body, file.contentType);
+
+  request.key = key;
+  request.entries = statement.entries.length;
+  request.status = STATEMENT_STATUSES.READY;
+  request.lockedUntil = null;
+  await request.save();
+};
+
+/**
+ * Generates the pending statements, run by the generateStatements job
+ */
+const generatePending = async () => {
+  let request;
+
+  while ((request = await claimPending())) {
+    try {
+      await generate(request);
+      console.log(new Date(), `STATEMENT: ${request._id} ready with ${request.entries} entries`);
+    } catch (e) {
+      console.error('STATEMENT: ', request._id, e.message);
+      request.error = e.message;
+      request.lockedUntil = null;
+
+      if (request.attempts >= STATEMENT_MAX_ATTEMPTS) {
+        request.status = STATEMENT_STATUSES.FAILED;
+      }
+      await request.save();
+    }
+  }
+};
+
+module.exports = {
+  STATEMENT_SYMBOLS,
+  classifyEntry,
+  buildEntries,
+  toCsv,
+  toPdfLines,
+  getStatement,
+  renderStatement,
+  requestStatement,
+  getStatementRequest,
+  generatePending,
+};
@@ -143,6 +143,47 @@ const getCasinoGamesAmountLost = async (userId, gameId) => {
   }
 };
 
+/***
+ * Get staked, rewarded and net amount of the casino games played since a date, e.g. in a play session
+ * @param userId
+ * @param {Date} since
+ * @returns {Promise<object>}
+ * object.totalStaked
+ * object.totalReward
+ * object.netResult - negative value, when user lost in that time
+ */
+const getCasinoResultSince = async (userId, since) => {
+  const sumSince = async (type, field) => {
+    const query = await UniversalEvent.aggregate([
+      {
+        $match: {
+          type,
+          userId,
+          createdAt: {$gte: since}
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          total: {$sum: field}
+        },
+      }]).catch((err) => {
+      console.error('[getCasinoResultSince]', err);
+    });
+
+    return parseFloat(_.get(query, '0.total', 0));
+  };
+
+  const totalStaked = await sumSince('Casino/CASINO_PLACE_BET', '$data.amount');
+  const totalReward = await sumSince('Casino/CASINO_CASHOUT', '$data.reward');
+
+  return {
+    totalStaked,
+    totalReward,
+    netResult: totalReward - totalStaked
+  };
+};
+
 /***
  * Get total amount of bets per user
  * @param userId
@@ -318,6 +359,7 @@ module.exports = {
   getCasinoGameCashoutCount,
   getCasinoGamesAmountWon,
   getCasinoGamesAmountLost,
+  getCasinoResultSince,
   getUserBetsAmount,
   getUserBetsCashouts,
   getUserBetsRewards,
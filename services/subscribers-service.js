@@ -1,8 +1,15 @@
-const { fromWei, WFAIR_SYMBOL, TransactionManager, AccountNamespace, Transactions, ExternalTransactionOriginator } = require("@wallfair.io/trading-engine");
+const { fromWei, WFAIR_SYMBOL, Transactions, ExternalTransactionOriginator } = require("@wallfair.io/trading-engine");
 const { notificationEvents } = require('@wallfair.io/wallfair-commons/constants/eventTypes');
 const { sendMail } = require("../services/mail-service");
 const fs = require("fs");
 const { claimUserDeposit } = require("./promo-codes-service");
+const selfExclusionService = require("./self-exclusion-service");
+const userLimitsService = require("./user-limits-service");
+const depositIngestionService = require("./deposit-ingestion-service");
+const leaderboardService = require("./leaderboard-service");
+const achievementService = require("./achievement-service");
+const jobService = require("./job-service");
+const { LIMIT_TYPES } = require("../util/constants");
 const emailDepositCreated = fs.readFileSync(__dirname + '/../emails/deposit-created.html', 'utf8');
 const emailWithdrawRequested = fs.readFileSync(__dirname + '/../emails/withdraw-requested.html', 'utf8');
 
@@ -35,6 +42,43 @@ const exampleDepositData = {
 
  */
 
+/**
+ * Only deposits of users without any earlier deposit get the first deposit bonus, the ledger
+ * makes sure of that if several deposits of a new user are processed at the same time
+ */
+const isFirstDeposit = async (deposit, dd) => {
+  const deposits = await new Transactions().getExternalTransactionLogs({
+    where: {
+      internal_user_id: dd.internal_user_id,
+      originator: ExternalTransactionOriginator.DEPOSIT
+    }
+  });
+  const otherDeposits = deposits.filter(
+    (log) => log.transaction_hash?.toLowerCase() !== deposit.transactionHash
+  );
+
+  return otherDeposits.length === 0 && depositIngestionService.markFirstDeposit(deposit);
+};
+
+const sendDepositNotification = async (dd) => {
+  if (!process.env.DEPOSIT_NOTIFICATION_EMAIL) {
+    console.log('DEPOSIT_NOTIFICATION_EMAIL is empty, skipping email notification for deposits...');
+    return;
+  }
+
+  const formattedAmount = fromWei(dd.amount).decimalPlaces(0);
+  let emailHtml = emailDepositCreated;
+
+  for (const entry in dd) {
+    emailHtml = emailHtml.replace(`{{${entry}}}`, dd[entry]);
+  }
+  await sendMail(
+    process.env.DEPOSIT_NOTIFICATION_EMAIL,
+    `${notificationEvents.EVENT_DEPOSIT_CREATED} - ${process.env.ENVIRONMENT} - ${formattedAmount} ${dd.symbol}`,
+    emailHtml
+  );
+};
+
 const processDepositEvent = async (_, data) => {
   const eventName = data?.event;
 
@@ -46,34 +90,34 @@ const processDepositEvent = async (_, data) => {
       return;
     }
 
-    const deposits = await new Transactions().getExternalTransactionLogs({
-      where: {
-        internal_user_id: dd.internal_user_id,
-        originator: ExternalTransactionOriginator.DEPOSIT
-      }
-    });
-
-    if (deposits.length === 1) {
-      await claimUserDeposit(dd.internal_user_id, dd.amount)
-        .catch((e) => console.log('DEPOSIT CLAIM: ', e.message));
-    }
+    const deposit = await depositIngestionService.claimDeposit(dd);
 
-    if (!process.env.DEPOSIT_NOTIFICATION_EMAIL) {
-      console.log('DEPOSIT_NOTIFICATION_EMAIL is empty, skipping email notification for deposits...');
+    if (!deposit) {
+      console.log('DEPOSIT ALREADY PROCESSED: ', dd.network_code, dd.transaction_hash);
       return;
     }
 
-    const formattedAmount = fromWei(dd.amount).decimalPlaces(0);
-    let emailHtml = emailDepositCreated;
-
-    for (const entry in dd) {
-      emailHtml = emailHtml.replace(`{{${entry}}}`, dd[entry]);
+    try {
+      await depositIngestionService.runStep(deposit, 'bonus', async () => {
+        // deposit bonuses are a promotion, self-excluded users don't get them
+        if (await isFirstDeposit(deposit, dd) && !(await selfExclusionService.isSelfExcluded(dd.internal_user_id))) {
+          await claimUserDeposit(dd.internal_user_id, dd.amount)
+            .catch((e) => console.log('DEPOSIT CLAIM: ', e.message));
+        }
+      });
+
+      await depositIngestionService.runStep(deposit, 'limits', () =>
+        userLimitsService.notifyExhaustedLimits(dd.internal_user_id, LIMIT_TYPES.DEPOSIT, 'deposit')
+          .catch((e) => console.log('DEPOSIT LIMITS: ', e.message))
+      );
+
+      await depositIngestionService.runStep(deposit, 'notification', () => sendDepositNotification(dd));
+
+      await depositIngestionService.markProcessed(deposit);
+    } catch (e) {
+      await depositIngestionService.markFailed(deposit, e);
+      throw e;
     }
-    await sendMail(
-      process.env.DEPOSIT_NOTIFICATION_EMAIL,
-      `${notificationEvents.EVENT_DEPOSIT_CREATED} - ${process.env.ENVIRONMENT} - ${formattedAmount} ${dd.symbol}`,
-      emailHtml
-    );
   }
 }
 
@@ -97,49 +141,34 @@ const processWithdrawEvent = async (_, data) => {
   }
 }
 
-const checkPromoCodesExpiration = async () => {
-  PROCESSORS.promoCodesExpiration.running = true;
-  const transaction = new TransactionManager();
-
-  try {
-    await transaction.startTransaction();
-
-    const result = await transaction.queryRunner.query(`
-      UPDATE promo_code_user pcu
-      SET status = 'EXPIRED' 
-      FROM promo_code pc 
-      WHERE pcu.promo_code_id = pc.id AND 
-            pcu.status = 'CLAIMED' AND 
-            (pcu.expires_at <= now() OR pc.expires_at <= now())
-      RETURNING *`
-    );
-    const users = result[0].map(r => r.user_id);
-    users.length > 0 &&
-      await transaction.wallet.burnAll(users, AccountNamespace.USR, 'BFAIR');
-
-    await transaction.commitTransaction();
-
-    console.log(new Date(), `${result[1]} user promo codes expired`);
-  } catch (e) {
-    console.error(e);
-    await transaction.rollbackTransaction();
-  }
+/**
+ * The cron service triggers the expiration over AMQP, the job makes sure only one pod runs it
+ */
+const triggerPromoCodesExpiration = async () => {
+  await jobService.runNow('expirePromoCodes');
+};
 
-  PROCESSORS.promoCodesExpiration.running = false;
+/**
+ * Casino, bet and user events move the live leaderboards and the achievements, both count
+ * a redelivered event once
+ */
+const processUniversalEvent = async (routingKey, data) => {
+  await leaderboardService.recordEvent(routingKey, data);
+  await achievementService.recordEvent(routingKey, data);
 };
 
 const PROCESSORS = {
   deposit: {
     call: processDepositEvent,
-    running: false,
   },
   withdraw: {
     call: processWithdrawEvent,
-    running: false,
   },
   promoCodesExpiration: {
-    call: checkPromoCodesExpiration,
-    running: false,
+    call: triggerPromoCodesExpiration,
+  },
+  universalEvent: {
+    call: processUniversalEvent,
   },
 };
 
@@ -7,6 +7,9 @@ const axios = require('axios');
 const clientId = process.env.TWITCH_CLIENT_ID;
 const clientSecret = process.env.TWITCH_CLIENT_SECRET;
 
+const { notificationEvents } = require('@wallfair.io/wallfair-commons/constants/eventTypes');
+const outboxService = require('./outbox-service');
+
 // Import Event model
 const { Event } = require('@wallfair.io/wallfair-commons').models;
 
@@ -266,8 +269,22 @@ const removeAllSubscriptions = async () => {
   return result.length === 0;
 };
 
+/**
+ * @param {string} type `stream.online` or `stream.offline`
+ * @param event Event of the stream
+ * @param {ClientSession} session of the state change
+ */
+const publishStreamStatus = (type, event, session) => outboxService.publish('event.stream_status', {
+  event: type === 'stream.online' ? notificationEvents.EVENT_ONLINE : notificationEvents.EVENT_OFFLINE,
+  producer: 'system',
+  producerId: 'notification-service',
+  data: { event },
+  broadcast: true,
+}, { session });
+
 module.exports = {
   getEventFromTwitchUrl,
+  publishStreamStatus,
   subscribeForOnlineNotifications,
   subscribeForOfflineNotifications,
   removeSubscription,
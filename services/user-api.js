@@ -15,7 +15,7 @@ const { User } = require('@wallfair.io/wallfair-commons').models;
  * @param {String} userData.password
  * @param {String} userData.passwordResetToken
  */
-const createUser = async (userData) => await new User(userData).save();
+const createUser = async (userData, session = null) => await new User(userData).save({ session });
 
 /**
  * @param {String} id
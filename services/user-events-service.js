@@ -0,0 +1,152 @@
+const { notificationEvents } = require('@wallfair.io/wallfair-commons/constants/eventTypes');
+const outboxService = require('./outbox-service');
+
+/**
+ * Events of the user account. Every option is passed on to outboxService.publish, pass the
+ * session of the change to publish the event only if the change gets committed.
+ */
+
+/**
+ * @param user
+ * @param {string} [userIdentifier] email, phone or username the user signed in with
+ * @param {object} [options]
+ */
+const publishUserSignedIn = (user, userIdentifier, options) => outboxService.publish('event.user_signed_in', {
+  event: notificationEvents.EVENT_USER_SIGNED_IN,
+  producerId: user._id,
+  data: {
+    userIdentifier,
+    userId: user._id,
+    username: user.username,
+    updatedAt: Date.now(),
+  },
+  broadcast: true,
+}, options);
+
+/**
+ * @param user
+ * @param {object} details how the user signed up, e.g. ref, cid, sid, initialReward or provider
+ * @param {object} [options]
+ */
+const publishUserSignedUp = (user, details, options) => outboxService.publish('event.user_signed_up', {
+  event: notificationEvents.EVENT_USER_SIGNED_UP,
+  producerId: user._id,
+  data: {
+    email: user.email,
+    userId: user._id,
+    username: user.username,
+    ...details,
+    updatedAt: Date.now(),
+  },
+  broadcast: true,
+}, options);
+
+const publishPasswordChanged = (user, options) => outboxService.publish('event.user_changed_password', {
+  event: notificationEvents.EVENT_USER_CHANGED_PASSWORD,
+  producerId: user._id,
+  data: {
+    email: user.email,
+  },
+}, options);
+
+const publishPasswordForgotten = (user, options) => outboxService.publish('event.user_forgot_password', {
+  event: notificationEvents.EVENT_USER_FORGOT_PASSWORD,
+  producerId: user._id,
+  data: {
+    email: user.email,
+  },
+}, options);
+
+/**
+ * @param {string} userId
+ * @param {string} name
+ * @param {string|null} oldName
+ * @param {object} [options]
+ */
+const publishNameChanged = (userId, name, oldName, options) => outboxService.publish('event.user_changed_name', {
+  event: notificationEvents.EVENT_USER_CHANGED_NAME,
+  producerId: userId,
+  data: {
+    userId,
+    name,
+    oldName,
+    updatedAt: Date.now(),
+  },
+  broadcast: true,
+}, options);
+
+/**
+ * @param {string} userId
+ * @param {string} username
+ * @param {string|null} oldUsername
+ * @param {object} [options]
+ */
+const publishUsernameChanged = (userId, username, oldUsername, options) => outboxService.publish('event.user_changed_username', {
+  event: notificationEvents.EVENT_USER_CHANGED_USERNAME,
+  producerId: userId,
+  data: {
+    userId,
+    username,
+    oldUsername,
+    updatedAt: Date.now(),
+  },
+  broadcast: true,
+}, options);
+
+/**
+ * @param {string} userId
+ * @param user
+ * @param {string} image data url of the uploaded picture
+ * @param {object} [options]
+ */
+const publishPictureUploaded = (userId, user, image, options) => outboxService.publish('event.user_uploaded_picture', {
+  event: notificationEvents.EVENT_USER_UPLOADED_PICTURE,
+  producerId: userId,
+  data: {
+    userId,
+    username: user.username,
+    image,
+    updatedAt: Date.now(),
+  },
+  broadcast: true,
+}, options);
+
+const publishEmailPreferencesUpdated = (userId, user, options) => outboxService.publish('event.user_updated_email_preferences', {
+  event: notificationEvents.EVENT_USER_UPDATED_EMAIL_PREFERENCES,
+  producerId: userId,
+  data: { notificationSettings: user.notificationSettings },
+}, options);
+
+const publishAboutMeChanged = (userId, user, options) => outboxService.publish('event.user_changed_about_me', {
+  event: notificationEvents.EVENT_USER_CHANGED_ABOUT_ME,
+  producerId: userId,
+  data: {
+    userId,
+    username: user.username,
+    notificationSettings: user.notificationSettings,
+    updatedAt: Date.now(),
+  },
+  broadcast: true,
+}, options);
+
+const publishCurrencySet = (userId, user, options) => outboxService.publish('event.user_set_currency', {
+  event: notificationEvents.EVENT_USER_SET_CURRENCY,
+  producerId: userId,
+  data: {
+    currency: user.preferences.currency,
+    gamesCurrency: user.preferences.gamesCurrency,
+  },
+}, options);
+
+module.exports = {
+  publishUserSignedIn,
+  publishUserSignedUp,
+  publishPasswordChanged,
+  publishPasswordForgotten,
+  publishNameChanged,
+  publishUsernameChanged,
+  publishPictureUploaded,
+  publishEmailPreferencesUpdated,
+  publishAboutMeChanged,
+  publishCurrencySet,
+};
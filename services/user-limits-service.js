@@ -0,0 +1,266 @@
+const { UserLimit } = require('../models').models;
+const {
+  Transactions,
+  Query,
+  ExternalTransactionOriginator,
+  ExternalTransactionStatus,
+  fromWei,
+  BN,
+  WFAIR_SYMBOL,
+} = require('@wallfair.io/trading-engine');
+const { CASINO_TRADE_STATE } = require('@wallfair.io/wallfair-casino');
+const outboxService = require('./outbox-service');
+const { LimitReachedError } = require('../util/error-handler');
+const { LIMIT_TYPES, LIMIT_PERIODS, RESPONSIBLE_GAMING_EVENTS } = require('../util/constants');
+
+/** Hours before a raised or removed limit applies */
+const LIMIT_INCREASE_DELAY_HOURS = +process.env.LIMIT_INCREASE_DELAY_HOURS || 24;
+
+/** Limits are checked against rolling windows of this many days */
+const PERIOD_DAYS = {
+  [LIMIT_PERIODS.DAILY]: 1,
+  [LIMIT_PERIODS.WEEKLY]: 7,
+  [LIMIT_PERIODS.MONTHLY]: 30,
+};
+
+const DEPOSIT_ORIGINATORS = [
+  ExternalTransactionOriginator.DEPOSIT,
+  ExternalTransactionOriginator.ONRAMP,
+  ExternalTransactionOriginator.CRYPTO,
+];
+
+const getPeriodStart = (period, now = new Date()) =>
+  new Date(now.getTime() - PERIOD_DAYS[period] * 24 * 60 * 60 * 1000);
+
+/**
+ * Applies a requested limit to the current one. Lower limits apply immediately, higher
+ * limits and removals only after LIMIT_INCREASE_DELAY_HOURS.
+ * @param {object|null} current limit in force, null if there is none
+ * @param {number|null} requested new limit, null to remove it
+ * @param {Date} now
+ * @returns {object|null} the new state of the limit, null if there is no limit anymore
+ */
+const planLimitChange = (current, requested, now = new Date()) => {
+  if (!current) {
+    return requested === null
+      ? null
+      : { amount: requested, pendingAmount: null, pendingAppliesAt: null };
+  }
+
+  if (requested !== null && requested <= current.amount) {
+    return { amount: requested, pendingAmount: null, pendingAppliesAt: null };
+  }
+
+  // asking for the same raise again must not reset the waiting period
+  const alreadyPending = current.pendingAppliesAt && current.pendingAmount === requested;
+
+  return {
+    amount: current.amount,
+    pendingAmount: requested,
+    pendingAppliesAt: alreadyPending
+      ? current.pendingAppliesAt
+      : new Date(now.getTime() + LIMIT_INCREASE_DELAY_HOURS * 60 * 60 * 1000),
+  };
+};
+
+/**
+ * Limits of the user, pending changes that are due get applied on the way
+ * @param {string} userId
+ * @returns {Promise<UserLimit[]>}
+ */
+const getActiveLimits = async (userId) => {
+  const now = new Date();
+  const limits = await UserLimit.find({ userId: `${userId}` });
+  const active = [];
+
+  for (const limit of limits) {
+    if (limit.pendingAppliesAt && limit.pendingAppliesAt <= now) {
+      if (limit.pendingAmount === null) {
+        await limit.deleteOne();
+        continue;
+      }
+
+      limit.amount = limit.pendingAmount;
+      limit.pendingAmount = null;
+      limit.pendingAppliesAt = null;
+      await limit.save();
+    }
+
+    active.push(limit);
+  }
+
+  return active;
+};
+
+/**
+ * Amount deposited, wagered or lost (stakes minus payouts) in the period, in WFAIR
+ * @param {string} userId
+ * @param {string} type one of LIMIT_TYPES
+ * @param {string} period one of LIMIT_PERIODS
+ * @returns {Promise<BigNumber>}
+ */
+const getUsage = async (userId, type, period) => {
+  const now = new Date();
+  const from = getPeriodStart(period, now);
+
+  if (type === LIMIT_TYPES.DEPOSIT) {
+    const transactions = new Transactions();
+    const logs = (await Promise.all(DEPOSIT_ORIGINATORS.map((originator) =>
+      transactions.getExternalTransactionLogsByTimeState({
+        internal_user_id: userId,
+        originator,
+        status: ExternalTransactionStatus.COMPLETED,
+      }, [from, now])
+    ))).flat();
+
+    return logs.reduce((sum, log) => sum.plus(fromWei(log.amount || '0')), new BN(0));
+  }
+
+  // only settled real money trades count, same as the wagering sum of the casino
+  const [trades] = await new Query().query(
+    `SELECT COALESCE(SUM(stakedamount), 0) AS wagered,
+            COALESCE(SUM(stakedamount - COALESCE(amountpaid, 0)), 0) AS lost
+     FROM casino_trades
+     WHERE userid = $1 AND created_at >= $2
+       AND state = ANY($3::smallint[]) AND currency = $4`,
+    [userId, from, [CASINO_TRADE_STATE.WIN, CASINO_TRADE_STATE.LOSS], WFAIR_SYMBOL]
+  );
+
+  const usage = fromWei(type === LIMIT_TYPES.WAGER ? trades.wagered : trades.lost);
+  // winning more than was staked is no negative loss
+  return BN.max(usage, 0);
+};
+
+const toHeadroom = async (userId, limit) => {
+  const used = await getUsage(userId, limit.type, limit.period);
+
+  return {
+    type: limit.type,
+    period: limit.period,
+    amount: limit.amount,
+    used: used.toNumber(),
+    remaining: BN.max(new BN(limit.amount).minus(used), 0).toNumber(),
+    pendingAmount: limit.pendingAmount,
+    pendingAppliesAt: limit.pendingAppliesAt,
+  };
+};
+
+/**
+ * All limits of the user with what is used and what is left of them
+ * @param {string} userId
+ */
+const getHeadroom = async (userId) => {
+  const limits = await getActiveLimits(userId);
+  return Promise.all(limits.map((limit) => toHeadroom(userId, limit)));
+};
+
+/**
+ * Sets, lowers, raises or removes (amount null) a limit
+ * @param {string} userId
+ * @param {string} type one of LIMIT_TYPES
+ * @param {string} period one of LIMIT_PERIODS
+ * @param {number|null} amount in WFAIR
+ */
+const setLimit = async (userId, type, period, amount) => {
+  const filter = { userId: `${userId}`, type, period };
+  const current = (await getActiveLimits(userId))
+    .find((limit) => limit.type === type && limit.period === period);
+  const planned = planLimitChange(current, amount);
+
+  if (!planned) {
+    await UserLimit.deleteOne(filter);
+    return null;
+  }
+
+  const limit = await UserLimit.findOneAndUpdate(filter, planned, { upsert: true, new: true });
+  return toHeadroom(userId, limit);
+};
+
+const publishLimitReached = (userId, headroom, action, amount) => {
+  return outboxService.publish('event.user_limit_reached', {
+    event: RESPONSIBLE_GAMING_EVENTS.EVENT_USER_LIMIT_REACHED,
+    producerId: userId,
+    data: {
+      userId,
+      action,
+      requestedAmount: amount,
+      ...headroom,
+    },
+  });
+};
+
+/**
+ * Publishes EVENT_USER_LIMIT_REACHED once per limit and period, no matter how often
+ * a blocked action is retried
+ */
+const notifyLimitReached = async (userId, limit, headroom, action, amount) => {
+  const now = new Date();
+  const claimed = await UserLimit.findOneAndUpdate(
+    {
+      _id: limit._id,
+      $or: [
+        { reachedNotifiedAt: null },
+        { reachedNotifiedAt: { $lt: getPeriodStart(limit.period, now) } },
+      ],
+    },
+    { reachedNotifiedAt: now }
+  );
+
+  if (claimed) {
+    await publishLimitReached(`${userId}`, headroom, action, amount);
+  }
+};
+
+/**
+ * Throws a LimitReachedError if `amount` does not fit into one of the limits of the given
+ * type, see notifyLimitReached. With an amount of 0 any headroom is enough.
+ *
+ * Deposit limits are enforced before a deposit is started. Stakes are not placed by this
+ * backend but by the game servers, which write casino_trades directly, so wager and loss
+ * limits are enforced by the game servers calling POST /api/game-servers/limits/check with
+ * their API key before they accept a stake.
+ * @param {string} userId
+ * @param {string} type one of LIMIT_TYPES
+ * @param {number} amount in WFAIR
+ * @param {string} action what is being blocked, e.g. `deposit` or `cryptopay_channel`
+ */
+const assertWithinLimits = async (userId, type, amount = 0, action = type) => {
+  const limits = (await getActiveLimits(userId)).filter((limit) => limit.type === type);
+
+  for (const limit of limits) {
+    const headroom = await toHeadroom(userId, limit);
+
+    if (headroom.remaining <= 0 || headroom.remaining < amount) {
+      await notifyLimitReached(userId, limit, headroom, action, amount);
+      throw new LimitReachedError(headroom);
+    }
+  }
+};
+
+/**
+ * Publishes EVENT_USER_LIMIT_REACHED for limits used up by something that already happened,
+ * e.g. an on chain deposit that can't be refused anymore
+ * @param {string} userId
+ * @param {string} type one of LIMIT_TYPES
+ * @param {string} action
+ */
+const notifyExhaustedLimits = async (userId, type, action) => {
+  const limits = (await getActiveLimits(userId)).filter((limit) => limit.type === type);
+
+  for (const limit of limits) {
+    const headroom = await toHeadroom(userId, limit);
+
+    if (headroom.remaining <= 0) {
+      await notifyLimitReached(userId, limit, headroom, action, 0);
+    }
+  }
+};
+
+module.exports = {
+  planLimitChange,
+  getHeadroom,
+  setLimit,
+  assertWithinLimits,
+  notifyExhaustedLimits,
+  publishLimitReached,
+};
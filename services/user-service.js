@@ -1,14 +1,13 @@
-const { User, UniversalEvent, ApiLogs } = require('@wallfair.io/wallfair-commons').models;
+const { User, ApiLogs } = require('@wallfair.io/wallfair-commons').models;
 const pick = require('lodash.pick');
 const bcrypt = require('bcrypt');
 const axios = require('axios');
 const { Wallet, fromWei, Query, AccountNamespace, BN, Transactions, TransactionManager, WFAIR_SYMBOL, toWei, Webhook, WebhookQueueOriginator, WebhookQueueStatus, Account, ExternalTransactionOriginator, ExternalTransactionStatus } = require('@wallfair.io/trading-engine');
-const { WFAIR_REWARDS } = require('../util/constants');
 const { updateUserData } = require('./notification-events-service');
-const { notificationEvents } = require('@wallfair.io/wallfair-commons/constants/eventTypes');
-const amqp = require('./amqp-service');
-const { getUserBetsAmount } = require('./statistics-service');
+const outboxService = require('./outbox-service');
+const userEventsService = require('./user-events-service');
 const awsS3Service = require('./aws-s3-service');
+const depositIngestionService = require('./deposit-ingestion-service');
 const _ = require('lodash');
 const mongoose = require("mongoose");
 const { NotFoundError } = require('../util/error-handler')
@@ -20,6 +19,7 @@ const twilio = require('twilio')(process.env.TWILIO_ACC_SID, process.env.TWILIO_
 const userApi = require('./user-api');
 const { ObjectId } = require('mongodb');
 const { verifyRecaptcha } = require('../util/recaptcha');
+const money = require('../util/money');
 
 const isPlayMoney = process.env.PLAYMONEY === 'true';
 
@@ -71,10 +71,14 @@ exports.getRefsWithDeposits = async (id) => {
       const total = amounts.length ? BN.sum.apply(null, amounts) : new BN('0');
 
       return {
-        ...user, depositAmount: fromWei(total), deposits: deposits.map(t => {
+        ...user,
+        depositAmount: fromWei(total),
+        depositAmountWfair: money.formatWei(total),
+        deposits: deposits.map(t => {
           return {
             ...t,
             amount: fromWei(t.amount).toFixed(2),
+            amountWfair: money.formatWei(t.amount),
           }
         })
       };
@@ -89,12 +93,6 @@ exports.getUsersToNotify = async (eventId, notificationSettings) => {
 
 exports.saveUser = async (user, session) => user.save({ session });
 
-exports.rewardUserAction = async (ref, amount) => {
-  if (ref) {
-    await this.mintUser(ref, amount);
-  }
-};
-
 exports.securePassword = async (user, password) => {
   bcrypt.hash(password, 10, (err, hash) => {
     user.password = hash;
@@ -157,10 +155,6 @@ exports.getBalanceOf = async (userId) => {
 
 const INITIAL_LIQUIDITY = 5000n;
 
-exports.mintUser = async (/*userId, amount*/) => {
-  throw Error('Not supported');
-};
-
 exports.getTotalWin = (balance) => {
   const value = balance - INITIAL_LIQUIDITY;
   return value < 0n ? 0n : value;
@@ -168,28 +162,15 @@ exports.getTotalWin = (balance) => {
 
 exports.updateUser = async (userId, updatedUser) => {
   const user = await User.findById(userId);
+  // published together with the saved changes
+  const events = [];
+  const queueEvent = (publish) => events.push(publish);
 
   if (updatedUser.name && updatedUser.name !== user.name) {
     const oldName = _.clone(user.name);
     user.name = updatedUser.name;
 
-    amqp.send(
-      'universal_events',
-      'event.user_changed_name',
-      JSON.stringify({
-        event: notificationEvents.EVENT_USER_CHANGED_NAME,
-        producer: 'user',
-        producerId: userId,
-        data: {
-          userId,
-          name: updatedUser.name,
-          oldName: oldName,
-          updatedAt: Date.now(),
-        },
-        date: Date.now(),
-        broadcast: true,
-      })
-    );
+    queueEvent((options) => userEventsService.publishNameChanged(userId, updatedUser.name, oldName, options));
 
     await updateUserData(
       {
@@ -208,22 +189,8 @@ exports.updateUser = async (userId, updatedUser) => {
     const oldUsername = _.clone(user.username);
     user.username = updatedUser.username;
 
-    amqp.send(
-      'universal_events',
-      'event.user_changed_username',
-      JSON.stringify({
-        event: notificationEvents.EVENT_USER_CHANGED_USERNAME,
-        producer: 'user',
-        producerId: userId,
-        data: {
-          userId,
-          username: updatedUser.username,
-          oldUsername,
-          updatedAt: Date.now(),
-        },
-        date: Date.now(),
-        broadcast: true,
-      })
+    queueEvent((options) =>
+      userEventsService.publishUsernameChanged(userId, updatedUser.username, oldUsername, options)
     );
 
     //update username across the events for this user, only when data.user exists at all, we need to have these unified across the events,
@@ -239,60 +206,14 @@ exports.updateUser = async (userId, updatedUser) => {
     ).catch((err) => {
       console.error('updateUserData failed', err);
     });
-
-    //handle SET_USERNAME award
-    // const checkUsernameAward = await this.checkAwardExist(userId, 'SET_USERNAME').catch((err) => {
-    //   console.error('checkAwardExist err', err);
-    // });
-
-    // if (checkUsernameAward.length === 0) {
-    //   await this.createUserAwardEvent({
-    //     userId,
-    //     awardData: {
-    //       type: AWARD_TYPES.SET_USERNAME,
-    //       award: WFAIR_REWARDS.setUsername,
-    //     },
-    //   }).catch((err) => {
-    //     console.error('createUserAwardEvent', err);
-    //   });
-    // }
   }
 
   if (updatedUser.image) {
-    // if (!user.profilePicture) {
-    //   await this.createUserAwardEvent({
-    //     userId,
-    //     awardData: {
-    //       type: AWARD_TYPES.AVATAR_UPLOADED,
-    //       award: WFAIR_REWARDS.setAvatar,
-    //     },
-    //   }).catch((err) => {
-    //     console.error('createUserAwardEvent', err);
-    //   });
-    // }
-
     const imageLocation = await awsS3Service.upload(userId, updatedUser.image);
     user.profilePicture = imageLocation.split('?')[0];
     user.alpacaBuilderProps = updatedUser.alpacaBuilderProps;
 
-    amqp.send(
-      'universal_events',
-      'event.user_uploaded_picture',
-      JSON.stringify({
-        event: notificationEvents.EVENT_USER_UPLOADED_PICTURE,
-        producer: 'user',
-        producerId: userId,
-        data: {
-          userId,
-          username: _.get(updatedUser, 'username'),
-          image: updatedUser.image,
-          updatedAt: Date.now(),
-        },
-
-        date: Date.now(),
-        broadcast: true,
-      })
-    );
+    queueEvent((options) => userEventsService.publishPictureUploaded(userId, user, updatedUser.image, options));
   }
 
   if (
@@ -301,41 +222,24 @@ exports.updateUser = async (userId, updatedUser) => {
   ) {
     user.notificationSettings = updatedUser.notificationSettings;
 
-    amqp.send(
-      'universal_events',
-      'event.user_updated_email_preferences',
-      JSON.stringify({
-        event: notificationEvents.EVENT_USER_UPDATED_EMAIL_PREFERENCES,
-        producer: 'user',
-        producerId: userId,
-        data: { notificationSettings: user.notificationSettings },
-      })
-    );
+    queueEvent((options) => userEventsService.publishEmailPreferencesUpdated(userId, user, options));
   }
 
   if (updatedUser.aboutMe && user.aboutMe !== updatedUser.aboutMe) {
-    amqp.send(
-      'universal_events',
-      'event.user_changed_about_me',
-      JSON.stringify({
-        event: notificationEvents.EVENT_USER_CHANGED_ABOUT_ME,
-        producer: 'user',
-        producerId: userId,
-        data: {
-          userId,
-          username: updatedUser.username,
-          notificationSettings: user.notificationSettings,
-          updatedAt: Date.now(),
-        },
-        date: Date.now(),
-        broadcast: true,
-      })
-    );
+    queueEvent((options) => userEventsService.publishAboutMeChanged(userId, user, options));
 
     user.aboutMe = updatedUser.aboutMe;
   }
 
-  return await user.save();
+  return outboxService.withTransaction(async (session) => {
+    const savedUser = await user.save({ session });
+
+    for (const publish of events) {
+      await publish({ session });
+    }
+
+    return savedUser;
+  });
 };
 
 exports.updateUserConsent = async (userId) => {
@@ -371,21 +275,13 @@ exports.updateUserPreferences = async (userId, preferences) => {
     }
   }
 
-  amqp.send(
-    'universal_events',
-    'event.user_set_currency',
-    JSON.stringify({
-      event: notificationEvents.EVENT_USER_SET_CURRENCY,
-      producer: 'user',
-      producerId: userId,
-      data: {
-        currency: user.preferences.currency,
-        gamesCurrency: user.preferences.gamesCurrency
-      },
-    })
-  );
+  return outboxService.withTransaction(async (session) => {
+    const savedUser = await user.save({ session });
 
-  return await user.save();
+    await userEventsService.publishCurrencySet(userId, user, { session });
+
+    return savedUser;
+  });
 };
 
 exports.increaseAmountWon = async (userId, amount) => {
@@ -407,76 +303,6 @@ exports.increaseAmountWon = async (userId, amount) => {
   }
 };
 
-/***
- * create USER_AWARD event in universalevents, add proper token amount based on `awardData.award` amount
- * @param userId
- * @returns {Promise<void>} undefined
- */
-exports.createUserAwardEvent = async ({ userId, awardData, broadcast = false }) => {
-  //add token amount for award during event creation
-  if (awardData?.award) {
-    await this.mintUser(userId, awardData.award).catch((err) => {
-      console.error('award mintUser', err);
-    });
-  }
-
-  amqp.send(
-    'universal_events',
-    'event.user_award',
-    JSON.stringify({
-      event: notificationEvents.EVENT_USER_AWARD,
-      producer: 'user',
-      producerId: userId,
-      data: {
-        userId,
-        awardData,
-      },
-      broadcast,
-    })
-  );
-};
-
-/***
- * check total bets for user and save USER_AWARD event, after reaching each levels
- * @param userId
- * @returns {Promise<void>} undefined
- */
-exports.checkTotalBetsAward = async (userId) => {
-  const awardData = {
-    type: 'TOTAL_BETS_ABOVE_VALUE',
-  };
-
-  const totalUserBets = await getUserBetsAmount(userId).catch((err) => {
-    console.error('getUserBetsAmount', err);
-  });
-
-  const total = (awardData.total = totalUserBets?.totalBets || 0);
-  if ([5, 20, 50, 100, 150].includes(total)) {
-    awardData.award = WFAIR_REWARDS.totalBets[total];
-    awardData.total = total;
-
-    //publish in universalevents collection and add tokens
-    await this.createUserAwardEvent({
-      userId,
-      awardData,
-    }).catch((err) => {
-      console.error('createUserAwardEvent', err);
-    });
-  }
-};
-
-/***
- * check award exist for username and defined type
- * @param userId
- * @returns {Promise<void>} undefined
- */
-exports.checkAwardExist = async (userId, type) => {
-  return UniversalEvent.find({
-    userId,
-    'data.type': type,
-  });
-};
-
 /***
  * Set user's ban deadline, provide zero to nullify ban date
  * @param {string} userId
@@ -678,10 +504,12 @@ exports.getUserDataForAdmin = async (userId) => {
   return {
     ...u.toObject(),
     balance: fromWei(balance).toFixed(2),
+    balanceWfair: money.formatWei(balance),
     bonus: bonus.map(b => {
       return {
         name: b.name,
         amount: fromWei(b.value).toFixed(2),
+        amountWfair: money.formatWei(b.value),
         state: b.status,
       }
     }),
@@ -690,6 +518,7 @@ exports.getUserDataForAdmin = async (userId) => {
       return {
         ...t,
         amount: fromWei(t.amount).toFixed(2),
+        amountWfair: money.formatWei(t.amount),
       }
     }),
     account,
@@ -746,21 +575,7 @@ exports.processWeb3Login = async (address, username, ref, sid, cid, recaptchaTok
     if (userAccount) {
       user = await userApi.getOne(userAccount.user_id);
 
-      amqp.send(
-        'universal_events',
-        'event.user_signed_in',
-        JSON.stringify({
-          event: notificationEvents.EVENT_USER_SIGNED_IN,
-          producer: 'user',
-          producerId: user._id,
-          data: {
-            userId: user._id,
-            username: user.username,
-            updatedAt: Date.now(),
-          },
-          broadcast: true,
-        })
-      );
+      await userEventsService.publishUserSignedIn(user);
     } else {
       if (!recaptchaToken) {
         throw new Error(`Recaptcha token missing. User address: ${address}`);
@@ -813,34 +628,22 @@ exports.processWeb3Login = async (address, username, ref, sid, cid, recaptchaTok
 
       const counter = ((await userApi.getUserEntriesAmount()) || 0) + 1;
 
-      user = await userApi.createUser({
-        _id: userId,
-        username: username || `wallfair-${counter}`,
-        preferences: {
-          currency: WFAIR_SYMBOL,
-          gamesCurrency: isPlayMoney ? WFAIR_SYMBOL : 'USD'
-        },
-        ref, sid, cid,
-        tosConsentedAt: new Date(),
-      });
-
-      amqp.send(
-        'universal_events',
-        'event.user_signed_up',
-        JSON.stringify({
-          event: notificationEvents.EVENT_USER_SIGNED_UP,
-          producer: 'user',
-          producerId: user._id,
-          data: {
-            userId: user._id,
-            username: user.username,
-            ref, sid, cid,
-            updatedAt: Date.now(),
+      user = await outboxService.withTransaction(async (session) => {
+        const createdUser = await userApi.createUser({
+          _id: userId,
+          username: username || `wallfair-${counter}`,
+          preferences: {
+            currency: WFAIR_SYMBOL,
+            gamesCurrency: isPlayMoney ? WFAIR_SYMBOL : 'USD'
           },
-          date: Date.now(),
-          broadcast: true,
-        })
-      );
+          ref, sid, cid,
+          tosConsentedAt: new Date(),
+        }, session);
+
+        await userEventsService.publishUserSignedUp(createdUser, { ref, sid, cid }, { session });
+
+        return createdUser;
+      });
     }
 
     await transaction.commitTransaction();
@@ -859,7 +662,15 @@ exports.getUserByAddress = async (address) => {
 }
 
 exports.confirmDeposit = async (hash, networkCode, userId) => {
+  let recorded = false;
+
   try {
+    // clients resend hashes, the webhook only needs to check a transaction once
+    recorded = await depositIngestionService.recordSubmission(hash, networkCode, userId);
+    if (!recorded) {
+      return;
+    }
+
     await new Webhook().insertWebhookQueue(
       WebhookQueueOriginator.DEPOSIT,
       JSON.stringify({ hash, networkCode, userId }),
@@ -870,6 +681,11 @@ exports.confirmDeposit = async (hash, networkCode, userId) => {
     );
   } catch (e) {
     console.error(e);
+    // otherwise the hash counts as known and a resend would never be queued
+    if (recorded) {
+      await depositIngestionService.forgetSubmission(hash, networkCode)
+        .catch((err) => console.error('DEPOSIT SUBMISSION: ', err.message));
+    }
     throw new Error('Failed to confirm a deposit');
   }
 };
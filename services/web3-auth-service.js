@@ -0,0 +1,163 @@
+const { randomBytes } = require('crypto');
+const { ethers } = require('ethers');
+const { Web3Nonce } = require('../models').models;
+const { generateChallenge, verifyChallengeResponse } = require('../util/challenge');
+const { buildSiweMessage, parseSiweMessage, isSiweMessage } = require('../util/siwe');
+
+const SIWE_STATEMENT = process.env.SIWE_STATEMENT || 'Sign in to Alpacasino';
+const SIWE_TTL_SECONDS = +process.env.SIWE_TTL_SECONDS || 300;
+
+/**
+ * `hmac` is the opaque challenge of older clients, `siwe` the EIP-4361 message
+ */
+const CHALLENGE_FORMATS = {
+  hmac: 'hmac',
+  siwe: 'siwe',
+};
+
+/**
+ * Domain, URI and chains the signed messages are bound to. SIWE_URI defaults to CLIENT_URL,
+ * SIWE_DOMAIN to the host of SIWE_URI, SIWE_CHAIN_IDS is a comma separated list.
+ */
+const getSiweConfig = () => {
+  const uri = process.env.SIWE_URI || process.env.CLIENT_URL;
+
+  return {
+    uri,
+    domain: process.env.SIWE_DOMAIN || new URL(uri).host,
+    chainIds: (process.env.SIWE_CHAIN_IDS || '1').split(',').map((id) => +id),
+  };
+};
+
+const isSameAddress = (a, b) => {
+  try {
+    return ethers.utils.getAddress(a) === ethers.utils.getAddress(b);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * EIP-4361 message for the address, its nonce is stored and can be used for one login only
+ * @param {string} address
+ * @param {number} [chainId] chain the wallet is connected to, has to be one of SIWE_CHAIN_IDS
+ * @returns {Promise<string>}
+ */
+const createSiweChallenge = async (address, chainId) => {
+  const { uri, domain, chainIds } = getSiweConfig();
+  const chain = chainId ? +chainId : chainIds[0];
+
+  if (!chainIds.includes(chain)) {
+    throw new Error('UNSUPPORTED_CHAIN');
+  }
+
+  const nonce = randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + SIWE_TTL_SECONDS * 1000);
+
+  await Web3Nonce.create({
+    nonce,
+    address: address.toLowerCase(),
+    chainId: chain,
+    expiresAt,
+  });
+
+  return buildSiweMessage({
+    domain,
+    address: ethers.utils.getAddress(address),
+    statement: SIWE_STATEMENT,
+    uri,
+    chainId: chain,
+    nonce,
+    issuedAt: issuedAt.toISOString(),
+    expirationTime: expiresAt.toISOString(),
+  });
+};
+
+/**
+ * Challenge for a web3 login or wallet link
+ * @param {string} address
+ * @param {object} options
+ * @param {string} options.format one of CHALLENGE_FORMATS, hmac by default
+ * @param {number} options.chainId only used by siwe
+ * @returns {Promise<string>}
+ */
+const createChallenge = async (address, { format = CHALLENGE_FORMATS.hmac, chainId } = {}) => {
+  if (format === CHALLENGE_FORMATS.siwe) {
+    return createSiweChallenge(address, chainId);
+  }
+
+  return generateChallenge(address);
+};
+
+const verifySiweResponse = async (address, message, signResponse) => {
+  const parsed = parseSiweMessage(message);
+  const { uri, domain, chainIds } = getSiweConfig();
+  const now = new Date();
+
+  if (
+    !parsed ||
+    parsed.version !== '1' ||
+    parsed.domain !== domain ||
+    parsed.uri !== uri ||
+    !chainIds.includes(parsed.chainId) ||
+    !isSameAddress(parsed.address, address) ||
+    !parsed.expirationTime ||
+    new Date(parsed.expirationTime) <= now ||
+    (parsed.notBefore && new Date(parsed.notBefore) > now)
+  ) {
+    return false;
+  }
+
+  let signatureAddress;
+  try {
+    signatureAddress = ethers.utils.verifyMessage(message, signResponse);
+  } catch (e) {
+    return false;
+  }
+
+  if (!isSameAddress(signatureAddress, address)) {
+    return false;
+  }
+
+  // burning the nonce only after the signature checked out, so garbage can't invalidate it
+  const nonce = await Web3Nonce.findOneAndUpdate(
+    {
+      nonce: parsed.nonce,
+      address: address.toLowerCase(),
+      chainId: parsed.chainId,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { usedAt: now }
+  );
+
+  return !!nonce;
+};
+
+/**
+ * Checks that the address signed a challenge issued by createChallenge, SIWE messages are
+ * single use, the HMAC challenges of older clients are valid until they expire
+ * @param {string} address
+ * @param {string} challenge
+ * @param {string} signResponse
+ * @returns {Promise<boolean>}
+ */
+const verifySignedChallenge = async (address, challenge, signResponse) => {
+  if (isSiweMessage(challenge)) {
+    return verifySiweResponse(address, challenge, signResponse);
+  }
+
+  try {
+    return verifyChallengeResponse(address, challenge, signResponse);
+  } catch (e) {
+    // malformed challenge or signature
+    return false;
+  }
+};
+
+module.exports = {
+  CHALLENGE_FORMATS,
+  createChallenge,
+  verifySignedChallenge,
+};
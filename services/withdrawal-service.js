@@ -0,0 +1,536 @@
+const { Withdrawal } = require('../models').models;
+const {
+  Account,
+  AccountNamespace,
+  BN,
+  ExternalTransactionOriginator,
+  ExternalTransactionStatus,
+  NetworkCode,
+  TransactionManager,
+  Transactions,
+  WFAIR_SYMBOL,
+  toWei,
+} = require('@wallfair.io/trading-engine');
+const { notificationEvents } = require('@wallfair.io/wallfair-commons/constants/eventTypes');
+const outboxService = require('./outbox-service');
+const kycService = require('./kyc-service');
+const { isAddressValid } = require('../util/challenge');
+const { WITHDRAWAL_STATUSES, WITHDRAWAL_EVENTS } = require('../util/constants');
+const { formatWei } = require('../util/money');
+
+/** Networks WFAIR can be paid out on, comma separated NetworkCodes */
+const WITHDRAWAL_NETWORKS = (process.env.WITHDRAWAL_NETWORKS || NetworkCode.ETH).split(',');
+/** EVM networks, addresses are checked with ethers */
+const EVM_NETWORKS = [NetworkCode.ETH, NetworkCode.MATIC];
+
+const WITHDRAWAL_MIN_AMOUNT = +process.env.WITHDRAWAL_MIN_AMOUNT || 0;
+const WITHDRAWAL_FEE = +process.env.WITHDRAWAL_FEE || 0;
+const WITHDRAWAL_FEE_PERCENT = +process.env.WITHDRAWAL_FEE_PERCENT || 0;
+
+const WITHDRAWAL_TRANSITIONS = {
+  [WITHDRAWAL_STATUSES.REQUESTED]: [WITHDRAWAL_STATUSES.APPROVED, WITHDRAWAL_STATUSES.REJECTED],
+  [WITHDRAWAL_STATUSES.APPROVED]: [WITHDRAWAL_STATUSES.BROADCAST, WITHDRAWAL_STATUSES.FAILED],
+  [WITHDRAWAL_STATUSES.BROADCAST]: [WITHDRAWAL_STATUSES.COMPLETED, WITHDRAWAL_STATUSES.FAILED],
+  // retried by queueing the payout again, or refunded
+  [WITHDRAWAL_STATUSES.FAILED]: [WITHDRAWAL_STATUSES.APPROVED, WITHDRAWAL_STATUSES.REFUNDED],
+  [WITHDRAWAL_STATUSES.REJECTED]: [],
+  [WITHDRAWAL_STATUSES.COMPLETED]: [],
+  [WITHDRAWAL_STATUSES.REFUNDED]: [],
+};
+
+const STATUS_EVENTS = {
+  [WITHDRAWAL_STATUSES.REQUESTED]: notificationEvents.EVENT_WITHDRAW_REQUESTED,
+  [WITHDRAWAL_STATUSES.APPROVED]: notificationEvents.EVENT_WITHDRAW_APPROVED,
+  [WITHDRAWAL_STATUSES.REJECTED]: notificationEvents.EVENT_WITHDRAW_REJECTED,
+  [WITHDRAWAL_STATUSES.BROADCAST]: notificationEvents.EVENT_WITHDRAW_SCHEDULED,
+  [WITHDRAWAL_STATUSES.COMPLETED]: notificationEvents.EVENT_WITHDRAW_COMPLETED,
+  [WITHDRAWAL_STATUSES.FAILED]: WITHDRAWAL_EVENTS.EVENT_WITHDRAW_FAILED,
+  [WITHDRAWAL_STATUSES.REFUNDED]: WITHDRAWAL_EVENTS.EVENT_WITHDRAW_REFUNDED,
+};
+
+/** Fails the start of the server, reserved funds would otherwise go to an account without owner */
+const init = () => {
+  if (!process.env.WITHDRAWAL_WALLET) {
+    throw new Error('WITHDRAWAL_WALLET is not set');
+  }
+};
+
+/** Reserved funds wait here until they are paid out or given back */
+const getReserveAccount = () => ({
+  owner: process.env.WITHDRAWAL_WALLET,
+  namespace: AccountNamespace.ETH,
+  symbol: WFAIR_SYMBOL,
+});
+
+const getFeeAccount = () => ({
+  owner: process.env.WITHDRAWAL_WALLET,
+  namespace: AccountNamespace.FEE,
+  symbol: WFAIR_SYMBOL,
+});
+
+const getUserAccount = (userId) => ({
+  owner: userId,
+  namespace: AccountNamespace.USR,
+  symbol: WFAIR_SYMBOL,
+});
+
+const canTransition = (from, to) => (WITHDRAWAL_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Fee and paid out amount of a withdrawal, the fee is rounded up to 4 decimals
+ * @param {number|string} amount in WFAIR
+ * @param {object} config
+ * @param {number} config.minAmount
+ * @param {number} config.fee flat fee in WFAIR
+ * @param {number} config.feePercent
+ * @returns {{amount: BigNumber, fee: BigNumber, netAmount: BigNumber}}
+ */
+const calculateWithdrawal = (
+  amount,
+  { minAmount = WITHDRAWAL_MIN_AMOUNT, fee = WITHDRAWAL_FEE, feePercent = WITHDRAWAL_FEE_PERCENT } = {}
+) => {
+  const gross = new BN(amount);
+
+  if (!gross.isFinite() || gross.isLessThanOrEqualTo(0)) {
+    throw new Error('INVALID_AMOUNT');
+  }
+
+  if (gross.isLessThan(minAmount)) {
+    throw new Error('WITHDRAWAL_BELOW_MINIMUM');
+  }
+
+  const totalFee = gross
+    .multipliedBy(feePercent)
+    .dividedBy(100)
+    .plus(fee)
+    .decimalPlaces(4, BN.ROUND_UP);
+  const netAmount = gross.minus(totalFee);
+
+  if (netAmount.isLessThanOrEqualTo(0)) {
+    throw new Error('WITHDRAWAL_BELOW_MINIMUM');
+  }
+
+  return { amount: gross, fee: totalFee, netAmount };
+};
+
+/**
+ * Status a withdrawal moves to for the status of its payout in the trading engine queue
+ * @param {object} externalTransaction queued payout
+ * @returns {string|null} one of WITHDRAWAL_STATUSES, null if nothing changed yet
+ */
+const getPayoutStatus = (externalTransaction) => {
+  switch (externalTransaction?.status) {
+    case ExternalTransactionStatus.COMPLETED:
+      return WITHDRAWAL_STATUSES.COMPLETED;
+    case ExternalTransactionStatus.FAILED:
+      return WITHDRAWAL_STATUSES.FAILED;
+    case ExternalTransactionStatus.PROCESSING:
+    case ExternalTransactionStatus.SCHEDULED:
+      return externalTransaction.transaction_hash ? WITHDRAWAL_STATUSES.BROADCAST : null;
+    default:
+      return null;
+  }
+};
+
+const toWithdrawalView = (withdrawal) => ({
+  id: withdrawal.id,
+  userId: withdrawal.userId,
+  status: withdrawal.status,
+  amount: formatWei(withdrawal.amount),
+  fee: formatWei(withdrawal.fee),
+  netAmount: formatWei(withdrawal.netAmount),
+  symbol: withdrawal.symbol,
+  network: withdrawal.network,
+  address: withdrawal.address,
+  transactionHash: withdrawal.transactionHash,
+  rejectionReason: withdrawal.rejectionReason,
+  createdAt: withdrawal.createdAt,
+  updatedAt: withdrawal.updatedAt,
+});
+
+const publishWithdrawalEvent = (withdrawal) => {
+  return outboxService.publish(`event.withdraw_${withdrawal.status}`, {
+    event: STATUS_EVENTS[withdrawal.status],
+    producerId: withdrawal.userId,
+    data: toWithdrawalView(withdrawal),
+  });
+};
+
+/**
+ * Moves the withdrawal to another status, only if no one else changed it in the meantime
+ * @param withdrawal
+ * @param {string} to one of WITHDRAWAL_STATUSES
+ * @param {object} change
+ * @param {string} change.by
+ * @param {string} [change.reason]
+ * @param {object} [change.set] further fields to update
+ * @returns {Promise<Withdrawal>} the updated withdrawal
+ */
+const changeStatus = async (withdrawal, to, { by, reason = null, set = {} }) => {
+  const from = withdrawal.status;
+
+  if (!canTransition(from, to)) {
+    throw new Error('INVALID_WITHDRAWAL_TRANSITION');
+  }
+
+  const updated = await Withdrawal.findOneAndUpdate(
+    { _id: withdrawal._id, status: from },
+    {
+      ...set,
+      status: to,
+      $push: { history: { from, to, by, reason, at: new Date() } },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new Error('INVALID_WITHDRAWAL_TRANSITION');
+  }
+
+  return updated;
+};
+
+/**
+ * Reverts a status change whose ledger transaction failed
+ * @param updated withdrawal as returned by changeStatus
+ * @param previous withdrawal before the change
+ */
+const revertStatus = (updated, previous) => Withdrawal.updateOne(
+  { _id: updated._id, status: updated.status },
+  {
+    status: previous.status,
+    reviewedBy: previous.reviewedBy,
+    reviewedAt: previous.reviewedAt,
+    rejectionReason: previous.rejectionReason,
+    queueId: previous.queueId,
+    transactionHash: previous.transactionHash,
+    $pop: { history: 1 },
+  }
+);
+
+/**
+ * Requests a payout to a wallet linked to the user, the amount is reserved right away
+ * @param {string} userId
+ * @param {object} request
+ * @param {number|string} request.amount in WFAIR, the fee is taken from it
+ * @param {string} request.address
+ * @param {string} request.network one of WITHDRAWAL_NETWORKS
+ */
+const requestWithdrawal = async (userId, { amount, address, network }) => {
+  if (!WITHDRAWAL_NETWORKS.includes(network)) {
+    throw new Error('UNSUPPORTED_NETWORK');
+  }
+
+  if (EVM_NETWORKS.includes(network) && !isAddressValid(address)) {
+    throw new Error('INVALID_ADDRESS');
+  }
+
+  if (!(await new Account().isUserOwner(userId, address))) {
+    throw new Error('ADDRESS_NOT_LINKED');
+  }
+
+  const amounts = calculateWithdrawal(amount);
+  await kycService.assertCanWithdraw(userId, amounts.amount.toNumber());
+
+  // toFixed, wei amounts are too large for toString without an exponent
+  const amountWei = toWei(amounts.amount).toFixed();
+  const withdrawal = new Withdrawal({
+    userId,
+    status: WITHDRAWAL_STATUSES.REQUESTED,
+    amount: amountWei,
+    fee: toWei(amounts.fee).toFixed(),
+    netAmount: toWei(amounts.netAmount).toFixed(),
+    symbol: WFAIR_SYMBOL,
+    network,
+    address,
+    history: [{ to: WITHDRAWAL_STATUSES.REQUESTED, by: 'user' }],
+  });
+
+  const transaction = new TransactionManager();
+
+  try {
+    await transaction.startTransaction();
+
+    // locks the balance, parallel requests can't reserve the same funds
+    const [account] = await transaction.queryRunner.query(
+      `SELECT balance FROM account
+       WHERE owner_account = $1 AND account_namespace = $2 AND symbol = $3
+       FOR UPDATE`,
+      [userId, AccountNamespace.USR, WFAIR_SYMBOL]
+    );
+
+    if (!account || new BN(account.balance).isLessThan(amountWei)) {
+      throw new Error('INSUFFICIENT_BALANCE');
+    }
+
+    await transaction.wallet.transfer(getUserAccount(userId), getReserveAccount(), amountWei);
+    await withdrawal.save();
+    await transaction.commitTransaction();
+  } catch (e) {
+    await transaction.rollbackTransaction();
+    await Withdrawal.deleteOne({ _id: withdrawal._id });
+    throw e;
+  }
+
+  await publishWithdrawalEvent(withdrawal);
+
+  return toWithdrawalView(withdrawal);
+};
+
+const getWithdrawal = async (id) => {
+  const withdrawal = await Withdrawal.findById(id).catch(() => null);
+
+  if (!withdrawal) {
+    throw new Error('NOT_FOUND');
+  }
+
+  return withdrawal;
+};
+
+/**
+ * Queues the net amount of the withdrawal for the wallet service and stores the queue id
+ * @param {TransactionManager} transaction started ledger transaction
+ * @param withdrawal
+ */
+const queuePayout = async (transaction, withdrawal) => {
+  const queued = await transaction.transactions.insertTransactionQueue(
+    {
+      originator: ExternalTransactionOriginator.WITHDRAW,
+      external_system: 'backend',
+      status: ExternalTransactionStatus.NEW,
+      external_transaction_id: withdrawal.id,
+      network_code: withdrawal.network,
+      internal_user_id: withdrawal.userId,
+    },
+    {
+      amount: withdrawal.netAmount,
+      network_code: withdrawal.network,
+      receiver: withdrawal.address,
+      sender: process.env.WITHDRAWAL_WALLET,
+      symbol: withdrawal.symbol,
+      namespace: AccountNamespace.ETH,
+    }
+  );
+
+  withdrawal.queueId = queued.id;
+  await withdrawal.save();
+};
+
+/**
+ * Queues the payout for the wallet service, the fee goes to the fee account
+ * @param {string} id
+ * @param {string} adminId
+ */
+const approveWithdrawal = async (id, adminId) => {
+  const withdrawal = await getWithdrawal(id);
+  const approved = await changeStatus(withdrawal, WITHDRAWAL_STATUSES.APPROVED, {
+    by: adminId,
+    set: { reviewedBy: adminId, reviewedAt: new Date() },
+  });
+
+  const transaction = new TransactionManager();
+
+  try {
+    await transaction.startTransaction();
+
+    await transaction.wallet.transfer(getReserveAccount(), getFeeAccount(), approved.fee);
+    await queuePayout(transaction, approved);
+    await transaction.commitTransaction();
+  } catch (e) {
+    await transaction.rollbackTransaction();
+    await revertStatus(approved, withdrawal);
+    throw e;
+  }
+
+  await publishWithdrawalEvent(approved);
+
+  return toWithdrawalView(approved);
+};
+
+/**
+ * Gives the reserved funds back to the user
+ * @param {string} id
+ * @param {string} reason shown to the user
+ * @param {string} adminId
+ */
+const rejectWithdrawal = async (id, reason, adminId) => {
+  const withdrawal = await getWithdrawal(id);
+  const rejected = await changeStatus(withdrawal, WITHDRAWAL_STATUSES.REJECTED, {
+    by: adminId,
+    reason,
+    set: { reviewedBy: adminId, reviewedAt: new Date(), rejectionReason: reason },
+  });
+
+  const transaction = new TransactionManager();
+
+  try {
+    await transaction.startTransaction();
+    await transaction.wallet.transfer(
+      getReserveAccount(),
+      getUserAccount(rejected.userId),
+      rejected.amount
+    );
+    await transaction.commitTransaction();
+  } catch (e) {
+    await transaction.rollbackTransaction();
+    await revertStatus(rejected, withdrawal);
+    throw e;
+  }
+
+  await publishWithdrawalEvent(rejected);
+
+  return toWithdrawalView(rejected);
+};
+
+/**
+ * Queues the payout of a failed withdrawal again, the fee was already taken
+ * @param {string} id
+ * @param {string} adminId
+ */
+const retryWithdrawal = async (id, adminId) => {
+  const withdrawal = await getWithdrawal(id);
+  const approved = await changeStatus(withdrawal, WITHDRAWAL_STATUSES.APPROVED, {
+    by: adminId,
+    set: { transactionHash: null },
+  });
+
+  const transaction = new TransactionManager();
+
+  try {
+    await transaction.startTransaction();
+    await queuePayout(transaction, approved);
+    await transaction.commitTransaction();
+  } catch (e) {
+    await transaction.rollbackTransaction();
+    await revertStatus(approved, withdrawal);
+    throw e;
+  }
+
+  await publishWithdrawalEvent(approved);
+
+  return toWithdrawalView(approved);
+};
+
+/**
+ * Gives the whole amount of a failed withdrawal back to the user, the fee included. Both
+ * transfers run in one ledger transaction.
+ * @param {string} id
+ * @param {string} reason shown to the user
+ * @param {string} adminId
+ */
+const refundWithdrawal = async (id, reason, adminId) => {
+  const withdrawal = await getWithdrawal(id);
+  const refunded = await changeStatus(withdrawal, WITHDRAWAL_STATUSES.REFUNDED, {
+    by: adminId,
+    reason,
+    set: { rejectionReason: reason },
+  });
+
+  const transaction = new TransactionManager();
+
+  try {
+    await transaction.startTransaction();
+    await transaction.wallet.transfer(getFeeAccount(), getReserveAccount(), refunded.fee);
+    await transaction.wallet.transfer(
+      getReserveAccount(),
+      getUserAccount(refunded.userId),
+      refunded.amount
+    );
+    await transaction.commitTransaction();
+  } catch (e) {
+    await transaction.rollbackTransaction();
+    await revertStatus(refunded, withdrawal);
+    throw e;
+  }
+
+  await publishWithdrawalEvent(refunded);
+
+  return toWithdrawalView(refunded);
+};
+
+/**
+ * @param {object} filter
+ * @param {string} [filter.userId]
+ * @param {string} [filter.status] one of WITHDRAWAL_STATUSES
+ * @param {number} filter.limit
+ * @param {number} filter.skip
+ */
+const listWithdrawals = async ({ userId, status, limit = 20, skip = 0 }) => {
+  const filter = {};
+
+  if (userId) {
+    filter.userId = `${userId}`;
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+
+  const [total, withdrawals] = await Promise.all([
+    Withdrawal.countDocuments(filter),
+    Withdrawal.find(filter).sort({ createdAt: -1 }).skip(+skip).limit(+limit),
+  ]);
+
+  return { total, withdrawals: withdrawals.map(toWithdrawalView) };
+};
+
+/**
+ * Follows approved payouts through the trading engine queue, the wallet service sets the
+ * transaction hash when it broadcasts and completes the transaction once it is mined. Failed
+ * payouts wait in FAILED for an admin to retry or refund them.
+ */
+const syncPayouts = async () => {
+  const withdrawals = await Withdrawal.find({
+    status: { $in: [WITHDRAWAL_STATUSES.APPROVED, WITHDRAWAL_STATUSES.BROADCAST] },
+    queueId: { $ne: null },
+  });
+  const transactions = new Transactions();
+
+  for (let withdrawal of withdrawals) {
+    try {
+      const queued = await transactions.getTransactionQueue(withdrawal.queueId);
+      const target = getPayoutStatus(queued);
+
+      if (!target || target === withdrawal.status) {
+        continue;
+      }
+
+      if (target === WITHDRAWAL_STATUSES.FAILED) {
+        console.error('WITHDRAWAL PAYOUT FAILED: ', withdrawal.id);
+        withdrawal = await changeStatus(withdrawal, WITHDRAWAL_STATUSES.FAILED, { by: 'system' });
+        await publishWithdrawalEvent(withdrawal);
+        continue;
+      }
+
+      const set = { transactionHash: queued.transaction_hash };
+
+      if (withdrawal.status === WITHDRAWAL_STATUSES.APPROVED) {
+        withdrawal = await changeStatus(withdrawal, WITHDRAWAL_STATUSES.BROADCAST, { by: 'system', set });
+        await publishWithdrawalEvent(withdrawal);
+      }
+
+      if (target === WITHDRAWAL_STATUSES.COMPLETED) {
+        withdrawal = await changeStatus(withdrawal, WITHDRAWAL_STATUSES.COMPLETED, { by: 'system', set });
+        await publishWithdrawalEvent(withdrawal);
+      }
+    } catch (e) {
+      console.error('WITHDRAWAL SYNC: ', withdrawal.id, e.message);
+    }
+  }
+};
+
+module.exports = {
+  WITHDRAWAL_NETWORKS,
+  init,
+  canTransition,
+  calculateWithdrawal,
+  getPayoutStatus,
+  publishWithdrawalEvent,
+  requestWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  retryWithdrawal,
+  refundWithdrawal,
+  listWithdrawals,
+  syncPayouts,
+};
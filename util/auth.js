@@ -1,10 +1,16 @@
+const crypto = require('crypto');
 const passport = require('passport');
 const JWTstrategy = require('passport-jwt').Strategy;
 const ExtractJWT = require('passport-jwt').ExtractJwt;
 // Import User Service
 const userService = require('../services/user-service');
+const authService = require('../services/auth-service');
+const sessionService = require('../services/session-service');
+const selfExclusionService = require('../services/self-exclusion-service');
+const playTimeService = require('../services/play-time-service');
+const { MFA_STEPS } = require('../services/mfa-service');
 const { isUserBanned } = require('../util/user');
-const { BannedError } = require('../util/error-handler');
+const { BannedError, SelfExcludedError, PlayTimeLimitError, ErrorHandler } = require('../util/error-handler');
 
 exports.setPassportStrategies = () => {
   passport.use(
@@ -16,10 +22,25 @@ exports.setPassportStrategies = () => {
       },
       async (token, done) => {
         try {
+          // tokens of logins still waiting for their second factor are no sessions
+          if (token.mfa || !(await sessionService.isSessionActive(token.sid, token.userId))) {
+            return done(null, false);
+          }
+
           const user = await userService.getUserById(token.userId);
           if (isUserBanned(user)) {
             throw new BannedError(user);
           }
+
+          const selfExclusion = await selfExclusionService.getActiveExclusion(token.userId);
+          if (selfExclusion) {
+            throw new SelfExcludedError(selfExclusion);
+          }
+
+          const blockedUntil = await playTimeService.getBlockedUntil(token.userId);
+          if (blockedUntil) {
+            throw new PlayTimeLimitError(blockedUntil);
+          }
           return done(null, user);
         } catch (error) {
           done(error);
@@ -36,6 +57,10 @@ exports.setPassportStrategies = () => {
       },
       async (token, done) => {
         try {
+          if (token.mfa || !(await sessionService.isSessionActive(token.sid, token.userId))) {
+            return done(null, false);
+          }
+
           let user = await userService.getUserById(token.userId);
           if (!user.admin) {
             user = undefined;
@@ -49,6 +74,21 @@ exports.setPassportStrategies = () => {
   );
 };
 
+/**
+ * Authenticates the game servers, they send GAME_SERVER_API_KEY in the x-api-key header.
+ * Nothing gets through while the key is not set.
+ */
+exports.authenticateGameServer = (req, res, next) => {
+  const expected = Buffer.from(process.env.GAME_SERVER_API_KEY || '');
+  const key = Buffer.from(req.header('x-api-key') || '');
+
+  if (!expected.length || key.length !== expected.length || !crypto.timingSafeEqual(key, expected)) {
+    return next(new ErrorHandler(401, 'Invalid API key'));
+  }
+
+  next();
+};
+
 /**
  * Adds req.isAdmin that indicates if the logged in user
  * add user id to req._userId for api_logs
@@ -65,6 +105,34 @@ exports.evaluateIsAdmin = (req, res, next) => {
   })(req, res, next);
 };
 
+/**
+ * Authenticates MFA enrolment requests, either through a regular session or through
+ * the MFA setup token handed out at login when MFA is enforced but not yet configured.
+ * Sets req.mfaSetupPending when the setup token was used.
+ */
+exports.authenticateMfaSetup = async (req, res, next) => {
+  const { mfaToken } = req.body;
+
+  if (!mfaToken) {
+    return passport.authenticate('jwt', { session: false })(req, res, next);
+  }
+
+  try {
+    const { userId } = authService.verifyMfaJwt(mfaToken, MFA_STEPS.setup);
+    const user = await userService.getUserById(userId);
+
+    if (!user) {
+      return next(new ErrorHandler(401, 'Invalid MFA token'));
+    }
+
+    req.user = user;
+    req.mfaSetupPending = true;
+    next();
+  } catch (e) {
+    next(new ErrorHandler(401, 'Invalid MFA token'));
+  }
+};
+
 /**
  * Returns if the current logged in user is allowed to perform an action on a userId
  * provided in the request querystring or body
@@ -19,15 +19,29 @@ const getConversionData = async ({ convertFrom, convertTo }) => {
     });
 }
 
-exports.getMarketPrice = async ({ convertFrom, convertTo, amount }) => {
-  const data = await getConversionData({ convertFrom, convertTo });
-  const symbol = convertTo;
-  const price = data?.[symbol]?.quote?.[convertFrom]?.price;
+/**
+ * Price provider of CoinMarketCap. Currencies CMC leaves out of its answer are missing in
+ * the result, see price-service.
+ * @param {string} symbol
+ * @param {string[]} currencies
+ * @returns {Promise<Object<string, {price: number, updatedAt: Date}>>}
+ */
+const getPrices = async (symbol, currencies) => {
+  const data = await getConversionData({ convertFrom: currencies, convertTo: symbol });
+  const quote = data?.[symbol]?.quote || {};
 
-  const convertedAmount = price ? (1 / price) * amount : 0;
+  return currencies.reduce((prices, currency) => {
+    if (quote[currency]?.price) {
+      prices[currency] = {
+        price: quote[currency].price,
+        updatedAt: new Date(quote[currency].last_updated || Date.now()),
+      };
+    }
+    return prices;
+  }, {});
+};
 
-  return {
-    [symbol]: data[symbol],
-    convertedAmount
-  };
-}
+module.exports = {
+  name: 'cmc',
+  getPrices,
+};
@@ -0,0 +1,56 @@
+const axios = require("axios");
+
+/** CoinGecko knows coins by id rather than symbol */
+const COIN_IDS = {
+  WFAIR: process.env.COINGECKO_WFAIR_ID || 'wallfair',
+};
+
+/**
+ * Price provider of CoinGecko, uses the pro API when COINGECKO_API_KEY is set
+ * @param {string} symbol
+ * @param {string[]} currencies
+ * @returns {Promise<Object<string, {price: number, updatedAt: Date}>>}
+ */
+const getPrices = async (symbol, currencies) => {
+  const id = COIN_IDS[symbol];
+
+  if (!id) {
+    throw new Error(`No CoinGecko id for ${symbol}`);
+  }
+
+  const apiKey = process.env.COINGECKO_API_KEY;
+  const url = apiKey
+    ? 'https://pro-api.coingecko.com/api/v3/simple/price'
+    : 'https://api.coingecko.com/api/v3/simple/price';
+
+  const data = await axios.get(url, {
+    params: {
+      ids: id,
+      vs_currencies: currencies.join(',').toLowerCase(),
+      include_last_updated_at: true,
+      ...(apiKey && { x_cg_pro_api_key: apiKey }),
+    },
+  })
+    .then((response) => response.data?.[id] || {})
+    .catch((e) => {
+      console.log(e.message);
+      throw new Error(`Could not get CoinGecko data.`);
+    });
+
+  return currencies.reduce((prices, currency) => {
+    const price = data[currency.toLowerCase()];
+
+    if (price) {
+      prices[currency] = {
+        price,
+        updatedAt: new Date(data.last_updated_at ? data.last_updated_at * 1000 : Date.now()),
+      };
+    }
+    return prices;
+  }, {});
+};
+
+module.exports = {
+  name: 'coingecko',
+  getPrices,
+};
@@ -1,26 +1,3 @@
-const AWARD_TYPES = {
-  EMAIL_CONFIRMED: 'EMAIL_CONFIRMED',
-  AVATAR_UPLOADED: 'AVATAR_UPLOADED',
-  SET_USERNAME: 'SET_USERNAME',
-  CREATED_ACCOUNT_BY_INFLUENCER: 'CREATED_ACCOUNT_BY_INFLUENCER',
-  CREATED_ACCOUNT_BY_THIS_REF: 'CREATED_ACCOUNT_BY_THIS_REF',
-};
-
-const WFAIR_REWARDS = {
-  referral: 1000,
-  setAvatar: 500,
-  setUsername: 500,
-  confirmEmail: 100,
-  registeredByInfluencer: 2500,
-  totalBets: {
-    5: 100,
-    20: 200,
-    50: 300,
-    100: 500,
-    150: 1000,
-  },
-};
-
 const INFLUENCERS = ['heet', 'nikoletta', 'earlygame'];
 
 const DEFAULT = {
@@ -83,9 +60,166 @@ const PROMO_CODES_TYPES = {
   FREESPIN: 'FREESPIN',
 };
 
+const SELF_EXCLUSION_PERIODS = {
+  DAY: '24h',
+  WEEK: '7d',
+  MONTH: '30d',
+  HALF_YEAR: '6m',
+  PERMANENT: 'permanent',
+};
+
+const LIMIT_TYPES = {
+  DEPOSIT: 'deposit',
+  WAGER: 'wager',
+  LOSS: 'loss',
+};
+
+const LIMIT_PERIODS = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+};
+
+const RESPONSIBLE_GAMING_EVENTS = {
+  EVENT_USER_SELF_EXCLUDED: 'Notification/EVENT_USER_SELF_EXCLUDED',
+  EVENT_USER_LIMIT_REACHED: 'Notification/EVENT_USER_LIMIT_REACHED',
+  EVENT_USER_PLAY_TIME_LIMIT_REACHED: 'Notification/EVENT_USER_PLAY_TIME_LIMIT_REACHED',
+};
+
+/** Withdrawal events the commons event types have no name for */
+const WITHDRAWAL_EVENTS = {
+  EVENT_WITHDRAW_FAILED: 'Transaction/WITHDRAW_FAILED',
+  EVENT_WITHDRAW_REFUNDED: 'Transaction/WITHDRAW_REFUNDED',
+};
+
+const KYC_STATUSES = {
+  NOT_STARTED: 'not_started',
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  NEEDS_RESUBMISSION: 'needs_resubmission',
+};
+
+const KYC_DOCUMENT_TYPES = {
+  ID: 'id',
+  PROOF_OF_ADDRESS: 'proof_of_address',
+};
+
+const WITHDRAWAL_STATUSES = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  BROADCAST: 'broadcast',
+  COMPLETED: 'completed',
+  // the payout failed in the queue, funds stay reserved until an admin retries or refunds it
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+};
+
+const DEPOSIT_INGESTION_STATES = {
+  // hash sent by the client, the deposit event did not arrive yet
+  SUBMITTED: 'submitted',
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+};
+
+const DEAD_LETTER_STATUSES = {
+  OPEN: 'open',
+  REPLAYED: 'replayed',
+  DISCARDED: 'discarded',
+};
+
+const OUTBOX_STATUSES = {
+  PENDING: 'pending',
+  SENT: 'sent',
+};
+
+const STATEMENT_ENTRY_TYPES = {
+  CASINO_BET: 'casino_bet',
+  CASINO_WIN: 'casino_win',
+  BET: 'bet',
+  BET_PAYOUT: 'bet_payout',
+  DEPOSIT: 'deposit',
+  WITHDRAWAL: 'withdrawal',
+  WITHDRAWAL_REFUND: 'withdrawal_refund',
+  PROMO_CREDIT: 'promo_credit',
+  PROMO_BURN: 'promo_burn',
+  REWARD: 'reward',
+  TRANSFER: 'transfer',
+  OTHER: 'other',
+};
+
+const STATEMENT_FORMATS = {
+  JSON: 'json',
+  CSV: 'csv',
+  PDF: 'pdf',
+};
+
+const STATEMENT_STATUSES = {
+  PENDING: 'pending',
+  READY: 'ready',
+  FAILED: 'failed',
+};
+
+const LEADERBOARD_TYPES = {
+  HIGH_EVENTS: 'high_events',
+  HIGH_GAMES: 'high_games',
+  HIGH_VOLUME: 'high_volume',
+  JACKPOT_WINNERS: 'jackpot_winners',
+};
+
+const LEADERBOARD_PERIODS = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+};
+
+/** What casino leaderboards of a game, provider or category rank by */
+const LEADERBOARD_RANKINGS = {
+  MULTIPLIER: 'multiplier',
+  // biggest single win
+  WIN: 'win',
+  PROFIT: 'profit',
+};
+
+/** How the events of an achievement add up to its target */
+const ACHIEVEMENT_RULE_TYPES = {
+  // matching events
+  COUNT: 'count',
+  // values of a field of the matching events
+  SUM: 'sum',
+  // consecutive days with a matching event
+  STREAK: 'streak',
+};
+
+const ACHIEVEMENT_REWARD_STATUSES = {
+  PENDING: 'pending',
+  // a crash while paying leaves the reward here, to be checked instead of paid twice
+  PAYING: 'paying',
+  PAID: 'paid',
+};
+
+const LEADERBOARD_PAYOUT_STATUSES = {
+  // winners are frozen, an admin has to approve the payout
+  PENDING_APPROVAL: 'pending_approval',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PAID: 'paid',
+  // some winners could not be paid, see their errors
+  FAILED: 'failed',
+};
+
+const LEADERBOARD_WINNER_STATUSES = {
+  PENDING: 'pending',
+  // the transfer started, a winner left in it needs to be checked against the ledger
+  PAYING: 'paying',
+  PAID: 'paid',
+  FAILED: 'failed',
+};
+
 module.exports = {
-  AWARD_TYPES,
-  WFAIR_REWARDS,
   INFLUENCERS,
   DEFAULT,
   BONUS_TYPES,
@@ -94,4 +228,25 @@ module.exports = {
   PROMO_CODE_DEFAULT_REF,
   PROMO_CODES,
   PROMO_CODES_TYPES,
+  SELF_EXCLUSION_PERIODS,
+  LIMIT_TYPES,
+  LIMIT_PERIODS,
+  RESPONSIBLE_GAMING_EVENTS,
+  WITHDRAWAL_EVENTS,
+  KYC_STATUSES,
+  KYC_DOCUMENT_TYPES,
+  WITHDRAWAL_STATUSES,
+  DEPOSIT_INGESTION_STATES,
+  DEAD_LETTER_STATUSES,
+  OUTBOX_STATUSES,
+  STATEMENT_ENTRY_TYPES,
+  STATEMENT_FORMATS,
+  STATEMENT_STATUSES,
+  LEADERBOARD_TYPES,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_RANKINGS,
+  LEADERBOARD_PAYOUT_STATUSES,
+  LEADERBOARD_WINNER_STATUSES,
+  ACHIEVEMENT_RULE_TYPES,
+  ACHIEVEMENT_REWARD_STATUSES,
 };
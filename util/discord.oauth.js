@@ -36,9 +36,10 @@ exports.getDiscordUserData = async ({ code }) => {
   const { access_token } = await getDiscordTokenForAuthCode(code);
   const data = await getDiscordUserMeta(access_token);
 
-  const { username, email, verified } = data;
+  const { id, username, email, verified } = data;
 
   return {
+    providerUserId: id,
     email,
     username,
     name: '',
@@ -34,6 +34,32 @@ class BannedError extends ErrorHandler {
   }
 }
 
+class SelfExcludedError extends ErrorHandler {
+  constructor(selfExclusion) {
+    super(403, 'Your account is self-excluded', {
+      selfExclusion: { period: selfExclusion.period, endsAt: selfExclusion.endsAt },
+    });
+  }
+}
+
+class PlayTimeLimitError extends ErrorHandler {
+  constructor(blockedUntil) {
+    super(403, 'Your play time limit is reached', { blockedUntil });
+  }
+}
+
+class LimitReachedError extends ErrorHandler {
+  constructor(limit) {
+    super(403, `Your ${limit.period} ${limit.type} limit is reached`, { limit });
+  }
+}
+
+class KycRequiredError extends ErrorHandler {
+  constructor(status, threshold) {
+    super(403, 'KYC verification is required', { kyc: { status, threshold } });
+  }
+}
+
 class NotFoundError extends ErrorHandler {
   constructor() {
     super(404, "The requested resource wasn't found");
@@ -53,4 +79,8 @@ module.exports = {
   NotFoundError,
   ValidationError,
   BannedError,
+  SelfExcludedError,
+  LimitReachedError,
+  PlayTimeLimitError,
+  KycRequiredError,
 };
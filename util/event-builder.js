@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+/** Version of the envelope, raised when consumers need to tell old and new payloads apart */
+const EVENT_VERSION = 1;
+
+/**
+ * @typedef {object} UniversalEvent
+ * @property {string} event one of notificationEvents
+ * @property {string} producer `user` for user actions, `system` for workers
+ * @property {string} producerId id of the user or the worker
+ * @property {object} data
+ * @property {number} date creation time in ms
+ * @property {boolean} broadcast whether the event shows up in the public activity feed
+ * @property {number} version EVENT_VERSION
+ */
+
+/**
+ * Envelope of every message published on the universal_events exchange
+ * @param {object} params
+ * @param {string} params.event
+ * @param {string} [params.producer]
+ * @param {string} params.producerId
+ * @param {object} [params.data]
+ * @param {boolean} [params.broadcast]
+ * @returns {UniversalEvent}
+ */
+const buildEvent = ({ event, producer = 'user', producerId, data = {}, broadcast = false }) => {
+  if (!event || !producerId) {
+    throw new Error('INVALID_EVENT');
+  }
+
+  return {
+    event,
+    producer,
+    producerId: `${producerId}`,
+    data,
+    date: Date.now(),
+    broadcast,
+    version: EVENT_VERSION,
+  };
+};
+
+/**
+ * Identifies a consumed event, e.g. to count a redelivered one once. The envelope has no id,
+ * its producer and date in ms tell events apart.
+ * @param {string} routingKey
+ * @param {UniversalEvent} message
+ * @returns {string}
+ */
+const getEventId = (routingKey, message) => crypto.createHash('sha1')
+  .update(`${routingKey}:${JSON.stringify(message)}`)
+  .digest('hex');
+
+module.exports = {
+  EVENT_VERSION,
+  buildEvent,
+  getEventId,
+};
@@ -0,0 +1,431 @@
+const Ajv = require('ajv');
+const { notificationEvents } = require('@wallfair.io/wallfair-commons/constants/eventTypes');
+const {
+  RESPONSIBLE_GAMING_EVENTS,
+  WITHDRAWAL_EVENTS,
+  KYC_STATUSES,
+  WITHDRAWAL_STATUSES,
+  SELF_EXCLUSION_PERIODS,
+  LIMIT_TYPES,
+  LIMIT_PERIODS,
+} = require('./constants');
+
+const ajv = new Ajv({ allErrors: true });
+
+/**
+ * Payload of a message that does not match the schema of its routing key. Consumers
+ * dead-letter these right away, redelivering them can't help.
+ */
+class EventSchemaError extends Error {
+  constructor(routingKey, version, details) {
+    super(`Invalid ${routingKey} v${version} payload: ${details}`);
+    this.routingKey = routingKey;
+    this.version = version;
+    this.details = details;
+  }
+}
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullableDateTime = { type: ['string', 'null'], format: 'date-time' };
+const number = { type: 'number' };
+const timestamp = { type: 'integer' };
+
+const object = (properties, required = Object.keys(properties)) => ({
+  type: 'object',
+  required,
+  properties,
+});
+
+/**
+ * Schema of a universal_events message, see buildEvent
+ * @param {object} params
+ * @param {string|string[]} params.event name(s) of the event
+ * @param {object} params.data schema of the data
+ * @param {string} [params.producer]
+ * @param {boolean} [params.versioned] false for messages of other services, they have no version
+ */
+const envelope = ({ event, data, producer = 'user', versioned = true }) => object({
+  event: Array.isArray(event) ? { enum: event } : { const: event },
+  producer: versioned ? { const: producer } : string,
+  producerId: string,
+  data,
+  date: timestamp,
+  broadcast: { type: 'boolean' },
+  version: { const: 1 },
+}, ['event', 'producer', 'producerId', 'data', ...(versioned ? ['date', 'broadcast', 'version'] : [])]);
+
+const withdrawalData = object({
+  id: string,
+  userId: string,
+  status: { enum: Object.values(WITHDRAWAL_STATUSES) },
+  amount: string,
+  fee: string,
+  netAmount: string,
+  symbol: string,
+  network: string,
+  address: string,
+  transactionHash: nullableString,
+  rejectionReason: nullableString,
+  createdAt: dateTime,
+  updatedAt: dateTime,
+}, ['id', 'userId', 'status', 'amount', 'fee', 'netAmount', 'symbol', 'network', 'address']);
+
+const withdrawalEvent = (event) => envelope({ event, data: withdrawalData });
+
+/** Events of the deposit and withdraw workers, in wei */
+const workerTransactionData = {
+  type: 'object',
+  required: ['network_code', 'amount'],
+  properties: {
+    network_code: string,
+    amount: string,
+    transaction_hash: nullableString,
+    external_transaction_id: nullableString,
+    internal_user_id: nullableString,
+    status: nullableString,
+  },
+};
+
+/** Messages of the api_info_events exchange, pushed to the websocket */
+const infoMessage = ({ to = string, event, data }) => object({
+  to,
+  event,
+  producer: { const: 'backend' },
+  data: object({ type: string, data }),
+});
+
+/**
+ * Schemas by routing key and payload version. A breaking change of a payload gets a new
+ * version next to the old one, so consumers can move over one by one.
+ */
+const EVENT_SCHEMAS = {
+  'event.user_signed_in': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_SIGNED_IN,
+      data: object({
+        userIdentifier: nullableString,
+        userId: string,
+        username: nullableString,
+        updatedAt: timestamp,
+      }, ['userId', 'updatedAt']),
+    }),
+  },
+  'event.user_signed_up': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_SIGNED_UP,
+      data: object({
+        email: string,
+        userId: string,
+        username: string,
+        ref: nullableString,
+        cid: nullableString,
+        sid: nullableString,
+        initialReward: number,
+        provider: string,
+        updatedAt: timestamp,
+      }, ['userId', 'username', 'updatedAt']),
+    }),
+  },
+  'event.user_changed_password': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_CHANGED_PASSWORD,
+      data: object({ email: string }),
+    }),
+  },
+  'event.user_forgot_password': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_FORGOT_PASSWORD,
+      data: object({ email: string }),
+    }),
+  },
+  'event.user_changed_name': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_CHANGED_NAME,
+      data: object({
+        userId: string,
+        name: string,
+        oldName: nullableString,
+        updatedAt: timestamp,
+      }, ['userId', 'name', 'updatedAt']),
+    }),
+  },
+  'event.user_changed_username': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_CHANGED_USERNAME,
+      data: object({
+        userId: string,
+        username: string,
+        oldUsername: nullableString,
+        updatedAt: timestamp,
+      }, ['userId', 'username', 'updatedAt']),
+    }),
+  },
+  'event.user_uploaded_picture': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_UPLOADED_PICTURE,
+      data: object({
+        userId: string,
+        username: string,
+        image: string,
+        updatedAt: timestamp,
+      }),
+    }),
+  },
+  'event.user_updated_email_preferences': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_UPDATED_EMAIL_PREFERENCES,
+      data: object({ notificationSettings: { type: 'object' } }),
+    }),
+  },
+  'event.user_changed_about_me': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_CHANGED_ABOUT_ME,
+      data: object({
+        userId: string,
+        username: string,
+        notificationSettings: { type: 'object' },
+        updatedAt: timestamp,
+      }, ['userId', 'username', 'updatedAt']),
+    }),
+  },
+  'event.user_set_currency': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_SET_CURRENCY,
+      data: object({ currency: string, gamesCurrency: string }),
+    }),
+  },
+  'event.user_award': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_AWARD,
+      data: object({
+        userId: string,
+        awardData: object({ type: string, award: number }, ['type']),
+      }),
+    }),
+  },
+  'event.user_self_excluded': {
+    1: envelope({
+      event: RESPONSIBLE_GAMING_EVENTS.EVENT_USER_SELF_EXCLUDED,
+      data: object({
+        userId: string,
+        period: { enum: Object.values(SELF_EXCLUSION_PERIODS) },
+        startsAt: dateTime,
+        endsAt: nullableDateTime,
+      }, ['userId', 'period', 'startsAt']),
+    }),
+  },
+  'event.user_limit_reached': {
+    1: envelope({
+      event: RESPONSIBLE_GAMING_EVENTS.EVENT_USER_LIMIT_REACHED,
+      data: object({
+        userId: string,
+        action: string,
+        requestedAmount: number,
+        type: { enum: Object.values(LIMIT_TYPES) },
+        period: { enum: Object.values(LIMIT_PERIODS) },
+        amount: number,
+        used: number,
+        remaining: number,
+        pendingAmount: { type: ['number', 'null'] },
+        pendingAppliesAt: nullableDateTime,
+      }, ['userId', 'action', 'type', 'period', 'amount', 'used', 'remaining']),
+    }),
+  },
+  'event.user_play_time_limit_reached': {
+    1: envelope({
+      event: RESPONSIBLE_GAMING_EVENTS.EVENT_USER_PLAY_TIME_LIMIT_REACHED,
+      data: object({
+        userId: string,
+        sessionStartedAt: dateTime,
+        minutesPlayed: { type: 'integer' },
+        netResult: number,
+        sessionLimitMinutes: { type: 'integer' },
+        blockedUntil: dateTime,
+      }),
+    }),
+  },
+  'event.user_kyc_update': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_KYC_UPDATE,
+      data: object({
+        userId: string,
+        status: { enum: Object.values(KYC_STATUSES) },
+        rejectionReason: nullableString,
+        updatedAt: timestamp,
+      }, ['userId', 'status', 'updatedAt']),
+    }),
+  },
+  'event.withdraw_requested': {
+    1: {
+      anyOf: [
+        withdrawalEvent(notificationEvents.EVENT_WITHDRAW_REQUESTED),
+        // the withdraw worker announces approvals of its own under this routing key
+        envelope({
+          event: notificationEvents.EVENT_WITHDRAW_APPROVED,
+          producer: 'system',
+          data: workerTransactionData,
+          versioned: false,
+        }),
+      ],
+    },
+  },
+  'event.withdraw_approved': {
+    1: withdrawalEvent(notificationEvents.EVENT_WITHDRAW_APPROVED),
+  },
+  'event.withdraw_rejected': {
+    1: withdrawalEvent(notificationEvents.EVENT_WITHDRAW_REJECTED),
+  },
+  'event.withdraw_broadcast': {
+    1: withdrawalEvent(notificationEvents.EVENT_WITHDRAW_SCHEDULED),
+  },
+  'event.withdraw_completed': {
+    1: withdrawalEvent(notificationEvents.EVENT_WITHDRAW_COMPLETED),
+  },
+  'event.withdraw_failed': {
+    1: withdrawalEvent(WITHDRAWAL_EVENTS.EVENT_WITHDRAW_FAILED),
+  },
+  'event.withdraw_refunded': {
+    1: withdrawalEvent(WITHDRAWAL_EVENTS.EVENT_WITHDRAW_REFUNDED),
+  },
+  'event.deposit_created': {
+    1: envelope({
+      event: notificationEvents.EVENT_DEPOSIT_CREATED,
+      producer: 'system',
+      data: workerTransactionData,
+      versioned: false,
+    }),
+  },
+  'event.webhook_triggered': {
+    1: envelope({
+      event: notificationEvents.EVENT_WEBHOOK_TRIGGERED,
+      producer: 'system',
+      data: workerTransactionData,
+      versioned: false,
+    }),
+  },
+  'event.stream_status': {
+    1: envelope({
+      event: [notificationEvents.EVENT_ONLINE, notificationEvents.EVENT_OFFLINE],
+      producer: 'system',
+      data: object({ event: { type: 'object' } }),
+    }),
+  },
+  // casino and bet events of other services, the live leaderboards only read these fields.
+  // Leaderboard prizes are user rewards as well, without a gainAmount.
+  'event.casino_cashout': {
+    1: envelope({
+      event: notificationEvents.EVENT_CASINO_CASHOUT,
+      producer: 'system',
+      data: object({ userId: string, profitWfair: number }),
+      versioned: false,
+    }),
+  },
+  'event.bet_placed': {
+    1: envelope({
+      event: notificationEvents.EVENT_BET_PLACED,
+      producer: 'system',
+      data: object({
+        bet: object({ creator: string }, []),
+        trade: object({ investment_amount: number }, []),
+        creator: object({ admin: { type: 'boolean' } }, []),
+      }, []),
+      versioned: false,
+    }),
+  },
+  'event.bet_cashed_out': {
+    1: envelope({
+      event: notificationEvents.EVENT_BET_CASHED_OUT,
+      producer: 'system',
+      data: object({
+        user: object({ _id: string }),
+        gain: object({ gainAmount: number }, []),
+      }, ['user']),
+      versioned: false,
+    }),
+  },
+  'event.user_reward': {
+    1: envelope({
+      event: notificationEvents.EVENT_USER_REWARD,
+      producer: 'system',
+      data: object({ user: object({ _id: string }), gainAmount: number }, ['user']),
+      versioned: false,
+    }),
+  },
+  // the cron service only triggers the job, the processor does not look at the message
+  'backend.promo_code_expiration': {
+    1: {},
+  },
+  'event.play_time': {
+    1: infoMessage({
+      event: { enum: ['PLAY_TIME/REALITY_CHECK', 'PLAY_TIME/LIMIT_REACHED'] },
+      data: object({
+        sessionStartedAt: dateTime,
+        minutesPlayed: { type: 'integer' },
+        netResult: number,
+        sessionLimitMinutes: { type: 'integer' },
+        blockedUntil: dateTime,
+      }, ['sessionStartedAt', 'minutesPlayed', 'netResult']),
+    }),
+  },
+  'event.price_updated': {
+    1: infoMessage({
+      to: { const: 'API_INFO_CHANNEL' },
+      event: { const: 'INFO_CHANNEL' },
+      data: object({
+        EUR: number,
+        USD: number,
+        BTC: number,
+        ETH: number,
+        LTC: number,
+        _updatedAt: string,
+      }),
+    }),
+  },
+};
+
+const validators = {};
+
+const getValidator = (routingKey, version) => {
+  const schema = EVENT_SCHEMAS[routingKey]?.[version];
+
+  if (!schema) {
+    return null;
+  }
+
+  const key = `${routingKey}@${version}`;
+  validators[key] = validators[key] || ajv.compile(schema);
+
+  return validators[key];
+};
+
+/**
+ * Checks a message against the schema of its routing key and version. Messages without a
+ * version are version 1, the services publishing them are older than the versioning.
+ * @param {string} routingKey
+ * @param {object} payload message before JSON serialization, or as parsed by a consumer
+ * @returns {object} the payload as consumers see it
+ * @throws {EventSchemaError}
+ */
+const validateEvent = (routingKey, payload) => {
+  const message = JSON.parse(JSON.stringify(payload));
+  const version = message?.version || 1;
+  const validate = getValidator(routingKey, version);
+
+  if (!validate) {
+    throw new EventSchemaError(routingKey, version, 'no schema registered');
+  }
+
+  if (!validate(message)) {
+    throw new EventSchemaError(routingKey, version, ajv.errorsText(validate.errors));
+  }
+
+  return message;
+};
+
+module.exports = {
+  EVENT_SCHEMAS,
+  EventSchemaError,
+  validateEvent,
+};
@@ -30,7 +30,7 @@ const getFacebookUserMeta = async (token) => {
 
 exports.getFacebookUserData = async ({ code }) => {
   const { access_token } = await getFacebookTokenForAuthCode(code);
-  const { name, email, picture, birthday } = await getFacebookUserMeta(access_token);
+  const { id, name, email, picture, birthday } = await getFacebookUserMeta(access_token);
 
 
   const profilePicture = picture?.data?.url;
@@ -43,6 +43,7 @@ exports.getFacebookUserData = async ({ code }) => {
   const birthdate = new Date(year, month - 1, day);
 
   return {
+    providerUserId: id,
     email,
     username: email.split('@')[0],
     name,
@@ -28,7 +28,7 @@ const getGoogleUserMeta = async (token) => {
 
 exports.getGoogleUserData = async ({ code }) => {
   const { access_token } = await getGoogleTokenForAuthCode(code);
-  const { names, birthdays, emailAddresses } = await getGoogleUserMeta(access_token);
+  const { resourceName, names, birthdays, emailAddresses } = await getGoogleUserMeta(access_token);
 
   const primary = ({ metadata }) => metadata.primary;
 
@@ -43,6 +43,7 @@ exports.getGoogleUserData = async ({ code }) => {
   }
 
   return {
+    providerUserId: resourceName,
     email,
     username: email.split('@')[0],
     name,
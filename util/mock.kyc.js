@@ -0,0 +1,31 @@
+const { randomBytes } = require('crypto');
+const { KYC_STATUSES } = require('./constants');
+
+/**
+ * KYC provider that runs offline, for local setups and tests. Submissions stay pending for
+ * the admin review, unless KYC_MOCK_DECISION is set to `approved`, `rejected` or
+ * `needs_resubmission`.
+ *
+ * Provider adapters take the verification and its current documents and answer with their
+ * reference and the status the verification moves to.
+ */
+const submitVerification = async ({ userId, documents }) => {
+  const decision = process.env.KYC_MOCK_DECISION || KYC_STATUSES.PENDING;
+
+  if (!Object.values(KYC_STATUSES).includes(decision) || decision === KYC_STATUSES.NOT_STARTED) {
+    throw new Error(`Invalid KYC_MOCK_DECISION ${decision}`);
+  }
+
+  return {
+    reference: `mock-${userId}-${randomBytes(4).toString('hex')}`,
+    status: decision,
+    reason: decision === KYC_STATUSES.PENDING
+      ? null
+      : `Mock decision for ${documents.length} document(s)`,
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  submitVerification,
+};
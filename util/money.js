@@ -0,0 +1,62 @@
+const BigNumber = require('bignumber.js');
+const { fromWei, WFAIR_SYMBOL } = require('@wallfair.io/trading-engine');
+
+/**
+ * Decimals money is shown with. WFAIR amounts are rounded down, a balance never shows more
+ * than can be spent, fiat values are rounded half up.
+ */
+const MONEY_FORMATS = {
+  [WFAIR_SYMBOL]: { decimals: 4, rounding: BigNumber.ROUND_DOWN },
+  EUR: { decimals: 2, rounding: BigNumber.ROUND_HALF_UP },
+  USD: { decimals: 2, rounding: BigNumber.ROUND_HALF_UP },
+};
+
+/**
+ * @param {string|number|BigNumber} amount
+ * @param {string} currency one of MONEY_FORMATS
+ * @returns {string|null} null for missing or invalid amounts
+ */
+const formatAmount = (amount, currency = WFAIR_SYMBOL) => {
+  if (amount === null || amount === undefined) {
+    return null;
+  }
+
+  const format = MONEY_FORMATS[currency];
+
+  if (!format) {
+    throw new Error(`No money format for ${currency}`);
+  }
+
+  const value = new BigNumber(amount);
+  return value.isFinite() ? value.toFixed(format.decimals, format.rounding) : null;
+};
+
+/**
+ * Canonical WFAIR amount of a ledger amount
+ * @param {string|BigNumber} wei
+ * @returns {string}
+ */
+const formatWei = (wei) => formatAmount(fromWei(wei || '0'));
+
+/**
+ * Value of a WFAIR amount in another currency
+ * @param {string|number|BigNumber|null} amount in WFAIR
+ * @param {object} rate
+ * @param {string} rate.currency one of MONEY_FORMATS
+ * @param {number|null} rate.price of one WFAIR in the currency, null if unknown
+ * @returns {{currency: string, price: number|null, amount: string|null}}
+ */
+const convert = (amount, { currency, price }) => ({
+  currency,
+  price,
+  amount: price === null || amount === null || amount === undefined
+    ? null
+    : formatAmount(new BigNumber(amount).times(price), currency),
+});
+
+module.exports = {
+  MONEY_FORMATS,
+  formatAmount,
+  formatWei,
+  convert,
+};
@@ -0,0 +1,78 @@
+/**
+ * Minimal PDF writer for plain text documents like statements: landscape A4 pages of
+ * monospaced lines, no dependencies. Characters outside printable ASCII are replaced.
+ */
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 36;
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 10;
+
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+const escapeText = (text) => `${text}`
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/[\\()]/g, (c) => `\\${c}`);
+
+const toPages = (lines) => {
+  const pages = [];
+
+  for (let i = 0; i < lines.length; i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+
+  return pages.length ? pages : [[]];
+};
+
+const toContent = (lines) => [
+  'BT',
+  `/F1 ${FONT_SIZE} Tf`,
+  `${LINE_HEIGHT} TL`,
+  `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+  ...lines.map((line) => `(${escapeText(line)}) Tj T*`),
+  'ET',
+].join('\n');
+
+/**
+ * @param {string[]} lines
+ * @returns {Buffer}
+ */
+const renderTextPdf = (lines) => {
+  const pages = toPages(lines);
+  // 1 catalog, 2 page tree, 3 font, then a page and its content per page
+  const pageIds = pages.map((page, i) => 4 + i * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>',
+  ];
+
+  pages.forEach((page, i) => {
+    const content = toContent(page);
+
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+  LINES_PER_PAGE,
+  renderTextPdf,
+};
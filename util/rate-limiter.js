@@ -0,0 +1,42 @@
+const rateLimitService = require('../services/rate-limit-service');
+const { getRealIp } = require('../services/request-log-service');
+const { ErrorHandler } = require('./error-handler');
+
+/**
+ * Express middleware limiting the requests of a route per client IP and, optionally,
+ * per account identifier taken from the request body (email, phone, userId, ...)
+ * @param {object} options
+ * @param {string} options.name namespace of the counters, usually the route
+ * @param {number} options.windowSeconds
+ * @param {number} options.ipLimit max requests per IP in the window
+ * @param {string} options.identifier name of the body property identifying the account
+ * @param {number} options.identifierLimit max requests per account in the window
+ */
+exports.rateLimit = ({ name, windowSeconds, ipLimit, identifier, identifierLimit }) =>
+  async (req, res, next) => {
+    try {
+      const checks = [
+        rateLimitService.consume(`${name}/ip/${getRealIp(req)}`, ipLimit, windowSeconds),
+      ];
+      const identifierValue = identifier && req.body?.[identifier];
+
+      if (identifierValue) {
+        checks.push(rateLimitService.consume(
+          `${name}/id/${`${identifierValue}`.trim().toLowerCase()}`,
+          identifierLimit,
+          windowSeconds
+        ));
+      }
+
+      const blocked = (await Promise.all(checks)).find((result) => !result.allowed);
+
+      if (blocked) {
+        res.set('Retry-After', `${blocked.retryAfter}`);
+        return next(new ErrorHandler(429, 'Too many requests, please try again later'));
+      }
+    } catch (e) {
+      console.error('[RATE-LIMIT] check failed', e.message);
+    }
+
+    next();
+  };
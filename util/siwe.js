@@ -0,0 +1,106 @@
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId',
+};
+
+/**
+ * Builds an EIP-4361 (Sign-In with Ethereum) message
+ * @param {object} params
+ * @param {string} params.domain host the sign in is requested by, e.g. `app.example.com`
+ * @param {string} params.address EIP-55 checksummed address
+ * @param {string} params.statement human readable text shown by the wallet
+ * @param {string} params.uri
+ * @param {number} params.chainId
+ * @param {string} params.nonce
+ * @param {string} params.issuedAt ISO 8601 date
+ * @param {string} params.expirationTime ISO 8601 date
+ * @returns {string}
+ */
+exports.buildSiweMessage = ({
+  domain,
+  address,
+  statement,
+  uri,
+  version = '1',
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime,
+}) => [
+  `${domain}${HEADER_SUFFIX}`,
+  address,
+  '',
+  ...(statement ? [statement, ''] : ['']),
+  `URI: ${uri}`,
+  `Version: ${version}`,
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt}`,
+  ...(expirationTime ? [`Expiration Time: ${expirationTime}`] : []),
+].join('\n');
+
+/**
+ * Parses an EIP-4361 message, the inverse of buildSiweMessage
+ * @param {string} message
+ * @returns {object|null} null if the message is no Sign-In with Ethereum message
+ */
+exports.parseSiweMessage = (message) => {
+  if (typeof message !== 'string') {
+    return null;
+  }
+
+  const lines = message.split('\n');
+  const [header, address] = lines;
+
+  if (!header?.endsWith(HEADER_SUFFIX) || !address || lines[2] !== '') {
+    return null;
+  }
+
+  const parsed = {
+    domain: header.slice(0, -HEADER_SUFFIX.length).replace(/^\w+:\/\//, ''),
+    address,
+  };
+
+  let index = 3;
+  if (lines[index] !== '') {
+    parsed.statement = lines[index];
+    index++;
+  }
+
+  if (lines[index] !== '') {
+    return null;
+  }
+
+  for (const line of lines.slice(index + 1)) {
+    const separator = line.indexOf(': ');
+    const field = FIELDS[line.slice(0, separator)];
+
+    if (separator === -1 || !field) {
+      // resources are not used by us and anything else is malformed
+      if (line === 'Resources:' || line.startsWith('- ')) {
+        continue;
+      }
+      return null;
+    }
+
+    parsed[field] = line.slice(separator + 2);
+  }
+
+  if (!parsed.uri || !parsed.version || !parsed.chainId || !parsed.nonce || !parsed.issuedAt) {
+    return null;
+  }
+
+  parsed.chainId = +parsed.chainId;
+
+  return parsed;
+};
+
+exports.isSiweMessage = (message) => typeof message === 'string' && message.includes(HEADER_SUFFIX);
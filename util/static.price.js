@@ -0,0 +1,27 @@
+/**
+ * Price provider with fixed prices, for local setups and tests. STATIC_PRICES lists the
+ * price of one WFAIR per currency, e.g. `USD:0.02,EUR:0.018`.
+ */
+const parsePrices = (value = '') => value
+  .split(',')
+  .map((pair) => pair.trim().split(':'))
+  .filter(([currency, price]) => currency && +price > 0)
+  .reduce((prices, [currency, price]) => ({ ...prices, [currency.toUpperCase()]: +price }), {});
+
+const getPrices = async (symbol, currencies) => {
+  const prices = parsePrices(process.env.STATIC_PRICES);
+  const updatedAt = new Date();
+
+  return currencies.reduce((result, currency) => {
+    if (prices[currency]) {
+      result[currency] = { price: prices[currency], updatedAt };
+    }
+    return result;
+  }, {});
+};
+
+module.exports = {
+  name: 'static',
+  parsePrices,
+  getPrices,
+};
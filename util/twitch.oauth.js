@@ -41,9 +41,10 @@ const getTwitchUserMeta = async (token) => {
 exports.getTwitchUserData = async ({ code }) => {
   const { access_token } = await getTwitchTokenForAuthCode(code);
   const userMeta = await getTwitchUserMeta(access_token);
-  const { email, profile_image_url, display_name, login } = userMeta;
+  const { id, email, profile_image_url, display_name, login } = userMeta;
 
   return {
+    providerUserId: id,
     email,
     username: display_name || login,
     name: '',